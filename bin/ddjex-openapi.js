@@ -0,0 +1,72 @@
+#!/usr/bin/env node
+/**
+ * ddjex OpenAPI CLI
+ * Usage: node bin/ddjex-openapi.js <program.json> [output.json] [options]
+ */
+
+import { writeFile } from 'fs/promises';
+import { load } from '../src/index.js';
+import { generateOpenAPI } from '../src/targets/openapi.js';
+
+async function main() {
+  const args = process.argv.slice(2);
+
+  if (args.length === 0 || args.includes('--help')) {
+    console.log(`
+ddjex OpenAPI Generator
+
+Usage:
+  ddjex-openapi <program.json> [output.json] [options]
+
+Options:
+  --title <title>      API title (default: program id)
+  --version <version>  API version (default: 1.0.0)
+  --server <url>       Server URL (repeatable)
+  --help               Show this help
+
+Example:
+  ddjex-openapi api.server.json openapi.json --server https://api.example.com
+`);
+    process.exit(0);
+  }
+
+  const files = [];
+  const options = {};
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (arg === '--title') {
+      options.title = args[++i];
+    } else if (arg === '--version') {
+      options.version = args[++i];
+    } else if (arg === '--server') {
+      options.servers = [...(options.servers || []), { url: args[++i] }];
+    } else if (!arg.startsWith('--')) {
+      files.push(arg);
+    }
+  }
+
+  const [inputFile, outputFile] = files;
+  if (!inputFile) {
+    console.error('Error: Input file required');
+    process.exit(1);
+  }
+
+  try {
+    // Imported state and actions are resolved like they are when the program runs
+    const program = await load(inputFile);
+    if (program.error) throw program;
+    const json = JSON.stringify(generateOpenAPI(program, options), null, 2) + '\n';
+
+    if (outputFile) {
+      await writeFile(outputFile, json);
+      console.log(`Generated: ${inputFile} -> ${outputFile}`);
+    } else {
+      process.stdout.write(json);
+    }
+  } catch (e) {
+    console.error('OpenAPI generation failed:', e.message);
+    process.exit(1);
+  }
+}
+
+main();
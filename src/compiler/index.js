@@ -9,6 +9,8 @@
 import { compileExpression } from './expression.js';
 import { compileNode } from './dom.js';
 import { compileActions } from './actions.js';
+import { parsePath, updateAtPath, matchesWhere, isWhereSegment, DANGEROUS_KEYS } from '../core/path.js';
+import { MutationError, ActionError } from '../core/errors.js';
 
 class Compiler {
   constructor(program, options = {}) {
@@ -21,6 +23,7 @@ class Compiler {
     this.stateIds = new Set();
     this.computedIds = new Set();
     this.actionIds = new Set();
+    this.usesPaths = false;
   }
 
   compile() {
@@ -186,36 +189,15 @@ class Compiler {
       const params = def.params || [];
       const paramList = params.join(', ');
 
+      // Async steps need the runtime's async operations
+      if (def.steps) {
+        throw new ActionError('UNSUPPORTED_ASYNC_ACTION', `Action '${id}' has async steps, which compiled programs cannot run; use the runtime`, id);
+      }
+
       lines.push(`actions.${id} = function(${paramList}) {`);
 
-      for (const mut of def.mutations) {
-        const valueExpr = mut.value !== undefined
-          ? compileExpression(mut.value, this, params)
-          : 'undefined';
-
-        if (mut.op === 'set') {
-          lines.push(`  set("${mut.target}", ${valueExpr});`);
-        } else if (mut.op === 'add') {
-          lines.push(`  set("${mut.target}", get("${mut.target}") + ${valueExpr});`);
-        } else if (mut.op === 'subtract') {
-          lines.push(`  set("${mut.target}", get("${mut.target}") - ${valueExpr});`);
-        } else if (mut.op === 'multiply') {
-          lines.push(`  set("${mut.target}", get("${mut.target}") * ${valueExpr});`);
-        } else if (mut.op === 'toggle') {
-          lines.push(`  set("${mut.target}", !get("${mut.target}"));`);
-        } else if (mut.op === 'push') {
-          lines.push(`  set("${mut.target}", [...get("${mut.target}"), ${valueExpr}]);`);
-        } else if (mut.op === 'pop') {
-          lines.push(`  set("${mut.target}", get("${mut.target}").slice(0, -1));`);
-        } else if (mut.op === 'merge') {
-          lines.push(`  set("${mut.target}", { ...get("${mut.target}"), ...${valueExpr} });`);
-        } else if (mut.op === 'filter') {
-          const filterFn = compileFilterMapExpression(mut.value, this, params);
-          lines.push(`  set("${mut.target}", get("${mut.target}").filter(${filterFn}));`);
-        } else if (mut.op === 'map') {
-          const mapFn = compileFilterMapExpression(mut.value, this, params);
-          lines.push(`  set("${mut.target}", get("${mut.target}").map(${mapFn}));`);
-        }
+      for (const mut of def.mutations || []) {
+        lines.push(`  ${this.compileMutation(mut, id, params)};`);
       }
 
       lines.push('};');
@@ -227,9 +209,117 @@ class Compiler {
   else console.error('Unknown action:', action);
 }`);
 
+    // Nested mutations share the runtime's path logic
+    if (this.usesPaths) lines.splice(1, 0, compilePathHelpers(), '');
+
     return lines.join('\n');
   }
 
+  /**
+   * Compile one mutation to a set() call; path and where update a nested value like the runtime does
+   * @throws {MutationError} For mutations compiled programs cannot perform
+   */
+  compileMutation(mut, actionId, params) {
+    const nested = mut.path !== undefined || mut.where !== undefined;
+    const current = nested ? 'current' : `get("${mut.target}")`;
+
+    let next;
+    if (mut.op === 'remove') {
+      if (!nested) {
+        throw new MutationError('INVALID_MUTATION_PATH', `Mutation 'remove' on '${mut.target}' requires a path or where`, {
+          action: actionId, operation: mut.op, state: mut.target
+        });
+      }
+      next = 'REMOVE';
+    } else {
+      next = this.compileMutationOp(mut, current, params);
+    }
+    if (next === null) {
+      throw new MutationError('UNSUPPORTED_MUTATION_OP', `Mutation '${mut.op}' in action '${actionId}' cannot be compiled`, {
+        action: actionId, operation: mut.op, state: mut.target
+      });
+    }
+    if (!nested) return `set("${mut.target}", ${next})`;
+
+    this.usesPaths = true;
+    const segments = [];
+    if (mut.where !== undefined) segments.push(`{ where: ${compileExpression(mut.where, this, params)} }`);
+    if (mut.path !== undefined) segments.push(`...parsePath(${compileExpression(mut.path, this, params)})`);
+    return `set("${mut.target}", updateAtPath(get("${mut.target}"), [${segments.join(', ')}], (current) => ${next}))`;
+  }
+
+  /**
+   * JS expression for the new value of a mutation applied to `current`, or null when unsupported
+   */
+  compileMutationOp(mut, current, params) {
+    const valueExpr = mut.value !== undefined
+      ? compileExpression(mut.value, this, params)
+      : 'undefined';
+
+    switch (mut.op) {
+      case 'set':
+        return valueExpr;
+      case 'add':
+        return `${current} + ${valueExpr}`;
+      case 'subtract':
+        return `${current} - ${valueExpr}`;
+      case 'multiply':
+        return `${current} * ${valueExpr}`;
+      case 'divide':
+        return `${current} / ${valueExpr}`;
+      case 'toggle':
+        return `!${current}`;
+      case 'push':
+        return `[...${current}, ${valueExpr}]`;
+      case 'pop':
+        return `${current}.slice(0, -1)`;
+      case 'shift':
+        return `${current}.slice(1)`;
+      case 'unshift':
+        return `[${valueExpr}, ...${current}]`;
+      case 'merge':
+        return `{ ...${current}, ...${valueExpr} }`;
+      case 'filter':
+        return `${current}.filter(${compileFilterMapExpression(mut.value, this, params)})`;
+      case 'map':
+        return `${current}.map(${compileFilterMapExpression(mut.value, this, params)})`;
+      case 'increment':
+      case 'decrement': {
+        const step = mut.value !== undefined ? valueExpr : '1';
+        const sign = mut.op === 'increment' ? '+' : '-';
+        return `${current} ${sign} ${step}`;
+      }
+      case 'clear':
+        return clearedLike(current);
+      case 'removeAt':
+        return `((arr, i) => { if (!(Number.isInteger(i) && i >= 0 && i < arr.length)) return arr; const copy = [...arr]; copy.splice(i, 1); return copy; })(${current}, ${valueExpr})`;
+      case 'removeWhere': {
+        const predicate = compileFilterMapExpression(mut.value, this, params);
+        return `${current}.filter((item, index) => !(${predicate})(item, index))`;
+      }
+      case 'insertAt': {
+        const index = compileExpression(mut.index, this, params);
+        return `((arr) => { const copy = [...arr]; copy.splice(${index}, 0, ${valueExpr}); return copy; })(${current})`;
+      }
+      case 'move': {
+        const from = compileExpression(mut.from, this, params);
+        const to = compileExpression(mut.to, this, params);
+        return `((arr, from, to) => { if (!(Number.isInteger(from) && from >= 0 && from < arr.length)) return arr; const copy = [...arr]; const [item] = copy.splice(from, 1); copy.splice(Math.max(0, to), 0, item); return copy; })(${current}, ${from}, ${to})`;
+      }
+      case 'updateWhere': {
+        const match = compileFilterMapExpression(mut.match, this, params);
+        const update = compileFilterMapExpression(mut.value, this, params);
+        return `${current}.map((item, index) => (${match})(item, index) ? (${update})(item, index) : item)`;
+      }
+      case 'upsert': {
+        const key = mut.key !== undefined ? compileExpression(mut.key, this, params) : '"id"';
+        return `((arr, value, key) => { const i = arr.findIndex(item => item !== null && typeof item === 'object' && item[key] === value?.[key]); if (i === -1) return [...arr, value]; const copy = [...arr]; copy[i] = value; return copy; })(${current}, ${valueExpr}, ${key})`;
+      }
+      default:
+        return null;
+    }
+  }
+
   compileEffects() {
     if (!this.program.effects || this.program.effects.length === 0) {
       return '// No effects';
@@ -283,6 +373,25 @@ document.addEventListener('DOMContentLoaded', () => mount('#app'));`;
   }
 }
 
+/**
+ * Compiled clear mutation: an empty value of the current value's kind, like the runtime's emptyValueLike
+ */
+function clearedLike(current) {
+  return `((value) => Array.isArray(value) ? [] : typeof value === 'string' ? "" : typeof value === 'number' ? 0 : value !== null && typeof value === 'object' ? {} : null)(${current})`;
+}
+
+/**
+ * Standalone copies of the runtime's path functions (core/path.js) for compiled nested mutations
+ */
+function compilePathHelpers() {
+  return [
+    `const REMOVE = Symbol('ddjex.remove');`,
+    `const DANGEROUS_KEYS = ${JSON.stringify(DANGEROUS_KEYS)};`,
+    `class MutationError extends Error { constructor(code, message, details = {}) { super(message); this.code = code; this.details = details; } }`,
+    ...[parsePath, isWhereSegment, matchesWhere, updateAtPath].map(fn => fn.toString())
+  ].join('\n');
+}
+
 function compileFilterMapExpression(expr, compiler, params) {
   // Generate (item, index) => expression
   const body = compileExpression(expr, compiler, [...params, 'item', 'index']);
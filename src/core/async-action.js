@@ -0,0 +1,130 @@
+/**
+ * ddjex Async Actions
+ * Multi-step actions that await async operations, with lifecycle status and concurrency modes
+ */
+
+const ASYNC_ACTION_MODES = ['latest', 'queue', 'drop'];
+
+/**
+ * Runs the steps of one async action.
+ *
+ * Modes when dispatched while a run is in flight:
+ *   latest - cancel the in-flight run, start the new one (default); the running operation
+ *            gets the run's AbortSignal as `this.signal` (fetch and delay abort with it)
+ *   queue  - start the new run after the in-flight one settles
+ *   drop   - ignore the new dispatch
+ *
+ * Steps:
+ *   { "await": expr, "as": "name" } - resolve (async) expression, bind result as param
+ *   { "mutations": [...] }          - apply mutations with the params bound so far
+ */
+class AsyncActionRunner {
+  constructor(actionId, definition, hooks) {
+    this.actionId = actionId;
+    this.mode = definition.mode || 'latest';
+    this.steps = [
+      ...(definition.mutations ? [{ mutations: definition.mutations }] : []),
+      ...(definition.steps || [])
+    ];
+    this.effects = definition.effects || [];
+    this.hooks = hooks;
+    this.current = null;
+    this.waiting = 0;
+    this.tail = Promise.resolve();
+  }
+
+  /**
+   * Start a run according to the concurrency mode
+   * @returns {Promise} Resolves to the last awaited value, an error object, or { cancelled: true }
+   */
+  dispatch(params) {
+    if (this.mode === 'drop' && this.current) {
+      return Promise.resolve({ cancelled: true, reason: 'dropped', action: this.actionId });
+    }
+
+    if (this.mode === 'queue') {
+      this.waiting++;
+      this.hooks.setStatus({ pending: true });
+      const run = this.tail.then(() => {
+        this.waiting--;
+        return this.run(params);
+      });
+      this.tail = run;
+      return run;
+    }
+
+    if (this.current) {
+      this.current.abort();
+    }
+    return this.run(params);
+  }
+
+  async run(params) {
+    const controller = new AbortController();
+    const { signal } = controller;
+    const scope = { ...params };
+    let lastResult = null;
+
+    this.current = controller;
+    this.hooks.setStatus({ pending: true, error: null });
+
+    try {
+      for (const step of this.steps) {
+        if ('await' in step) {
+          const result = await this.hooks.resolveAsync(step.await, scope, signal);
+          if (signal.aborted) break;
+          // Async operations report failures as error objects
+          if (result && typeof result === 'object' && result.error === true) {
+            throw result;
+          }
+          lastResult = result;
+          if (step.as) scope[step.as] = result;
+        } else if (step.mutations) {
+          this.hooks.applyMutations(step.mutations, scope);
+        }
+      }
+
+      if (!signal.aborted) {
+        for (const effect of this.effects) {
+          this.hooks.resolve(effect, scope);
+        }
+      }
+    } catch (error) {
+      if (!signal.aborted) {
+        const info = {
+          code: error?.code || 'ASYNC_ACTION_ERROR',
+          message: error?.message || String(error),
+          ...(error?.transaction && { transaction: error.transaction })
+        };
+        this.finish(controller, { error: info });
+        return { error: true, action: this.actionId, ...info };
+      }
+    }
+
+    if (signal.aborted) {
+      return { cancelled: true, reason: 'superseded', action: this.actionId };
+    }
+
+    this.finish(controller, { error: null, lastResult });
+    return lastResult;
+  }
+
+  finish(controller, status) {
+    if (this.current !== controller) return;
+    this.current = null;
+    this.hooks.setStatus({ pending: this.waiting > 0, ...status });
+  }
+
+  /**
+   * Cancel the in-flight run; queued runs still start afterwards
+   */
+  cancel() {
+    if (!this.current) return false;
+    this.current.abort();
+    this.current = null;
+    this.hooks.setStatus({ pending: this.waiting > 0 });
+    return true;
+  }
+}
+
+export { AsyncActionRunner, ASYNC_ACTION_MODES };
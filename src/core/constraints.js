@@ -33,7 +33,8 @@ class ConstraintViolationError extends Error {
       limit: this.limit,
       message: this.message,
       action: this.action,
-      suggestion: this.suggestion
+      suggestion: this.suggestion,
+      ...(this.transaction && { transaction: this.transaction })
     };
   }
 }
@@ -60,7 +61,8 @@ class InvariantViolationError extends Error {
       invariant: this.invariant,
       message: this.message,
       severity: this.severity,
-      snapshot: this.snapshot
+      snapshot: this.snapshot,
+      ...(this.transaction && { transaction: this.transaction })
     };
   }
 }
@@ -100,6 +100,16 @@ class RegexError extends DDJEXError {
   }
 }
 
+/**
+ * Error for program import issues
+ */
+class ImportError extends DDJEXError {
+  constructor(code, message, source, details = {}) {
+    super(code, message, { source, ...details });
+    this.name = 'ImportError';
+  }
+}
+
 export {
   DDJEXError,
   StateError,
@@ -108,5 +118,6 @@ export {
   ContextError,
   MutationError,
   DepthError,
-  RegexError
+  RegexError,
+  ImportError
 };
@@ -30,7 +30,7 @@ const Validators = {
 
   // Max length for strings/arrays
   maxLength: (value, options = {}) => {
-    const max = options.max || options.value || Infinity;
+    const max = options.max ?? options.value ?? Infinity;
     const message = options.message || `Maximum length is ${max}`;
     const length = value?.length ?? 0;
     if (length > max) {
@@ -41,7 +41,7 @@ const Validators = {
 
   // Min value for numbers
   min: (value, options = {}) => {
-    const min = options.min || options.value || -Infinity;
+    const min = options.min ?? options.value ?? -Infinity;
     const message = options.message || `Minimum value is ${min}`;
     if (typeof value === 'number' && value < min) {
       return { valid: false, error: message };
@@ -51,7 +51,7 @@ const Validators = {
 
   // Max value for numbers
   max: (value, options = {}) => {
-    const max = options.max || options.value || Infinity;
+    const max = options.max ?? options.value ?? Infinity;
     const message = options.message || `Maximum value is ${max}`;
     if (typeof value === 'number' && value > max) {
       return { valid: false, error: message };
@@ -275,6 +275,199 @@ function createFormState(initialValues = {}, schema = {}) {
   };
 }
 
+// Error codes for schema keywords and the Validators rules that check the same thing
+const RULE_CODES = {
+  required: 'REQUIRED',
+  type: 'INVALID_TYPE',
+  enum: 'INVALID_ENUM',
+  format: 'INVALID_FORMAT',
+  min: 'MIN',
+  max: 'MAX',
+  minLength: 'MIN_LENGTH',
+  maxLength: 'MAX_LENGTH',
+  pattern: 'PATTERN',
+  equals: 'NOT_EQUAL',
+  custom: 'CUSTOM',
+  additionalProperties: 'UNKNOWN_FIELD',
+  email: 'INVALID_FORMAT',
+  url: 'INVALID_FORMAT',
+  numeric: 'INVALID_FORMAT',
+  integer: 'INVALID_FORMAT',
+  alpha: 'INVALID_FORMAT',
+  alphanumeric: 'INVALID_FORMAT'
+};
+
+const SCHEMA_TYPES = ['string', 'number', 'integer', 'boolean', 'object', 'array', 'null', 'any'];
+
+// Keywords checked with the Validator of the same name
+const KEYWORD_VALIDATORS = ['min', 'max', 'minLength', 'maxLength', 'pattern'];
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  return Array.isArray(value) ? 'array' : typeof value;
+}
+
+function matchesType(value, type) {
+  if (Array.isArray(type)) return type.some(t => matchesType(value, t));
+  if (type === 'any') return true;
+  if (type === 'integer') return Number.isInteger(value);
+  return typeOf(value) === type;
+}
+
+function ruleName(rule) {
+  return typeof rule === 'string' ? rule : rule.type || rule.validator;
+}
+
+/**
+ * Normalize a field schema; form-style rule lists and single rules are accepted too:
+ *   ["required", "email"]  or  { type: "minLength", value: 3 }  or  { type: "string", required: true, ... }
+ */
+function normalizeFieldSchema(schema) {
+  if (Array.isArray(schema)) return { rules: schema };
+  if (typeof schema === 'string') return { rules: [schema] };
+  if (!schema || typeof schema !== 'object') return {};
+  const { type } = schema;
+  if (typeof type === 'string' && !SCHEMA_TYPES.includes(type) && Validators[type]) {
+    return { rules: [schema] };
+  }
+  return schema;
+}
+
+/**
+ * Whether a schema describes a value (rather than being a map of field names to schemas);
+ * value schemas always have a type, so fields may be named "items" or "properties"
+ */
+function isFieldSchema(schema) {
+  return Array.isArray(schema) || typeof schema?.type === 'string' || Array.isArray(schema?.type);
+}
+
+function childPath(path, key) {
+  return /^[a-zA-Z_$][a-zA-Z0-9_$]*$/.test(key) ? `${path}.${key}` : `${path}[${JSON.stringify(key)}]`;
+}
+
+function addSchemaError(errors, path, keyword, message) {
+  errors.push({
+    path,
+    field: path.replace(/^\$\.?/, ''),
+    code: RULE_CODES[keyword] || 'INVALID_VALUE',
+    message
+  });
+}
+
+function checkValue(value, fieldSchema, path, errors) {
+  const schema = normalizeFieldSchema(fieldSchema);
+  const rules = schema.rules || [];
+  const message = (keyword) => schema.messages?.[keyword] || schema.message;
+
+  const runRule = (rule) => {
+    const name = ruleName(rule);
+    const validator = Validators[name];
+    if (!validator) {
+      console.warn(`Unknown validator: ${name}`);
+      return;
+    }
+    const result = validator(value, typeof rule === 'string' ? { message: message(name) } : { message: message(name), ...rule });
+    if (!result.valid) addSchemaError(errors, path, name, result.error);
+  };
+
+  // Empty values only fail `required`; other checks apply to present values
+  if (value === undefined || value === null || value === '') {
+    if (schema.required) {
+      addSchemaError(errors, path, 'required', message('required') || 'This field is required');
+    } else {
+      rules.filter(rule => ruleName(rule) === 'required').forEach(runRule);
+    }
+    return;
+  }
+
+  if (schema.type !== undefined && !matchesType(value, schema.type)) {
+    const expected = Array.isArray(schema.type) ? schema.type.join(' or ') : schema.type;
+    addSchemaError(errors, path, 'type', message('type') || `Must be ${expected}`);
+    return;
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    addSchemaError(errors, path, 'enum', message('enum') || `Must be one of: ${schema.enum.join(', ')}`);
+  }
+  for (const keyword of KEYWORD_VALIDATORS) {
+    if (schema[keyword] !== undefined) {
+      runRule({ type: keyword, value: schema[keyword] });
+    }
+  }
+  if (schema.format !== undefined) {
+    const result = Validators[schema.format]?.(value, { message: message('format') });
+    if (result && !result.valid) addSchemaError(errors, path, 'format', result.error);
+  }
+  rules.forEach(runRule);
+
+  if (schema.properties && typeOf(value) === 'object') {
+    for (const [key, child] of Object.entries(schema.properties)) {
+      checkValue(value[key], child, childPath(path, key), errors);
+    }
+    if (schema.additionalProperties === false) {
+      for (const key of Object.keys(value)) {
+        if (!(key in schema.properties)) {
+          addSchemaError(errors, childPath(path, key), 'additionalProperties', `Unknown field: ${key}`);
+        }
+      }
+    }
+  }
+
+  if (schema.items !== undefined && Array.isArray(value)) {
+    value.forEach((item, i) => checkValue(item, schema.items, `${path}[${i}]`, errors));
+  }
+}
+
+/**
+ * Validate data against a schema, collecting every error with its JSON path.
+ * The schema is either a map of field names to field schemas (as for validateForm)
+ * or a single field schema. Field schemas support type, required, enum, min, max,
+ * minLength, maxLength, pattern, format, properties, additionalProperties, items,
+ * messages and `rules` (any Validators rule).
+ * @returns {Object} { valid, errors: [{ path, field, code, message }] }
+ */
+function validateSchema(data, schema, path = '$') {
+  const errors = [];
+  const root = isFieldSchema(schema) ? schema : { type: 'object', properties: schema || {} };
+  if (root === schema || data !== undefined && data !== null) {
+    checkValue(data, root, path, errors);
+  } else {
+    // A missing object still reports its required fields
+    checkValue({}, root, path, errors);
+  }
+  return { valid: errors.length === 0, errors };
+}
+
+/**
+ * Rule and format names in a validateSchema schema that no Validator implements
+ * (unknown rules pass every value, so they are reported when a program is validated)
+ * @returns {Array<Object>} [{ path, name }] with the path of the field schema naming it
+ */
+function unknownSchemaRules(schema, path = '$') {
+  const found = [];
+  const visit = (fieldSchema, at) => {
+    const normalized = normalizeFieldSchema(fieldSchema);
+    for (const rule of Array.isArray(normalized.rules) ? normalized.rules : []) {
+      const name = ruleName(rule);
+      if (!Object.hasOwn(Validators, name)) found.push({ path: at, name });
+    }
+    if (normalized.format !== undefined && !Object.hasOwn(Validators, normalized.format)) {
+      found.push({ path: `${at}.format`, name: normalized.format });
+    }
+    if (normalized.properties && typeof normalized.properties === 'object') {
+      for (const [key, child] of Object.entries(normalized.properties)) visit(child, childPath(`${at}.properties`, key));
+    }
+    if (normalized.items !== undefined) visit(normalized.items, `${at}.items`);
+  };
+
+  if (isFieldSchema(schema)) {
+    visit(schema, path);
+  } else {
+    for (const [key, child] of Object.entries(schema || {})) visit(child, childPath(path, key));
+  }
+  return found;
+}
+
 // Operations for use in ddjex expressions
 const ValidationOperations = {
   // Validate a single field
@@ -283,6 +476,9 @@ const ValidationOperations = {
   // Validate entire form
   validateForm: (values, schema) => validateForm(values, schema),
 
+  // Validate nested data, with JSON paths for every error
+  validateSchema: (data, schema) => validateSchema(data, schema),
+
   // Check if value passes a single rule
   isValid: (value, rule) => {
     const result = validateValue(value, [rule]);
@@ -315,6 +511,9 @@ export {
   Validators,
   validateValue,
   validateForm,
+  validateSchema,
+  isFieldSchema,
+  unknownSchemaRules,
   createFormState,
   ValidationOperations
 };
@@ -0,0 +1,111 @@
+/**
+ * ddjex Action History
+ * Bounded record of dispatched actions for time-travel debugging
+ */
+
+const DEFAULT_HISTORY_LIMIT = 100;
+
+/**
+ * Records one entry per dispatched action with the state diff it produced.
+ * Nested dispatches are folded into the outermost action's entry.
+ */
+class ActionHistory {
+  constructor(options = {}) {
+    this.limit = Math.max(1, options.limit ?? DEFAULT_HISTORY_LIMIT);
+    this.entries = [];
+    this.position = -1; // Index of the last applied entry (-1 = initial state)
+    this.pending = null;
+    this.depth = 0;
+    this.replaying = false;
+  }
+
+  /**
+   * Start recording an action
+   */
+  begin(action, args = []) {
+    if (this.replaying) return;
+    if (this.depth === 0) {
+      this.pending = { action, args, diff: {}, timestamp: Date.now() };
+    }
+    this.depth++;
+  }
+
+  /**
+   * Record a state change made by the action being recorded
+   */
+  track(stateId, from, to) {
+    if (!this.pending || this.replaying) return;
+    const change = this.pending.diff[stateId];
+    if (change) {
+      change.to = to;
+    } else {
+      this.pending.diff[stateId] = { from, to };
+    }
+  }
+
+  /**
+   * Finish recording; the outermost call commits the entry unless it changed nothing
+   */
+  end() {
+    if (this.replaying || this.depth === 0) return null;
+    this.depth--;
+    if (this.depth > 0) return null;
+
+    const entry = this.pending;
+    this.pending = null;
+
+    // Drop states that ended up back at their original value
+    for (const [id, change] of Object.entries(entry.diff)) {
+      if (change.from === change.to) delete entry.diff[id];
+    }
+    // A no-op dispatch is not an undo step
+    if (Object.keys(entry.diff).length === 0) return null;
+
+    // A new action discards any undone entries
+    this.entries.length = this.position + 1;
+    this.entries.push(entry);
+    if (this.entries.length > this.limit) {
+      this.entries.shift();
+    }
+    this.position = this.entries.length - 1;
+
+    return entry;
+  }
+
+  /**
+   * Stop recording without committing; a failed action leaves no entry
+   */
+  abort() {
+    if (this.replaying || this.depth === 0) return;
+    this.depth--;
+    if (this.depth === 0) this.pending = null;
+  }
+
+  canUndo() {
+    return this.position >= 0;
+  }
+
+  canRedo() {
+    return this.position < this.entries.length - 1;
+  }
+
+  /**
+   * Get a copy of the recorded entries and the current position
+   */
+  getSnapshot() {
+    return {
+      entries: this.entries.map((entry, index) => ({ index, ...entry })),
+      position: this.position,
+      limit: this.limit
+    };
+  }
+
+  clear() {
+    this.entries = [];
+    this.position = -1;
+    this.pending = null;
+    this.depth = 0;
+  }
+}
+
+export { ActionHistory, DEFAULT_HISTORY_LIMIT };
@@ -0,0 +1,211 @@
+/**
+ * ddjex HTTP Client
+ * Outbound requests for the `http` handler step of the server and CLI targets
+ *
+ *   { "op": "http", "args": ["https://api.example.com/users", {
+ *       "method": "POST",
+ *       "headers": { "Authorization": { "ref": "token" } },
+ *       "query": { "page": 2 },
+ *       "body": { "name": { "ref": "body.name" } },   // objects are sent as JSON, strings as text
+ *       "timeout": 5000,                               // ms per attempt
+ *       "retries": 2, "retryDelay": 200,               // backoff doubles after every attempt
+ *       "retryMethods": ["POST"],                      // also retry these (not idempotent) methods
+ *       "responseType": "auto"                         // auto | json | text
+ *   }], "as": "created" }
+ *
+ * The result is { status, ok, headers, body }. Non-2xx responses are results, not errors,
+ * so handlers can branch on `ok`; they are retried only when their status is transient
+ * (429, 502, 503, 504). Network failures and timeouts are retried, then thrown as
+ * HTTP_REQUEST_FAILED (status 502) / HTTP_TIMEOUT (status 504). Only idempotent methods
+ * (GET, HEAD, OPTIONS, PUT, DELETE) are retried unless `retryMethods` names others, so a
+ * POST that timed out is not sent twice.
+ *
+ * Callers can pass an AbortSignal as `signal` (server handlers pass their timeout's): aborting
+ * it cancels the pending attempt and any retries, rejecting with the signal's reason.
+ */
+
+import { DDJEXError } from './errors.js';
+import { validateUrl } from './operations.js';
+
+const DEFAULT_TIMEOUT = 10000;
+const DEFAULT_RETRY_DELAY = 100;
+
+// Security: bounds on what a program can ask for
+const MAX_RETRIES = 10;
+const MAX_TIMEOUT = 300000;
+
+const HTTP_METHODS = ['GET', 'HEAD', 'POST', 'PUT', 'DELETE', 'PATCH', 'OPTIONS'];
+const RESPONSE_TYPES = ['auto', 'json', 'text'];
+
+// Statuses worth another attempt
+const RETRY_STATUSES = [429, 502, 503, 504];
+
+// Methods that can be repeated without changing the outcome
+const IDEMPOTENT_METHODS = ['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE'];
+
+function httpError(code, message, details = {}) {
+  return new DDJEXError(code, message, details);
+}
+
+/**
+ * Upstream failure with the status a server handler should answer with
+ */
+function gatewayError(code, message, status, details) {
+  const error = httpError(code, message, details);
+  error.status = status;
+  return error;
+}
+
+/**
+ * Sleep for ms, or until the signal aborts
+ */
+function wait(ms, signal) {
+  return new Promise((resolve) => {
+    const done = () => {
+      clearTimeout(timer);
+      signal?.removeEventListener('abort', done);
+      resolve();
+    };
+    const timer = setTimeout(done, ms);
+    signal?.addEventListener('abort', done, { once: true });
+  });
+}
+
+/**
+ * Normalize and check step options
+ * @returns {Object} { url, init, timeout, retries, retryDelay, responseType, signal }
+ */
+function prepareRequest(url, options = {}) {
+  const urlError = validateUrl(url);
+  if (urlError) throw httpError(urlError.code, urlError.message, { url });
+
+  let target;
+  try {
+    target = new URL(url);
+  } catch {
+    throw httpError('INVALID_URL', `Invalid URL: ${url}`, { url });
+  }
+  if (target.protocol !== 'http:' && target.protocol !== 'https:') {
+    throw httpError('INVALID_URL', `Only http and https URLs can be requested: ${url}`, { url });
+  }
+  for (const [key, value] of Object.entries(options.query || {})) {
+    if (value !== undefined && value !== null) target.searchParams.append(key, String(value));
+  }
+
+  const method = String(options.method || 'GET').toUpperCase();
+  if (!HTTP_METHODS.includes(method)) {
+    throw httpError('INVALID_HTTP_METHOD', `Invalid HTTP method: ${options.method}`, { options: HTTP_METHODS });
+  }
+
+  const responseType = options.responseType || 'auto';
+  if (!RESPONSE_TYPES.includes(responseType)) {
+    throw httpError('INVALID_RESPONSE_TYPE', `Invalid responseType: ${responseType}`, { options: RESPONSE_TYPES });
+  }
+
+  const headers = {};
+  for (const [name, value] of Object.entries(options.headers || {})) {
+    if (value !== undefined && value !== null) headers[name.toLowerCase()] = String(value);
+  }
+
+  let body;
+  if (options.body !== undefined && options.body !== null) {
+    if (typeof options.body === 'string') {
+      body = options.body;
+      headers['content-type'] ??= 'text/plain; charset=utf-8';
+    } else {
+      body = JSON.stringify(options.body);
+      headers['content-type'] ??= 'application/json';
+    }
+  }
+
+  const retryMethods = [...IDEMPOTENT_METHODS, ...[].concat(options.retryMethods || []).map(m => String(m).toUpperCase())];
+
+  return {
+    url: target.toString(),
+    init: { method, headers, body },
+    timeout: Math.min(Math.max(Number(options.timeout ?? DEFAULT_TIMEOUT) || 0, 0), MAX_TIMEOUT),
+    retries: retryMethods.includes(method)
+      ? Math.min(Math.max(Math.floor(Number(options.retries) || 0), 0), MAX_RETRIES)
+      : 0,
+    retryDelay: Math.max(Number(options.retryDelay ?? DEFAULT_RETRY_DELAY) || 0, 0),
+    responseType,
+    signal: options.signal instanceof AbortSignal ? options.signal : null
+  };
+}
+
+async function readBody(response, request) {
+  const text = await response.text();
+  const type = response.headers.get('content-type') || '';
+  const json = request.responseType === 'json' || (request.responseType === 'auto' && /[/+]json\b/.test(type));
+  if (!json || (text === '' && request.responseType === 'auto')) return text;
+
+  try {
+    return JSON.parse(text);
+  } catch (e) {
+    throw httpError('HTTP_INVALID_JSON', `Response from ${request.url} is not valid JSON`, {
+      url: request.url,
+      status: response.status
+    });
+  }
+}
+
+/**
+ * One attempt, aborted after the request's timeout or when the caller's signal aborts
+ */
+async function attempt(request, fetchImpl) {
+  const controller = new AbortController();
+  const timer = request.timeout > 0 ? setTimeout(() => controller.abort(), request.timeout) : null;
+  const cancel = () => controller.abort();
+  request.signal?.addEventListener('abort', cancel, { once: true });
+
+  try {
+    const response = await fetchImpl(request.url, { ...request.init, signal: controller.signal });
+    return {
+      status: response.status,
+      ok: response.ok,
+      headers: Object.fromEntries(response.headers.entries()),
+      body: request.init.method === 'HEAD' ? null : await readBody(response, request)
+    };
+  } catch (e) {
+    if (e instanceof DDJEXError) throw e;
+    if (request.signal?.aborted) throw request.signal.reason;
+    if (controller.signal.aborted) {
+      throw gatewayError('HTTP_TIMEOUT', `Request to ${request.url} timed out after ${request.timeout}ms`, 504, { url: request.url });
+    }
+    throw gatewayError('HTTP_REQUEST_FAILED', `Request to ${request.url} failed: ${e.cause?.message || e.message}`, 502, {
+      url: request.url
+    });
+  } finally {
+    clearTimeout(timer);
+    request.signal?.removeEventListener('abort', cancel);
+  }
+}
+
+/**
+ * Perform an HTTP request with timeout and retries
+ * @param {string} url - Absolute http(s) URL
+ * @param {Object} options - See the module comment
+ * @param {Function} fetchImpl - fetch-compatible function (defaults to the global fetch)
+ * @returns {Promise<Object>} { status, ok, headers, body }
+ */
+async function httpRequest(url, options = {}, fetchImpl = globalThis.fetch) {
+  const request = prepareRequest(url, options);
+  if (typeof fetchImpl !== 'function') {
+    throw httpError('HTTP_UNAVAILABLE', 'http requires a runtime with fetch (Node.js 18 or later)');
+  }
+
+  for (let i = 0; ; i++) {
+    request.signal?.throwIfAborted();
+    const last = i === request.retries;
+    try {
+      const response = await attempt(request, fetchImpl);
+      if (last || !RETRY_STATUSES.includes(response.status)) return response;
+    } catch (e) {
+      // Bad responses are not transient, and an aborted request is not retried
+      if (last || e.code === 'HTTP_INVALID_JSON' || request.signal?.aborted) throw e;
+    }
+    await wait(request.retryDelay * 2 ** i, request.signal);
+  }
+}
+
+export { httpRequest, prepareRequest, HTTP_METHODS, IDEMPOTENT_METHODS, RESPONSE_TYPES, RETRY_STATUSES, DEFAULT_TIMEOUT };
@@ -0,0 +1,178 @@
+/**
+ * ddjex Program Imports
+ * Merges state, computed, actions and components from other program files
+ *
+ *   "imports": [
+ *     { "src": "./widgets.json", "as": "widgets" },  // names become widgets.<name>
+ *     { "src": "./shared.json" }                     // names are merged as-is
+ *   ]
+ *
+ * Imported modules may import other modules; paths resolve relative to the importing file.
+ * The resolved program has no `imports` and records where each definition came from
+ * in a non-enumerable `$sources` map ("components.widgets.Card" -> "/app/widgets.json").
+ */
+
+import { ImportError } from './errors.js';
+
+const IMPORTABLE_SECTIONS = ['state', 'computed', 'actions', 'components'];
+
+const NAMESPACE_PATTERN = /^[a-zA-Z_][a-zA-Z0-9_]*$/;
+
+// Keys whose string values name definitions, and which sections they can point to
+const REFERENCE_KEYS = {
+  ref: ['state', 'computed'],
+  bind: ['state', 'computed'],
+  target: ['state'],
+  component: ['components'],
+  action: ['actions'],
+  dispatch: ['actions']
+};
+const REFERENCE_LIST_KEYS = {
+  deps: ['state', 'computed'],
+  watch: ['state', 'computed']
+};
+
+/**
+ * Resolve a program's imports into a single program
+ * @param {Object} program - Program with an optional imports section
+ * @param {Object} loader - { resolve(src, from) => key, read(key) => Promise<module> }
+ * @param {string} source - Location of the program itself (for relative paths and errors)
+ * @returns {Promise<Object>} Program without imports, with a `$sources` map
+ */
+async function resolveImports(program, loader, source = null) {
+  return resolveModule(program, loader, source, []);
+}
+
+async function resolveModule(program, loader, source, chain) {
+  const resolved = { ...program };
+  const sources = {};
+  delete resolved.imports;
+
+  for (const section of IMPORTABLE_SECTIONS) {
+    for (const name of Object.keys(program[section] || {})) {
+      sources[`${section}.${name}`] = program.$sources?.[`${section}.${name}`] || source;
+    }
+  }
+
+  for (const [index, entry] of (program.imports || []).entries()) {
+    if (!entry || typeof entry.src !== 'string' || entry.src === '') {
+      throw new ImportError('INVALID_IMPORT', `Import ${index} must have a src path`, source, { index });
+    }
+    if (entry.as !== undefined && !NAMESPACE_PATTERN.test(entry.as)) {
+      throw new ImportError('INVALID_IMPORT', `Invalid import namespace: ${entry.as}`, source, { index });
+    }
+
+    const key = loader.resolve(entry.src, source);
+    const stack = [...chain, source];
+    if (key === source || chain.includes(key)) {
+      const cycle = [...stack.slice(stack.indexOf(key)), key].filter(Boolean);
+      throw new ImportError('IMPORT_CYCLE', `Import cycle: ${cycle.join(' -> ')}`, source, { cycle });
+    }
+
+    let module;
+    try {
+      module = await loader.read(key);
+    } catch (e) {
+      throw new ImportError('IMPORT_FAILED', `Failed to import ${entry.src}: ${e.message || e}`, source, { src: key, cause: e.code });
+    }
+    if (!module || typeof module !== 'object' || !module.$ddjex) {
+      throw new ImportError('INVALID_MODULE', `Invalid ddjex module: ${key} - missing $ddjex version`, source, { src: key });
+    }
+
+    const flat = await resolveModule(module, loader, key, stack);
+    mergeModule(resolved, sources, flat, entry.as);
+  }
+
+  Object.defineProperty(resolved, '$sources', { value: sources, enumerable: false, configurable: true });
+  return resolved;
+}
+
+function mergeModule(target, sources, module, namespace) {
+  const names = {};
+  for (const section of IMPORTABLE_SECTIONS) {
+    names[section] = new Set(Object.keys(module[section] || {}));
+  }
+
+  for (const section of IMPORTABLE_SECTIONS) {
+    const definitions = Object.entries(module[section] || {});
+    if (definitions.length === 0) continue;
+    target[section] = { ...target[section] };
+
+    for (const [name, definition] of definitions) {
+      const qualified = namespace ? `${namespace}.${name}` : name;
+      const from = module.$sources[`${section}.${name}`];
+      if (qualified in target[section]) {
+        // The same file imported along two paths is merged once
+        if (sources[`${section}.${qualified}`] === from) continue;
+        throw new ImportError(
+          'IMPORT_CONFLICT',
+          `${section}.${qualified} from ${from} is already defined in ${sources[`${section}.${qualified}`] || 'the program'}`,
+          from,
+          { section, name: qualified }
+        );
+      }
+      target[section][qualified] = namespace ? qualifyReferences(definition, names, namespace) : definition;
+      sources[`${section}.${qualified}`] = from;
+    }
+  }
+}
+
+/**
+ * Prefix references to a module's own definitions with its namespace
+ */
+function qualifyReferences(value, names, namespace) {
+  if (Array.isArray(value)) {
+    return value.map(item => qualifyReferences(item, names, namespace));
+  }
+  if (value === null || typeof value !== 'object') {
+    return value;
+  }
+
+  const result = {};
+  for (const [key, item] of Object.entries(value)) {
+    if (typeof item === 'string' && REFERENCE_KEYS[key]) {
+      result[key] = qualifyName(item, REFERENCE_KEYS[key], names, namespace);
+    } else if (Array.isArray(item) && REFERENCE_LIST_KEYS[key]) {
+      result[key] = item.map(entry => typeof entry === 'string'
+        ? qualifyName(entry, REFERENCE_LIST_KEYS[key], names, namespace)
+        : qualifyReferences(entry, names, namespace));
+    } else {
+      result[key] = qualifyReferences(item, names, namespace);
+    }
+  }
+  return result;
+}
+
+function qualifyName(reference, sections, names, namespace) {
+  // Longest defined prefix wins, so nested paths (settings.theme) and nested namespaces both work
+  const segments = reference.split('.');
+  for (let length = segments.length; length > 0; length--) {
+    const candidate = segments.slice(0, length).join('.');
+    if (sections.some(section => names[section].has(candidate))) {
+      return `${namespace}.${reference}`;
+    }
+  }
+  return reference;
+}
+
+/**
+ * Find the file a validation error path belongs to
+ * @param {Object} sources - `$sources` map of a resolved program
+ * @param {string} path - Validator path, e.g. "$.components.widgets.Card.children[0]"
+ * @returns {string|null}
+ */
+function sourceOfPath(sources, path) {
+  let best = null;
+  let bestLength = 0;
+  for (const [key, source] of Object.entries(sources || {})) {
+    const prefix = `$.${key}`;
+    const boundary = path.charAt(prefix.length);
+    if (path.startsWith(prefix) && (boundary === '' || boundary === '.' || boundary === '[') && prefix.length > bestLength) {
+      best = source;
+      bestLength = prefix.length;
+    }
+  }
+  return best;
+}
+
+export { resolveImports, sourceOfPath, IMPORTABLE_SECTIONS };
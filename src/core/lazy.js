@@ -3,6 +3,8 @@
  * Handles dynamic loading of components from external files
  */
 
+import { resolveImports } from './imports.js';
+
 // Global cache for loaded modules
 const moduleCache = new Map();
 const loadingPromises = new Map();
@@ -31,13 +33,49 @@ class LazyManager {
     return base + src;
   }
 
+  /**
+   * Resolve a path relative to the module that imports it
+   * @param {string} src - Import path
+   * @param {string} from - Resolved location of the importing module (null for top level)
+   */
+  resolveFrom(src, from) {
+    if (!from || src.startsWith('http://') || src.startsWith('https://') || src.startsWith('/')) {
+      return this.resolvePath(src);
+    }
+    if (from.startsWith('http://') || from.startsWith('https://')) {
+      return new URL(src, from).href;
+    }
+
+    const segments = from.split('/').slice(0, -1);
+    for (const part of src.split('/')) {
+      if (part === '..') segments.pop();
+      else if (part !== '.') segments.push(part);
+    }
+    return segments.join('/');
+  }
+
   /**
    * Load a module from the given source
    * Returns cached version if already loaded
    */
   async load(src) {
-    const resolvedPath = this.resolvePath(src);
+    return this.loadResolved(this.resolvePath(src));
+  }
+
+  /**
+   * Load a program and merge in its imports (see imports.js)
+   * @returns {Promise<Object>} Program without imports
+   */
+  async loadProgram(src) {
+    const source = this.resolvePath(src);
+    const program = await this.loadResolved(source);
+    return resolveImports(program, {
+      resolve: (path, from) => this.resolveFrom(path, from),
+      read: (path) => this.loadResolved(path)
+    }, source);
+  }
 
+  async loadResolved(resolvedPath) {
     // Return cached module
     if (moduleCache.has(resolvedPath)) {
       return moduleCache.get(resolvedPath);
@@ -4,6 +4,7 @@
  */
 
 import { logger } from './logger.js';
+import { validateSchema } from './form-validation.js';
 
 // Security: Keys that can be used for prototype pollution attacks
 const DANGEROUS_KEYS = ['__proto__', 'constructor', 'prototype'];
@@ -370,6 +371,9 @@ const Operations = {
     return result.error;
   },
 
+  // Validate nested data; { valid, errors: [{ path, field, code, message }] }
+  validateSchema: (data, schema) => validateSchema(data, schema),
+
   // Ref operations (implemented by DOM target - stubs here)
   // These will be overridden by the runtime when refs are available
   refFocus: (refId) => { /* implemented by target */ },
@@ -632,7 +636,8 @@ const Operations = {
  */
 const AsyncOperations = {
   // HTTP
-  fetch: async (url, options = {}) => {
+  // Called with `this.signal` by async actions, so superseded runs abort their request
+  fetch: async function (url, options = {}) {
     const urlError = validateUrl(url);
     if (urlError) return urlError;
 
@@ -641,6 +646,7 @@ const AsyncOperations = {
         method: options.method || 'GET',
         headers: options.headers || {},
         body: options.body ? JSON.stringify(options.body) : undefined,
+        signal: this?.signal
       });
       const data = await response.json();
       return { status: response.status, ok: response.ok, data };
@@ -649,13 +655,23 @@ const AsyncOperations = {
     }
   },
 
-  fetchText: async (url) => {
-    const response = await fetch(url);
+  fetchText: async function (url) {
+    const response = await fetch(url, { signal: this?.signal });
     return response.text();
   },
 
-  // Timing
-  delay: (ms) => new Promise(resolve => setTimeout(resolve, ms)),
+  // Timing (an aborted delay resolves early)
+  delay: function (ms) {
+    const signal = this?.signal;
+    return new Promise(resolve => {
+      if (signal?.aborted) return resolve();
+      const timer = setTimeout(resolve, ms);
+      signal?.addEventListener('abort', () => {
+        clearTimeout(timer);
+        resolve();
+      }, { once: true });
+    });
+  },
 
   // Navigation (browser only)
   reload: () => {
@@ -814,8 +830,7 @@ const AsyncOperations = {
   'storage.get': async (key, storage = 'local') => {
     if (typeof window === 'undefined') return null;
     const store = storage === 'session' ? sessionStorage : localStorage;
-    const ns = AsyncOperations['_storageNamespace'];
-    const prefixedKey = ns ? `ddjex:${ns}:${key}` : key;
+    const prefixedKey = namespacedStorageKey(key);
     const value = store.getItem(prefixedKey);
     if (value === null) return null;
     try {
@@ -828,8 +843,7 @@ const AsyncOperations = {
   'storage.set': async (key, value, storage = 'local') => {
     if (typeof window === 'undefined') return { error: true, code: 'NOT_AVAILABLE', message: 'Storage not available' };
     const store = storage === 'session' ? sessionStorage : localStorage;
-    const ns = AsyncOperations['_storageNamespace'];
-    const prefixedKey = ns ? `ddjex:${ns}:${key}` : key;
+    const prefixedKey = namespacedStorageKey(key);
     try {
       store.setItem(prefixedKey, typeof value === 'string' ? value : JSON.stringify(value));
       return { success: true };
@@ -841,8 +855,7 @@ const AsyncOperations = {
   'storage.remove': async (key, storage = 'local') => {
     if (typeof window === 'undefined') return { error: true, code: 'NOT_AVAILABLE', message: 'Storage not available' };
     const store = storage === 'session' ? sessionStorage : localStorage;
-    const ns = AsyncOperations['_storageNamespace'];
-    const prefixedKey = ns ? `ddjex:${ns}:${key}` : key;
+    const prefixedKey = namespacedStorageKey(key);
     store.removeItem(prefixedKey);
     return { success: true };
   },
@@ -890,8 +903,7 @@ const AsyncOperations = {
   'storage.has': async (key, storage = 'local') => {
     if (typeof window === 'undefined') return false;
     const store = storage === 'session' ? sessionStorage : localStorage;
-    const ns = AsyncOperations['_storageNamespace'];
-    const prefixedKey = ns ? `ddjex:${ns}:${key}` : key;
+    const prefixedKey = namespacedStorageKey(key);
     return store.getItem(prefixedKey) !== null;
   },
 
@@ -1203,6 +1215,27 @@ const AsyncOperations = {
 
 };
 
+/**
+ * Get the Web Storage object for a storage type
+ * @param {string} storage - 'local' or 'session'
+ * @returns {Storage|null} - null when storage is not available (e.g. Node.js)
+ */
+function getWebStorage(storage = 'local') {
+  if (typeof window === 'undefined') return null;
+  const store = storage === 'session' ? globalThis.sessionStorage : globalThis.localStorage;
+  return store || null;
+}
+
+/**
+ * Prefix a storage key with the program namespace
+ * @param {string} key - Unprefixed key
+ * @returns {string} - Key as stored in Web Storage
+ */
+function namespacedStorageKey(key) {
+  const ns = AsyncOperations['_storageNamespace'];
+  return ns ? `ddjex:${ns}:${key}` : key;
+}
+
 // Higher-order operations that need special handling
 const HIGHER_ORDER_OPS = ['map', 'filter', 'find', 'some', 'every', 'findIndex'];
 
@@ -1258,6 +1291,7 @@ function resolveExpression(expr, context, depth = 0) {
 
       const evalPredicate = (item, index) => {
         const itemContext = {
+          ...context,
           get: (id) => id === 'item' ? item : (id === 'index' ? index : context.get(id)),
           params: { ...context.params, item, index }
         };
@@ -1274,7 +1308,8 @@ function resolveExpression(expr, context, depth = 0) {
       }
     }
 
-    const op = Operations[expr.op];
+    // Plugin operations are supplied per runtime through the context
+    const op = context.operations?.[expr.op] || Operations[expr.op];
     if (!op) {
       throw { error: true, code: 'UNKNOWN_OPERATION', message: `Unknown operation: ${expr.op}` };
     }
@@ -1328,4 +1363,4 @@ function setStorageNamespace(namespace) {
   AsyncOperations['_storageNamespace'] = namespace || '';
 }
 
-export { Operations, AsyncOperations, resolveExpression, isAsyncOperation, getAsyncOperation, safeRegex, validateUrl, setStorageNamespace, MAX_STRING_LENGTH, DANGEROUS_PROTOCOLS };
+export { Operations, AsyncOperations, resolveExpression, isAsyncOperation, getAsyncOperation, safeRegex, validateUrl, setStorageNamespace, getWebStorage, namespacedStorageKey, MAX_STRING_LENGTH, DANGEROUS_PROTOCOLS };
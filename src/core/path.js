@@ -0,0 +1,143 @@
+/**
+ * ddjex State Paths
+ * Parsing and immutable updates of nested values addressed by a path
+ *
+ * Path forms:
+ *   "address.city"            - object keys
+ *   "items[2].done"           - array index
+ *   ["items", 2, "done"]      - segment array
+ *   ["items", { "where": { "id": 3 } }, "done"] - every array item whose fields match
+ */
+
+import { MutationError } from './errors.js';
+
+// Security: Keys that can be used for prototype pollution attacks
+const DANGEROUS_KEYS = ['__proto__', 'constructor', 'prototype'];
+
+// Marker returned by an updater to delete the addressed value
+const REMOVE = Symbol('ddjex.remove');
+
+/**
+ * Parse a path into segments
+ * @param {string|Array} path - Path string or segment array
+ * @returns {Array} Segments: string keys, number indexes, or { where } matchers
+ */
+function parsePath(path) {
+  if (path === null || path === undefined || path === '') return [];
+
+  let segments;
+  if (Array.isArray(path)) {
+    segments = path;
+  } else if (typeof path === 'string') {
+    segments = [];
+    for (const part of path.split('.')) {
+      const match = part.match(/^([^[\]]*)((?:\[\d+\])*)$/);
+      if (!match) {
+        throw new MutationError('INVALID_MUTATION_PATH', `Invalid path: ${path}`, { path });
+      }
+      if (match[1]) segments.push(match[1]);
+      for (const index of match[2].matchAll(/\[(\d+)\]/g)) {
+        segments.push(Number(index[1]));
+      }
+    }
+  } else {
+    throw new MutationError('INVALID_MUTATION_PATH', 'Path must be a string or an array', { path });
+  }
+
+  for (const segment of segments) {
+    const valid = typeof segment === 'number'
+      ? Number.isInteger(segment) && segment >= 0
+      : typeof segment === 'string'
+        ? segment !== '' && !DANGEROUS_KEYS.includes(segment)
+        : isWhereSegment(segment);
+    if (!valid) {
+      throw new MutationError('INVALID_MUTATION_PATH', `Invalid path segment: ${JSON.stringify(segment)}`, { path });
+    }
+  }
+
+  return segments;
+}
+
+function isWhereSegment(segment) {
+  return segment !== null && typeof segment === 'object' &&
+         segment.where !== null && typeof segment.where === 'object' && !Array.isArray(segment.where);
+}
+
+/**
+ * Check whether an array item matches a where clause (strict equality per field)
+ */
+function matchesWhere(item, where) {
+  if (item === null || typeof item !== 'object') return false;
+  return Object.entries(where).every(([key, expected]) => item[key] === expected);
+}
+
+/**
+ * Read the value at a path (where segments pick the first match)
+ */
+function getAtPath(value, segments) {
+  let current = value;
+  for (const segment of segments) {
+    if (current === null || current === undefined) return undefined;
+    current = isWhereSegment(segment)
+      ? (Array.isArray(current) ? current.find(item => matchesWhere(item, segment.where)) : undefined)
+      : current[segment];
+  }
+  return current;
+}
+
+/**
+ * Return a copy of value with updater applied at the path.
+ * Only containers along the path are copied; everything else is shared.
+ * @param {*} value - Root value
+ * @param {Array} segments - Parsed path
+ * @param {Function} updater - (existing) => new value, or REMOVE to delete it
+ */
+function updateAtPath(value, segments, updater) {
+  if (segments.length === 0) return updater(value);
+
+  const [segment, ...rest] = segments;
+
+  if (isWhereSegment(segment)) {
+    if (!Array.isArray(value)) {
+      throw new MutationError('INVALID_MUTATION_PATH', 'where can only match items of an array', { segment });
+    }
+    const result = [];
+    for (const item of value) {
+      if (!matchesWhere(item, segment.where)) {
+        result.push(item);
+        continue;
+      }
+      const updated = updateAtPath(item, rest, updater);
+      if (updated !== REMOVE) result.push(updated);
+    }
+    return result;
+  }
+
+  if (typeof segment === 'number') {
+    if (value !== null && value !== undefined && !Array.isArray(value)) {
+      throw new MutationError('INVALID_MUTATION_PATH', `Cannot index non-array with [${segment}]`, { segment });
+    }
+    const copy = value ? [...value] : [];
+    const updated = updateAtPath(copy[segment], rest, updater);
+    if (updated === REMOVE) {
+      copy.splice(segment, 1);
+    } else {
+      copy[segment] = updated;
+    }
+    return copy;
+  }
+
+  if (value !== null && value !== undefined && typeof value !== 'object') {
+    throw new MutationError('INVALID_MUTATION_PATH', `Cannot read key '${segment}' of a ${typeof value}`, { segment });
+  }
+  const copy = Array.isArray(value) ? [...value] : { ...value };
+  const updated = updateAtPath(copy[segment], rest, updater);
+  if (updated === REMOVE) {
+    delete copy[segment];
+  } else {
+    copy[segment] = updated;
+  }
+  return copy;
+}
+
+export { parsePath, getAtPath, updateAtPath, matchesWhere, isWhereSegment, REMOVE, DANGEROUS_KEYS };
@@ -0,0 +1,140 @@
+/**
+ * ddjex State Persistence
+ * Hydrates declared state from Web Storage and writes changes back
+ */
+
+import { getWebStorage, namespacedStorageKey } from './operations.js';
+import { logger } from './logger.js';
+
+const DEFAULT_PERSIST_DEBOUNCE_MS = 100;
+
+// Storages handled by StatePersister; others (file, journal, sqlite) belong to the server target
+const WEB_STORAGES = ['local', 'session'];
+
+/**
+ * Whether a persist config stores its state in Web Storage
+ */
+function isWebStorage(config) {
+  return WEB_STORAGES.includes(config?.storage || 'local');
+}
+
+/**
+ * Read a stored { version, value } record, migrating it from an older version if needed
+ * @param {string} stateId - State the record belongs to (for warnings)
+ * @param {Object} record - Stored record
+ * @param {Object} config - { version, migrate }
+ * @param {Function} resolver - Expression resolver for the migrate expression
+ * @returns {Object} { found, value, migrated }
+ */
+function restoreRecord(stateId, record, config, resolver) {
+  if (!record || typeof record !== 'object' || !('value' in record)) {
+    return { found: false };
+  }
+
+  const version = config.version ?? 1;
+  const storedVersion = record.version ?? 1;
+  if (storedVersion === version) {
+    return { found: true, value: record.value, migrated: false };
+  }
+
+  if (storedVersion < version && config.migrate && resolver) {
+    try {
+      const value = resolver(config.migrate, { value: record.value, version: storedVersion });
+      return { found: true, value, migrated: true };
+    } catch (e) {
+      logger.warn(`Migration of persisted state '${stateId}' from version ${storedVersion} failed:`, e.message);
+      return { found: false };
+    }
+  }
+
+  logger.warn(`Discarding persisted state '${stateId}' (version ${storedVersion}, expected ${version})`);
+  return { found: false };
+}
+
+/**
+ * Persists a single state value under the program storage namespace.
+ * Stored records have the shape { version, value }.
+ */
+class StatePersister {
+  constructor(stateId, config = {}) {
+    this.stateId = stateId;
+    this.storage = config.storage || 'local';
+    this.key = config.key || stateId;
+    this.version = config.version ?? 1;
+    this.migrate = config.migrate;
+    this.debounce = config.debounce ?? DEFAULT_PERSIST_DEBOUNCE_MS;
+    this.timer = null;
+    this.pending = false;
+    this.pendingValue = undefined;
+  }
+
+  /**
+   * Read the stored value, migrating it from an older version if needed
+   * @param {Function} resolver - Expression resolver for the migrate expression
+   * @returns {Object} { found, value, migrated }
+   */
+  load(resolver) {
+    const store = getWebStorage(this.storage);
+    if (!store) return { found: false };
+
+    let record;
+    try {
+      const raw = store.getItem(namespacedStorageKey(this.key));
+      if (raw === null) return { found: false };
+      record = JSON.parse(raw);
+    } catch (e) {
+      logger.warn(`Ignoring unreadable persisted state '${this.stateId}':`, e.message);
+      return { found: false };
+    }
+
+    return restoreRecord(this.stateId, record, this, resolver);
+  }
+
+  /**
+   * Queue a write; rapid changes are coalesced into one write
+   */
+  schedule(value) {
+    this.pending = true;
+    this.pendingValue = value;
+
+    if (this.debounce <= 0) {
+      this.flush();
+      return;
+    }
+
+    if (this.timer) clearTimeout(this.timer);
+    this.timer = setTimeout(() => this.flush(), this.debounce);
+  }
+
+  /**
+   * Write any queued value immediately
+   */
+  flush() {
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+    if (!this.pending) return;
+    this.pending = false;
+    this.write(this.pendingValue);
+    this.pendingValue = undefined;
+  }
+
+  write(value) {
+    const store = getWebStorage(this.storage);
+    if (!store) return false;
+    try {
+      store.setItem(namespacedStorageKey(this.key), JSON.stringify({ version: this.version, value }));
+      return true;
+    } catch (e) {
+      logger.error(`Failed to persist state '${this.stateId}':`, e.message || e);
+      return false;
+    }
+  }
+
+  dispose() {
+    this.flush();
+  }
+}
+
+export { StatePersister, restoreRecord, isWebStorage, WEB_STORAGES, DEFAULT_PERSIST_DEBOUNCE_MS };
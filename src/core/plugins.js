@@ -0,0 +1,114 @@
+/**
+ * ddjex Plugins
+ * Per-runtime registry of operations, mutations, node types, validator rules and hooks contributed by plugins
+ *
+ * Plugin shape:
+ *   {
+ *     name: "charts",                              // namespace, required
+ *     operations: { percent: (a, b) => ... },      // used as { "op": "charts.percent" }
+ *     asyncOperations: { load: async function (url) { ... } },  // `this.signal` aborts superseded runs
+ *     mutations: { bump: (current, value, operands) => next },  // { "op": "charts.bump" }
+ *     nodes: { bar: (node, ctx) => DOM node },     // { "type": "charts.bar" } (DOM target)
+ *     rules: [(program) => [{ code, message, path }]],
+ *     hooks: { init(runtime), mount(runtime), unmount(runtime) }
+ *   }
+ */
+
+import { DDJEXError } from './errors.js';
+
+const PLUGIN_HOOKS = ['init', 'mount', 'unmount'];
+
+const PLUGIN_NAME_PATTERN = /^[a-zA-Z_][a-zA-Z0-9_-]*$/;
+
+class PluginRegistry {
+  constructor() {
+    this.plugins = new Map();
+    this.operations = Object.create(null);
+    this.asyncOperations = Object.create(null);
+    this.mutations = new Map();
+    this.nodeTypes = new Map();
+    this.rules = [];
+    this.hooks = Object.fromEntries(PLUGIN_HOOKS.map(hook => [hook, []]));
+  }
+
+  /**
+   * Register a plugin; everything it contributes is namespaced as `${name}.${key}`
+   * @returns {Object} The registered plugin
+   */
+  register(plugin) {
+    if (!plugin || typeof plugin !== 'object') {
+      throw new DDJEXError('INVALID_PLUGIN', 'Plugin must be an object');
+    }
+    const { name } = plugin;
+    if (typeof name !== 'string' || !PLUGIN_NAME_PATTERN.test(name)) {
+      throw new DDJEXError('INVALID_PLUGIN', `Invalid plugin name: ${name}`, { plugin: name });
+    }
+    if (this.plugins.has(name)) {
+      throw new DDJEXError('PLUGIN_ALREADY_REGISTERED', `Plugin '${name}' is already registered`, { plugin: name });
+    }
+
+    for (const hook of Object.keys(plugin.hooks || {})) {
+      if (!PLUGIN_HOOKS.includes(hook)) {
+        throw new DDJEXError('INVALID_PLUGIN', `Plugin '${name}' has unknown hook: ${hook}`, { plugin: name, hook, hooks: PLUGIN_HOOKS });
+      }
+    }
+
+    const entries = (section) => {
+      const items = Object.entries(plugin[section] || {});
+      for (const [key, fn] of items) {
+        if (typeof fn !== 'function') {
+          throw new DDJEXError('INVALID_PLUGIN', `Plugin '${name}' ${section}.${key} must be a function`, { plugin: name });
+        }
+      }
+      return items.map(([key, fn]) => [`${name}.${key}`, fn]);
+    };
+
+    for (const [op, fn] of entries('operations')) this.operations[op] = fn;
+    for (const [op, fn] of entries('asyncOperations')) this.asyncOperations[op] = fn;
+    for (const [op, fn] of entries('mutations')) this.mutations.set(op, fn);
+    for (const [type, fn] of entries('nodes')) this.nodeTypes.set(type, fn);
+    for (const rule of plugin.rules || []) {
+      this.rules.push({ plugin: name, rule });
+    }
+    for (const [hook, fn] of Object.entries(plugin.hooks || {})) {
+      this.hooks[hook].push(fn);
+    }
+
+    this.plugins.set(name, plugin);
+    return plugin;
+  }
+
+  has(name) {
+    return this.plugins.has(name);
+  }
+
+  /**
+   * Whether a dotted name (e.g. "charts.percent") belongs to a registered plugin namespace
+   */
+  ownsNamespace(qualifiedName) {
+    const dot = qualifiedName.indexOf('.');
+    return dot > 0 && this.plugins.has(qualifiedName.slice(0, dot));
+  }
+
+  hasOperation(op) {
+    return op in this.operations || op in this.asyncOperations;
+  }
+
+  /**
+   * Run a lifecycle hook of every plugin, in registration order
+   */
+  runHook(hook, ...args) {
+    for (const fn of this.hooks[hook]) {
+      fn(...args);
+    }
+  }
+}
+
+/**
+ * Whether an op, mutation or node type name is plugin-qualified (namespace.name)
+ */
+function isNamespaced(name) {
+  return typeof name === 'string' && name.indexOf('.') > 0;
+}
+
+export { PluginRegistry, isNamespaced, PLUGIN_HOOKS };
@@ -0,0 +1,174 @@
+/**
+ * ddjex Route Patterns
+ * Segment-based path patterns for server routes and sockets; the client router
+ * (router.js) shares only the path limits of checkRoutePath and keeps its own :param and * matching
+ *
+ *   /users/:id          required param
+ *   /posts/:page?       optional param (only at the end)
+ *   /files/*path        wildcard: the rest of the path, one or more segments ("a/b.txt")
+ *   /docs/*path?        wildcard that also matches nothing
+ *
+ * Params can be typed (string, number, integer, boolean); a segment that does not
+ * convert to its type does not match, so /users/me can fall through to another route.
+ */
+
+// Security: Maximum path length to prevent ReDoS
+const MAX_PATH_LENGTH = 500;
+
+// Security: Maximum route parameters to limit complexity
+const MAX_PATH_PARAMS = 20;
+
+// Param types: segment text -> value, or undefined when it does not convert
+const PARAM_TYPES = {
+  string: (text) => text,
+  number: (text) => {
+    const value = Number(text);
+    return text.trim() !== '' && Number.isFinite(value) ? value : undefined;
+  },
+  integer: (text) => /^-?\d+$/.test(text) ? Number(text) : undefined,
+  boolean: (text) => text === 'true' ? true : text === 'false' ? false : undefined
+};
+
+// Specificity of a part when two patterns are compared at the same position
+const PART_RANK = { static: 5, typed: 4, param: 3, end: 2, optional: 1, wildcard: 0 };
+
+function patternError(code, message) {
+  return { error: true, code, message };
+}
+
+/**
+ * Enforce the size limits every route path is held to
+ */
+function checkRoutePath(path) {
+  if (path.length > MAX_PATH_LENGTH) {
+    throw patternError('PATH_TOO_LONG', `Path exceeds max length (${MAX_PATH_LENGTH})`);
+  }
+  const paramCount = (path.match(/[:*][^/]*/g) || []).length;
+  if (paramCount > MAX_PATH_PARAMS) {
+    throw patternError('TOO_MANY_PARAMS', `Path has too many parameters (max ${MAX_PATH_PARAMS})`);
+  }
+}
+
+/**
+ * Parse a route path into parts
+ * @param {string} path - Route path, e.g. "/users/:id"
+ * @param {Object} types - Param name -> type (see PARAM_TYPES)
+ * @returns {Object} { path, parts: [{ type: 'static', value } | { type: 'param' | 'wildcard', name, optional, valueType }], params }
+ */
+function parseRoutePattern(path, types = {}) {
+  checkRoutePath(path);
+  const pattern = { path, parts: [], params: [] };
+
+  for (const segment of path.split('/').filter(Boolean)) {
+    const last = pattern.parts[pattern.parts.length - 1];
+    if (last?.type === 'wildcard') {
+      throw patternError('INVALID_PATH_PATTERN', `Wildcard must be the last segment: ${path}`);
+    }
+
+    if (segment.startsWith(':') || segment.startsWith('*')) {
+      const type = segment.startsWith(':') ? 'param' : 'wildcard';
+      const optional = segment.endsWith('?');
+      const name = segment.slice(1, optional ? -1 : undefined) || (type === 'wildcard' ? '*' : '');
+      if (!/^([a-zA-Z_][a-zA-Z0-9_]*|\*)$/.test(name) || (name === '*' && type === 'param')) {
+        throw patternError('INVALID_PATH_PATTERN', `Invalid parameter '${segment}' in ${path}`);
+      }
+      if (pattern.params.includes(name)) {
+        throw patternError('INVALID_PATH_PATTERN', `Duplicate parameter '${name}' in ${path}`);
+      }
+      if (!optional && last?.optional) {
+        throw patternError('INVALID_PATH_PATTERN', `Optional parameters must come last: ${path}`);
+      }
+      const valueType = types[name] || 'string';
+      if (!Object.hasOwn(PARAM_TYPES, valueType) || (type === 'wildcard' && valueType !== 'string')) {
+        throw patternError('INVALID_PARAM_TYPE', `Invalid type '${valueType}' for parameter '${name}' in ${path}`);
+      }
+      pattern.parts.push({ type, name, optional, valueType });
+      pattern.params.push(name);
+    } else {
+      if (last?.optional) {
+        throw patternError('INVALID_PATH_PATTERN', `Optional parameters must come last: ${path}`);
+      }
+      pattern.parts.push({ type: 'static', value: segment });
+    }
+  }
+
+  return pattern;
+}
+
+/**
+ * Split a request path into decoded segments
+ * @returns {Array<string>|null} null when the path is not valid percent-encoding
+ */
+function splitRequestPath(path) {
+  try {
+    return path.split('/').filter(Boolean).map(decodeURIComponent);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Match path segments against a parsed pattern
+ * @param {Object} pattern - From parseRoutePattern
+ * @param {Array<string>} segments - From splitRequestPath
+ * @returns {Object|null} Typed params, or null when the path does not match
+ */
+function matchRoutePattern(pattern, segments) {
+  const params = {};
+  let index = 0;
+
+  for (const part of pattern.parts) {
+    if (part.type === 'wildcard') {
+      if (index === segments.length && !part.optional) return null;
+      if (part.name !== '*' || index < segments.length) params[part.name] = segments.slice(index).join('/');
+      index = segments.length;
+      continue;
+    }
+    if (index === segments.length) {
+      if (part.type === 'param' && part.optional) continue;
+      return null;
+    }
+    if (part.type === 'static') {
+      if (part.value !== segments[index]) return null;
+    } else {
+      const value = PARAM_TYPES[part.valueType](segments[index]);
+      if (value === undefined) return null;
+      params[part.name] = value;
+    }
+    index++;
+  }
+
+  return index === segments.length ? params : null;
+}
+
+function partRank(part) {
+  if (!part) return PART_RANK.end;
+  if (part.type === 'static') return PART_RANK.static;
+  if (part.type === 'wildcard') return PART_RANK.wildcard;
+  if (part.optional) return PART_RANK.optional;
+  return part.valueType === 'string' ? PART_RANK.param : PART_RANK.typed;
+}
+
+/**
+ * Sort comparator putting more specific patterns first: static segments beat typed params,
+ * which beat params, optional params and wildcards, compared left to right
+ */
+function compareRoutePatterns(a, b) {
+  const length = Math.max(a.parts.length, b.parts.length);
+  for (let i = 0; i < length; i++) {
+    const difference = partRank(b.parts[i]) - partRank(a.parts[i]);
+    if (difference !== 0) return difference;
+  }
+  return 0;
+}
+
+export {
+  parseRoutePattern,
+  matchRoutePattern,
+  splitRequestPath,
+  compareRoutePatterns,
+  checkRoutePath,
+  PARAM_TYPES,
+  MAX_PATH_LENGTH,
+  MAX_PATH_PARAMS
+};
@@ -3,11 +3,7 @@
  * Client-side routing with history API support
  */
 
-// Security: Maximum path length to prevent ReDoS
-const MAX_PATH_LENGTH = 500;
-
-// Security: Maximum route parameters to limit complexity
-const MAX_PATH_PARAMS = 20;
+import { checkRoutePath } from './route-pattern.js';
 
 class RouterManager {
   constructor(config = {}) {
@@ -66,16 +62,8 @@ class RouterManager {
    * Convert path pattern to regex
    */
   pathToRegex(path) {
-    // Security: Validate path length to prevent ReDoS
-    if (path.length > MAX_PATH_LENGTH) {
-      throw { error: true, code: 'PATH_TOO_LONG', message: `Path exceeds max length (${MAX_PATH_LENGTH})` };
-    }
-
-    // Security: Limit number of parameters
-    const paramCount = (path.match(/:[^/]+/g) || []).length;
-    if (paramCount > MAX_PATH_PARAMS) {
-      throw { error: true, code: 'TOO_MANY_PARAMS', message: `Path has too many parameters (max ${MAX_PATH_PARAMS})` };
-    }
+    // Security: Same length and parameter limits as server routes
+    checkRoutePath(path);
 
     const pattern = path
       .replace(/\//g, '\\/')
@@ -4,12 +4,37 @@
  */
 
 import { StateManager, ContextManager } from './state.js';
-import { Operations, resolveExpression, setStorageNamespace } from './operations.js';
+import { Operations, resolveExpression, setStorageNamespace, isAsyncOperation, getAsyncOperation } from './operations.js';
+import { AsyncActionRunner } from './async-action.js';
+import { parsePath } from './path.js';
+import { PluginRegistry } from './plugins.js';
 import { getWebSocketManager } from './websocket.js';
 import { createRouter, getRouter } from './router.js';
 import { DDJEXError, ActionError } from './errors.js';
 import { logger } from './logger.js';
 
+// Mutation ops whose value is an expression evaluated once per array item
+const ITEM_MUTATION_OPS = ['map', 'filter', 'removeWhere', 'updateWhere'];
+
+/**
+ * Record which mutation of a rolled-back batch failed, as `error.transaction`
+ * (also serialized by the error's toJSON). The innermost failing batch wins.
+ */
+function describeFailedMutation(error, actionId, index, mutation) {
+  if (!error || typeof error !== 'object' || error.transaction) return;
+  const transaction = {
+    action: actionId,
+    mutationIndex: index,
+    target: mutation?.target ?? null,
+    op: mutation?.op ?? null,
+    rolledBack: true
+  };
+  error.transaction = transaction;
+  if (error instanceof DDJEXError) {
+    error.details = { ...error.details, transaction };
+  }
+}
+
 class Runtime {
   constructor(program, target) {
     this.program = program;
@@ -18,9 +43,48 @@ class Runtime {
     this.contextManager = new ContextManager();
     this.router = null;
     this.actions = new Map();
+    this.asyncActions = new Map();
     this.components = new Map();
     this.mountEffects = [];
     this.mounted = false;
+    this.initialized = false;
+    this.plugins = new PluginRegistry();
+    this.stateManager.customMutations = this.plugins.mutations;
+    this.middleware = [];
+  }
+
+  /**
+   * Add dispatch middleware.
+   *
+   * beforeDispatch({ action, params, args, state }) may return:
+   *   false or { veto: true, reason } - block the call; dispatch returns { error: true, code: 'ACTION_VETOED' }
+   *   { params: {...} }               - replace the params the action runs with
+   *   anything else                   - continue unchanged
+   * afterDispatch({ action, params, state, result, error }) observes the outcome,
+   * including constraint violations (error) before they are thrown to the caller.
+   *
+   * @param {Object} middleware - { beforeDispatch, afterDispatch }
+   * @returns {Function} Removes the middleware
+   */
+  addMiddleware(middleware) {
+    this.middleware.push(middleware);
+    return () => {
+      const index = this.middleware.indexOf(middleware);
+      if (index !== -1) this.middleware.splice(index, 1);
+    };
+  }
+
+  /**
+   * Register a plugin (see plugins.js); call before initialize() so programs can use its ops
+   * @param {Object} plugin - Plugin definition
+   * @returns {Runtime} this, for chaining
+   */
+  use(plugin) {
+    this.plugins.register(plugin);
+    if (this.initialized) {
+      plugin.hooks?.init?.(this);
+    }
+    return this;
   }
 
   static validate(program) {
@@ -51,6 +115,12 @@ class Runtime {
       throw new DDJEXError('VALIDATION_FAILED', 'Program validation failed', { errors: validation.errors });
     }
 
+    if (this.program.imports) {
+      throw new DDJEXError('UNRESOLVED_IMPORTS', 'Program imports must be resolved before initialize (use load() or resolveImports())', {
+        imports: this.program.imports.map(entry => entry?.src)
+      });
+    }
+
     // Set storage namespace for isolation between apps
     setStorageNamespace(this.program.id);
 
@@ -64,7 +134,7 @@ class Runtime {
     // Initialize state
     if (this.program.state) {
       for (const [id, def] of Object.entries(this.program.state)) {
-        this.stateManager.defineState(id, def);
+        this.stateManager.defineState(id, def, (expr, params = {}) => this.resolve(expr, params));
       }
     }
 
@@ -79,7 +149,19 @@ class Runtime {
     if (this.program.actions) {
       for (const [id, def] of Object.entries(this.program.actions)) {
         this.actions.set(id, def);
+        if (def.steps) {
+          this.asyncActions.set(id, this.createAsyncActionRunner(id, def));
+        }
+      }
+    }
+
+    // Lifecycle status of async actions, e.g. { "bind": "$actions.loadUser.pending" }
+    if (this.asyncActions.size > 0) {
+      const initial = {};
+      for (const id of this.asyncActions.keys()) {
+        initial[id] = { pending: false, error: null, lastResult: null };
       }
+      this.stateManager.defineState('$actions', { type: 'object', initial });
     }
 
     // Initialize components
@@ -122,6 +204,20 @@ class Runtime {
       this.stateManager.registerInvariants(this.program.invariants);
     }
 
+    // Program middleware: expressions with params action, params, state (and result, error after)
+    if (this.program.middleware) {
+      const { beforeDispatch = [], afterDispatch = [] } = this.program.middleware;
+      for (const expr of beforeDispatch) {
+        this.addMiddleware({ beforeDispatch: (ctx) => this.resolve(expr, ctx) });
+      }
+      for (const expr of afterDispatch) {
+        this.addMiddleware({ afterDispatch: (ctx) => this.resolve(expr, ctx) });
+      }
+    }
+
+    this.initialized = true;
+    this.plugins.runHook('init', this);
+
     return this;
   }
 
@@ -211,11 +307,41 @@ class Runtime {
     const context = {
       get: (id) => this.stateManager.get(id),
       getContext: (id) => this.contextManager.get(id),
+      operations: this.plugins.operations,
       params
     };
     return resolveExpression(expr, context);
   }
 
+  createAsyncActionRunner(actionId, definition) {
+    return new AsyncActionRunner(actionId, definition, {
+      resolve: (expr, params) => this.resolve(expr, params),
+      resolveAsync: (expr, params, signal) => this.resolveAsync(expr, params, signal),
+      applyMutations: (mutations, params) => this.applyMutations(actionId, mutations, params, []),
+      setStatus: (patch) => {
+        const all = this.stateManager.get('$actions');
+        this.stateManager.set('$actions', { ...all, [actionId]: { ...all[actionId], ...patch } });
+      }
+    });
+  }
+
+  /**
+   * Resolve an expression that may be an async operation
+   * @param {AbortSignal} [signal] - Passed to the operation as `this.signal` (fetch and delay stop on abort)
+   * @returns {Promise} The resolved value
+   */
+  async resolveAsync(expr, params = {}, signal) {
+    if (expr && typeof expr === 'object' && 'op' in expr) {
+      const op = this.plugins.asyncOperations[expr.op] ||
+                 (isAsyncOperation(expr.op) ? getAsyncOperation(expr.op) : null);
+      if (op) {
+        const args = (expr.args || []).map(arg => this.resolve(arg, params));
+        return op.call({ signal }, ...args);
+      }
+    }
+    return this.resolve(expr, params);
+  }
+
   dispatch(actionId, ...args) {
     const action = this.actions.get(actionId);
     if (!action) {
@@ -223,41 +349,151 @@ class Runtime {
     }
 
     // Build params from action definition and args
-    const params = {};
+    let params = {};
     if (action.params) {
       action.params.forEach((paramName, index) => {
         params[paramName] = args[index];
       });
     }
 
-    // Execute mutations in batch
-    this.stateManager.batch(() => {
-      for (const mutation of action.mutations) {
-        const value = mutation.value !== undefined
-          ? this.resolve(mutation.value, params)
-          : undefined;
-
-        if (mutation.op === 'map' || mutation.op === 'filter') {
-          // For map/filter, we need to create a function from the value expression
-          const currentArray = this.stateManager.get(mutation.target);
-          const mappedArray = currentArray[mutation.op === 'map' ? 'map' : 'filter']((item, index) => {
-            return this.resolve(mutation.value, { ...params, item, index });
-          });
-          this.stateManager.set(mutation.target, mappedArray);
-        } else {
-          this.stateManager.mutate(mutation.target, mutation.op, value, actionId);
+    const runner = this.asyncActions.get(actionId);
+
+    // Middleware may block the call or replace its params
+    const before = this.runBeforeDispatch(actionId, params, args);
+    if (before.vetoed) {
+      const vetoed = {
+        error: true,
+        code: 'ACTION_VETOED',
+        message: `Action '${actionId}' was blocked by middleware`,
+        action: actionId,
+        reason: before.reason ?? null
+      };
+      return runner ? Promise.resolve(vetoed) : vetoed;
+    }
+    params = before.params;
+
+    // Async actions run their steps (and effects) through the runner
+    if (runner) {
+      return runner.dispatch(params).then(result => {
+        this.runAfterDispatch(actionId, params, result, result?.error === true ? result : null);
+        return result;
+      });
+    }
+
+    try {
+      this.applyMutations(actionId, action.mutations, params, args);
+
+      // Execute action effects if any
+      if (action.effects) {
+        for (const effect of action.effects) {
+          this.resolve(effect, params);
         }
       }
-    });
+    } catch (error) {
+      this.runAfterDispatch(actionId, params, undefined, error);
+      throw error;
+    }
+
+    this.runAfterDispatch(actionId, params, undefined, null);
+  }
+
+  runBeforeDispatch(actionId, params, args) {
+    for (const { beforeDispatch } of this.middleware) {
+      if (!beforeDispatch) continue;
+      const outcome = beforeDispatch({ action: actionId, params, args, state: this.getState() });
+      if (outcome === false) {
+        return { vetoed: true };
+      }
+      if (outcome && typeof outcome === 'object') {
+        if (outcome.veto) return { vetoed: true, reason: outcome.reason };
+        if (outcome.params && typeof outcome.params === 'object') params = outcome.params;
+      }
+    }
+    return { vetoed: false, params };
+  }
 
-    // Execute action effects if any
-    if (action.effects) {
-      for (const effect of action.effects) {
-        this.resolve(effect, params);
+  runAfterDispatch(actionId, params, result, error) {
+    if (!this.middleware.some(m => m.afterDispatch)) return;
+    const info = error && typeof error.toJSON === 'function'
+      ? error.toJSON()
+      : error ? {
+        error: true,
+        code: error.code || 'ACTION_ERROR',
+        message: error.message || String(error),
+        ...(error.transaction && { transaction: error.transaction })
+      } : null;
+    for (const { afterDispatch } of this.middleware) {
+      if (afterDispatch) {
+        afterDispatch({ action: actionId, params, state: this.getState(), result, error: info });
       }
     }
   }
 
+  applyMutations(actionId, mutations, params, args) {
+    // Record the whole batch as one history entry (when history is enabled)
+    const history = this.stateManager.history;
+    history?.begin(actionId, args);
+
+    // Execute mutations as one transaction; a failing mutation rolls back the whole batch
+    let index = -1;
+    try {
+      this.stateManager.transaction(() => {
+        for (const mutation of mutations) {
+          index++;
+          // Per-item expressions are resolved with item and index params
+          const perItem = (expr) => (item, index) => this.resolve(expr, { ...params, item, index });
+
+          let value;
+          if (ITEM_MUTATION_OPS.includes(mutation.op)) {
+            value = perItem(mutation.value);
+          } else if (mutation.value !== undefined) {
+            value = this.resolve(mutation.value, params);
+          }
+
+          const operands = {};
+          if (mutation.match !== undefined) operands.match = perItem(mutation.match);
+          for (const key of ['index', 'from', 'to', 'key']) {
+            if (mutation[key] !== undefined) operands[key] = this.resolve(mutation[key], params);
+          }
+
+          const path = this.resolveMutationPath(mutation, params);
+          this.stateManager.mutate(mutation.target, mutation.op, value, actionId, path, operands);
+        }
+      });
+    } catch (error) {
+      history?.abort();
+      describeFailedMutation(error, actionId, index, mutations[index]);
+      throw error;
+    }
+    history?.end();
+  }
+
+  /**
+   * Build the nested path of a mutation; a top-level where matches items of the target array
+   * @returns {Array|null} Path segments, or null for a top-level mutation
+   */
+  resolveMutationPath(mutation, params) {
+    if (mutation.path === undefined && mutation.where === undefined) return null;
+
+    const segments = [];
+    if (mutation.where !== undefined) {
+      segments.push({ where: this.resolve(mutation.where, params) });
+    }
+    if (mutation.path !== undefined) {
+      segments.push(...parsePath(this.resolve(mutation.path, params)));
+    }
+    return segments;
+  }
+
+  /**
+   * Cancel the in-flight run of an async action
+   * @returns {boolean} Whether a run was cancelled
+   */
+  cancelAction(actionId) {
+    const runner = this.asyncActions.get(actionId);
+    return runner ? runner.cancel() : false;
+  }
+
   mount() {
     if (this.mounted) return;
     this.mounted = true;
@@ -273,12 +509,22 @@ class Runtime {
       effect.run();
     }
 
+    this.plugins.runHook('mount', this);
+
     return result;
   }
 
   unmount() {
     if (!this.mounted) return;
     this.mounted = false;
+
+    this.plugins.runHook('unmount', this);
+
+    // Stop in-flight async actions before state is torn down
+    for (const runner of this.asyncActions.values()) {
+      runner.cancel();
+    }
+
     this.stateManager.dispose();
 
     // Destroy router
@@ -301,6 +547,30 @@ class Runtime {
   getState() {
     return this.stateManager.getSnapshot();
   }
+
+  /**
+   * Enable time-travel debugging: every dispatched action is recorded
+   * @param {Object} options - { limit: max entries kept (default 100) }
+   */
+  enableHistory(options = {}) {
+    return this.stateManager.enableHistory(options);
+  }
+
+  undo() {
+    return this.stateManager.undo();
+  }
+
+  redo() {
+    return this.stateManager.redo();
+  }
+
+  jumpTo(index) {
+    return this.stateManager.jumpTo(index);
+  }
+
+  getHistory() {
+    return this.stateManager.getHistory();
+  }
 }
 
 class Target {
@@ -4,7 +4,10 @@
  */
 
 import { ConstraintManager } from './constraints.js';
-import { StateError, ContextError, MutationError } from './errors.js';
+import { ActionHistory } from './history.js';
+import { StatePersister, isWebStorage } from './persist.js';
+import { parsePath, getAtPath, updateAtPath, REMOVE } from './path.js';
+import { DDJEXError, StateError, ContextError, MutationError } from './errors.js';
 import { logger } from './logger.js';
 
 // Security: Maximum scheduler flush iterations to prevent infinite loops
@@ -13,55 +16,111 @@ const MAX_FLUSH_ITERATIONS = 100;
 // Security: Minimum interval for effects (60fps)
 const MIN_INTERVAL_MS = 16;
 
+// Marks a notification without a known previous value (every subscriber runs)
+const UNKNOWN_PREVIOUS = Symbol('ddjex.unknownPrevious');
+
 class ReactiveNode {
   constructor(id, initial) {
     this.id = id;
     this.value = initial;
     this.subscribers = new Set();
     this.dependencies = new Set();
+    // Subscribers that only read nested paths: node -> Map(pathKey -> segments)
+    this.paths = new Map();
   }
 
   get() {
     if (ReactiveContext.current) {
       ReactiveContext.current.dependencies.add(this);
-      this.subscribers.add(ReactiveContext.current);
+      this.subscribe(ReactiveContext.current);
     }
     return this.value;
   }
 
+  /**
+   * Read a nested value, tracking only that path as a dependency
+   * @param {Array} segments - Parsed path (see path.js)
+   */
+  select(segments) {
+    const current = ReactiveContext.current;
+    ReactiveContext.current = null;
+    let value;
+    try {
+      value = this.get();
+    } finally {
+      ReactiveContext.current = current;
+    }
+
+    if (current) {
+      current.dependencies.add(this);
+      this.subscribe(current, segments);
+    }
+    return getAtPath(value, segments);
+  }
+
   set(newValue) {
     if (this.value === newValue) return false;
     this.previousValue = this.value;
     this.value = newValue;
-    this.notify();
+    this.notify(this.previousValue);
     return true;
   }
 
-  notify() {
+  /**
+   * Schedule subscribers; path subscribers are skipped when none of their paths changed
+   * @param {*} previousValue - Value before the change, if known
+   */
+  notify(previousValue = UNKNOWN_PREVIOUS) {
     Scheduler.batch(() => {
       for (const sub of this.subscribers) {
+        if (previousValue !== UNKNOWN_PREVIOUS && !this.affects(sub, previousValue)) continue;
         Scheduler.schedule(sub);
       }
     });
   }
 
-  subscribe(node) {
+  affects(sub, previousValue) {
+    const paths = this.paths.get(sub);
+    if (!paths) return true;
+    for (const segments of paths.values()) {
+      if (getAtPath(previousValue, segments) !== getAtPath(this.value, segments)) return true;
+    }
+    return false;
+  }
+
+  /**
+   * Subscribe to the whole value, or only to a nested path
+   * @param {Object} node - Subscriber
+   * @param {Array} path - Path segments; omit to subscribe to the whole value
+   */
+  subscribe(node, path = null) {
+    const wholeValue = this.subscribers.has(node) && !this.paths.has(node);
     this.subscribers.add(node);
+
+    if (!path || path.length === 0) {
+      this.paths.delete(node);
+    } else if (!wholeValue) {
+      if (!this.paths.has(node)) this.paths.set(node, new Map());
+      this.paths.get(node).set(JSON.stringify(path), path);
+    }
+
     // Return unsubscribe function for easier cleanup
-    return () => this.subscribers.delete(node);
+    return () => this.unsubscribe(node);
   }
 
   unsubscribe(node) {
     this.subscribers.delete(node);
+    this.paths.delete(node);
   }
 }
 
 class ComputedNode extends ReactiveNode {
-  constructor(id, fn, deps) {
+  constructor(id, fn, deps, equality = null) {
     super(id, undefined);
     this.fn = fn;
     this.depIds = deps;
     this.dirty = true;
+    this.equals = equality ? EQUALITY[equality] : null;
   }
 
   get() {
@@ -89,13 +148,47 @@ class ComputedNode extends ReactiveNode {
   }
 
   invalidate() {
-    if (!this.dirty) {
+    if (this.dirty) return;
+
+    if (!this.equals) {
       this.dirty = true;
       this.notify();
+      return;
     }
+
+    // With an equality option, recompute now and keep the old value when equal
+    const previous = this.value;
+    this.recompute();
+    if (this.equals(previous, this.value)) {
+      this.value = previous;
+      return;
+    }
+    this.notify(previous);
   }
 }
 
+function shallowEqual(a, b) {
+  if (Object.is(a, b)) return true;
+  if (a === null || b === null || typeof a !== 'object' || typeof b !== 'object') return false;
+  if (Array.isArray(a) !== Array.isArray(b)) return false;
+  const keysA = Object.keys(a);
+  const keysB = Object.keys(b);
+  if (keysA.length !== keysB.length) return false;
+  return keysA.every(key => Object.prototype.hasOwnProperty.call(b, key) && Object.is(a[key], b[key]));
+}
+
+function deepEqual(a, b) {
+  if (Object.is(a, b)) return true;
+  if (a === null || b === null || typeof a !== 'object' || typeof b !== 'object') return false;
+  if (Array.isArray(a) !== Array.isArray(b)) return false;
+  const keysA = Object.keys(a);
+  const keysB = Object.keys(b);
+  if (keysA.length !== keysB.length) return false;
+  return keysA.every(key => Object.prototype.hasOwnProperty.call(b, key) && deepEqual(a[key], b[key]));
+}
+
+const EQUALITY = { shallow: shallowEqual, deep: deepEqual };
+
 class EffectNode {
   constructor(id, fn, watch) {
     this.id = id;
@@ -385,25 +478,24 @@ const Scheduler = {
 
     let iterations = 0;
 
-    // Sort by dependency order (computed before effects)
-    const isEffectLike = (n) => n instanceof EffectNode || n instanceof AsyncEffectNode ||
-                                n instanceof IntervalEffectNode || n instanceof TimeoutEffectNode;
+    // Sort by dependency order (computed before effects and plain { run } subscribers)
+    const isComputed = (n) => n instanceof ComputedNode;
 
     while (this.queue.size > 0 && iterations < MAX_FLUSH_ITERATIONS) {
       iterations++;
 
       const sorted = [...this.queue].sort((a, b) => {
-        if (a instanceof ComputedNode && isEffectLike(b)) return -1;
-        if (isEffectLike(a) && b instanceof ComputedNode) return 1;
+        if (isComputed(a) && !isComputed(b)) return -1;
+        if (!isComputed(a) && isComputed(b)) return 1;
         return 0;
       });
 
       this.queue.clear();
 
       for (const node of sorted) {
-        if (node instanceof ComputedNode) {
+        if (isComputed(node)) {
           node.invalidate();
-        } else if (isEffectLike(node)) {
+        } else if (typeof node.run === 'function') {
           node.run();
         }
       }
@@ -418,6 +510,94 @@ const Scheduler = {
   }
 };
 
+/**
+ * Compute the result of a mutation operation (immutably)
+ */
+function applyMutationOp(id, op, current, value, operands = {}) {
+  switch (op) {
+    case 'set':
+      return value;
+    case 'add':
+      return current + value;
+    case 'subtract':
+      return current - value;
+    case 'multiply':
+      return current * value;
+    case 'divide':
+      return current / value;
+    case 'toggle':
+      return !current;
+    case 'push':
+      return [...current, value];
+    case 'pop':
+      return current.slice(0, -1);
+    case 'shift':
+      return current.slice(1);
+    case 'unshift':
+      return [value, ...current];
+    case 'merge':
+      return { ...current, ...value };
+    case 'filter':
+      return current.filter(value);
+    case 'map':
+      return current.map(value);
+    case 'increment':
+      return current + (value ?? 1);
+    case 'decrement':
+      return current - (value ?? 1);
+    case 'clear':
+      return emptyValueLike(current);
+    case 'removeAt': {
+      // Indexes outside the array (e.g. a findIndex miss) leave it unchanged
+      if (!isArrayIndex(current, value)) return current;
+      const copy = [...current];
+      copy.splice(value, 1);
+      return copy;
+    }
+    case 'removeWhere':
+      return current.filter((item, index) => !value(item, index));
+    case 'insertAt': {
+      const copy = [...current];
+      copy.splice(operands.index, 0, value);
+      return copy;
+    }
+    case 'move': {
+      if (!isArrayIndex(current, operands.from)) return current;
+      const copy = [...current];
+      const [item] = copy.splice(operands.from, 1);
+      copy.splice(Math.max(0, operands.to), 0, item);
+      return copy;
+    }
+    case 'updateWhere':
+      return current.map((item, index) => operands.match(item, index) ? value(item, index) : item);
+    case 'upsert': {
+      const key = operands.key ?? 'id';
+      const index = current.findIndex(item => item !== null && typeof item === 'object' && item[key] === value?.[key]);
+      if (index === -1) return [...current, value];
+      const copy = [...current];
+      copy[index] = value;
+      return copy;
+    }
+    default:
+      throw new MutationError('INVALID_MUTATION_OP', `Unknown mutation operation: ${op}`, { operation: op, state: id });
+  }
+}
+
+function isArrayIndex(array, index) {
+  return Number.isInteger(index) && index >= 0 && index < array.length;
+}
+
+/**
+ * Empty value of the same kind, used by the clear mutation
+ */
+function emptyValueLike(value) {
+  if (Array.isArray(value)) return [];
+  if (typeof value === 'string') return '';
+  if (typeof value === 'number') return 0;
+  if (value !== null && typeof value === 'object') return {};
+  return null;
+}
+
 class StateManager {
   constructor() {
     this.states = new Map();
@@ -426,6 +606,12 @@ class StateManager {
     this.constraintManager = new ConstraintManager();
     this.invariants = [];
     this.currentAction = null;
+    this.history = null;
+    this.persisters = new Map();
+    // Plugin mutation ops: name -> (current, value, operands) => next
+    this.customMutations = null;
+    // Open transactions, innermost last: state id -> value before the transaction
+    this.transactions = [];
   }
 
   /**
@@ -444,21 +630,57 @@ class StateManager {
     this.constraintManager.registerInvariants(invariants);
   }
 
-  defineState(id, definition) {
-    const node = new ReactiveNode(id, definition.initial);
-    this.states.set(id, node);
-
+  defineState(id, definition, resolver = null) {
     // Register constraints if defined
     if (definition.constraints) {
       this.constraintManager.registerConstraints(id, definition.constraints);
     }
 
+    // Server storages (file, journal, sqlite) are loaded by the server target instead
+    const persister = definition.persist && isWebStorage(definition.persist)
+      ? new StatePersister(id, definition.persist)
+      : null;
+    const initial = persister ? this.hydrateState(id, definition, persister, resolver) : definition.initial;
+
+    const node = new ReactiveNode(id, initial);
+    this.states.set(id, node);
+
+    // Write changes back to storage
+    if (persister) {
+      const effect = new EffectNode(`$persist:${id}`, () => persister.schedule(node.value), [id]);
+      node.subscribe(effect);
+      effect.dependencies.add(node);
+      this.persisters.set(id, { persister, effect });
+    }
+
     return node;
   }
 
+  /**
+   * Resolve the starting value of a persisted state.
+   * Stored values that fail constraints fall back to the declared initial value.
+   */
+  hydrateState(id, definition, persister, resolver) {
+    const stored = persister.load(resolver);
+    if (!stored.found) return definition.initial;
+
+    const error = this.constraintManager.validateState(id, stored.value);
+    if (error) {
+      logger.warn(`Ignoring persisted state '${id}': ${error.message}`);
+      return definition.initial;
+    }
+
+    // Save migrated values so the migration runs only once
+    if (stored.migrated) {
+      persister.write(stored.value);
+    }
+
+    return stored.value;
+  }
+
   defineComputed(id, definition, resolver) {
     const fn = () => resolver(definition.fn);
-    const node = new ComputedNode(id, fn, definition.deps);
+    const node = new ComputedNode(id, fn, definition.deps, definition.equality);
 
     // Subscribe to dependencies
     for (const depId of definition.deps) {
@@ -585,9 +807,51 @@ class StateManager {
     const computed = this.computed.get(id);
     if (computed) return computed.get();
 
+    // Dotted ids read a nested path and track only that path, e.g. settings.theme
+    const ref = this.splitRef(id);
+    if (ref?.path) return this.select(ref.id, ref.path);
+
     return undefined;
   }
 
+  /**
+   * Split a dotted reference into the longest defined state/computed id and the rest,
+   * e.g. "widgets.settings.theme" -> { id: "widgets.settings", path: "theme" }
+   * @returns {Object|null} { id, path } (path is null for an exact id), or null if nothing matches
+   */
+  splitRef(ref) {
+    if (typeof ref !== 'string') return null;
+    if (this.states.has(ref) || this.computed.has(ref)) return { id: ref, path: null };
+    for (let dot = ref.lastIndexOf('.'); dot > 0; dot = ref.lastIndexOf('.', dot - 1)) {
+      const id = ref.slice(0, dot);
+      if (this.states.has(id) || this.computed.has(id)) {
+        return { id, path: ref.slice(dot + 1) };
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Read a nested value of a state or computed, tracking only that path
+   * @param {string} id - State or computed id
+   * @param {string|Array} path - Nested location (see path.js)
+   */
+  select(id, path) {
+    const node = this.states.get(id) || this.computed.get(id);
+    if (!node) return undefined;
+    return node.select(parsePath(path));
+  }
+
+  /**
+   * Subscribe to a state or computed, optionally only to changes at a nested path
+   * @returns {Function|null} Unsubscribe function, or null if the id is unknown
+   */
+  subscribe(id, subscriber, path = null) {
+    const node = this.states.get(id) || this.computed.get(id);
+    if (!node) return null;
+    return node.subscribe(subscriber, path ? parsePath(path) : null);
+  }
+
   set(id, value, skipConstraints = false) {
     const state = this.states.get(id);
     if (!state) {
@@ -602,6 +866,10 @@ class StateManager {
       }
     }
 
+    for (const snapshot of this.transactions) {
+      if (!snapshot.has(id)) snapshot.set(id, state.value);
+    }
+
     const changed = state.set(value);
 
     // Check invariants after mutation
@@ -622,12 +890,25 @@ class StateManager {
       }
     }
 
+    if (changed && this.history) {
+      this.history.track(id, state.previousValue, value);
+    }
+
     return changed;
   }
 
-  mutate(id, op, value, actionName = null) {
+  /**
+   * Apply a mutation operation to a state, optionally at a nested path
+   * @param {string} id - State id
+   * @param {string} op - Mutation operation
+   * @param {*} value - Operand
+   * @param {string} actionName - Action for constraint error messages
+   * @param {string|Array} path - Nested location (see path.js); constraints still apply to the whole state
+   * @param {Object} operands - Extra operands: index (insertAt), from/to (move), match (updateWhere), key (upsert)
+   */
+  mutate(id, op, value, actionName = null, path = null, operands = {}) {
     const current = this.get(id);
-    let newValue;
+    const segments = parsePath(path);
 
     // Track current action for constraint error messages
     const prevAction = this.currentAction;
@@ -635,51 +916,23 @@ class StateManager {
       this.currentAction = actionName;
     }
 
-    switch (op) {
-      case 'set':
-        newValue = value;
-        break;
-      case 'add':
-        newValue = current + value;
-        break;
-      case 'subtract':
-        newValue = current - value;
-        break;
-      case 'multiply':
-        newValue = current * value;
-        break;
-      case 'divide':
-        newValue = current / value;
-        break;
-      case 'toggle':
-        newValue = !current;
-        break;
-      case 'push':
-        newValue = [...current, value];
-        break;
-      case 'pop':
-        newValue = current.slice(0, -1);
-        break;
-      case 'shift':
-        newValue = current.slice(1);
-        break;
-      case 'unshift':
-        newValue = [value, ...current];
-        break;
-      case 'merge':
-        newValue = { ...current, ...value };
-        break;
-      case 'filter':
-        newValue = current.filter(value);
-        break;
-      case 'map':
-        newValue = current.map(value);
-        break;
-      default:
-        throw new MutationError('INVALID_MUTATION_OP', `Unknown mutation operation: ${op}`, { operation: op, state: id });
-    }
-
     try {
+      const custom = this.customMutations?.get(op);
+      const apply = (existing) => custom
+        ? custom(existing, value, operands)
+        : applyMutationOp(id, op, existing, value, operands);
+
+      let newValue;
+      if (segments.length > 0) {
+        newValue = updateAtPath(current, segments, (existing) =>
+          op === 'remove' ? REMOVE : apply(existing)
+        );
+      } else if (op === 'remove') {
+        throw new MutationError('INVALID_MUTATION_PATH', `Mutation 'remove' on '${id}' requires a path or where`, { operation: op, state: id });
+      } else {
+        newValue = apply(current);
+      }
+
       return this.set(id, newValue);
     } finally {
       this.currentAction = prevAction;
@@ -690,6 +943,129 @@ class StateManager {
     Scheduler.batch(fn);
   }
 
+  /**
+   * Run fn as one all-or-nothing batch: if it throws, every state it changed is
+   * restored and the notifications it queued are dropped before the error is rethrown
+   */
+  transaction(fn) {
+    const snapshot = new Map();
+    const queued = new Set(Scheduler.queue);
+    this.transactions.push(snapshot);
+    try {
+      let result;
+      Scheduler.batch(() => {
+        try {
+          result = fn();
+        } catch (error) {
+          this.rollback(snapshot, queued);
+          throw error;
+        }
+      });
+      return result;
+    } finally {
+      this.transactions.pop();
+    }
+  }
+
+  rollback(snapshot, queued) {
+    for (const [id, value] of snapshot) {
+      const state = this.states.get(id);
+      if (state.value === value) continue;
+      // Keep the recorded history entry in step with the restored value
+      this.history?.track(id, state.value, value);
+      state.value = value;
+    }
+    for (const node of Scheduler.queue) {
+      if (!queued.has(node)) Scheduler.queue.delete(node);
+    }
+  }
+
+  /**
+   * Enable action history for time-travel debugging
+   * @param {Object} options - { limit: max entries kept (default 100) }
+   */
+  enableHistory(options = {}) {
+    this.history = new ActionHistory(options);
+    return this.history;
+  }
+
+  disableHistory() {
+    this.history = null;
+  }
+
+  /**
+   * Revert the last applied history entry
+   * @returns {boolean} Whether an entry was reverted
+   */
+  undo() {
+    if (!this.history?.canUndo()) return false;
+    const entry = this.history.entries[this.history.position];
+    this.applyHistoryEntry(entry, 'from');
+    this.history.position--;
+    return true;
+  }
+
+  /**
+   * Re-apply the next undone history entry
+   * @returns {boolean} Whether an entry was re-applied
+   */
+  redo() {
+    if (!this.history?.canRedo()) return false;
+    const entry = this.history.entries[this.history.position + 1];
+    this.applyHistoryEntry(entry, 'to');
+    this.history.position++;
+    return true;
+  }
+
+  /**
+   * Move to the state right after the entry at index (-1 = before the first entry)
+   */
+  jumpTo(index) {
+    if (!this.history) return false;
+    if (!Number.isInteger(index) || index < -1 || index >= this.history.entries.length) {
+      throw new DDJEXError('INVALID_HISTORY_INDEX', `History index ${index} is out of range`, {
+        index,
+        length: this.history.entries.length
+      });
+    }
+    // All or nothing: a failing entry restores the state and the cursor
+    const position = this.history.position;
+    try {
+      this.transaction(() => {
+        while (this.history.position > index) this.undo();
+        while (this.history.position < index) this.redo();
+      });
+    } catch (error) {
+      this.history.position = position;
+      throw error;
+    }
+    return true;
+  }
+
+  getHistory() {
+    return this.history ? this.history.getSnapshot() : null;
+  }
+
+  /**
+   * Write one side of a history diff back through constraint and invariant checks,
+   * as one transaction so a failing state leaves none of the others changed
+   */
+  applyHistoryEntry(entry, side) {
+    const prevAction = this.currentAction;
+    this.currentAction = entry.action;
+    this.history.replaying = true;
+    try {
+      this.transaction(() => {
+        for (const [id, change] of Object.entries(entry.diff)) {
+          this.set(id, change[side]);
+        }
+      });
+    } finally {
+      this.history.replaying = false;
+      this.currentAction = prevAction;
+    }
+  }
+
   getSnapshot() {
     const snapshot = {};
     for (const [id, node] of this.states) {
@@ -702,6 +1078,11 @@ class StateManager {
     for (const effect of this.effects.values()) {
       effect.dispose();
     }
+    for (const { persister, effect } of this.persisters.values()) {
+      effect.dispose();
+      persister.dispose();
+    }
+    this.persisters.clear();
     this.states.clear();
     this.computed.clear();
     this.effects.clear();
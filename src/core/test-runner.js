@@ -233,7 +233,7 @@ class TestRunner {
         } else if ('dispatch' in step) {
           stepResult.type = 'dispatch';
           const args = step.args ? step.args.map(arg => runtime.resolve(arg)) : [];
-          runtime.dispatch(step.dispatch, ...args);
+          await runtime.dispatch(step.dispatch, ...args);
         } else if ('wait' in step) {
           stepResult.type = 'wait';
           await this.delay(step.wait);
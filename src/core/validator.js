@@ -3,9 +3,57 @@
  * Runtime JSON Schema validation with structured errors
  */
 
+import { PluginRegistry, isNamespaced } from './plugins.js';
+import { sourceOfPath } from './imports.js';
+import { parseRoutePattern } from './route-pattern.js';
+import { Operations, AsyncOperations } from './operations.js';
+import { Validators, unknownSchemaRules } from './form-validation.js';
+
 const VALID_TARGETS = ['dom', 'server', 'cli'];
 const VALID_TYPES = ['string', 'number', 'boolean', 'null', 'array', 'object'];
-const VALID_MUTATION_OPS = ['set', 'add', 'subtract', 'multiply', 'divide', 'push', 'pop', 'shift', 'unshift', 'merge', 'toggle', 'filter', 'map'];
+const VALID_PERSIST_STORAGES = ['local', 'session', 'file', 'journal', 'sqlite'];
+// Durable storages of the server target (see targets/server-storage.js)
+const SERVER_PERSIST_STORAGES = ['file', 'journal', 'sqlite'];
+const VALID_ACTION_MODES = ['latest', 'queue', 'drop'];
+const VALID_ROUTE_METHODS = ['GET', 'HEAD', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'];
+const VALID_MUTATION_OPS = ['set', 'add', 'subtract', 'multiply', 'divide', 'push', 'pop', 'shift', 'unshift', 'merge', 'toggle', 'filter', 'map', 'remove',
+  'removeAt', 'removeWhere', 'insertAt', 'move', 'updateWhere', 'upsert', 'clear', 'increment', 'decrement'];
+
+// Params available to program middleware expressions
+const MIDDLEWARE_PARAMS = {
+  beforeDispatch: ['action', 'params', 'args', 'state'],
+  afterDispatch: ['action', 'params', 'state', 'result', 'error']
+};
+
+// Built-in server request middleware (see targets/server-middleware.js)
+const HTTP_MIDDLEWARE = ['cors', 'auth', 'logger', 'bodyLimit', 'rateLimit', 'guard'];
+
+// Middleware that can run on WebSocket upgrades (see targets/server-sockets.js)
+const SOCKET_MIDDLEWARE = ['auth', 'rateLimit', 'guard'];
+const SOCKET_HANDLERS = ['onConnect', 'onMessage', 'onClose'];
+
+// Request values server handlers refer to (see ServerTarget.createContext), and what socket handlers add
+const REQUEST_REFS = ['params', 'body', 'query', 'headers', 'cookies', 'locals'];
+const SOCKET_REFS = ['socket', 'message', 'code', 'reason'];
+
+// Types of CLI args and flags, and flags every command has
+const VALID_CLI_TYPES = ['string', 'number', 'boolean'];
+const RESERVED_CLI_FLAGS = { help: 'h', yes: 'y', output: null, color: null, version: 'V', completion: null };
+
+const VALID_COMPUTED_EQUALITY = ['shallow', 'deep'];
+
+// Mutation ops whose value (and match) is evaluated per array item with item and index params
+const ITEM_MUTATION_OPS = ['map', 'filter', 'removeWhere', 'updateWhere'];
+
+// Fields each mutation op needs besides target
+const REQUIRED_MUTATION_FIELDS = {
+  removeAt: ['value'],
+  removeWhere: ['value'],
+  insertAt: ['index', 'value'],
+  move: ['from', 'to'],
+  updateWhere: ['match', 'value'],
+  upsert: ['value']
+};
 
 // Security: Size limits to prevent DoS attacks
 const LIMITS = {
@@ -40,7 +88,16 @@ class ValidationError {
 }
 
 class Validator {
-  constructor() {
+  /**
+   * @param {Object} options - { plugins: plugin definitions or a PluginRegistry (runtime.plugins) }
+   */
+  constructor(options = {}) {
+    this.plugins = options.plugins instanceof PluginRegistry
+      ? options.plugins
+      : (options.plugins || []).reduce((registry, plugin) => {
+          registry.register(plugin);
+          return registry;
+        }, new PluginRegistry());
     this.errors = [];
     this.definedStates = new Set();
     this.definedComputed = new Set();
@@ -66,9 +123,19 @@ class Validator {
     // Phase 3: Reference validation
     this.validateReferences(program);
 
+    // Phase 4: Plugin rules
+    this.validatePluginRules(program);
+
+    // Errors in imported definitions report the file they came from
+    const sources = program.$sources;
     return {
       valid: this.errors.length === 0,
-      errors: this.errors.map(e => e.toJSON())
+      errors: this.errors.map(e => {
+        const json = e.toJSON();
+        const source = sources && sourceOfPath(sources, e.path);
+        if (source) json.location.source = source;
+        return json;
+      })
     };
   }
 
@@ -178,7 +245,7 @@ class Validator {
 
     // Validate state definitions
     if (program.state) {
-      this.validateStateDefinitions(program.state, `${path}.state`);
+      this.validateStateDefinitions(program.state, `${path}.state`, program.target);
     }
 
     // Validate computed definitions
@@ -196,6 +263,16 @@ class Validator {
       this.validateEffectDefinitions(program.effects, `${path}.effects`);
     }
 
+    // Validate imports (resolved by load() or resolveImports())
+    if (program.imports !== undefined) {
+      this.validateImports(program.imports, `${path}.imports`);
+    }
+
+    // Validate dispatch middleware
+    if (program.middleware !== undefined) {
+      this.validateMiddleware(program.middleware, `${path}.middleware`);
+    }
+
     // Validate components
     if (program.components) {
       this.validateComponentDefinitions(program.components, `${path}.components`);
@@ -211,6 +288,21 @@ class Validator {
       this.validateRoutes(program.routes, `${path}.routes`);
     }
 
+    // Validate WebSocket endpoints (for server)
+    if (program.target === 'server' && program.sockets !== undefined) {
+      this.validateSockets(program.sockets, `${path}.sockets`, program.state || {});
+    }
+
+    // Request values shadow state and computed values of the same name in server handlers
+    if (program.target === 'server') {
+      this.validateRequestNames(program, path);
+    }
+
+    // Validate HTTP lifecycle config (for server)
+    if (program.target === 'server' && program.server !== undefined) {
+      this.validateServerConfig(program.server, `${path}.server`);
+    }
+
     // Validate commands (for CLI)
     if (program.target === 'cli' && program.commands) {
       this.validateCommands(program.commands, `${path}.commands`);
@@ -253,7 +345,7 @@ class Validator {
     }
   }
 
-  validateStateDefinitions(states, path) {
+  validateStateDefinitions(states, path, target) {
     for (const [name, def] of Object.entries(states)) {
       const statePath = `${path}.${name}`;
 
@@ -281,6 +373,90 @@ class Validator {
           [{ action: 'add_field', field: 'initial' }]
         ));
       }
+
+      if (def.persist !== undefined) {
+        this.validatePersist(def.persist, `${statePath}.persist`, target);
+      }
+    }
+  }
+
+  validatePersist(persist, path, target) {
+    if (!persist || typeof persist !== 'object' || Array.isArray(persist)) {
+      this.errors.push(new ValidationError(
+        'INVALID_PERSIST',
+        'persist must be an object',
+        path,
+        [{ action: 'use_object', example: { storage: 'local', key: 'my_key', version: 1 } }]
+      ));
+      return;
+    }
+
+    if (persist.storage !== undefined && !VALID_PERSIST_STORAGES.includes(persist.storage)) {
+      this.errors.push(new ValidationError(
+        'INVALID_PERSIST_STORAGE',
+        `Invalid persist storage: ${persist.storage}`,
+        `${path}.storage`,
+        [{ action: 'use_valid_storage', options: VALID_PERSIST_STORAGES }]
+      ));
+    } else if (SERVER_PERSIST_STORAGES.includes(persist.storage) && target !== 'server') {
+      this.errors.push(new ValidationError(
+        'INVALID_PERSIST_STORAGE',
+        `persist storage '${persist.storage}' is only available to server programs`,
+        `${path}.storage`,
+        [{ action: 'use_valid_storage', options: ['local', 'session'] }]
+      ));
+    }
+
+    if (persist.path !== undefined && (typeof persist.path !== 'string' || persist.path === '')) {
+      this.errors.push(new ValidationError(
+        'INVALID_PERSIST_PATH',
+        'persist path must be a non-empty string',
+        `${path}.path`
+      ));
+    }
+
+    if (persist.compact !== undefined && (!Number.isInteger(persist.compact) || persist.compact < 1)) {
+      this.errors.push(new ValidationError(
+        'INVALID_PERSIST_COMPACT',
+        'persist compact must be a positive integer',
+        `${path}.compact`
+      ));
+    }
+
+    if (persist.table !== undefined && (typeof persist.table !== 'string' || !/^[a-zA-Z_][a-zA-Z0-9_]*$/.test(persist.table))) {
+      this.errors.push(new ValidationError(
+        'INVALID_PERSIST_TABLE',
+        'persist table must be an identifier',
+        `${path}.table`
+      ));
+    }
+
+    if (persist.key !== undefined && (typeof persist.key !== 'string' || persist.key === '')) {
+      this.errors.push(new ValidationError(
+        'INVALID_PERSIST_KEY',
+        'persist key must be a non-empty string',
+        `${path}.key`
+      ));
+    }
+
+    if (persist.version !== undefined && (!Number.isInteger(persist.version) || persist.version < 1)) {
+      this.errors.push(new ValidationError(
+        'INVALID_PERSIST_VERSION',
+        'persist version must be a positive integer',
+        `${path}.version`
+      ));
+    }
+
+    if (persist.debounce !== undefined && (typeof persist.debounce !== 'number' || persist.debounce < 0)) {
+      this.errors.push(new ValidationError(
+        'INVALID_PERSIST_DEBOUNCE',
+        'persist debounce must be a non-negative number',
+        `${path}.debounce`
+      ));
+    }
+
+    if (persist.migrate !== undefined) {
+      this.validateExpression(persist.migrate, `${path}.migrate`, ['value', 'version']);
     }
   }
 
@@ -307,6 +483,15 @@ class Validator {
       } else {
         this.validateExpression(def.fn, `${computedPath}.fn`);
       }
+
+      if (def.equality !== undefined && !VALID_COMPUTED_EQUALITY.includes(def.equality)) {
+        this.errors.push(new ValidationError(
+          'INVALID_COMPUTED_EQUALITY',
+          `Computed '${name}' has invalid equality: ${def.equality}`,
+          `${computedPath}.equality`,
+          [{ action: 'use_valid_equality', options: VALID_COMPUTED_EQUALITY }]
+        ));
+      }
     }
   }
 
@@ -314,6 +499,12 @@ class Validator {
     for (const [name, def] of Object.entries(actions)) {
       const actionPath = `${path}.${name}`;
 
+      // Async actions may consist of steps only
+      if (def.steps !== undefined && def.mutations === undefined) {
+        this.validateActionSteps(def, actionPath);
+        continue;
+      }
+
       if (!def.mutations || !Array.isArray(def.mutations) || def.mutations.length === 0) {
         this.errors.push(new ValidationError(
           'MISSING_ACTION_MUTATIONS',
@@ -326,9 +517,71 @@ class Validator {
           this.validateMutation(mutation, `${actionPath}.mutations[${i}]`, def.params || []);
         });
       }
+
+      if (def.steps !== undefined) {
+        this.validateActionSteps(def, actionPath);
+      }
     }
   }
 
+  validateActionSteps(def, path) {
+    if (def.mode !== undefined && !VALID_ACTION_MODES.includes(def.mode)) {
+      this.errors.push(new ValidationError(
+        'INVALID_ACTION_MODE',
+        `Invalid action mode: ${def.mode}`,
+        `${path}.mode`,
+        [{ action: 'use_valid_mode', options: VALID_ACTION_MODES }]
+      ));
+    }
+
+    if (!Array.isArray(def.steps) || def.steps.length === 0) {
+      this.errors.push(new ValidationError(
+        'INVALID_ACTION_STEPS',
+        'Action steps must be a non-empty array',
+        `${path}.steps`
+      ));
+      return;
+    }
+
+    // Results bound with "as" are available as params to later steps
+    const params = [...(def.params || [])];
+
+    def.steps.forEach((step, i) => {
+      const stepPath = `${path}.steps[${i}]`;
+      const hasAwait = step && typeof step === 'object' && 'await' in step;
+      const hasMutations = step && typeof step === 'object' && 'mutations' in step;
+
+      if (hasAwait === hasMutations) {
+        this.errors.push(new ValidationError(
+          'INVALID_ACTION_STEP',
+          'Action step must have exactly one of await or mutations',
+          stepPath,
+          [{ action: 'add_step_type', options: ['await', 'mutations'] }]
+        ));
+        return;
+      }
+
+      if (hasAwait) {
+        this.validateExpression(step.await, `${stepPath}.await`, params);
+        if (step.as) params.push(step.as);
+        return;
+      }
+
+      if (!Array.isArray(step.mutations) || step.mutations.length === 0) {
+        this.errors.push(new ValidationError(
+          'MISSING_ACTION_MUTATIONS',
+          'Action step mutations must be a non-empty array',
+          `${stepPath}.mutations`
+        ));
+        return;
+      }
+
+      step.mutations.forEach((mutation, j) => {
+        this.validateMutation(mutation, `${stepPath}.mutations[${j}]`, params);
+      });
+    });
+  }
+
   validateMutation(mutation, path, params) {
     if (!mutation.target) {
       this.errors.push(new ValidationError(
@@ -346,18 +599,198 @@ class Validator {
         path,
         [{ action: 'add_field', field: 'op', options: VALID_MUTATION_OPS }]
       ));
-    } else if (!VALID_MUTATION_OPS.includes(mutation.op)) {
+    } else if (!VALID_MUTATION_OPS.includes(mutation.op) && !this.plugins.mutations.has(mutation.op)) {
       this.errors.push(new ValidationError(
         'INVALID_MUTATION_OP',
         `Invalid mutation op: ${mutation.op}`,
         `${path}.op`,
-        [{ action: 'use_valid_op', options: VALID_MUTATION_OPS }]
+        [{ action: 'use_valid_op', options: [...VALID_MUTATION_OPS, ...this.plugins.mutations.keys()] }]
       ));
     }
 
+    const itemParams = ITEM_MUTATION_OPS.includes(mutation.op) ? [...params, 'item', 'index'] : params;
+
     if (mutation.value !== undefined) {
-      this.validateExpression(mutation.value, `${path}.value`, params);
+      this.validateExpression(mutation.value, `${path}.value`, itemParams);
+    }
+
+    if (mutation.match !== undefined) {
+      this.validateExpression(mutation.match, `${path}.match`, itemParams);
+    }
+
+    for (const field of ['index', 'from', 'to', 'key']) {
+      if (mutation[field] !== undefined) {
+        this.validateExpression(mutation[field], `${path}.${field}`, params);
+      }
+    }
+
+    for (const field of REQUIRED_MUTATION_FIELDS[mutation.op] || []) {
+      if (mutation[field] === undefined) {
+        this.errors.push(new ValidationError(
+          'MISSING_MUTATION_FIELD',
+          `Mutation ${mutation.op} requires ${field}`,
+          path,
+          [{ action: 'add_field', field }]
+        ));
+      }
+    }
+
+    if (mutation.path !== undefined) {
+      if (typeof mutation.path !== 'string' && !Array.isArray(mutation.path)) {
+        this.errors.push(new ValidationError(
+          'INVALID_MUTATION_PATH',
+          'Mutation path must be a string or an array',
+          `${path}.path`,
+          [{ action: 'fix_format', expected: 'address.city | items[0].done | ["items", { "where": {...} }, "done"]' }]
+        ));
+      } else if (Array.isArray(mutation.path)) {
+        this.validateExpression(mutation.path, `${path}.path`, params);
+      }
+    }
+
+    if (mutation.where !== undefined) {
+      if (!mutation.where || typeof mutation.where !== 'object' || Array.isArray(mutation.where)) {
+        this.errors.push(new ValidationError(
+          'INVALID_MUTATION_WHERE',
+          'Mutation where must be an object of field values to match',
+          `${path}.where`
+        ));
+      } else {
+        this.validateExpression(mutation.where, `${path}.where`, params);
+      }
+    }
+
+    if (mutation.op === 'remove' && mutation.path === undefined && mutation.where === undefined) {
+      this.errors.push(new ValidationError(
+        'MISSING_MUTATION_PATH',
+        'Mutation remove requires a path or where',
+        path,
+        [{ action: 'add_field', field: 'path' }]
+      ));
+    }
+  }
+
+  validateMiddleware(middleware, path) {
+    if (!middleware || typeof middleware !== 'object' || Array.isArray(middleware)) {
+      this.errors.push(new ValidationError(
+        'INVALID_MIDDLEWARE',
+        'middleware must be an object',
+        path,
+        [{ action: 'fix_format', expected: '{ "beforeDispatch": [expr], "afterDispatch": [expr] }' }]
+      ));
+      return;
+    }
+
+    for (const [phase, expressions] of Object.entries(middleware)) {
+      if (phase === 'http') {
+        this.validateHttpMiddleware(expressions, `${path}.http`);
+        continue;
+      }
+      if (!MIDDLEWARE_PARAMS[phase]) {
+        this.errors.push(new ValidationError(
+          'INVALID_MIDDLEWARE',
+          `Unknown middleware phase: ${phase}`,
+          `${path}.${phase}`,
+          [{ action: 'use_one_of', options: [...Object.keys(MIDDLEWARE_PARAMS), 'http'] }]
+        ));
+        continue;
+      }
+      if (!Array.isArray(expressions)) {
+        this.errors.push(new ValidationError(
+          'INVALID_MIDDLEWARE',
+          `middleware.${phase} must be an array of expressions`,
+          `${path}.${phase}`,
+          [{ action: 'fix_format', expected: '[expr]' }]
+        ));
+        continue;
+      }
+      expressions.forEach((expr, i) => {
+        this.validateExpression(expr, `${path}.${phase}[${i}]`, MIDDLEWARE_PARAMS[phase]);
+      });
+    }
+  }
+
+  /**
+   * Server request middleware: [{ use: "cors" | "auth" | ..., ...options }]
+   */
+  validateHttpMiddleware(middleware, path, allowed = HTTP_MIDDLEWARE) {
+    if (!Array.isArray(middleware)) {
+      this.errors.push(new ValidationError(
+        'INVALID_MIDDLEWARE',
+        'Server middleware must be an array',
+        path,
+        [{ action: 'fix_format', expected: '[{ "use": "cors" }]' }]
+      ));
+      return;
+    }
+
+    middleware.forEach((def, i) => {
+      const itemPath = `${path}[${i}]`;
+      if (!def || !allowed.includes(def.use)) {
+        this.errors.push(new ValidationError(
+          'UNKNOWN_MIDDLEWARE',
+          `Unknown server middleware: ${def?.use}`,
+          `${itemPath}.use`,
+          [{ action: 'use_one_of', options: allowed }]
+        ));
+        return;
+      }
+      if (def.use === 'auth' && def.scheme !== undefined && !['bearer', 'apiKey'].includes(def.scheme)) {
+        this.errors.push(new ValidationError(
+          'INVALID_MIDDLEWARE',
+          `Unknown auth scheme: ${def.scheme}`,
+          `${itemPath}.scheme`,
+          [{ action: 'use_one_of', options: ['bearer', 'apiKey'] }]
+        ));
+      }
+      if (def.use === 'auth' && def.tokens === undefined && def.keys === undefined && def.verify === undefined) {
+        this.errors.push(new ValidationError(
+          'INVALID_MIDDLEWARE',
+          'auth middleware requires tokens, keys or verify',
+          itemPath,
+          [{ action: 'add_field', field: 'tokens' }]
+        ));
+      }
+      if (def.use === 'guard' && def.check === undefined) {
+        this.errors.push(new ValidationError(
+          'INVALID_MIDDLEWARE',
+          'guard middleware requires a check expression',
+          itemPath,
+          [{ action: 'add_field', field: 'check' }]
+        ));
+      }
+    });
+  }
+
+  validateImports(imports, path) {
+    if (!Array.isArray(imports)) {
+      this.errors.push(new ValidationError(
+        'INVALID_IMPORTS',
+        'imports must be an array',
+        path,
+        [{ action: 'fix_format', expected: '[{ "src": "./module.json", "as": "name" }]' }]
+      ));
+      return;
     }
+
+    imports.forEach((entry, i) => {
+      if (!entry || typeof entry.src !== 'string' || entry.src === '') {
+        this.errors.push(new ValidationError(
+          'INVALID_IMPORT',
+          'Import must have a src path',
+          `${path}[${i}]`,
+          [{ action: 'add_field', field: 'src' }]
+        ));
+      }
+      if (entry?.as !== undefined && !/^[a-zA-Z_][a-zA-Z0-9_]*$/.test(entry.as)) {
+        this.errors.push(new ValidationError(
+          'INVALID_IMPORT',
+          `Invalid import namespace: ${entry.as}`,
+          `${path}[${i}].as`,
+          [{ action: 'fix_format', expected: 'alphanumeric with underscores, starting with letter' }]
+        ));
+      }
+    });
   }
 
   validateEffectDefinitions(effects, path) {
@@ -445,6 +878,17 @@ class Validator {
     }
 
     if ('op' in expr) {
+      // Namespaced ops must be built in (storage.get, file.read, ...) or come from a registered plugin
+      if (isNamespaced(expr.op) && !Object.hasOwn(Operations, expr.op) &&
+          !Object.hasOwn(AsyncOperations, expr.op) && !this.plugins.hasOperation(expr.op)) {
+        this.errors.push(new ValidationError(
+          'UNKNOWN_OPERATION',
+          `Unknown operation: ${expr.op}`,
+          `${path}.op`,
+          [{ action: 'register_plugin', name: expr.op.slice(0, expr.op.indexOf('.')) }]
+        ));
+      }
+
       // Operation - validate args
       if (expr.args) {
         expr.args.forEach((arg, i) => this.validateExpression(arg, `${path}.args[${i}]`, params));
@@ -591,6 +1035,15 @@ class Validator {
 
     // Element node
     if ('type' in node) {
+      if (isNamespaced(node.type) && !this.plugins.nodeTypes.has(node.type)) {
+        this.errors.push(new ValidationError(
+          'UNKNOWN_NODE_TYPE',
+          `Unknown node type: ${node.type}`,
+          `${path}.type`,
+          [{ action: 'register_plugin', name: node.type.slice(0, node.type.indexOf('.')) }]
+        ));
+      }
+
       if (node.props) {
         for (const [key, value] of Object.entries(node.props)) {
           this.validateExpression(value, `${path}.props.${key}`);
@@ -623,29 +1076,240 @@ class Validator {
     ));
   }
 
-  validateRoutes(routes, path) {
+  validateRoutes(routes, path, prefix = '') {
     routes.forEach((route, i) => {
       const routePath = `${path}[${i}]`;
 
+      if (route.middleware !== undefined) {
+        this.validateHttpMiddleware(route.middleware, `${routePath}.middleware`);
+      }
+
+      // Route group: { prefix, middleware, routes }
+      if (route.routes !== undefined) {
+        if (!Array.isArray(route.routes)) {
+          this.errors.push(new ValidationError('INVALID_ROUTE_GROUP', 'Route group routes must be an array', `${routePath}.routes`));
+          return;
+        }
+        if (route.prefix !== undefined && typeof route.prefix !== 'string') {
+          this.errors.push(new ValidationError('INVALID_ROUTE_PREFIX', 'Route group prefix must be a string', `${routePath}.prefix`));
+          return;
+        }
+        this.validateRoutes(route.routes, `${routePath}.routes`, `${prefix}/${route.prefix || ''}`);
+        return;
+      }
+
       if (!route.method) {
         this.errors.push(new ValidationError(
           'MISSING_ROUTE_METHOD',
           'Route is missing method',
           routePath
         ));
+      } else if (!VALID_ROUTE_METHODS.includes(route.method)) {
+        this.errors.push(new ValidationError(
+          'INVALID_ROUTE_METHOD',
+          `Invalid route method: ${route.method}`,
+          `${routePath}.method`,
+          [{ action: 'use_valid_method', options: VALID_ROUTE_METHODS }]
+        ));
       }
 
+      if (route.timeout !== undefined) {
+        this.validateServerTimeout(route.timeout, `${routePath}.timeout`);
+      }
+
+      this.validateSchemaSteps(route.handler, `${routePath}.handler`);
+
       if (!route.path) {
         this.errors.push(new ValidationError(
           'MISSING_ROUTE_PATH',
           'Route is missing path',
           routePath
         ));
+      } else {
+        this.validateRoutePath(route, routePath, prefix);
       }
     });
   }
 
+  /**
+   * Rules in the literal schemas of `validate` handler steps (nested steps included) must exist
+   */
+  validateSchemaSteps(steps, path) {
+    if (Array.isArray(steps)) {
+      steps.forEach((step, i) => this.validateSchemaSteps(step, `${path}[${i}]`));
+      return;
+    }
+    if (!steps || typeof steps !== 'object') return;
+
+    const schema = steps.op === 'validate' && Array.isArray(steps.args) ? steps.args[1] : undefined;
+    // Schemas kept in state or built by an expression are only known at request time
+    if (schema && typeof schema === 'object' && typeof schema.ref !== 'string' && typeof schema.op !== 'string') {
+      for (const { path: rulePath, name } of unknownSchemaRules(schema, `${path}.args[1]`)) {
+        this.errors.push(new ValidationError(
+          'UNKNOWN_VALIDATION_RULE',
+          `Unknown validation rule: ${name}`,
+          rulePath,
+          [{ action: 'use_one_of', options: Object.keys(Validators) }]
+        ));
+      }
+      return;
+    }
+    for (const [key, value] of Object.entries(steps)) {
+      this.validateSchemaSteps(value, `${path}.${key}`);
+    }
+  }
+
+  validateSockets(sockets, path, states) {
+    if (!Array.isArray(sockets)) {
+      this.errors.push(new ValidationError(
+        'INVALID_SOCKETS',
+        'sockets must be an array',
+        path,
+        [{ action: 'fix_format', expected: '[{ "path": "/ws", "onMessage": [...] }]' }]
+      ));
+      return;
+    }
+
+    sockets.forEach((socket, i) => {
+      const socketPath = `${path}[${i}]`;
+
+      if (!socket?.path) {
+        this.errors.push(new ValidationError(
+          'MISSING_SOCKET_PATH',
+          'Socket is missing path',
+          socketPath,
+          [{ action: 'add_field', field: 'path', value: '/ws' }]
+        ));
+      } else {
+        this.validateRoutePath(socket, socketPath, '');
+      }
+
+      if (socket?.middleware !== undefined) {
+        this.validateHttpMiddleware(socket.middleware, `${socketPath}.middleware`, SOCKET_MIDDLEWARE);
+      }
+
+      for (const handler of SOCKET_HANDLERS) {
+        if (socket?.[handler] !== undefined && !Array.isArray(socket[handler])) {
+          this.errors.push(new ValidationError(
+            'INVALID_SOCKET_HANDLER',
+            `Socket ${handler} must be an array of steps`,
+            `${socketPath}.${handler}`
+          ));
+        }
+        this.validateSchemaSteps(socket?.[handler], `${socketPath}.${handler}`);
+      }
+
+      (socket?.subscribe || []).forEach((ref, j) => {
+        if (typeof ref !== 'string' || !Object.hasOwn(states, ref.split('.')[0])) {
+          this.errors.push(new ValidationError(
+            'INVALID_SOCKET_SUBSCRIPTION',
+            `Socket can only subscribe to defined state: ${ref}`,
+            `${socketPath}.subscribe[${j}]`,
+            [{ action: 'use_one_of', options: Object.keys(states) }]
+          ));
+        }
+      });
+    });
+  }
+
+  validateRequestNames(program, path) {
+    const reserved = program.sockets !== undefined ? [...REQUEST_REFS, ...SOCKET_REFS] : REQUEST_REFS;
+    for (const section of ['state', 'computed']) {
+      for (const name of Object.keys(program[section] || {})) {
+        if (!reserved.includes(name)) continue;
+        this.errors.push(new ValidationError(
+          'SHADOWED_BY_REQUEST',
+          `${section === 'state' ? 'State' : 'Computed value'} '${name}' is hidden in server handlers by the request value of the same name`,
+          `${path}.${section}.${name}`,
+          [{ action: 'rename', reserved }]
+        ));
+      }
+    }
+  }
+
+  validateServerConfig(config, path) {
+    if (!config || typeof config !== 'object' || Array.isArray(config)) {
+      this.errors.push(new ValidationError('INVALID_SERVER_CONFIG', 'server must be an object', path));
+      return;
+    }
+
+    if (config.timeout !== undefined) {
+      this.validateServerTimeout(config.timeout, `${path}.timeout`);
+    }
+
+    const health = config.health;
+    if (health !== undefined && health !== false) {
+      const paths = health && typeof health === 'object' ? [health.live, health.ready] : [null];
+      if (paths.some(p => p !== undefined && (typeof p !== 'string' || !p.startsWith('/')))) {
+        this.errors.push(new ValidationError(
+          'INVALID_HEALTH_CONFIG',
+          'health must be false or { live, ready, check } with paths starting with /',
+          `${path}.health`,
+          [{ action: 'fix_format', expected: '{ "live": "/healthz", "ready": "/readyz" }' }]
+        ));
+      } else if (health.check !== undefined) {
+        this.validateExpression(health.check, `${path}.health.check`);
+      }
+    }
+
+    for (const [code, mapping] of Object.entries(config.errors || {})) {
+      const status = mapping?.status;
+      if (!mapping || typeof mapping !== 'object' ||
+          (status !== undefined && !(Number.isInteger(status) && status >= 400 && status <= 599))) {
+        this.errors.push(new ValidationError(
+          'INVALID_ERROR_MAPPING',
+          `Error mapping for ${code} must be { status, code, message } with a 4xx or 5xx status`,
+          `${path}.errors.${code}`
+        ));
+      }
+    }
+  }
+
+  validateServerTimeout(timeout, path) {
+    if (typeof timeout !== 'number' || !Number.isFinite(timeout) || timeout < 0) {
+      this.errors.push(new ValidationError(
+        'INVALID_SERVER_TIMEOUT',
+        'Timeout must be a non-negative number of milliseconds (0 disables)',
+        path
+      ));
+    }
+  }
+
+  validateRoutePath(route, routePath, prefix) {
+    const types = route.params && !Array.isArray(route.params) ? route.params : {};
+    let pattern;
+    try {
+      pattern = parseRoutePattern(`${prefix}/${route.path}`, types);
+    } catch (e) {
+      const typed = e.code === 'INVALID_PARAM_TYPE';
+      this.errors.push(new ValidationError(
+        typed ? 'INVALID_ROUTE_PARAM_TYPE' : 'INVALID_ROUTE_PATH',
+        e.message,
+        typed ? `${routePath}.params` : `${routePath}.path`,
+        typed ? [{ action: 'use_valid_type', options: ['string', 'number', 'integer', 'boolean'] }] : []
+      ));
+      return;
+    }
+
+    for (const name of Object.keys(types)) {
+      if (!pattern.params.includes(name)) {
+        this.errors.push(new ValidationError(
+          'UNKNOWN_ROUTE_PARAM',
+          `Route path has no parameter '${name}'`,
+          `${routePath}.params.${name}`,
+          [{ action: 'use_path_param', options: pattern.params }]
+        ));
+      }
+    }
+  }
+
   validateCommands(commands, path) {
+    if (!Array.isArray(commands)) {
+      this.errors.push(new ValidationError('INVALID_COMMANDS', 'commands must be an array', path));
+      return;
+    }
+
+    const names = new Set();
     commands.forEach((cmd, i) => {
       const cmdPath = `${path}[${i}]`;
 
@@ -657,16 +1321,98 @@ class Validator {
         ));
       }
 
-      if (!cmd.handler) {
+      for (const name of [cmd.name, ...(cmd.aliases || [])].filter(Boolean)) {
+        if (names.has(name)) {
+          this.errors.push(new ValidationError('DUPLICATE_COMMAND', `Duplicate command name or alias: ${name}`, cmdPath));
+        }
+        names.add(name);
+      }
+
+      // Command groups need no handler of their own
+      if (!cmd.handler && !cmd.commands) {
         this.errors.push(new ValidationError(
           'MISSING_COMMAND_HANDLER',
           'Command is missing handler',
-          cmdPath
+          cmdPath,
+          [{ action: 'add_field', field: 'handler' }, { action: 'add_field', field: 'commands' }]
+        ));
+      }
+
+      this.validateCommandArgs(cmd.args || [], `${cmdPath}.args`);
+      this.validateCommandFlags(cmd.flags || [], `${cmdPath}.flags`);
+
+      if (cmd.commands !== undefined) {
+        this.validateCommands(cmd.commands, `${cmdPath}.commands`);
+      }
+    });
+  }
+
+  validateCommandArgs(args, path) {
+    let optional = false;
+    args.forEach((arg, i) => {
+      const argPath = `${path}[${i}]`;
+      this.validateCommandOption(arg, argPath, 'INVALID_COMMAND_ARG');
+
+      if (arg.variadic && i !== args.length - 1) {
+        this.errors.push(new ValidationError('INVALID_COMMAND_ARG', 'Only the last argument can be variadic', argPath));
+      }
+      if (arg.required && optional) {
+        this.errors.push(new ValidationError('INVALID_COMMAND_ARG', 'Required arguments must come before optional ones', argPath));
+      }
+      if (!arg.required) optional = true;
+    });
+  }
+
+  validateCommandFlags(flags, path) {
+    const seen = new Set();
+    flags.forEach((flag, i) => {
+      const flagPath = `${path}[${i}]`;
+      this.validateCommandOption(flag, flagPath, 'INVALID_COMMAND_FLAG');
+
+      for (const key of [flag.name && `--${flag.name}`, flag.short && `-${flag.short}`].filter(Boolean)) {
+        if (seen.has(key)) {
+          this.errors.push(new ValidationError('DUPLICATE_COMMAND_FLAG', `Duplicate flag: ${key}`, flagPath));
+        }
+        seen.add(key);
+      }
+      if (Object.hasOwn(RESERVED_CLI_FLAGS, flag.name) ||
+          (flag.short && Object.values(RESERVED_CLI_FLAGS).includes(flag.short))) {
+        this.errors.push(new ValidationError(
+          'RESERVED_COMMAND_FLAG',
+          `Flag ${flag.name} is built in (--help/-h, --yes/-y, --output, --color, --version/-V, --completion)`,
+          flagPath
         ));
       }
+      if (flag.short !== undefined && !/^[a-zA-Z0-9]$/.test(flag.short)) {
+        this.errors.push(new ValidationError('INVALID_COMMAND_FLAG', 'Flag short must be a single letter or digit', `${flagPath}.short`));
+      }
     });
   }
 
+  /**
+   * Checks shared by command args and flags
+   */
+  validateCommandOption(option, path, code) {
+    if (!option?.name || !/^[a-zA-Z_][a-zA-Z0-9_]*$/.test(option.name)) {
+      this.errors.push(new ValidationError(code, 'Name must be an identifier', `${path}.name`));
+    }
+    if (option?.type !== undefined && !VALID_CLI_TYPES.includes(option.type)) {
+      this.errors.push(new ValidationError(
+        code,
+        `Invalid type: ${option.type}`,
+        `${path}.type`,
+        [{ action: 'use_valid_type', options: VALID_CLI_TYPES }]
+      ));
+    }
+    if (option?.choices !== undefined) {
+      if (!Array.isArray(option.choices) || option.choices.length === 0) {
+        this.errors.push(new ValidationError(code, 'choices must be a non-empty array', `${path}.choices`));
+      } else if (option.default !== undefined && !option.choices.includes(option.default)) {
+        this.errors.push(new ValidationError(code, `Default ${JSON.stringify(option.default)} is not one of the choices`, `${path}.default`));
+      }
+    }
+  }
+
   validateTests(tests, path) {
     if (!Array.isArray(tests)) {
       this.errors.push(new ValidationError(
@@ -859,6 +1605,10 @@ class Validator {
     }
     if (program.actions) {
       Object.keys(program.actions).forEach(name => this.definedActions.add(name));
+      // Async actions expose their lifecycle status as the $actions state
+      if (Object.values(program.actions).some(def => def.steps)) {
+        this.definedStates.add('$actions');
+      }
     }
     if (program.components) {
       Object.keys(program.components).forEach(name => this.definedComponents.add(name));
@@ -906,14 +1656,12 @@ class Validator {
     if (program.actions) {
       for (const [name, def] of Object.entries(program.actions)) {
         if (def.mutations) {
-          def.mutations.forEach((mutation, i) => {
-            if (mutation.target && !this.definedStates.has(mutation.target)) {
-              this.errors.push(new ValidationError(
-                'UNDEFINED_MUTATION_TARGET',
-                `Action '${name}' mutates undefined state '${mutation.target}'`,
-                `$.actions.${name}.mutations[${i}].target`,
-                [{ action: 'define_state', name: mutation.target }]
-              ));
+          this.validateMutationTargets(name, def.mutations, `$.actions.${name}.mutations`);
+        }
+        if (Array.isArray(def.steps)) {
+          def.steps.forEach((step, i) => {
+            if (Array.isArray(step?.mutations)) {
+              this.validateMutationTargets(name, step.mutations, `$.actions.${name}.steps[${i}].mutations`);
             }
           });
         }
@@ -972,7 +1720,7 @@ class Validator {
             if ('assert' in step && step.assert) {
               if ('ref' in step.assert) {
                 const refName = step.assert.ref.split('.')[0];
-                if (!this.definedStates.has(refName) && !this.definedComputed.has(refName)) {
+                if (!this.isDefinedRef(step.assert.ref)) {
                   this.errors.push(new ValidationError(
                     'UNDEFINED_ASSERTION_REF',
                     `Test assertion references undefined: ${step.assert.ref}`,
@@ -999,24 +1747,54 @@ class Validator {
       });
     }
 
-    // Validate refs in expressions (recursive)
-    this.validateRefsInObject(program, '$');
+    // Validate refs in expressions (recursive); server handlers also see request values and step results
+    if (program.target !== 'server') {
+      this.validateRefsInObject(program, '$');
+      return;
+    }
+    const { routes, sockets, middleware, ...rest } = program;
+    this.validateRefsInObject(rest, '$');
+    const { http, ...dispatch } = middleware || {};
+    this.validateRefsInObject(dispatch, '$.middleware');
+    this.validateRefsInObject(http, '$.middleware.http', new Set(REQUEST_REFS));
+    (Array.isArray(routes) ? routes : []).forEach((route, i) => {
+      this.validateRefsInObject(route, `$.routes[${i}]`, boundNames(route, new Set(REQUEST_REFS)));
+    });
+    (Array.isArray(sockets) ? sockets : []).forEach((socket, i) => {
+      this.validateRefsInObject(socket, `$.sockets[${i}]`, boundNames(socket, new Set([...REQUEST_REFS, ...SOCKET_REFS])));
+    });
+  }
+
+  validateMutationTargets(actionName, mutations, path) {
+    mutations.forEach((mutation, i) => {
+      if (mutation.target && !this.definedStates.has(mutation.target)) {
+        this.errors.push(new ValidationError(
+          'UNDEFINED_MUTATION_TARGET',
+          `Action '${actionName}' mutates undefined state '${mutation.target}'`,
+          `${path}[${i}].target`,
+          [{ action: 'define_state', name: mutation.target }]
+        ));
+      }
+    });
   }
 
-  validateRefsInObject(obj, path) {
+  /**
+   * @param {Set<string>} [scope] - Names a handler can refer to besides state and computed values
+   */
+  validateRefsInObject(obj, path, scope = null) {
     if (!obj || typeof obj !== 'object') return;
 
     if (Array.isArray(obj)) {
-      obj.forEach((item, i) => this.validateRefsInObject(item, `${path}[${i}]`));
+      obj.forEach((item, i) => this.validateRefsInObject(item, `${path}[${i}]`, scope));
       return;
     }
 
     if ('ref' in obj) {
       const refName = obj.ref.split('.')[0]; // Handle nested refs like "todo.text"
-      if (!this.definedStates.has(refName) && !this.definedComputed.has(refName)) {
+      if (!this.isDefinedRef(obj.ref)) {
         // Check if it's a loop variable (handled at runtime)
         // Skip validation for common loop variables
-        if (!['item', 'index', 'todo', 'i', 'user', '_'].includes(refName)) {
+        if (!['item', 'index', 'todo', 'i', 'user', '_'].includes(refName) && !scope?.has(refName)) {
           this.errors.push(new ValidationError(
             'UNDEFINED_REF',
             `Reference to undefined '${obj.ref}'`,
@@ -1077,22 +1855,77 @@ class Validator {
     }
 
     for (const [key, value] of Object.entries(obj)) {
-      this.validateRefsInObject(value, `${path}.${key}`);
+      this.validateRefsInObject(value, `${path}.${key}`, scope);
     }
   }
 
+  /**
+   * Run validator rules contributed by plugins.
+   * A rule returns an array of { code, message, path, suggestions }.
+   */
+  validatePluginRules(program) {
+    for (const { plugin, rule } of this.plugins.rules) {
+      let issues;
+      try {
+        issues = rule(program) || [];
+      } catch (e) {
+        this.errors.push(new ValidationError(
+          'PLUGIN_RULE_FAILED',
+          `Validator rule of plugin '${plugin}' threw: ${e.message || e}`,
+          '$'
+        ));
+        continue;
+      }
+      for (const issue of issues) {
+        this.errors.push(new ValidationError(
+          issue.code || 'PLUGIN_RULE',
+          issue.message || `Rule of plugin '${plugin}' failed`,
+          issue.path || '$',
+          issue.suggestions || []
+        ));
+      }
+    }
+  }
+
+  /**
+   * Whether a possibly dotted reference names a state or computed,
+   * e.g. settings.theme (nested path) or widgets.total (imported name)
+   */
+  isDefinedRef(ref) {
+    const segments = ref.split('.');
+    for (let length = segments.length; length > 0; length--) {
+      const name = segments.slice(0, length).join('.');
+      if (this.definedStates.has(name) || this.definedComputed.has(name)) return true;
+    }
+    return false;
+  }
+
   isUnionType(type) {
     return typeof type === 'object' && 'union' in type;
   }
 }
 
+/**
+ * Add the names steps and middleware store results under (`as`) anywhere in `obj` to `names`
+ */
+function boundNames(obj, names) {
+  if (Array.isArray(obj)) {
+    obj.forEach(item => boundNames(item, names));
+  } else if (obj && typeof obj === 'object') {
+    if (typeof obj.as === 'string') names.add(obj.as);
+    Object.values(obj).forEach(value => boundNames(value, names));
+  }
+  return names;
+}
+
 /**
  * Validate an ddjex program
  * @param {Object} program - The program to validate
+ * @param {Object} options - { plugins } so plugin ops, mutations, node types and rules are known
  * @returns {Object} Validation result with errors
  */
-function validate(program) {
-  const validator = new Validator();
+function validate(program, options = {}) {
+  const validator = new Validator(options);
   return validator.validate(program);
 }
 
@@ -219,4 +219,4 @@ function getWebSocketManager() {
   return wsManager;
 }
 
-export { WebSocketManager, getWebSocketManager };
+export { WebSocketManager, getWebSocketManager, MAX_WS_PAYLOAD_SIZE };
@@ -14,10 +14,14 @@
 
 import { Runtime, Target } from './core/runtime.js';
 import { StateManager } from './core/state.js';
+import { PluginRegistry } from './core/plugins.js';
+import { resolveImports } from './core/imports.js';
+import { LazyManager, getLazyManager } from './core/lazy.js';
 import { Operations, AsyncOperations, resolveExpression, isAsyncOperation } from './core/operations.js';
 import { validate, Validator, ValidationError } from './core/validator.js';
 import { DOMTarget } from './targets/dom.js';
 import { ServerTarget } from './targets/server.js';
+import { generateOpenAPI } from './targets/openapi.js';
 import { CLITarget } from './targets/cli.js';
 import { SSRTarget, renderToString, renderToDocument } from './targets/ssr.js';
 import { HMRClient, createHMRRuntime } from './dev/hmr.js';
@@ -28,10 +32,14 @@ import { Validators, validateValue, validateForm, createFormState } from './core
  * Create an ddjex application
  * @param {Object} program - The ddjex program (JSON)
  * @param {Target} target - The target runtime (DOM, Server, CLI)
+ * @param {Object} options - { plugins: plugins registered before initialization }
  * @returns {Runtime} The initialized runtime
  */
-function createApp(program, target) {
+function createApp(program, target, options = {}) {
   const runtime = new Runtime(program, target);
+  for (const plugin of options.plugins || []) {
+    runtime.use(plugin);
+  }
   runtime.initialize();
   return runtime;
 }
@@ -56,13 +64,27 @@ function parse(json) {
 
 /**
  * Load an ddjex program from a file (Node.js only)
+ * Imports are resolved relative to the importing file.
  * @param {string} path - Path to the JSON file
- * @returns {Promise<Object>} Parsed program
+ * @returns {Promise<Object>} Parsed program or error
  */
 async function load(path) {
   const fs = await import('fs/promises');
   const json = await fs.readFile(path, 'utf-8');
-  return parse(json);
+  const program = parse(json);
+  if (program.error || !program.imports) {
+    return program;
+  }
+
+  const nodePath = await import('path');
+  try {
+    return await resolveImports(program, {
+      resolve: (src, from) => nodePath.resolve(from ? nodePath.dirname(from) : process.cwd(), src),
+      read: async (file) => JSON.parse(await fs.readFile(file, 'utf-8'))
+    }, nodePath.resolve(path));
+  } catch (e) {
+    return e.toJSON ? e.toJSON() : { error: true, code: 'IMPORT_FAILED', message: e.message };
+  }
 }
 
 /**
@@ -90,7 +112,7 @@ async function run(program, options = {}) {
       target = new ServerTarget(options);
       break;
     case 'cli':
-      target = new CLITarget(options.args);
+      target = new CLITarget(options.args, options);
       break;
     default:
       throw { error: true, code: 'INVALID_TARGET', message: `Unknown target: ${program.target}` };
@@ -113,6 +135,12 @@ export {
   Runtime,
   Target,
   StateManager,
+  PluginRegistry,
+
+  // Modules
+  resolveImports,
+  LazyManager,
+  getLazyManager,
 
   // Validation
   validate,
@@ -129,6 +157,9 @@ export {
   renderToString,
   renderToDocument,
 
+  // OpenAPI
+  generateOpenAPI,
+
   // Dev/HMR
   HMRClient,
   createHMRRuntime,
@@ -0,0 +1,435 @@
+/**
+ * ddjex CLI Arguments
+ * Command tree, argument parsing, help and shell completions for CLI programs
+ *
+ *   "commands": [{
+ *     "name": "db", "description": "Database tasks",
+ *     "flags": [{ "name": "env", "type": "string", "choices": ["dev", "prod"], "default": "dev" }],
+ *     "commands": [{
+ *       "name": "migrate", "aliases": ["m"], "description": "Run pending migrations",
+ *       "args": [{ "name": "steps", "type": "number", "default": 1 }],
+ *       "flags": [{ "name": "dry_run", "short": "n", "type": "boolean", "description": "Print SQL only" }],
+ *       "examples": ["db migrate 2 --dry-run"],
+ *       "handler": [...]
+ *     }]
+ *   }]
+ *
+ * Flags are written --dry-run or --dry_run, --name=value or --name value, -n, bundled -abc,
+ * --no-<flag> for booleans, repeated for `multiple` flags; `--` ends flag parsing. Flags of a
+ * command are also accepted by its subcommands. The last arg may be `variadic`.
+ * Built in: --help / -h, --yes / -y (answer prompts with their defaults), --output text|json|table
+ * and --color / --no-color (see cli-output.js) on every command, --version / -V and --completion <shell>.
+ */
+
+import { OUTPUT_MODES } from './cli-output.js';
+
+const SHELLS = ['bash', 'zsh', 'fish'];
+
+const HELP_FLAG = { name: 'help', short: 'h', type: 'boolean', description: 'Show help' };
+const VERSION_FLAG = { name: 'version', short: 'V', type: 'boolean', description: 'Show version' };
+const YES_FLAG = { name: 'yes', short: 'y', type: 'boolean', description: 'Answer prompts with their defaults' };
+const OUTPUT_FLAG = { name: 'output', type: 'string', choices: OUTPUT_MODES, description: 'Output format' };
+const COLOR_FLAG = { name: 'color', type: 'boolean', description: 'Colorize output (default: when writing to a terminal)' };
+const COMPLETION_FLAG = { name: 'completion', type: 'string', choices: SHELLS, description: 'Print a shell completion script' };
+
+const BUILTIN_FLAGS = [HELP_FLAG, YES_FLAG, OUTPUT_FLAG, COLOR_FLAG, VERSION_FLAG, COMPLETION_FLAG];
+
+function usageError(code, message, command) {
+  return { error: true, code, message, command: command.path.join(' ') };
+}
+
+function cliName(name) {
+  return name.replace(/_/g, '-');
+}
+
+/**
+ * Build the command tree under a root command
+ * @param {Array} defs - Program commands
+ * @param {Object} root - { name, description, flags } of the program itself
+ * @returns {Object} Root node; nodes are { name, path, description, args, flags, examples, handler, commands, aliases, parent }
+ */
+function buildCommandTree(defs, root = {}) {
+  const build = (def, parent) => {
+    const node = {
+      name: def.name,
+      path: parent ? [...parent.path, def.name] : [],
+      description: def.description || '',
+      args: def.args || [],
+      flags: def.flags || [],
+      examples: def.examples || [],
+      handler: def.handler || null,
+      commands: new Map(),
+      aliases: new Map(),
+      parent
+    };
+    for (const child of def.commands || []) {
+      const childNode = build(child, node);
+      node.commands.set(child.name, childNode);
+      for (const alias of child.aliases || []) node.aliases.set(alias, childNode);
+    }
+    return node;
+  };
+  return build({ ...root, commands: defs, handler: null }, null);
+}
+
+function findCommand(node, name) {
+  return node.commands.get(name) || node.aliases.get(name) || null;
+}
+
+/**
+ * Flags accepted by a command: its own, its ancestors' and the built-in ones
+ */
+function commandFlags(node) {
+  const flags = [];
+  for (let current = node; current; current = current.parent) flags.push(...current.flags);
+  return [...flags, HELP_FLAG, YES_FLAG, OUTPUT_FLAG, COLOR_FLAG, VERSION_FLAG, ...(node.parent ? [] : [COMPLETION_FLAG])];
+}
+
+function coerce(def, raw, kind, command) {
+  let value = raw;
+  if (def.type === 'number') {
+    value = Number(raw);
+    if (typeof raw !== 'number' && (String(raw).trim() === '' || !Number.isFinite(value))) {
+      throw usageError(`INVALID_${kind}_VALUE`, `Invalid number for ${describe(def, kind)}: ${raw}`, command);
+    }
+  } else if (def.type === 'boolean') {
+    if (typeof raw !== 'boolean' && raw !== 'true' && raw !== 'false') {
+      throw usageError(`INVALID_${kind}_VALUE`, `Invalid boolean for ${describe(def, kind)}: ${raw} (use true or false)`, command);
+    }
+    value = raw === true || raw === 'true';
+  } else if (raw !== undefined && raw !== null) {
+    value = String(raw);
+  }
+
+  if (def.choices && !def.choices.includes(value)) {
+    throw usageError(`INVALID_${kind}_CHOICE`,
+      `Invalid value for ${describe(def, kind)}: ${raw} (choose from ${def.choices.join(', ')})`, command);
+  }
+  return value;
+}
+
+function describe(def, kind) {
+  return kind === 'FLAG' ? `--${cliName(def.name)}` : `<${def.name}>`;
+}
+
+/**
+ * Parse command-line arguments against the command tree
+ * @param {Object} root - From buildCommandTree
+ * @param {Array<string>} argv - Arguments after the program name
+ * @returns {Object} { command, context, settings } or { command, settings, help | version | completion };
+ *   settings are the built-in { yes, output, color }; throws usage errors
+ */
+function parseCommandLine(root, argv) {
+  let command = root;
+  const positionals = [];
+  const values = new Map();
+  let flagsDone = false;
+
+  const setFlag = (flag, raw) => {
+    const value = coerce(flag, raw, 'FLAG', command);
+    if (flag.multiple) {
+      values.set(flag, [...(values.get(flag) || []), value]);
+    } else {
+      values.set(flag, value);
+    }
+  };
+
+  const lookup = (key) => commandFlags(command).find(flag => flag.name === key);
+  const lookupShort = (short) => commandFlags(command).find(flag => flag.short === short);
+
+  for (let i = 0; i < argv.length; i++) {
+    const token = String(argv[i]);
+
+    if (flagsDone || token === '-' || !token.startsWith('-')) {
+      if (!flagsDone && positionals.length === 0 && command.commands.size > 0) {
+        const sub = findCommand(command, token);
+        if (sub) {
+          command = sub;
+          continue;
+        }
+        if (!command.handler) {
+          throw usageError('UNKNOWN_COMMAND', `Unknown command: ${[...command.path, token].join(' ')}`, command);
+        }
+      }
+      positionals.push(token);
+      continue;
+    }
+
+    if (token === '--') {
+      flagsDone = true;
+      continue;
+    }
+
+    if (token.startsWith('--')) {
+      const eq = token.indexOf('=');
+      const name = token.slice(2, eq === -1 ? undefined : eq);
+      const inline = eq === -1 ? undefined : token.slice(eq + 1);
+      const key = name.replace(/-/g, '_');
+
+      let flag = lookup(key);
+      let negated = false;
+      if (!flag && key.startsWith('no_')) {
+        const positive = lookup(key.slice(3));
+        if (positive?.type === 'boolean') {
+          flag = positive;
+          negated = true;
+        }
+      }
+      if (!flag) throw usageError('UNKNOWN_FLAG', `Unknown flag: --${name}`, command);
+
+      if (flag.type === 'boolean') {
+        if (negated && inline !== undefined) {
+          throw usageError('INVALID_FLAG_VALUE', `--${name} does not take a value`, command);
+        }
+        setFlag(flag, inline ?? !negated);
+      } else {
+        const value = inline ?? argv[++i];
+        if (value === undefined) throw usageError('MISSING_FLAG_VALUE', `Missing value for --${name}`, command);
+        setFlag(flag, value);
+      }
+      continue;
+    }
+
+    // Short flags: -v, -n 5, -n5, -abc
+    const shorts = token.slice(1);
+    for (let j = 0; j < shorts.length; j++) {
+      const flag = lookupShort(shorts[j]);
+      if (!flag) throw usageError('UNKNOWN_FLAG', `Unknown flag: -${shorts[j]}`, command);
+      if (flag.type === 'boolean') {
+        setFlag(flag, true);
+        continue;
+      }
+      const value = j < shorts.length - 1 ? shorts.slice(j + 1) : argv[++i];
+      if (value === undefined) throw usageError('MISSING_FLAG_VALUE', `Missing value for -${shorts[j]}`, command);
+      setFlag(flag, value);
+      break;
+    }
+  }
+
+  const builtin = (flag) => values.get(flag);
+  const settings = { yes: builtin(YES_FLAG) === true, output: builtin(OUTPUT_FLAG) ?? 'text', color: builtin(COLOR_FLAG) };
+  if (builtin(COMPLETION_FLAG)) return { command, settings, completion: builtin(COMPLETION_FLAG) };
+  if (builtin(VERSION_FLAG)) return { command, settings, version: true };
+  // Command groups without a handler show their help
+  if (builtin(HELP_FLAG) || !command.handler) return { command, settings, help: true };
+
+  const context = {};
+  const args = command.args;
+  args.forEach((def, index) => {
+    if (def.variadic && index === args.length - 1) {
+      const rest = positionals.slice(index);
+      if (def.required && rest.length === 0) {
+        throw usageError('MISSING_ARGUMENT', `Missing required argument: <${def.name}>`, command);
+      }
+      context[def.name] = rest.length > 0 ? rest.map(raw => coerce(def, raw, 'ARGUMENT', command)) : (def.default ?? []);
+      return;
+    }
+    const raw = positionals[index];
+    if (raw === undefined) {
+      if (def.required) throw usageError('MISSING_ARGUMENT', `Missing required argument: <${def.name}>`, command);
+      context[def.name] = def.default;
+    } else {
+      context[def.name] = coerce(def, raw, 'ARGUMENT', command);
+    }
+  });
+
+  const accepted = args[args.length - 1]?.variadic ? Infinity : args.length;
+  if (positionals.length > accepted) {
+    throw usageError('UNEXPECTED_ARGUMENT', `Unexpected argument: ${positionals[accepted]}`, command);
+  }
+
+  for (let current = command; current; current = current.parent) {
+    for (const flag of current.flags) {
+      if (flag.name in context) continue;
+      if (values.has(flag)) {
+        context[flag.name] = values.get(flag);
+      } else if (flag.required) {
+        throw usageError('MISSING_FLAG', `Missing required flag: --${cliName(flag.name)}`, command);
+      } else {
+        context[flag.name] = flag.default ?? (flag.multiple ? [] : flag.type === 'boolean' ? false : undefined);
+      }
+    }
+  }
+
+  return { command, context, settings };
+}
+
+/**
+ * The --output mode in raw arguments, for reporting errors the parser stopped on
+ */
+function requestedOutput(argv) {
+  let mode = 'text';
+  for (let i = 0; i < argv.length && argv[i] !== '--'; i++) {
+    const match = String(argv[i]).match(/^--output(?:=(.*))?$/);
+    const value = match && (match[1] ?? argv[i + 1]);
+    if (OUTPUT_MODES.includes(value)) mode = value;
+  }
+  return mode;
+}
+
+function flagLabel(flag) {
+  const short = flag.short ? `-${flag.short}, ` : '    ';
+  const value = flag.type === 'boolean' ? '' : ` <${flag.type === 'number' ? 'number' : flag.name}>`;
+  return `${short}--${cliName(flag.name)}${value}`;
+}
+
+function details(def) {
+  const notes = [];
+  if (def.choices) notes.push(`choices: ${def.choices.join(', ')}`);
+  if (def.default !== undefined) notes.push(`default: ${JSON.stringify(def.default)}`);
+  if (def.required) notes.push('required');
+  if (def.multiple) notes.push('repeatable');
+  return [def.description, notes.length ? `(${notes.join(') (')})` : ''].filter(Boolean).join(' ');
+}
+
+function table(rows) {
+  const width = Math.max(...rows.map(([label]) => label.length));
+  return rows.map(([label, text]) => `  ${text ? label.padEnd(width + 2) + text : label}`.trimEnd()).join('\n');
+}
+
+/**
+ * Help text of a command
+ * @param {Object} command - Node from buildCommandTree
+ * @param {Object} program - { name }
+ */
+function formatHelp(command, program) {
+  const name = [program.name, ...command.path].join(' ');
+  const args = command.args.map(def => {
+    const label = `${def.name}${def.variadic ? '...' : ''}`;
+    return def.required ? `<${label}>` : `[${label}]`;
+  });
+  const usage = [name, command.commands.size > 0 ? '<command>' : null, '[options]', ...args].filter(Boolean).join(' ');
+
+  const sections = [`Usage: ${usage}`];
+  if (command.description) sections.push(command.description);
+
+  if (command.args.length > 0) {
+    sections.push(`Arguments:\n${table(command.args.map(def => [def.name, details(def)]))}`);
+  }
+  if (command.commands.size > 0) {
+    sections.push(`Commands:\n${table([...command.commands.values()].map(sub => {
+      const aliases = [...command.aliases].filter(([, node]) => node === sub).map(([alias]) => alias);
+      return [[sub.name, ...aliases].join(', '), sub.description];
+    }))}`);
+  }
+  sections.push(`Options:\n${table(commandFlags(command).map(flag => [flagLabel(flag), details(flag)]))}`);
+  if (command.examples.length > 0) {
+    sections.push(`Examples:\n${command.examples.map(example => `  ${program.name} ${example}`).join('\n')}`);
+  }
+
+  return `\n${sections.join('\n\n')}\n`;
+}
+
+/**
+ * Every command node with its path, depth first
+ */
+function allCommands(root) {
+  const nodes = [];
+  const visit = (node) => {
+    nodes.push(node);
+    for (const child of node.commands.values()) visit(child);
+  };
+  visit(root);
+  return nodes;
+}
+
+function completionWords(node) {
+  const names = [...node.commands.keys(), ...node.aliases.keys()];
+  const flags = commandFlags(node).map(flag => `--${cliName(flag.name)}`);
+  return [...names, ...flags].join(' ');
+}
+
+function functionName(name) {
+  return `_${name.replace(/[^a-zA-Z0-9_]/g, '_')}_completions`;
+}
+
+function bashCompletion(root, name) {
+  const fn = functionName(name);
+  const nodes = allCommands(root);
+  const steps = nodes.flatMap(node => [...node.commands.keys(), ...node.aliases.keys()].map(sub => {
+    const child = findCommand(node, sub);
+    return `      "${node.path.join(' ')}|${sub}") path="${child.path.join(' ')}" ;;`;
+  }));
+  const words = nodes.map(node => `    "${node.path.join(' ')}") words="${completionWords(node)}" ;;`);
+
+  return `# bash completion for ${name}
+${fn}() {
+  local cur="\${COMP_WORDS[COMP_CWORD]}" path="" word words i
+  for ((i = 1; i < COMP_CWORD; i++)); do
+    word="\${COMP_WORDS[i]}"
+    [[ "$word" == -* ]] && continue
+    case "$path|$word" in
+${steps.join('\n')}
+    esac
+  done
+  case "$path" in
+${words.join('\n')}
+  esac
+  COMPREPLY=($(compgen -W "$words" -- "$cur"))
+}
+complete -F ${fn} ${name}
+`;
+}
+
+function zshCompletion(root, name) {
+  return `#compdef ${name}
+autoload -U +X bashcompinit && bashcompinit
+${bashCompletion(root, name)}`;
+}
+
+function fishQuote(text) {
+  return `'${String(text).replace(/\\/g, '\\\\').replace(/'/g, "\\'")}'`;
+}
+
+function fishCompletion(root, name) {
+  const lines = [`# fish completion for ${name}`, `complete -c ${name} -f`];
+  for (const node of allCommands(root)) {
+    const condition = node.parent
+      ? `__fish_seen_subcommand_from ${node.name}`
+      : '__fish_use_subcommand';
+    for (const sub of node.commands.values()) {
+      lines.push(`complete -c ${name} -n ${fishQuote(condition)} -a ${fishQuote(sub.name)} -d ${fishQuote(sub.description)}`);
+    }
+    for (const flag of node.flags) {
+      const parts = [`complete -c ${name} -n ${fishQuote(condition)} -l ${cliName(flag.name)}`];
+      if (flag.short) parts.push(`-s ${flag.short}`);
+      if (flag.type !== 'boolean') parts.push('-r');
+      if (flag.choices) parts.push(`-a ${fishQuote(flag.choices.join(' '))}`);
+      if (flag.description) parts.push(`-d ${fishQuote(flag.description)}`);
+      lines.push(parts.join(' '));
+    }
+  }
+  for (const flag of BUILTIN_FLAGS) {
+    const short = flag.short ? ` -s ${flag.short}` : '';
+    const values = flag.choices ? ` -r -a ${fishQuote(flag.choices.join(' '))}` : '';
+    lines.push(`complete -c ${name} -l ${flag.name}${short}${values} -d ${fishQuote(flag.description)}`);
+  }
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Shell completion script for the program
+ * @param {Object} root - From buildCommandTree
+ * @param {string} shell - bash, zsh or fish
+ * @param {string} name - Executable name
+ */
+function completionScript(root, shell, name) {
+  switch (shell) {
+    case 'bash': return bashCompletion(root, name);
+    case 'zsh': return zshCompletion(root, name);
+    case 'fish': return fishCompletion(root, name);
+    default:
+      throw usageError('INVALID_FLAG_CHOICE', `Unknown shell: ${shell} (choose from ${SHELLS.join(', ')})`, root);
+  }
+}
+
+export {
+  buildCommandTree,
+  parseCommandLine,
+  requestedOutput,
+  formatHelp,
+  completionScript,
+  commandFlags,
+  SHELLS,
+  BUILTIN_FLAGS
+};
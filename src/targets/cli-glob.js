@@ -0,0 +1,316 @@
+/**
+ * ddjex CLI Glob
+ * File matching for the CLI `glob` step
+ *
+ *   { "op": "glob", "args": ["src/**\/*.{js,json}", ".", {
+ *       "ignore": ["**\/node_modules/**"],   // also: patterns starting with ! in the pattern list
+ *       "dot": false,                          // let *, ? and ** match names starting with .
+ *       "directories": false,                  // include matching directories
+ *       "relative": false                      // paths relative to the directory instead of joined to it
+ *   }], "as": "files" }
+ *
+ * Syntax: * and ? within a segment, ** for any number of segments, [abc] / [a-z] / [!a-z]
+ * classes, {a,b} alternatives and {1..3} ranges, \ to escape. Patterns use / on every
+ * platform. Patterns starting with / are absolute: they are walked from the filesystem root
+ * instead of the directory and give absolute paths. Results are sorted and never contain
+ * duplicates; symbolic links are not followed.
+ */
+
+// Security: bounds on pattern complexity
+const MAX_PATTERN_LENGTH = 1000;
+const MAX_BRACE_EXPANSIONS = 1000;
+
+const MAGIC = /[*?[{\\]/;
+
+function globError(message) {
+  return { error: true, code: 'INVALID_GLOB', message };
+}
+
+/**
+ * Index of the brace closing the one at `start`, or -1
+ */
+function closingBrace(pattern, start) {
+  let depth = 0;
+  for (let i = start; i < pattern.length; i++) {
+    if (pattern[i] === '\\') i++;
+    else if (pattern[i] === '{') depth++;
+    else if (pattern[i] === '}' && --depth === 0) return i;
+  }
+  return -1;
+}
+
+/**
+ * Split brace contents on top-level commas
+ */
+function braceAlternatives(body) {
+  const parts = [];
+  let depth = 0;
+  let current = '';
+  for (let i = 0; i < body.length; i++) {
+    const char = body[i];
+    if (char === '\\') {
+      current += char + (body[++i] ?? '');
+      continue;
+    }
+    if (char === '{') depth++;
+    if (char === '}') depth--;
+    if (char === ',' && depth === 0) {
+      parts.push(current);
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  parts.push(current);
+  return parts;
+}
+
+/**
+ * Expand {a,b} alternatives and {1..3} ranges into plain patterns
+ * @returns {Array<string>}
+ */
+function expandBraces(pattern) {
+  let start = -1;
+  for (let i = 0; i < pattern.length; i++) {
+    if (pattern[i] === '\\') i++;
+    else if (pattern[i] === '{') {
+      start = i;
+      break;
+    }
+  }
+  const end = start === -1 ? -1 : closingBrace(pattern, start);
+  if (end === -1) return [pattern];
+
+  const head = pattern.slice(0, start);
+  const body = pattern.slice(start + 1, end);
+  const tail = pattern.slice(end + 1);
+
+  let alternatives;
+  const range = body.match(/^(-?\d+)\.\.(-?\d+)$/);
+  if (range) {
+    const [from, to] = [Number(range[1]), Number(range[2])];
+    if (Math.abs(to - from) >= MAX_BRACE_EXPANSIONS) {
+      throw globError(`Brace range too large in ${pattern}`);
+    }
+    const step = from <= to ? 1 : -1;
+    alternatives = [];
+    for (let n = from; n !== to + step; n += step) alternatives.push(String(n));
+  } else {
+    alternatives = braceAlternatives(body);
+    // {a} is not an alternative list; keep the braces literally
+    if (alternatives.length < 2) alternatives = [`\\{${body}\\}`];
+  }
+
+  const expanded = [];
+  for (const alternative of alternatives) {
+    for (const result of expandBraces(head + alternative + tail)) {
+      expanded.push(result);
+      if (expanded.length > MAX_BRACE_EXPANSIONS) {
+        throw globError(`Pattern expands to more than ${MAX_BRACE_EXPANSIONS} alternatives: ${pattern}`);
+      }
+    }
+  }
+  return expanded;
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\/-]/g, '\\$&');
+}
+
+/**
+ * Compile one path segment (no / and no braces) to a RegExp
+ */
+function segmentRegExp(segment, dot) {
+  let source = '';
+  for (let i = 0; i < segment.length; i++) {
+    const char = segment[i];
+    if (char === '\\') {
+      source += escapeRegExp(segment[++i] ?? '\\');
+    } else if (char === '*') {
+      while (segment[i + 1] === '*') i++;
+      source += '[^/]*';
+    } else if (char === '?') {
+      source += '[^/]';
+    } else if (char === '[') {
+      const close = segment.indexOf(']', i + 2);
+      if (close === -1) {
+        source += '\\[';
+        continue;
+      }
+      let body = segment.slice(i + 1, close);
+      const negated = body[0] === '!' || body[0] === '^';
+      if (negated) body = body.slice(1);
+      const members = body.replace(/\\(.)/g, '$1').replace(/[\]\\^]/g, '\\$&');
+      source += negated ? `[^/${members}]` : `[${members}]`;
+      i = close;
+    } else {
+      source += escapeRegExp(char);
+    }
+  }
+  // Wildcards do not match a leading dot unless asked to (or the pattern starts with one)
+  const hidden = !dot && !segment.startsWith('.') ? '(?!\\.)' : '';
+  return new RegExp(`^${hidden}${source}$`);
+}
+
+/**
+ * Compile a pattern (braces already expanded) into segment matchers
+ * @returns {Object} { base, absolute, segments: [{ globstar } | { literal } | { regexp }] }
+ */
+function compilePattern(pattern, dot) {
+  const segments = [];
+  for (const segment of pattern.split('/')) {
+    if (segment === '' || segment === '.') continue;
+    if (segment === '**') {
+      if (segments[segments.length - 1]?.globstar) continue;
+      segments.push({ globstar: true });
+    } else if (MAGIC.test(segment)) {
+      segments.push({ regexp: segmentRegExp(segment, dot) });
+    } else {
+      segments.push({ literal: segment });
+    }
+  }
+
+  // Leading literal segments are where the walk starts
+  const base = [];
+  while (segments[base.length]?.literal !== undefined && base.length < segments.length - 1) {
+    base.push(segments[base.length].literal);
+  }
+  return { base, absolute: pattern.startsWith('/'), segments, dot };
+}
+
+function matchSegment(matcher, name) {
+  return matcher.literal !== undefined ? matcher.literal === name : matcher.regexp.test(name);
+}
+
+/**
+ * Match path segments against compiled segments (dynamic programming, so ** never backtracks)
+ * @param {boolean} partial - Whether `parts` could be a directory on the way to a match
+ */
+function matchParts(compiled, parts, partial = false) {
+  const { segments, dot } = compiled;
+  // reachable[j]: the first i segments can match the first j parts
+  let reachable = new Array(parts.length + 1).fill(false);
+  reachable[0] = true;
+
+  for (const [index, matcher] of segments.entries()) {
+    const next = new Array(parts.length + 1).fill(false);
+    if (matcher.globstar) {
+      for (let j = 0; j <= parts.length; j++) {
+        if (reachable[j]) {
+          next[j] = true;
+        } else if (j > 0 && next[j - 1] && (dot || !parts[j - 1].startsWith('.'))) {
+          next[j] = true;
+        }
+      }
+    } else {
+      for (let j = 1; j <= parts.length; j++) {
+        next[j] = reachable[j - 1] && matchSegment(matcher, parts[j - 1]);
+      }
+    }
+    // More segments (or this **) can still match what lies below
+    if (partial && next[parts.length] && (index < segments.length - 1 || matcher.globstar)) return true;
+    reachable = next;
+  }
+  return !partial && reachable[parts.length];
+}
+
+/**
+ * Compile a pattern string, expanding braces
+ * @returns {Array<Object>} Compiled alternatives
+ */
+function compileGlob(pattern, options = {}) {
+  if (typeof pattern !== 'string' || pattern === '') {
+    throw globError('Glob pattern must be a non-empty string');
+  }
+  if (pattern.length > MAX_PATTERN_LENGTH) {
+    throw globError(`Glob pattern exceeds max length (${MAX_PATTERN_LENGTH})`);
+  }
+  return expandBraces(pattern).map(expanded => compilePattern(expanded, options.dot === true));
+}
+
+/**
+ * Test a relative, /-separated path against a pattern
+ */
+function matchGlob(pattern, filePath, options = {}) {
+  const parts = filePath.split('/').filter(part => part !== '' && part !== '.');
+  return compileGlob(pattern, options).some(compiled => matchParts(compiled, parts));
+}
+
+/**
+ * Find files under `dir` matching one or more patterns
+ * @param {string} dir - Directory the patterns are relative to (absolute patterns ignore it)
+ * @param {string|Array<string>} patterns - Patterns; ones starting with ! exclude
+ * @param {Object} options - { ignore, dot, directories, relative }
+ * @returns {Promise<Array<string>>} Sorted paths
+ */
+async function glob(dir, patterns, options = {}) {
+  const [fs, path] = await Promise.all([import('fs/promises'), import('path')]);
+
+  const list = Array.isArray(patterns) ? patterns : [patterns];
+  const include = [];
+  const exclude = [];
+  for (const pattern of list) {
+    if (typeof pattern === 'string' && pattern.startsWith('!')) {
+      exclude.push(...compileGlob(pattern.slice(1), { dot: true }));
+    } else {
+      include.push(...compileGlob(pattern, options));
+    }
+  }
+  for (const pattern of [].concat(options.ignore || [])) {
+    exclude.push(...compileGlob(pattern, { dot: true }));
+  }
+  if (include.length === 0) {
+    throw globError('Glob needs at least one pattern that is not negated');
+  }
+
+  const excluded = (parts) => exclude.some(compiled => matchParts(compiled, parts));
+  // Excluded directories (or ones whose contents are, as in dir/**) are not entered at all
+  const prunes = (parts) => excluded(parts) || exclude.some(compiled =>
+    compiled.segments[compiled.segments.length - 1]?.globstar &&
+    matchParts({ ...compiled, segments: compiled.segments.slice(0, -1) }, parts)
+  );
+
+  const found = new Set();
+  const result = (root, parts) => root === dir && options.relative ? parts.join('/') : path.join(root, ...parts);
+
+  async function walk(root, parts, candidates) {
+    let entries;
+    try {
+      entries = await fs.readdir(path.join(root, ...parts), { withFileTypes: true });
+    } catch (e) {
+      if (e.code === 'ENOENT' || e.code === 'ENOTDIR') return;
+      throw e;
+    }
+
+    for (const entry of entries) {
+      const entryParts = [...parts, entry.name];
+      const isDirectory = entry.isDirectory();
+      if (!isDirectory && !entry.isFile()) continue;
+
+      if ((!isDirectory || options.directories) &&
+          candidates.some(compiled => matchParts(compiled, entryParts)) && !excluded(entryParts)) {
+        found.add(result(root, entryParts));
+      }
+
+      if (isDirectory && !prunes(entryParts)) {
+        const deeper = candidates.filter(compiled => matchParts(compiled, entryParts, true));
+        if (deeper.length > 0) await walk(root, entryParts, deeper);
+      }
+    }
+  }
+
+  // Walk each literal base once, with the patterns that start there
+  const bases = new Map();
+  for (const compiled of include) {
+    const key = (compiled.absolute ? '/' : '') + compiled.base.join('/');
+    if (!bases.has(key)) bases.set(key, { root: compiled.absolute ? '/' : dir, parts: compiled.base, candidates: [] });
+    bases.get(key).candidates.push(compiled);
+  }
+  for (const { root, parts, candidates } of bases.values()) {
+    if (!prunes(parts)) await walk(root, parts, candidates);
+  }
+
+  return [...found].sort();
+}
+
+export { glob, matchGlob, compileGlob, expandBraces };
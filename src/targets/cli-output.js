@@ -0,0 +1,234 @@
+/**
+ * ddjex CLI Output
+ * Output modes, tables, colors and exit codes for CLI programs
+ *
+ *   tool users list --output json       // print and table write one JSON document per line
+ *   tool users list --output table      // arrays of objects print as tables
+ *
+ *   { "op": "table", "args": [{ "ref": "users" }, ["name", { "key": "age", "label": "Age" }]] }
+ *   { "op": "style", "args": ["done", "green", "bold"], "as": "label" }
+ *
+ * text (the default) prints values like console.log. Colors are used when stdout is a terminal
+ * and NO_COLOR is not set; --color / --no-color decide explicitly. Errors go to stderr (as a
+ * JSON object in json mode) and exit with the code EXIT_CODES maps their error code to.
+ */
+
+const OUTPUT_MODES = ['text', 'json', 'table'];
+
+const STYLES = {
+  bold: [1, 22],
+  dim: [2, 22],
+  red: [31, 39],
+  green: [32, 39],
+  yellow: [33, 39],
+  blue: [34, 39],
+  cyan: [36, 39],
+  gray: [90, 39]
+};
+
+// Error code -> process exit code (sysexits.h where one fits); anything else exits with 1
+const EXIT_CODES = {
+  UNKNOWN_COMMAND: 2,
+  UNKNOWN_FLAG: 2,
+  MISSING_ARGUMENT: 2,
+  MISSING_FLAG: 2,
+  MISSING_FLAG_VALUE: 2,
+  UNEXPECTED_ARGUMENT: 2,
+  INVALID_ARGUMENT_VALUE: 2,
+  INVALID_ARGUMENT_CHOICE: 2,
+  INVALID_FLAG_VALUE: 2,
+  INVALID_FLAG_CHOICE: 2,
+  INVALID_JSON: 65,
+  INVALID_INPUT: 65,
+  HTTP_INVALID_JSON: 65,
+  PROMPT_INVALID: 65,
+  VALIDATION_ERROR: 65,
+  FILE_NOT_FOUND: 66,
+  NOT_A_DIRECTORY: 66,
+  IS_A_DIRECTORY: 66,
+  HTTP_REQUEST_FAILED: 69,
+  HTTP_TIMEOUT: 69,
+  HTTP_UNAVAILABLE: 69,
+  FILE_EXISTS: 73,
+  DIRECTORY_NOT_EMPTY: 73,
+  FILE_ERROR: 74,
+  STDIN_TOO_LARGE: 74,
+  PERMISSION_DENIED: 77,
+  REMOVE_REFUSED: 77,
+  EXEC_TIMEOUT: 124,
+  EXEC_NOT_FOUND: 127,
+  PROMPT_CANCELLED: 130
+};
+
+function outputError(code, message, details = {}) {
+  return { error: true, code, message, ...details };
+}
+
+/**
+ * Exit code for a failed command: the error's own exitCode (exec with check), else by code
+ */
+function exitCodeFor(error) {
+  return error?.exitCode ?? EXIT_CODES[error?.code] ?? 1;
+}
+
+/**
+ * Whether to color output written to `stream`
+ * @param {boolean} [option] - --color / --no-color, or the CLI target's color option
+ */
+function useColor(option, stream) {
+  if (typeof option === 'boolean') return option;
+  if (process.env.NO_COLOR) return false;
+  return Boolean(stream?.isTTY);
+}
+
+function isRecord(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function cellText(value) {
+  if (value === undefined || value === null) return '';
+  const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  return text.replace(/\s*\n\s*/g, ' ');
+}
+
+/**
+ * Columns to show: the given ones (keys or { key, label }), or every key in order of appearance
+ */
+function tableColumns(rows, columns) {
+  if (columns !== undefined && columns !== null) {
+    if (!Array.isArray(columns)) throw outputError('INVALID_TABLE', 'table columns must be an array');
+    return columns.map(column => isRecord(column)
+      ? { key: String(column.key), label: String(column.label ?? column.key) }
+      : { key: String(column), label: String(column) });
+  }
+  const keys = new Set();
+  for (const row of rows) Object.keys(row).forEach(key => keys.add(key));
+  return [...keys].map(key => ({ key, label: key }));
+}
+
+function checkRows(rows) {
+  if (!Array.isArray(rows) || !rows.every(isRecord)) {
+    throw outputError('INVALID_TABLE', 'table needs an array of objects');
+  }
+  return rows;
+}
+
+/**
+ * Render rows as aligned text columns; numbers are right aligned
+ * @param {Array<Object>} rows
+ * @param {Array} [columns] - Keys or { key, label }
+ * @param {Object} options - { color }
+ */
+function formatTable(rows, columns, options = {}) {
+  const cols = tableColumns(checkRows(rows), columns);
+  if (cols.length === 0) return '';
+  const cells = rows.map(row => cols.map(col => cellText(row[col.key])));
+  const numeric = cols.map((col, i) => rows.length > 0 &&
+    rows.every(row => typeof row[col.key] === 'number' || cellText(row[col.key]) === '') &&
+    cells.some(values => values[i] !== ''));
+  const widths = cols.map((col, i) => Math.max(col.label.length, ...cells.map(values => values[i].length)));
+
+  const line = (values) => values
+    .map((value, i) => numeric[i] ? value.padStart(widths[i]) : value.padEnd(widths[i]))
+    .join('  ')
+    .trimEnd();
+
+  const header = line(cols.map(col => col.label));
+  return [
+    options.color ? paint(header, ['bold']) : header,
+    line(widths.map(width => '-'.repeat(width))),
+    ...cells.map(line)
+  ].join('\n');
+}
+
+function paint(text, styles) {
+  let painted = String(text);
+  for (const name of styles) {
+    const [open, close] = STYLES[name];
+    painted = `\u001b[${open}m${painted}\u001b[${close}m`;
+  }
+  return painted;
+}
+
+/**
+ * Writes command output in the selected mode
+ */
+class Output {
+  /**
+   * @param {Object} options - { mode: text | json | table, color, log: (...values) => void, error: (line) => void }
+   */
+  constructor(options = {}) {
+    this.mode = options.mode || 'text';
+    this.color = options.color === true;
+    this.log = options.log || console.log;
+    this.error = options.error || console.error;
+  }
+
+  /**
+   * The print step: a JSON document in json mode (an array for several values),
+   * a table for an array of objects in table mode, otherwise like console.log
+   */
+  print(values) {
+    if (this.mode === 'json') {
+      this.log(JSON.stringify(values.length === 1 ? values[0] : values) ?? 'null');
+    } else if (this.mode === 'table' && values.length === 1 && Array.isArray(values[0]) && values[0].every(isRecord)) {
+      this.table(values[0]);
+    } else {
+      this.log(...values);
+    }
+  }
+
+  /**
+   * The table step: rows as text columns, or as a JSON array of the rows (narrowed to `columns`) in json mode
+   */
+  table(rows, columns) {
+    if (this.mode !== 'json') {
+      this.log(formatTable(rows, columns, { color: this.color }));
+      return;
+    }
+    if (columns === undefined || columns === null) {
+      this.log(JSON.stringify(checkRows(rows)));
+      return;
+    }
+    const cols = tableColumns(checkRows(rows), columns);
+    this.log(JSON.stringify(rows.map(row => Object.fromEntries(cols.map(col => [col.key, row[col.key] ?? null])))));
+  }
+
+  /**
+   * The style step: `text` wrapped in ANSI styles when colors are on
+   */
+  style(text, styles) {
+    const unknown = styles.find(name => !Object.hasOwn(STYLES, name));
+    if (unknown !== undefined) {
+      throw outputError('INVALID_STYLE', `Unknown style: ${unknown}`, { options: Object.keys(STYLES) });
+    }
+    return this.color ? paint(text, styles) : String(text);
+  }
+
+  /**
+   * Report a failed command on stderr
+   * @param {string} [hint] - Extra line for text mode (e.g. where to find usage)
+   */
+  reportError(error, hint) {
+    if (this.mode === 'json') {
+      const details = error instanceof Error ? error.details : error;
+      this.error(JSON.stringify({
+        ...(isRecord(details) ? details : {}),
+        error: true,
+        code: error?.code ?? 'ERROR',
+        message: error?.message ?? String(error)
+      }));
+      return;
+    }
+    if (!error?.error) {
+      this.error(error);
+      return;
+    }
+    const label = this.color ? paint('Error:', ['red', 'bold']) : 'Error:';
+    this.error(`${label} ${error.message}`);
+    if (hint) this.error(hint);
+    else if (error.code) this.error(`Code: ${error.code}`);
+  }
+}
+
+export { Output, formatTable, exitCodeFor, useColor, OUTPUT_MODES, EXIT_CODES, STYLES };
@@ -0,0 +1,247 @@
+/**
+ * ddjex CLI Prompts
+ * Interactive questions for the CLI `prompt` step
+ *
+ *   { "op": "prompt", "args": [{
+ *       "type": "text",                      // text | password | number | confirm | select | multiselect
+ *       "message": "Project name",
+ *       "default": "my-app",
+ *       "validate": { "type": "string", "minLength": 3, "pattern": "^[a-z-]+$" }
+ *   }], "as": "name" }
+ *
+ * select and multiselect take `choices` (values, or { value, label }) and are answered by
+ * number or value; multiselect answers are comma separated. password echoes `mask`
+ * (default "*") on terminals. `validate` is a field schema as for validateSchema in
+ * core/form-validation.js; invalid answers are asked again.
+ *
+ * With --yes, or when input is not a terminal, prompts are not shown: they answer with their
+ * default and fail with PROMPT_REQUIRED when there is none. A confirm without a default answers
+ * yes only with --yes; otherwise it answers no, as an empty answer on a terminal would.
+ */
+
+import { validateSchema } from '../core/form-validation.js';
+
+const PROMPT_TYPES = ['text', 'password', 'number', 'confirm', 'select', 'multiselect'];
+
+// Terminal control characters
+const KEYS = { enter: '\r', newline: '\n', interrupt: '\u0003', eof: '\u0004', backspace: '\u007f', ctrlH: '\b' };
+
+function promptError(code, message, details = {}) {
+  return { error: true, code, message, ...details };
+}
+
+function choiceList(question) {
+  return (question.choices || []).map(choice =>
+    choice !== null && typeof choice === 'object'
+      ? { value: choice.value, label: String(choice.label ?? choice.value) }
+      : { value: choice, label: String(choice) }
+  );
+}
+
+/**
+ * Check a question before asking it
+ */
+function checkQuestion(question) {
+  if (!question || typeof question !== 'object' || typeof question.message !== 'string') {
+    throw promptError('INVALID_PROMPT', 'prompt needs { type, message }');
+  }
+  const type = question.type || 'text';
+  if (!PROMPT_TYPES.includes(type)) {
+    throw promptError('INVALID_PROMPT', `Unknown prompt type: ${type}`, { options: PROMPT_TYPES });
+  }
+  if ((type === 'select' || type === 'multiselect') && choiceList(question).length === 0) {
+    throw promptError('INVALID_PROMPT', `${type} prompt needs choices`);
+  }
+  return type;
+}
+
+/**
+ * First validation message for an answer, or null
+ */
+function validationMessage(answer, schema) {
+  if (schema === undefined || schema === null) return null;
+  const { errors } = validateSchema(answer, typeof schema === 'string' ? [schema] : schema, 'answer');
+  return errors[0]?.message || null;
+}
+
+/**
+ * Turn typed text into an answer
+ * @returns {Object} { value } or { error }
+ */
+function parseAnswer(type, text, question) {
+  const input = text.trim();
+  const choices = choiceList(question);
+  const pick = (token) => {
+    const index = /^\d+$/.test(token) ? Number(token) - 1 : -1;
+    return choices[index] ?? choices.find(choice => String(choice.value) === token || choice.label === token);
+  };
+
+  if (input === '' && question.default !== undefined) return { value: question.default };
+
+  switch (type) {
+    case 'number': {
+      const value = Number(input);
+      return input !== '' && Number.isFinite(value) ? { value } : { error: 'Enter a number' };
+    }
+    case 'confirm':
+      if (input === '') return { value: false };
+      if (/^(y|yes)$/i.test(input)) return { value: true };
+      if (/^(n|no)$/i.test(input)) return { value: false };
+      return { error: 'Answer yes or no' };
+    case 'select': {
+      const choice = pick(input);
+      return choice ? { value: choice.value } : { error: `Choose 1-${choices.length}` };
+    }
+    case 'multiselect': {
+      const tokens = input.split(/[\s,]+/).filter(Boolean);
+      const picked = tokens.map(pick);
+      if (picked.some(choice => !choice)) return { error: `Choose numbers from 1-${choices.length}, separated by commas` };
+      return { value: [...new Set(picked)].map(choice => choice.value) };
+    }
+    default:
+      return { value: text };
+  }
+}
+
+/**
+ * Asks questions on a terminal (or any readable/writable stream pair)
+ */
+class Prompter {
+  /**
+   * @param {Object} options - { input, output, interactive, yes: --yes was given }
+   */
+  constructor(options = {}) {
+    this.input = options.input;
+    this.output = options.output;
+    this.yes = options.yes === true;
+    this.interactive = !this.yes && (options.interactive ?? Boolean(this.input?.isTTY));
+    // Typed characters not consumed by the last answer
+    this.buffer = '';
+    this.ended = false;
+    this.waiting = null;
+    this.listening = false;
+  }
+
+  /**
+   * @param {Object} question - See the module comment
+   * @returns {Promise<*>} The answer
+   */
+  async ask(question) {
+    const type = checkQuestion(question);
+    if (!this.interactive) return this.answerDefault(type, question);
+
+    for (;;) {
+      this.write(this.questionText(type, question));
+      const text = await this.readLine(type === 'password' ? (question.mask ?? '*') : null);
+      const parsed = parseAnswer(type, text, question);
+      const error = parsed.error || validationMessage(parsed.value, question.validate);
+      if (!error) return parsed.value;
+      this.write(`  ${error}\n`);
+    }
+  }
+
+  answerDefault(type, question) {
+    let value = question.default;
+    if (value === undefined && type === 'confirm') value = this.yes;
+    if (value === undefined) {
+      throw promptError('PROMPT_REQUIRED', `Cannot ask "${question.message}" without a terminal; give the prompt a default`);
+    }
+    const error = validationMessage(value, question.validate);
+    if (error) {
+      throw promptError('PROMPT_INVALID', `Default for "${question.message}" is invalid: ${error}`);
+    }
+    return value;
+  }
+
+  questionText(type, question) {
+    const choices = choiceList(question);
+    let hint = '';
+    if (type === 'confirm') {
+      hint = question.default === true ? ' (Y/n)' : ' (y/N)';
+    } else if (question.default !== undefined && type !== 'password' && String(question.default) !== '') {
+      const shown = Array.isArray(question.default) ? question.default.join(', ') : question.default;
+      hint = ` (${shown})`;
+    }
+    const list = type === 'select' || type === 'multiselect'
+      ? choices.map((choice, i) => `  ${i + 1}) ${choice.label}\n`).join('')
+      : '';
+    return `? ${question.message}${hint}\n${list}`.replace(/\n$/, list ? '\n> ' : ' ');
+  }
+
+  write(text) {
+    this.output?.write(text);
+  }
+
+  /**
+   * Read one line, echoing `mask` per character on terminals
+   */
+  readLine(mask) {
+    const raw = Boolean(this.input?.isTTY && this.input.setRawMode);
+    if (raw) this.input.setRawMode(true);
+
+    return new Promise((resolve, reject) => {
+      let line = '';
+      const finish = (error, value) => {
+        this.waiting = null;
+        if (raw) this.input.setRawMode(false);
+        if (raw) this.write('\n');
+        if (error) reject(error);
+        else resolve(value);
+      };
+
+      const consume = () => {
+        while (this.buffer.length > 0) {
+          const char = this.buffer[0];
+          this.buffer = this.buffer.slice(1);
+
+          if (char === KEYS.enter || char === KEYS.newline) {
+            // \r\n is one line end
+            if (char === KEYS.enter && this.buffer[0] === KEYS.newline) this.buffer = this.buffer.slice(1);
+            return finish(null, line);
+          }
+          if (char === KEYS.interrupt || (char === KEYS.eof && line === '')) {
+            return finish(promptError('PROMPT_CANCELLED', 'Prompt cancelled'));
+          }
+          if (char === KEYS.backspace || char === KEYS.ctrlH) {
+            if (line.length > 0 && raw) this.write('\b \b');
+            line = line.slice(0, -1);
+            continue;
+          }
+          line += char;
+          if (raw) this.write(mask ?? char);
+        }
+        if (this.ended) {
+          return line === '' ? finish(promptError('PROMPT_CANCELLED', 'Input ended before an answer')) : finish(null, line);
+        }
+        this.waiting = consume;
+      };
+
+      this.listen();
+      consume();
+    });
+  }
+
+  listen() {
+    if (this.listening || !this.input) return;
+    this.listening = true;
+    this.input.setEncoding?.('utf8');
+    this.input.on('data', (chunk) => {
+      this.buffer += chunk;
+      this.waiting?.();
+    });
+    this.input.on('end', () => {
+      this.ended = true;
+      this.waiting?.();
+    });
+    this.input.resume?.();
+  }
+
+  /**
+   * Release the input so the process can exit
+   */
+  close() {
+    this.input?.pause?.();
+  }
+}
+
+export { Prompter, PROMPT_TYPES, parseAnswer, checkQuestion };
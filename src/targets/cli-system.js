@@ -0,0 +1,370 @@
+/**
+ * ddjex CLI System Steps
+ * Process and filesystem steps for CLI programs
+ *
+ *   { "op": "exec", "args": ["git", ["status", "--short"], { "cwd": ".", "timeout": 10000 }], "as": "git" }
+ *   { "op": "mkdir", "args": ["dist/assets"] }
+ *   { "op": "copy", "args": ["public", "dist", { "overwrite": false }] }
+ *   { "op": "move", "args": ["dist/app.js", "dist/app.min.js"] }
+ *   { "op": "remove", "args": ["dist", { "force": true }] }
+ *   { "op": "exists", "args": ["package.json"], "as": "hasPackage" }
+ *   { "op": "stat", "args": ["package.json"], "as": "info" }
+ *   { "op": "readJSON", "args": ["package.json"], "as": "pkg" }
+ *   { "op": "writeJSON", "args": ["dist/manifest.json", { "ref": "manifest" }, { "indent": 2 }] }
+ *   { "op": "env", "args": ["HOME", "/tmp"], "as": "home" }
+ *   { "op": "exit", "args": [3] }
+ *   { "op": "readStdin", "args": ["json"], "as": "input" }
+ *   { "op": "readStdin", "args": ["lines", { "op": "print", "args": [{ "param": "line" }] }], "as": "count" }
+ *
+ * exec runs the command without a shell (unless `shell: true`) and resolves to
+ * { code, signal, ok, stdout, stderr }; with `check: true` a non-zero exit is an EXEC_FAILED
+ * error that exits the CLI with the same code. Failures are errors with codes such as
+ * FILE_NOT_FOUND, FILE_EXISTS, PERMISSION_DENIED, INVALID_JSON, EXEC_NOT_FOUND and EXEC_TIMEOUT.
+ *
+ * readStdin reads standard input as text, lines, json or ndjson (one JSON value per line).
+ * With a step after the format, lines are streamed: the step runs for each one with `line`
+ * and `index` bound, nothing is buffered, and the result is the number of lines.
+ */
+
+const DEFAULT_EXEC_TIMEOUT = 0;
+const DEFAULT_MAX_OUTPUT = 10 * 1024 * 1024;
+const DEFAULT_MAX_INPUT = 64 * 1024 * 1024;
+
+const STDIN_FORMATS = ['text', 'lines', 'json', 'ndjson'];
+
+// Node error codes -> step error codes
+const FILE_ERRORS = {
+  ENOENT: ['FILE_NOT_FOUND', 'No such file or directory'],
+  EEXIST: ['FILE_EXISTS', 'Already exists'],
+  ERR_FS_CP_EEXIST: ['FILE_EXISTS', 'Already exists'],
+  EACCES: ['PERMISSION_DENIED', 'Permission denied'],
+  EPERM: ['PERMISSION_DENIED', 'Operation not permitted'],
+  ENOTDIR: ['NOT_A_DIRECTORY', 'Not a directory'],
+  EISDIR: ['IS_A_DIRECTORY', 'Is a directory'],
+  ENOTEMPTY: ['DIRECTORY_NOT_EMPTY', 'Directory not empty']
+};
+
+// Thrown by the exit step; the CLI target exits with `code` without reporting an error
+const EXIT = Symbol('ddjex.exit');
+
+function systemError(code, message, details = {}) {
+  return { error: true, code, message, ...details };
+}
+
+/**
+ * Structured error for a failed filesystem call
+ */
+function fileError(error, path) {
+  const [code, text] = FILE_ERRORS[error.code] || ['FILE_ERROR', error.message];
+  return systemError(code, `${text}: ${path}`, { path, cause: error.code });
+}
+
+function requirePath(op, path) {
+  if (typeof path !== 'string' || path === '') {
+    throw systemError('INVALID_PATH', `${op} needs a path`);
+  }
+  return path;
+}
+
+async function nodeModules() {
+  const [fs, path] = await Promise.all([import('fs/promises'), import('path')]);
+  return { fs, path };
+}
+
+async function pathExists(fs, file) {
+  try {
+    await fs.lstat(file);
+    return true;
+  } catch (e) {
+    if (e.code === 'ENOENT') return false;
+    throw fileError(e, file);
+  }
+}
+
+/**
+ * Run a subprocess and capture its output
+ */
+async function exec(command, args = [], options = {}) {
+  if (typeof command !== 'string' || command === '') {
+    throw systemError('INVALID_COMMAND', 'exec needs a command');
+  }
+  if (!Array.isArray(args)) {
+    throw systemError('INVALID_COMMAND', 'exec arguments must be an array');
+  }
+  const { spawn } = await import('child_process');
+  const timeout = options.timeout ?? DEFAULT_EXEC_TIMEOUT;
+  const maxOutput = options.maxOutput ?? DEFAULT_MAX_OUTPUT;
+
+  return new Promise((resolve, reject) => {
+    let child;
+    try {
+      child = spawn(command, args.map(String), {
+        cwd: options.cwd,
+        env: options.env ? { ...process.env, ...options.env } : process.env,
+        shell: options.shell === true,
+        stdio: [options.input === undefined ? 'ignore' : 'pipe', 'pipe', 'pipe']
+      });
+    } catch (e) {
+      reject(systemError('EXEC_FAILED', `Cannot run ${command}: ${e.message}`, { command }));
+      return;
+    }
+
+    const output = { stdout: '', stderr: '' };
+    let failure = null;
+    const stop = (error) => {
+      failure ??= error;
+      child.kill();
+    };
+
+    for (const stream of ['stdout', 'stderr']) {
+      child[stream].setEncoding('utf8');
+      child[stream].on('data', (chunk) => {
+        output[stream] += chunk;
+        if (output.stdout.length + output.stderr.length > maxOutput) {
+          stop(systemError('EXEC_OUTPUT_LIMIT', `${command} wrote more than ${maxOutput} characters`, { command }));
+        }
+      });
+    }
+    if (options.input !== undefined) {
+      child.stdin.end(typeof options.input === 'string' ? options.input : JSON.stringify(options.input));
+    }
+
+    const timer = timeout > 0
+      ? setTimeout(() => stop(systemError('EXEC_TIMEOUT', `${command} did not finish within ${timeout}ms`, { command })), timeout)
+      : null;
+
+    child.on('error', (e) => {
+      clearTimeout(timer);
+      reject(e.code === 'ENOENT'
+        ? systemError('EXEC_NOT_FOUND', `Command not found: ${command}`, { command })
+        : systemError('EXEC_FAILED', `Cannot run ${command}: ${e.message}`, { command }));
+    });
+
+    child.on('close', (code, signal) => {
+      clearTimeout(timer);
+      if (failure) return reject(failure);
+
+      const result = { code, signal, ok: code === 0, stdout: output.stdout, stderr: output.stderr };
+      if (options.check && code !== 0) {
+        reject(systemError('EXEC_FAILED', `${command} exited with code ${code ?? signal}`, {
+          command,
+          exitCode: code || 1,
+          stderr: output.stderr
+        }));
+      } else {
+        resolve(result);
+      }
+    });
+  });
+}
+
+async function mkdir(dir, options = {}) {
+  const { fs } = await nodeModules();
+  requirePath('mkdir', dir);
+  try {
+    await fs.mkdir(dir, { recursive: options.recursive !== false });
+  } catch (e) {
+    throw fileError(e, dir);
+  }
+  return dir;
+}
+
+async function copy(from, to, options = {}) {
+  const { fs } = await nodeModules();
+  requirePath('copy', from);
+  requirePath('copy', to);
+  const overwrite = options.overwrite !== false;
+  try {
+    await fs.cp(from, to, { recursive: true, force: overwrite, errorOnExist: !overwrite });
+  } catch (e) {
+    throw fileError(e, e.code === 'ENOENT' ? from : to);
+  }
+  return to;
+}
+
+async function move(from, to, options = {}) {
+  const { fs, path } = await nodeModules();
+  requirePath('move', from);
+  requirePath('move', to);
+  if (options.overwrite === false && await pathExists(fs, to)) {
+    throw systemError('FILE_EXISTS', `Already exists: ${to}`, { path: to });
+  }
+  try {
+    await fs.mkdir(path.dirname(to), { recursive: true });
+    await fs.rename(from, to);
+  } catch (e) {
+    if (e.code !== 'EXDEV') throw fileError(e, e.code === 'ENOENT' ? from : to);
+    // Across devices: copy, then remove the original
+    await copy(from, to, options);
+    await remove(from);
+  }
+  return to;
+}
+
+async function remove(target, options = {}) {
+  const { fs, path } = await nodeModules();
+  requirePath('remove', target);
+  const resolved = path.resolve(target);
+  if (resolved === path.parse(resolved).root || resolved === process.cwd()) {
+    throw systemError('REMOVE_REFUSED', `Refusing to remove ${resolved}`, { path: target });
+  }
+  try {
+    await fs.rm(target, { recursive: options.recursive !== false, force: options.force === true });
+  } catch (e) {
+    throw fileError(e, target);
+  }
+  return true;
+}
+
+async function exists(target) {
+  const { fs } = await nodeModules();
+  return pathExists(fs, requirePath('exists', target));
+}
+
+async function stat(target) {
+  const { fs } = await nodeModules();
+  requirePath('stat', target);
+  let info;
+  try {
+    info = await fs.lstat(target);
+  } catch (e) {
+    throw fileError(e, target);
+  }
+  const type = info.isFile() ? 'file' : info.isDirectory() ? 'directory' : info.isSymbolicLink() ? 'symlink' : 'other';
+  return {
+    path: target,
+    type,
+    size: info.size,
+    mode: info.mode & 0o777,
+    modified: info.mtime.toISOString(),
+    created: info.birthtime.toISOString()
+  };
+}
+
+async function readJSON(file) {
+  const { fs } = await nodeModules();
+  requirePath('readJSON', file);
+  let text;
+  try {
+    text = await fs.readFile(file, 'utf8');
+  } catch (e) {
+    throw fileError(e, file);
+  }
+  try {
+    return JSON.parse(text);
+  } catch (e) {
+    throw systemError('INVALID_JSON', `Invalid JSON in ${file}: ${e.message}`, { path: file });
+  }
+}
+
+async function writeJSON(file, value, options = {}) {
+  const { fs, path } = await nodeModules();
+  requirePath('writeJSON', file);
+  const text = JSON.stringify(value, null, options.indent ?? 2);
+  if (text === undefined) {
+    throw systemError('INVALID_JSON', `Cannot write ${typeof value} as JSON to ${file}`, { path: file });
+  }
+  try {
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    await fs.writeFile(file, text + '\n', 'utf8');
+  } catch (e) {
+    throw fileError(e, file);
+  }
+  return file;
+}
+
+/**
+ * An environment variable (or all of them without a name)
+ */
+function env(name, fallback) {
+  if (name === undefined) return { ...process.env };
+  return process.env[name] ?? fallback;
+}
+
+/**
+ * Stop the command; the CLI target exits with `code`
+ */
+function exit(code = 0) {
+  const exitCode = Number(code);
+  if (!Number.isInteger(exitCode) || exitCode < 0 || exitCode > 255) {
+    throw systemError('INVALID_EXIT_CODE', `Exit code must be an integer from 0 to 255: ${code}`);
+  }
+  throw { [EXIT]: exitCode };
+}
+
+function parseLine(text, number) {
+  try {
+    return JSON.parse(text);
+  } catch (e) {
+    throw systemError('INVALID_JSON', `Invalid JSON on line ${number} of stdin: ${e.message}`, { line: number });
+  }
+}
+
+/**
+ * Read standard input (or any readable stream)
+ * @param {Object} options - { format: text | lines | json | ndjson, maxBytes }
+ * @param {Function} [onLine] - async (value, index) => void; streams lines instead of buffering
+ * @returns {Promise<*>} The text, lines or parsed JSON; the line count when streaming
+ */
+async function readInput(stream, options = {}, onLine = null) {
+  const format = options.format ?? (onLine ? 'lines' : 'text');
+  if (!STDIN_FORMATS.includes(format)) {
+    throw systemError('INVALID_INPUT', `Unknown stdin format: ${format}`, { options: STDIN_FORMATS });
+  }
+  if (onLine && format !== 'lines' && format !== 'ndjson') {
+    throw systemError('INVALID_INPUT', `Only lines and ndjson input can be streamed, not ${format}`);
+  }
+
+  if (onLine) {
+    const { createInterface } = await import('readline');
+    const reader = createInterface({ input: stream, crlfDelay: Infinity });
+    let count = 0;
+    let number = 0;
+    try {
+      for await (const line of reader) {
+        number++;
+        if (format === 'ndjson' && line.trim() === '') continue;
+        await onLine(format === 'ndjson' ? parseLine(line, number) : line, count++);
+      }
+    } finally {
+      reader.close();
+    }
+    return count;
+  }
+
+  const maxBytes = options.maxBytes ?? DEFAULT_MAX_INPUT;
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of stream) {
+    const buffer = typeof chunk === 'string' ? Buffer.from(chunk) : chunk;
+    size += buffer.length;
+    if (size > maxBytes) {
+      throw systemError('STDIN_TOO_LARGE', `stdin is larger than ${maxBytes} bytes; stream it line by line instead`);
+    }
+    chunks.push(buffer);
+  }
+  const text = Buffer.concat(chunks).toString('utf8');
+
+  switch (format) {
+    case 'lines': {
+      const lines = text.split(/\r?\n/);
+      if (lines[lines.length - 1] === '') lines.pop();
+      return lines;
+    }
+    case 'json':
+      try {
+        return JSON.parse(text);
+      } catch (e) {
+        throw systemError('INVALID_JSON', `Invalid JSON on stdin: ${e.message}`);
+      }
+    case 'ndjson':
+      return text.split(/\r?\n/).flatMap((line, i) => line.trim() === '' ? [] : [parseLine(line, i + 1)]);
+    default:
+      return text;
+  }
+}
+
+// Step name -> (...resolved args) => result
+const SYSTEM_STEPS = { exec, mkdir, copy, move, remove, exists, stat, readJSON, writeJSON, env, exit };
+
+export { SYSTEM_STEPS, STDIN_FORMATS, EXIT, readInput, fileError, systemError };
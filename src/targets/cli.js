@@ -1,14 +1,39 @@
 /**
  * ddjex CLI Target
- * Command-line interface with arguments and flags
+ * Command-line interface with nested commands, typed arguments and flags
+ * (see cli-args.js for the command syntax, help, --version and completions,
+ * cli-system.js for process, filesystem and stdin steps, cli-output.js for output modes and exit codes)
  */
 
 import { Target } from '../core/runtime.js';
+import { httpRequest } from '../core/http-client.js';
+import { glob } from './cli-glob.js';
+import { buildCommandTree, parseCommandLine, requestedOutput, formatHelp, completionScript } from './cli-args.js';
+import { Prompter } from './cli-prompt.js';
+import { SYSTEM_STEPS, EXIT, readInput, fileError } from './cli-system.js';
+import { Output, exitCodeFor, useColor } from './cli-output.js';
 
 class CLITarget extends Target {
-  constructor(args = process.argv.slice(2)) {
+  /**
+   * @param {Array<string>} args - Command-line arguments after the executable
+   * @param {Object} options - { name: executable name for help and completions, log, error, exit,
+   *   input, output, interactive: ask prompts (default: when input is a terminal),
+   *   color: colorize output (default: when output is a terminal, unless --color / --no-color) }
+   */
+  constructor(args = process.argv.slice(2), options = {}) {
     super();
     this.rawArgs = args;
+    this.name = options.name;
+    this.log = options.log || console.log;
+    this.error = options.error || console.error;
+    this.exit = options.exit || ((code) => process.exit(code));
+    this.input = options.input;
+    this.output = options.output;
+    this.interactive = options.interactive;
+    this.color = options.color;
+    this.yes = false;
+    this.prompter = null;
+    this.printer = this.createPrinter('text');
   }
 
   mount(runtime) {
@@ -24,138 +49,95 @@ class CLITarget extends Target {
   }
 
   buildCommands(commandDefs) {
-    const commands = new Map();
-
-    for (const cmd of commandDefs) {
-      commands.set(cmd.name, {
-        name: cmd.name,
-        args: cmd.args || [],
-        flags: cmd.flags || [],
-        handler: cmd.handler
-      });
-    }
+    const program = this.runtime.program;
+    this.root = buildCommandTree(commandDefs, { name: this.programName(), description: program.description });
+    return this.root.commands;
+  }
 
-    return commands;
+  programName() {
+    return this.name || this.runtime?.program?.id || 'ddjex';
   }
 
-  async execute() {
-    const { command, args, flags } = this.parseArgs();
+  versionText() {
+    const program = this.runtime.program;
+    const runtime = `ddjex ${program.$ddjex}`;
+    return program.version ? `${this.programName()} ${program.version} (${runtime})` : `${this.programName()} (${runtime})`;
+  }
 
-    if (!command) {
-      this.printHelp();
-      return this;
-    }
+  /**
+   * Writer for print, table and errors in the selected --output mode
+   */
+  createPrinter(mode, color) {
+    return new Output({
+      mode,
+      color: useColor(color ?? this.color, this.output ?? process.stdout),
+      log: this.log,
+      error: this.error
+    });
+  }
 
-    const cmd = this.commands.get(command);
-    if (!cmd) {
-      console.error(`Unknown command: ${command}`);
-      this.printHelp();
-      process.exit(1);
+  async execute() {
+    let parsed;
+    try {
+      parsed = this.parseArgs();
+    } catch (error) {
+      this.printer = this.createPrinter(requestedOutput(this.rawArgs));
+      const usage = [this.programName(), error.command].filter(Boolean).join(' ');
+      this.printer.reportError(error, `Run '${usage} --help' for usage.`);
+      this.exit(exitCodeFor(error));
+      return this;
     }
 
-    // Build context
-    const context = {
-      ...flags
-    };
-
-    // Map positional args
-    cmd.args.forEach((argDef, index) => {
-      const value = args[index];
-      if (argDef.required && value === undefined) {
-        console.error(`Missing required argument: ${argDef.name}`);
-        process.exit(1);
-      }
-      context[argDef.name] = this.coerceType(value ?? argDef.default, argDef.type);
-    });
+    const settings = parsed.settings;
+    this.printer = this.createPrinter(settings.output, settings.color);
 
-    // Apply flag defaults
-    for (const flagDef of cmd.flags) {
-      if (!(flagDef.name in context)) {
-        context[flagDef.name] = flagDef.default;
+    if (parsed.completion) {
+      this.log(completionScript(this.root, parsed.completion, this.programName()));
+      return this;
+    }
+    if (parsed.version) {
+      const program = this.runtime.program;
+      if (settings.output === 'json') {
+        this.log(JSON.stringify({ name: this.programName(), version: program.version ?? null, ddjex: program.$ddjex }));
+      } else {
+        this.log(this.versionText());
       }
+      return this;
     }
+    if (parsed.help) {
+      this.printHelp(parsed.command);
+      return this;
+    }
+
+    const context = parsed.context;
+    this.yes = settings.yes;
 
     // Execute handler
     try {
-      for (const step of cmd.handler) {
+      for (const step of parsed.command.handler) {
         await this.executeStep(step, context);
       }
     } catch (error) {
-      if (error.error) {
-        console.error(`Error: ${error.message}`);
-        if (error.code) console.error(`Code: ${error.code}`);
-      } else {
-        console.error(error);
+      // The exit step stops the command without an error
+      if (error?.[EXIT] !== undefined) {
+        this.exit(error[EXIT]);
+        return this;
       }
-      process.exit(1);
+      this.printer.reportError(error);
+      this.exit(exitCodeFor(error));
+    } finally {
+      this.prompter?.close();
     }
 
     return this;
   }
 
+  /**
+   * Resolve the command and its context from the raw arguments (see cli-args.js)
+   * @returns {Object} { command, context, settings } or { command, settings, help | version | completion }
+   */
   parseArgs() {
-    const result = {
-      command: null,
-      args: [],
-      flags: {}
-    };
-
-    let i = 0;
-
-    // First non-flag argument is the command
-    while (i < this.rawArgs.length) {
-      const arg = this.rawArgs[i];
-
-      if (arg.startsWith('--')) {
-        const [key, value] = arg.slice(2).split('=');
-        result.flags[key.replace(/-/g, '_')] = value ?? true;
-      } else if (arg.startsWith('-') && arg.length === 2) {
-        const short = arg[1];
-        // Find matching flag definition
-        const nextArg = this.rawArgs[i + 1];
-        if (nextArg && !nextArg.startsWith('-')) {
-          result.flags[short] = nextArg;
-          i++;
-        } else {
-          result.flags[short] = true;
-        }
-      } else if (!result.command) {
-        result.command = arg;
-      } else {
-        result.args.push(arg);
-      }
-
-      i++;
-    }
-
-    // Resolve short flags to full names
-    if (result.command) {
-      const cmd = this.commands?.get(result.command);
-      if (cmd) {
-        for (const flagDef of cmd.flags) {
-          if (flagDef.short && flagDef.short in result.flags) {
-            result.flags[flagDef.name] = result.flags[flagDef.short];
-            delete result.flags[flagDef.short];
-          }
-        }
-      }
-    }
-
-    return result;
-  }
-
-  coerceType(value, type) {
-    if (value === undefined) return undefined;
-
-    switch (type) {
-      case 'number':
-        return Number(value);
-      case 'boolean':
-        return value === true || value === 'true';
-      case 'string':
-      default:
-        return String(value);
-    }
+    return parseCommandLine(this.root, this.rawArgs);
   }
 
   async executeStep(step, context) {
@@ -167,30 +149,60 @@ class CLITarget extends Target {
       case 'read':
         const filePath = this.runtime.resolve(opArgs[0], context);
         const fs = await import('fs/promises');
-        result = await fs.readFile(filePath, 'utf-8');
+        result = await fs.readFile(filePath, 'utf-8').catch(e => { throw fileError(e, filePath); });
         break;
 
       case 'write':
         const writePath = this.runtime.resolve(opArgs[0], context);
         const content = this.runtime.resolve(opArgs[1], context);
         const fsWrite = await import('fs/promises');
-        await fsWrite.writeFile(writePath, content, 'utf-8');
+        await fsWrite.writeFile(writePath, content, 'utf-8').catch(e => { throw fileError(e, writePath); });
         break;
 
       case 'glob':
-        const pattern = this.runtime.resolve(opArgs[0], context);
-        const dir = this.runtime.resolve(opArgs[1], context);
-        const fsGlob = await import('fs/promises');
-        const path = await import('path');
-
-        // Simple glob implementation
-        const files = await this.simpleGlob(dir, pattern);
-        result = files;
+        const [pattern, dir, globOptions] = opArgs.map(arg => this.runtime.resolve(arg, context));
+        result = await glob(dir ?? '.', pattern, globOptions);
+        break;
+
+      case 'http':
+        const [url, httpOptions] = opArgs.map(arg => this.runtime.resolve(arg, context));
+        result = await httpRequest(url, httpOptions);
+        break;
+
+      case 'prompt':
+        const question = this.runtime.resolve(opArgs[0], context);
+        this.prompter ??= new Prompter({
+          input: this.input ?? process.stdin,
+          output: this.output ?? process.stdout,
+          interactive: this.interactive,
+          yes: this.yes
+        });
+        result = await this.prompter.ask(question);
+        break;
+
+      case 'readStdin':
+        const [stdinFormat, lineStep] = opArgs || [];
+        const stdinOptions = stdinFormat === undefined ? {} : this.runtime.resolve(stdinFormat, context);
+        result = await readInput(
+          this.input ?? process.stdin,
+          typeof stdinOptions === 'string' ? { format: stdinOptions } : (stdinOptions ?? {}),
+          lineStep ? (line, index) => this.executeStep(lineStep, { ...context, line, index }) : null
+        );
         break;
 
       case 'print':
         const printArgs = opArgs.map(arg => this.runtime.resolve(arg, context));
-        console.log(...printArgs);
+        this.printer.print(printArgs);
+        break;
+
+      case 'table':
+        const [rows, columns] = opArgs.map(arg => this.runtime.resolve(arg, context));
+        this.printer.table(rows, columns);
+        break;
+
+      case 'style':
+        const [styleText, ...styles] = opArgs.map(arg => this.runtime.resolve(arg, context));
+        result = this.printer.style(styleText, styles);
         break;
 
       case 'if':
@@ -206,8 +218,13 @@ class CLITarget extends Target {
       case 'forEach':
         const [arr, body] = opArgs;
         const resolvedArr = this.runtime.resolve(arr, context);
+        // The body is one step or a list of steps sharing the item's context
+        const bodySteps = Array.isArray(body) ? body : [body];
         for (let i = 0; i < resolvedArr.length; i++) {
-          await this.executeStep(body, { ...context, item: resolvedArr[i], index: i });
+          const itemContext = { ...context, item: resolvedArr[i], index: i };
+          for (const bodyStep of bodySteps) {
+            await this.executeStep(bodyStep, itemContext);
+          }
         }
         break;
 
@@ -220,7 +237,11 @@ class CLITarget extends Target {
         break;
 
       default:
-        result = this.runtime.resolve(step, context);
+        if (Object.hasOwn(SYSTEM_STEPS, op)) {
+          result = await SYSTEM_STEPS[op](...(opArgs || []).map(arg => this.runtime.resolve(arg, context)));
+        } else {
+          result = this.runtime.resolve(step, context);
+        }
     }
 
     if (as) {
@@ -230,52 +251,8 @@ class CLITarget extends Target {
     return result;
   }
 
-  async simpleGlob(dir, pattern) {
-    const fs = await import('fs/promises');
-    const path = await import('path');
-
-    const results = [];
-    const isRecursive = pattern.includes('**');
-
-    async function walk(currentDir) {
-      const entries = await fs.readdir(currentDir, { withFileTypes: true });
-
-      for (const entry of entries) {
-        const fullPath = path.join(currentDir, entry.name);
-
-        if (entry.isDirectory() && isRecursive) {
-          await walk(fullPath);
-        } else if (entry.isFile()) {
-          results.push(fullPath);
-        }
-      }
-    }
-
-    await walk(dir);
-    return results;
-  }
-
-  printHelp() {
-    const program = this.runtime?.program;
-
-    console.log(`\nUsage: ${program?.id || 'ddjex'} <command> [options]\n`);
-
-    if (this.commands?.size > 0) {
-      console.log('Commands:');
-      for (const [name, cmd] of this.commands) {
-        const args = cmd.args.map(a => a.required ? `<${a.name}>` : `[${a.name}]`).join(' ');
-        console.log(`  ${name} ${args}`);
-
-        if (cmd.flags.length > 0) {
-          for (const flag of cmd.flags) {
-            const short = flag.short ? `-${flag.short}, ` : '    ';
-            console.log(`    ${short}--${flag.name.replace(/_/g, '-')}`);
-          }
-        }
-      }
-    }
-
-    console.log('');
+  printHelp(command = this.root) {
+    this.log(formatHelp(command, { name: this.programName() }));
   }
 }
 
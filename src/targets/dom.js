@@ -136,17 +136,14 @@ class DOMTarget extends Target {
     const base = path[0];
 
     if (!(base in scope)) {
-      const state = this.runtime.stateManager.states.get(base) ||
-                    this.runtime.stateManager.computed.get(base);
-      if (state) {
+      // Longest defined id, so imported names like widgets.title bind too
+      const ref = this.runtime.stateManager.splitRef(node.bind);
+      if (ref) {
         const update = () => {
-          let value = this.runtime.stateManager.get(base);
-          for (let i = 1; i < path.length; i++) {
-            value = value?.[path[i]];
-          }
-          element.textContent = String(value ?? '');
+          element.textContent = String(this.runtime.stateManager.get(node.bind) ?? '');
         };
-        state.subscribe({ run: update, dependencies: new Set() });
+        // Only re-render when the bound path changes, e.g. settings.theme
+        this.runtime.stateManager.subscribe(ref.id, { run: update, dependencies: new Set() }, ref.path);
       }
     }
   }
@@ -382,6 +379,17 @@ class DOMTarget extends Target {
       return this.createTransitionGroup(node.transitionGroup, scope);
     }
 
+    // Plugin node type, e.g. { "type": "charts.bar" }
+    const pluginNode = 'type' in node && this.runtime.plugins.nodeTypes.get(node.type);
+    if (pluginNode) {
+      return pluginNode(node, {
+        runtime: this.runtime,
+        scope,
+        resolve: (expr, params = {}) => this.runtime.resolve(expr, { ...scope, ...params }),
+        renderNode: (child, childScope = scope) => this.renderNode(child, childScope)
+      });
+    }
+
     // Element node
     if ('type' in node) {
       return this.createElement(node, scope);
@@ -684,12 +692,9 @@ class DOMTarget extends Target {
           value = value?.[path[i]];
         }
       }
-      // Check state manager
+      // Check state manager (dotted ids resolve to the longest defined state or computed)
       else {
-        value = this.runtime.stateManager.get(path[0]);
-        for (let i = 1; i < path.length; i++) {
-          value = value?.[path[i]];
-        }
+        value = this.runtime.stateManager.get(node.bind);
       }
 
       if (node.format) {
@@ -704,13 +709,13 @@ class DOMTarget extends Target {
 
     // Subscribe to changes if it's a state reference
     if (!(path[0] in scope) && !(scope.__contexts__ && path[0] in scope.__contexts__)) {
-      const state = this.runtime.stateManager.states.get(path[0]) ||
-                    this.runtime.stateManager.computed.get(path[0]);
-      if (state) {
-        state.subscribe({
+      const ref = this.runtime.stateManager.splitRef(node.bind);
+      if (ref) {
+        // Only re-render when the bound path changes, e.g. settings.theme
+        this.runtime.stateManager.subscribe(ref.id, {
           run: update,
           dependencies: new Set()
-        });
+        }, ref.path);
       }
 
       // Subscribe to context changes
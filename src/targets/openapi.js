@@ -0,0 +1,430 @@
+/**
+ * ddjex OpenAPI Generation
+ * Describes a server program's routes as an OpenAPI 3.1 document
+ *
+ * - Paths and path parameters come from route patterns (ServerTarget.parsePattern); optional
+ *   params produce one path per length, wildcards become a single (slash-containing) parameter
+ * - Request bodies come from `validate` handler steps
+ * - Response shapes are inferred from the response expression and state type declarations
+ * - Auth, body limit and rate limit middleware add security schemes and error responses
+ */
+
+import { DDJEXError } from '../core/errors.js';
+import { isFieldSchema } from '../core/form-validation.js';
+import { ServerTarget, flattenRoutes } from './server.js';
+import { CONTENT_TYPES } from './server-response.js';
+
+const OPENAPI_VERSION = '3.1.0';
+
+const JSON_TYPES = ['string', 'number', 'integer', 'boolean', 'object', 'array', 'null'];
+
+const ERROR_SCHEMA = {
+  type: 'object',
+  properties: {
+    error: { type: 'boolean' },
+    code: { type: 'string' },
+    message: { type: 'string' }
+  },
+  required: ['error', 'code', 'message']
+};
+
+// Error responses added by handler steps and middleware
+const ERROR_RESPONSES = {
+  validate: ['400', 'Validation failed'],
+  auth: ['401', 'Unauthorized'],
+  guard: ['403', 'Forbidden'],
+  bodyLimit: ['413', 'Payload too large'],
+  rateLimit: ['429', 'Too many requests']
+};
+
+const ARRAY_ITEM_OPS = ['first', 'last', 'find'];
+const SAME_SHAPE_OPS = ['filter', 'slice', 'sort', 'sortBy', 'reverse', 'unique'];
+const NUMBER_OPS = ['length', 'count', 'sum', 'add', 'subtract', 'multiply', 'divide', 'modulo', 'parseInt', 'parseFloat', 'now', 'findIndex', 'indexOf'];
+const BOOLEAN_OPS = ['eq', 'neq', 'gt', 'gte', 'lt', 'lte', 'and', 'or', 'not', 'includes', 'some', 'every'];
+const STRING_OPS = ['concat', 'toString', 'toLowerCase', 'toUpperCase', 'trim', 'formatDate', 'padStart', 'join'];
+
+/**
+ * JSON Schema for a ddjex type declaration (see typeDefinition in spec/schema.json)
+ */
+function schemaForType(type, itemType = null) {
+  if (type && typeof type === 'object' && Array.isArray(type.union)) {
+    return { anyOf: type.union.map(member => schemaForType(member)) };
+  }
+  if (type === 'array') {
+    return itemType ? { type: 'array', items: schemaForType(itemType) } : { type: 'array' };
+  }
+  return typeof type === 'string' ? { type } : {};
+}
+
+/**
+ * JSON Schema inferred from a literal value
+ */
+function schemaForValue(value) {
+  if (value === null) return { type: 'null' };
+  if (Array.isArray(value)) {
+    return value.length > 0 ? { type: 'array', items: schemaForValue(value[0]) } : { type: 'array' };
+  }
+  if (typeof value === 'object') {
+    return {
+      type: 'object',
+      properties: Object.fromEntries(Object.entries(value).map(([key, item]) => [key, schemaForValue(item)]))
+    };
+  }
+  return { type: typeof value === 'number' && Number.isInteger(value) ? 'integer' : typeof value };
+}
+
+/**
+ * JSON Schema for a state: its declared type, refined by constraints and a non-empty initial value
+ */
+function schemaForState(definition) {
+  const schema = schemaForType(definition.type, definition.itemType);
+  const initial = definition.initial;
+
+  if (definition.type === 'object' && initial && typeof initial === 'object' && Object.keys(initial).length > 0) {
+    Object.assign(schema, schemaForValue(initial));
+  }
+  if (definition.type === 'array' && !schema.items && Array.isArray(initial) && initial.length > 0) {
+    schema.items = schemaForValue(initial[0]);
+  }
+
+  const c = definition.constraints || {};
+  if (c.min !== undefined) schema.minimum = c.min;
+  if (c.max !== undefined) schema.maximum = c.max;
+  if (definition.type === 'array') {
+    if (c.minLength !== undefined) schema.minItems = c.minLength;
+    if (c.maxLength !== undefined) schema.maxItems = c.maxLength;
+  } else {
+    if (c.minLength !== undefined) schema.minLength = c.minLength;
+    if (c.maxLength !== undefined) schema.maxLength = c.maxLength;
+  }
+  if (c.pattern !== undefined) schema.pattern = c.pattern;
+  if (c.enum !== undefined) schema.enum = c.enum;
+
+  if (definition.nullable) {
+    return { anyOf: [schema, { type: 'null' }] };
+  }
+  return schema;
+}
+
+// Validators rules and formats (form-validation.js) as JSON Schema formats
+const JSON_SCHEMA_FORMATS = { email: 'email', url: 'uri' };
+
+// Validators rules with a JSON Schema keyword, and the option holding their limit
+const RULE_OPTIONS = { min: 'min', max: 'max', minLength: 'min', maxLength: 'max', pattern: 'pattern' };
+
+/**
+ * JSON Schema for a `validate` step schema (see validateSchema in form-validation.js)
+ * @returns {Object} { schema, required } - required tells the parent object to list the field
+ */
+function convertFieldSchema(fieldSchema) {
+  const field = Array.isArray(fieldSchema) || typeof fieldSchema === 'string'
+    ? { rules: [].concat(fieldSchema) }
+    : fieldSchema || {};
+  const rules = (field.rules || []).map(rule => typeof rule === 'string' ? { type: rule } : rule);
+  // A single form-style rule, e.g. { type: "minLength", value: 3 }
+  if (typeof field.type === 'string' && !JSON_TYPES.includes(field.type)) rules.push(field);
+
+  const schema = {};
+  if (JSON_TYPES.includes(field.type)) schema.type = field.type;
+  if (Array.isArray(field.type)) schema.type = field.type;
+  if (field.enum) schema.enum = field.enum;
+
+  const keywords = { ...field };
+  for (const rule of rules) {
+    if (RULE_OPTIONS[rule.type]) keywords[rule.type] = rule[RULE_OPTIONS[rule.type]] ?? rule.value;
+    if (JSON_SCHEMA_FORMATS[rule.type]) schema.format = JSON_SCHEMA_FORMATS[rule.type];
+  }
+  if (keywords.min !== undefined) schema.minimum = keywords.min;
+  if (keywords.max !== undefined) schema.maximum = keywords.max;
+  const isArray = schema.type === 'array' || field.items !== undefined;
+  if (keywords.minLength !== undefined) schema[isArray ? 'minItems' : 'minLength'] = keywords.minLength;
+  if (keywords.maxLength !== undefined) schema[isArray ? 'maxItems' : 'maxLength'] = keywords.maxLength;
+  if (typeof keywords.pattern === 'string') schema.pattern = keywords.pattern;
+  if (field.format) schema.format = JSON_SCHEMA_FORMATS[field.format] || field.format;
+
+  if (field.properties) {
+    Object.assign(schema, schemaForValidation(field.properties));
+    if (field.additionalProperties === false) schema.additionalProperties = false;
+  }
+  if (field.items !== undefined) {
+    schema.type = 'array';
+    schema.items = convertFieldSchema(field.items).schema;
+  }
+
+  const required = Boolean(field.required) || rules.some(rule => rule.type === 'required');
+  return { schema, required };
+}
+
+/**
+ * JSON Schema for the object a `validate` step accepts (a map of field names to field schemas)
+ */
+function schemaForValidation(fields) {
+  // A single field schema describing the whole value
+  if (isFieldSchema(fields)) {
+    return convertFieldSchema(fields).schema;
+  }
+  const properties = {};
+  const required = [];
+  for (const [name, fieldSchema] of Object.entries(fields || {})) {
+    const converted = convertFieldSchema(fieldSchema);
+    properties[name] = converted.schema;
+    if (converted.required) required.push(name);
+  }
+  const schema = { type: 'object', properties };
+  if (required.length > 0) schema.required = required;
+  return schema;
+}
+
+/**
+ * Infer the schema of an expression; `scope` maps refs (states and step results) to schemas
+ */
+function schemaForExpression(expr, scope) {
+  if (expr === null || typeof expr !== 'object') return schemaForValue(expr);
+  if (Array.isArray(expr)) {
+    return expr.length > 0 ? { type: 'array', items: schemaForExpression(expr[0], scope) } : { type: 'array' };
+  }
+
+  if ('ref' in expr) {
+    const [head, ...rest] = expr.ref.split('.');
+    let schema = scope[expr.ref] || scope[head] || {};
+    if (!scope[expr.ref]) {
+      for (const key of rest) schema = schema.properties?.[key] || {};
+    }
+    return schema;
+  }
+  if ('param' in expr) return (expr.param === 'item' && scope.item) || {};
+
+  if ('op' in expr) {
+    const args = expr.args || [];
+    if (ARRAY_ITEM_OPS.includes(expr.op)) return schemaForExpression(args[0], scope).items || {};
+    if (SAME_SHAPE_OPS.includes(expr.op)) return schemaForExpression(args[0], scope);
+    if (expr.op === 'map') {
+      const items = schemaForExpression(args[0], scope).items || {};
+      return { type: 'array', items: schemaForExpression(args[1], { ...scope, item: items }) };
+    }
+    if (expr.op === 'if') return mergeSchemas([schemaForExpression(args[1], scope), schemaForExpression(args[2], scope)]);
+    if (expr.op === 'coalesce') return mergeSchemas(args.map(arg => schemaForExpression(arg, scope)));
+    if (expr.op === 'get' && typeof args[1] === 'string') {
+      return schemaForExpression(args[0], scope).properties?.[args[1]] || {};
+    }
+    if (NUMBER_OPS.includes(expr.op)) return { type: 'number' };
+    if (BOOLEAN_OPS.includes(expr.op)) return { type: 'boolean' };
+    if (STRING_OPS.includes(expr.op)) return { type: 'string' };
+    if (expr.op === 'keys') return { type: 'array', items: { type: 'string' } };
+    return {};
+  }
+
+  return {
+    type: 'object',
+    properties: Object.fromEntries(Object.entries(expr).map(([key, value]) => [key, schemaForExpression(value, scope)]))
+  };
+}
+
+function mergeSchemas(schemas) {
+  const unique = [];
+  for (const schema of schemas) {
+    if (!unique.some(existing => JSON.stringify(existing) === JSON.stringify(schema))) unique.push(schema);
+  }
+  if (unique.some(schema => Object.keys(schema).length === 0)) return {};
+  return unique.length === 1 ? unique[0] : { anyOf: unique };
+}
+
+/**
+ * Split a response expression into its possible responses (branches of `if`)
+ */
+function collectResponses(expr) {
+  if (expr && typeof expr === 'object' && expr.op === 'if' && Array.isArray(expr.args)) {
+    return [...collectResponses(expr.args[1]), ...collectResponses(expr.args[2])];
+  }
+  return expr && typeof expr === 'object' && !('op' in expr) && !('ref' in expr) ? [expr] : [];
+}
+
+function describeResponse(response, scope) {
+  if (response.redirect !== undefined) {
+    return { description: 'Redirect', headers: { Location: { schema: { type: 'string' } } } };
+  }
+  const type = response.type || 'json';
+  if (response.stream !== undefined) {
+    return {
+      description: type === 'sse' ? 'Server-Sent Events stream' : 'NDJSON stream',
+      content: { [CONTENT_TYPES[type] || CONTENT_TYPES.ndjson]: { schema: schemaForExpression({ ref: response.stream }, scope) } }
+    };
+  }
+  if (response.body === undefined || response.body === null) {
+    return { description: 'No content' };
+  }
+
+  let schema = schemaForExpression(response.body, scope);
+  if (type === 'text' || type === 'html' || type === 'csv') schema = { type: 'string' };
+  if (type === 'ndjson' || type === 'sse') schema = schema.items || schema;
+  return { description: 'Success', content: { [CONTENT_TYPES[type] || type]: { schema } } };
+}
+
+function operationId(method, parts) {
+  const words = parts.map(part => part.type === 'static' ? part.value : `by_${paramName(part)}`);
+  return [method.toLowerCase(), ...words]
+    .join('_')
+    .replace(/[^a-zA-Z0-9]+(.)?/g, (_, next) => next ? next.toUpperCase() : '');
+}
+
+function paramName(part) {
+  return part.name === '*' ? 'wildcard' : part.name;
+}
+
+/**
+ * OpenAPI has no optional path segments: a pattern ending in optional parts becomes
+ * one path per number of parts present, longest first
+ * @returns {Array<Array>} Parts of each path
+ */
+function patternVariants(pattern) {
+  const { parts } = pattern;
+  let required = parts.length;
+  while (required > 0 && parts[required - 1].optional) required--;
+
+  const variants = [];
+  for (let length = parts.length; length >= required; length--) {
+    variants.push(parts.slice(0, length));
+  }
+  return variants;
+}
+
+function pathParameter(part) {
+  const parameter = {
+    name: paramName(part),
+    in: 'path',
+    required: true,
+    schema: { type: part.valueType || 'string' }
+  };
+  if (part.type === 'wildcard') parameter.description = 'Rest of the path, may contain slashes';
+  return parameter;
+}
+
+function securitySchemeFor(middleware) {
+  if ((middleware.scheme || 'bearer') === 'bearer') {
+    return ['bearerAuth', { type: 'http', scheme: 'bearer' }];
+  }
+  if (middleware.query && !middleware.header) {
+    return [`apiKey_${middleware.query}`, { type: 'apiKey', in: 'query', name: middleware.query }];
+  }
+  const header = middleware.header || 'x-api-key';
+  return [`apiKey_${header.replace(/[^a-zA-Z0-9]/g, '_')}`, { type: 'apiKey', in: 'header', name: header }];
+}
+
+/**
+ * Generate an OpenAPI 3.1 document for a server program
+ * @param {Object} program - Program with target "server"
+ * @param {Object} options - { title, version, description, servers: [{ url }] }
+ * @returns {Object} OpenAPI document
+ */
+function generateOpenAPI(program, options = {}) {
+  if (!program || program.target !== 'server') {
+    throw new DDJEXError('INVALID_TARGET', 'OpenAPI documents can only be generated for server programs', {
+      target: program?.target
+    });
+  }
+
+  const target = new ServerTarget();
+  const states = {};
+  for (const [id, definition] of Object.entries(program.state || {})) {
+    states[id] = schemaForState(definition);
+  }
+
+  const paths = {};
+  const securitySchemes = {};
+  const programMiddleware = program.middleware?.http || [];
+
+  for (const route of flattenRoutes(program.routes || [])) {
+    const pattern = target.parsePattern(route.path, route.params);
+    const method = route.method.toLowerCase();
+    const middleware = [...programMiddleware, ...(route.middleware || [])];
+
+    const operation = {};
+    const responses = {};
+
+    // Step results are in scope for the response, like at runtime
+    const scope = { ...states, params: { type: 'object' }, query: { type: 'object' }, headers: { type: 'object' } };
+    const errors = new Set();
+    for (const step of route.handler || []) {
+      let schema = {};
+      if (step.op === 'validate') {
+        // Schemas shared through state are read from the state's initial value
+        const rules = step.args?.[1];
+        schema = schemaForValidation(typeof rules?.ref === 'string' ? program.state?.[rules.ref]?.initial : rules);
+        errors.add('validate');
+        const [data] = step.args || [];
+        if (data && typeof data === 'object' && (data.ref === 'body' || data.param === 'body') && !operation.requestBody) {
+          operation.requestBody = { required: true, content: { 'application/json': { schema } } };
+          scope.body = schema;
+        }
+      } else {
+        schema = schemaForExpression(step, scope);
+      }
+      if (step.as) scope[step.as] = schema;
+    }
+
+    for (const response of collectResponses(route.response)) {
+      const status = String(response.redirect !== undefined && !(response.status >= 300 && response.status < 400)
+        ? 302
+        : response.status || 200);
+      const described = describeResponse(response, scope);
+      if (response.status >= 400) described.description = 'Error';
+      responses[status] = described;
+    }
+    if (Object.keys(responses).length === 0) {
+      responses['200'] = { description: 'Success' };
+    }
+
+    const security = [];
+    for (const item of middleware) {
+      if (ERROR_RESPONSES[item.use]) errors.add(item.use);
+      if (item.use === 'auth') {
+        const [name, scheme] = securitySchemeFor(item);
+        securitySchemes[name] = scheme;
+        security.push({ [name]: [] });
+      }
+    }
+    if (security.length > 0) operation.security = security;
+
+    for (const source of errors) {
+      const [status, description] = ERROR_RESPONSES[source];
+      responses[status] ??= {
+        description,
+        content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } }
+      };
+    }
+
+    operation.responses = Object.fromEntries(Object.entries(responses).sort(([a], [b]) => a.localeCompare(b)));
+
+    for (const parts of patternVariants(pattern)) {
+      const openapiPath = '/' + parts.map(part => part.type === 'static' ? part.value : `{${paramName(part)}}`).join('/');
+      const params = parts.filter(part => part.type !== 'static');
+      paths[openapiPath] = {
+        ...paths[openapiPath],
+        [method]: {
+          operationId: operationId(route.method, parts),
+          ...(params.length > 0 && { parameters: params.map(pathParameter) }),
+          ...operation
+        }
+      };
+    }
+  }
+
+  const document = {
+    openapi: OPENAPI_VERSION,
+    info: {
+      title: options.title || program.id,
+      version: options.version || '1.0.0'
+    },
+    paths,
+    components: {
+      schemas: { Error: ERROR_SCHEMA }
+    }
+  };
+  if (options.description) document.info.description = options.description;
+  if (options.servers) document.servers = options.servers;
+  if (Object.keys(securitySchemes).length > 0) document.components.securitySchemes = securitySchemes;
+
+  return document;
+}
+
+export { generateOpenAPI, schemaForState, schemaForExpression, OPENAPI_VERSION };
@@ -0,0 +1,42 @@
+/**
+ * ddjex Server Errors
+ * Turns errors thrown while handling a request into responses without leaking internals
+ *
+ *   "server": {
+ *     "errors": {
+ *       "CONSTRAINT_VIOLATION": { "status": 422, "message": "The request breaks a data rule" },
+ *       "ACTION_VETOED": { "status": 403, "code": "FORBIDDEN" }
+ *     }
+ *   }
+ *
+ * Mapped codes get the table's status, code and message. Unmapped errors with a status
+ * (validation, body limits, timeouts, ...) are sent as thrown; anything else (runtime and
+ * JavaScript errors) is a 500 whose message is replaced, unless the target was created
+ * with `exposeErrors: true`.
+ */
+
+const INTERNAL_MESSAGE = 'Internal server error';
+
+/**
+ * @param {Object} table - Error code -> { status, code, message }
+ * @param {Object} options - { expose: send the original message of internal errors }
+ * @returns {Function} (error) => { status, body, internal }
+ */
+function createErrorMapper(table = {}, options = {}) {
+  return (error) => {
+    const code = error?.code || 'INTERNAL_ERROR';
+    const mapped = Object.hasOwn(table, code) ? table[code] : null;
+    const status = mapped?.status ?? error?.status ?? 500;
+    // Errors without a status were not meant for clients
+    const internal = error?.status === undefined && !mapped?.message;
+
+    const message = mapped?.message ??
+      (internal && !options.expose ? INTERNAL_MESSAGE : error?.message || INTERNAL_MESSAGE);
+
+    const body = { error: true, code: mapped?.code ?? code, message };
+    if (error?.errors && status < 500) body.errors = error.errors;
+    return { status, body, internal };
+  };
+}
+
+export { createErrorMapper, INTERNAL_MESSAGE };
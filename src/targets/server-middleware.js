@@ -0,0 +1,211 @@
+/**
+ * ddjex Server Middleware
+ * Declarative request middleware for the server target
+ *
+ * Program-level middleware runs for every request (before route matching),
+ * route-level middleware runs after the route matched; both run in order before the handler:
+ *
+ *   "middleware": { "http": [{ "use": "cors", "origin": "*" }, { "use": "logger" }] }
+ *   "routes": [{ "method": "GET", "path": "/admin", "middleware": [{ "use": "auth", "scheme": "bearer", "tokens": { "ref": "tokens" } }], ... }]
+ *
+ * A middleware either lets the request continue (returns nothing) or short-circuits
+ * it by returning a response { status, body, headers }.
+ */
+
+import { DDJEXError } from '../core/errors.js';
+
+const DEFAULT_BODY_LIMIT = 1024 * 1024;
+
+const DEFAULT_CORS_METHODS = ['GET', 'HEAD', 'PUT', 'PATCH', 'POST', 'DELETE'];
+
+function errorResponse(status, code, message, headers = {}) {
+  return { status, body: { error: true, code, message }, headers };
+}
+
+/**
+ * The peer address, or the first X-Forwarded-For entry with trustProxy
+ * (only set it behind a proxy that overwrites the header, since clients can send any value)
+ */
+function clientAddress(req, trustProxy = false) {
+  const forwarded = trustProxy ? req.headers['x-forwarded-for']?.split(',')[0].trim() : null;
+  return forwarded || req.socket?.remoteAddress || 'unknown';
+}
+
+/**
+ * Built-in middleware factories: (definition, target) => (request) => response | undefined
+ * `request` is { req, method, path, context, headers } where `headers` are added to the response
+ */
+const SERVER_MIDDLEWARE = {
+  cors(def) {
+    const methods = (def.methods || DEFAULT_CORS_METHODS).join(', ');
+
+    return ({ req, method, headers }) => {
+      const origin = req.headers.origin;
+      const allowed = Array.isArray(def.origin) ? def.origin : [def.origin ?? '*'];
+      if (allowed.includes('*') && !def.credentials) {
+        headers['Access-Control-Allow-Origin'] = '*';
+      } else if (origin && (allowed.includes('*') || allowed.includes(origin))) {
+        headers['Access-Control-Allow-Origin'] = origin;
+        headers['Vary'] = 'Origin';
+      } else {
+        return;
+      }
+      if (def.credentials) headers['Access-Control-Allow-Credentials'] = 'true';
+      if (def.expose) headers['Access-Control-Expose-Headers'] = def.expose.join(', ');
+
+      // Preflight
+      if (method === 'OPTIONS' && req.headers['access-control-request-method']) {
+        headers['Access-Control-Allow-Methods'] = methods;
+        headers['Access-Control-Allow-Headers'] = def.headers
+          ? def.headers.join(', ')
+          : req.headers['access-control-request-headers'] || 'Content-Type, Authorization';
+        if (def.maxAge !== undefined) headers['Access-Control-Max-Age'] = String(def.maxAge);
+        return { status: 204, body: null };
+      }
+    };
+  },
+
+  auth(def, target) {
+    // A credential is never accepted just because it is present
+    if (def.tokens === undefined && def.keys === undefined && def.verify === undefined) {
+      throw new DDJEXError('INVALID_MIDDLEWARE', 'auth middleware requires tokens, keys or verify', { use: 'auth' });
+    }
+    const scheme = def.scheme || 'bearer';
+    const header = (def.header || 'x-api-key').toLowerCase();
+    const challenge = scheme === 'bearer' ? { 'WWW-Authenticate': 'Bearer' } : {};
+
+    const readCredential = (req, url) => {
+      if (scheme === 'bearer') {
+        const match = /^Bearer\s+(.+)$/i.exec(req.headers.authorization || '');
+        return match ? match[1].trim() : null;
+      }
+      return req.headers[header] || (def.query ? url.searchParams.get(def.query) : null) || null;
+    };
+
+    return ({ req, url, context }) => {
+      const credential = readCredential(req, url);
+      if (!credential) {
+        return errorResponse(401, 'UNAUTHORIZED', def.message || 'Missing credentials', challenge);
+      }
+
+      // Accept a fixed list (tokens/keys) or a verify expression with param `token`
+      const list = def.tokens ?? def.keys;
+      let identity = credential;
+      if (list !== undefined) {
+        const accepted = target.resolveExpr(list, context);
+        if (!Array.isArray(accepted) || !accepted.includes(credential)) identity = null;
+      }
+      if (identity !== null && def.verify !== undefined) {
+        identity = target.resolveExpr(def.verify, { ...context, token: credential }) || null;
+      }
+
+      if (identity === null) {
+        return errorResponse(401, 'UNAUTHORIZED', def.message || 'Invalid credentials', challenge);
+      }
+      context.locals[def.as || 'auth'] = identity;
+    };
+  },
+
+  logger(def, target) {
+    return ({ req, res, method, path }) => {
+      const start = Date.now();
+      res.on('finish', () => {
+        const line = `${method} ${path} ${res.statusCode} ${Date.now() - start}ms`;
+        target.log(def.prefix ? `${def.prefix} ${line}` : line, {
+          method, path, status: res.statusCode, duration: Date.now() - start, ip: clientAddress(req, def.trustProxy === true)
+        });
+      });
+    };
+  },
+
+  bodyLimit(def) {
+    const max = def.max ?? DEFAULT_BODY_LIMIT;
+
+    return (request) => {
+      const length = Number(request.req.headers['content-length']);
+      if (length > max) {
+        return errorResponse(413, 'PAYLOAD_TOO_LARGE', `Request body exceeds ${max} bytes`);
+      }
+      // Also enforced while reading bodies without a content-length
+      request.bodyLimit = max;
+    };
+  },
+
+  rateLimit(def, target) {
+    const windowMs = def.window ?? 60000;
+    const max = def.max ?? 60;
+    const hits = new Map();
+
+    return ({ req, context, headers }) => {
+      const now = Date.now();
+      const key = def.key !== undefined ? String(target.resolveExpr(def.key, context)) : clientAddress(req, def.trustProxy === true);
+
+      let entry = hits.get(key);
+      if (!entry || entry.reset <= now) {
+        entry = { count: 0, reset: now + windowMs };
+        hits.set(key, entry);
+      }
+      entry.count++;
+
+      // Drop expired windows so the table does not grow without bound
+      if (hits.size > 10000) {
+        for (const [k, e] of hits) {
+          if (e.reset <= now) hits.delete(k);
+        }
+      }
+
+      headers['X-RateLimit-Limit'] = String(max);
+      headers['X-RateLimit-Remaining'] = String(Math.max(0, max - entry.count));
+      headers['X-RateLimit-Reset'] = String(Math.ceil(entry.reset / 1000));
+
+      if (entry.count > max) {
+        return errorResponse(429, 'RATE_LIMITED', def.message || 'Too many requests', {
+          'Retry-After': String(Math.ceil((entry.reset - now) / 1000))
+        });
+      }
+    };
+  },
+
+  guard(def, target) {
+    return ({ context }) => {
+      if (!target.resolveExpr(def.check, context)) {
+        return def.response
+          ? target.resolveExpr(def.response, context)
+          : errorResponse(403, 'FORBIDDEN', def.message || 'Forbidden');
+      }
+    };
+  }
+};
+
+/**
+ * Compile middleware definitions into functions, in order
+ * @param {Array} definitions - [{ use: "cors", ... }]
+ * @param {ServerTarget} target
+ * @returns {Array<Function>}
+ */
+function createMiddleware(definitions = [], target) {
+  return definitions.map((def, i) => {
+    const factory = Object.hasOwn(SERVER_MIDDLEWARE, def?.use) ? SERVER_MIDDLEWARE[def.use] : null;
+    if (!factory) {
+      throw new DDJEXError('UNKNOWN_MIDDLEWARE', `Unknown server middleware at index ${i}: ${def?.use}`, {
+        use: def?.use,
+        options: Object.keys(SERVER_MIDDLEWARE)
+      });
+    }
+    return factory(def, target);
+  });
+}
+
+/**
+ * Run middleware in order until one returns a response
+ * @returns {Promise<Object|undefined>} The short-circuit response, if any
+ */
+async function runMiddleware(middleware, request) {
+  for (const fn of middleware) {
+    const response = await fn(request);
+    if (response) return response;
+  }
+  return undefined;
+}
+
+export { SERVER_MIDDLEWARE, createMiddleware, runMiddleware, DEFAULT_BODY_LIMIT };
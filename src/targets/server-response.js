@@ -0,0 +1,151 @@
+/**
+ * ddjex Server Responses
+ * Serialization of route responses: content types, headers, cookies, redirects and streams
+ *
+ * A route response expression resolves to:
+ *   {
+ *     status: 200,
+ *     type: "json" | "text" | "html" | "csv" | "ndjson" | "sse",   // default json
+ *     body: ...,
+ *     headers: { "Cache-Control": "no-store" },
+ *     cookies: { session: "abc", theme: { value: "dark", maxAge: 3600, httpOnly: true }, old: null },
+ *     redirect: "/login",                  // Location header, 302 unless status is a 3xx
+ *     stream: "events",                    // ndjson/sse: send a state (or nested ref) on every change
+ *     event: "update",                     // sse event name
+ *     columns: ["id", "name"]              // csv column order
+ *   }
+ */
+
+const CONTENT_TYPES = {
+  json: 'application/json',
+  text: 'text/plain; charset=utf-8',
+  html: 'text/html; charset=utf-8',
+  csv: 'text/csv; charset=utf-8',
+  ndjson: 'application/x-ndjson',
+  sse: 'text/event-stream'
+};
+
+const SAME_SITE = { strict: 'Strict', lax: 'Lax', none: 'None' };
+
+/**
+ * Serialize a Set-Cookie value; a null/undefined cookie clears it
+ */
+function serializeCookie(name, cookie) {
+  const options = cookie !== null && typeof cookie === 'object' ? cookie : { value: cookie };
+  const cleared = options.value === null || options.value === undefined;
+  const parts = [`${name}=${cleared ? '' : encodeURIComponent(String(options.value))}`];
+
+  parts.push(`Path=${options.path || '/'}`);
+  if (options.domain) parts.push(`Domain=${options.domain}`);
+  if (cleared) {
+    parts.push('Max-Age=0');
+  } else {
+    if (options.maxAge !== undefined) parts.push(`Max-Age=${Math.floor(options.maxAge)}`);
+    if (options.expires !== undefined) parts.push(`Expires=${new Date(options.expires).toUTCString()}`);
+  }
+  if (options.httpOnly) parts.push('HttpOnly');
+  if (options.secure) parts.push('Secure');
+  if (options.sameSite) {
+    parts.push(`SameSite=${SAME_SITE[String(options.sameSite).toLowerCase()] || options.sameSite}`);
+  }
+  return parts.join('; ');
+}
+
+/**
+ * Parse a Cookie request header into { name: value }
+ */
+function parseCookies(header) {
+  const cookies = {};
+  if (!header) return cookies;
+  for (const pair of header.split(';')) {
+    const eq = pair.indexOf('=');
+    if (eq <= 0) continue;
+    const name = pair.slice(0, eq).trim();
+    const value = pair.slice(eq + 1).trim();
+    try {
+      cookies[name] = decodeURIComponent(value);
+    } catch {
+      cookies[name] = value;
+    }
+  }
+  return cookies;
+}
+
+function csvCell(value) {
+  if (value === null || value === undefined) return '';
+  const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Convert rows to CSV; object rows get a header line (columns default to the first row's keys)
+ */
+function toCSV(rows, columns = null) {
+  if (!Array.isArray(rows)) return rows === null || rows === undefined ? '' : String(rows);
+  if (rows.length === 0 && !columns) return '';
+
+  if (Array.isArray(rows[0]) && !columns) {
+    return rows.map(row => row.map(csvCell).join(',')).join('\r\n') + '\r\n';
+  }
+  const keys = columns || Object.keys(rows[0] ?? {});
+  const lines = [keys.map(csvCell).join(',')];
+  for (const row of rows) {
+    lines.push(keys.map(key => csvCell(row?.[key])).join(','));
+  }
+  return lines.join('\r\n') + '\r\n';
+}
+
+function sseEvent(data, event = null) {
+  const payload = typeof data === 'string' ? data : JSON.stringify(data);
+  const lines = payload.split('\n').map(line => `data: ${line}`).join('\n');
+  return `${event ? `event: ${event}\n` : ''}${lines}\n\n`;
+}
+
+/**
+ * Status and headers for a response; `base` headers (e.g. from middleware) come first
+ * @returns {Object} { status, headers }
+ */
+function responseHead(response, base = {}) {
+  const type = response.type || 'json';
+  const headers = { ...base, ...response.headers };
+  let status = response.status || 200;
+
+  if (response.redirect) {
+    headers['Location'] = response.redirect;
+    if (status < 300 || status >= 400) status = 302;
+  }
+
+  const hasBody = response.body !== null && response.body !== undefined;
+  const hasContentType = Object.keys(headers).some(key => key.toLowerCase() === 'content-type');
+  if (!hasContentType && (hasBody || response.stream !== undefined)) {
+    headers['Content-Type'] = CONTENT_TYPES[type] || type;
+  }
+
+  if (response.cookies) {
+    headers['Set-Cookie'] = Object.entries(response.cookies).map(([name, cookie]) => serializeCookie(name, cookie));
+  }
+
+  return { status, headers };
+}
+
+/**
+ * Serialize a (non-streamed) body for its response type
+ * @returns {Array<string>|string} Chunks for ndjson, otherwise the whole body
+ */
+function formatBody(response) {
+  const { body } = response;
+  switch (response.type || 'json') {
+    case 'json':
+      return JSON.stringify(body) + '\n';
+    case 'csv':
+      return toCSV(body, response.columns);
+    case 'ndjson':
+      return (Array.isArray(body) ? body : [body]).map(item => JSON.stringify(item) + '\n');
+    case 'sse':
+      return (Array.isArray(body) ? body : [body]).map(item => sseEvent(item, response.event));
+    default:
+      return typeof body === 'string' ? body : JSON.stringify(body);
+  }
+}
+
+export { CONTENT_TYPES, serializeCookie, parseCookies, toCSV, sseEvent, responseHead, formatBody };
@@ -0,0 +1,137 @@
+/**
+ * ddjex Server Sockets
+ * WebSocket endpoints for server programs (served with the optional `ws` package)
+ *
+ *   "sockets": [{
+ *     "path": "/chat/:room",
+ *     "middleware": [{ "use": "auth", "scheme": "bearer", "tokens": { "ref": "tokens" } }],
+ *     "subscribe": ["online"],                       // pushed as { type: "state", ref, value } on every change
+ *     "onConnect": [{ "op": "joinRoom", "args": [{ "ref": "params.room" }] }],
+ *     "onMessage": [{ "op": "broadcast", "args": [{ "ref": "params.room" }, { "ref": "message" }] }],
+ *     "onClose": [{ "op": "action", "args": ["leave", { "ref": "socket.id" }] }]
+ *   }]
+ *
+ * Handlers are server handler steps. They see params, query, headers, cookies and locals of the
+ * upgrade request, `socket` ({ id, rooms }), `message` (parsed JSON or text) in onMessage and
+ * `code`/`reason` in onClose. Results stored with `as` in onConnect stay available to later handlers.
+ *
+ * Socket steps: send [data], broadcast [room, data, { exceptSelf }], joinRoom [room], leaveRoom [room],
+ * subscribe [ref], unsubscribe [ref], close [code, reason]. broadcast also works in HTTP routes;
+ * a null room sends to every connected client.
+ */
+
+// WebSocket readyState of an open connection
+const SOCKET_OPEN = 1;
+
+// Built-in server middleware that can run on the upgrade request
+const SOCKET_MIDDLEWARE = ['auth', 'rateLimit', 'guard'];
+
+// Handler steps that need a connected client (broadcast works anywhere)
+const SOCKET_STEPS = ['send', 'joinRoom', 'leaveRoom', 'subscribe', 'unsubscribe', 'close'];
+
+// Context key of the connected client (a symbol, so expressions cannot reach it)
+const CLIENT = Symbol('ddjex.socketClient');
+
+function serializeMessage(data) {
+  return typeof data === 'string' ? data : JSON.stringify(data);
+}
+
+/**
+ * Incoming messages are JSON when they parse, text otherwise
+ */
+function parseMessage(raw) {
+  const text = typeof raw === 'string' ? raw : raw.toString();
+  try {
+    return JSON.parse(text);
+  } catch {
+    return text;
+  }
+}
+
+/**
+ * Connected clients and the rooms they joined
+ */
+class SocketHub {
+  constructor() {
+    this.clients = new Map();
+    this.rooms = new Map();
+    this.nextId = 1;
+  }
+
+  /**
+   * Track a connection
+   * @param {WebSocket} ws - ws-compatible socket: send(text), close(code, reason), readyState
+   * @returns {Object} Client { id, ws, rooms, subscriptions, info, context, closed }
+   */
+  add(ws) {
+    const id = `socket-${this.nextId++}`;
+    const client = { id, ws, rooms: new Set(), subscriptions: new Map(), info: { id, rooms: [] }, context: null, closed: false };
+    this.clients.set(id, client);
+    return client;
+  }
+
+  /**
+   * Forget a closed connection; later joins and subscriptions of the client are ignored
+   */
+  remove(client) {
+    client.closed = true;
+    for (const room of client.rooms) this.leave(client, room);
+    for (const unsubscribe of client.subscriptions.values()) unsubscribe();
+    client.subscriptions.clear();
+    this.clients.delete(client.id);
+  }
+
+  join(client, room) {
+    if (client.closed) return;
+    const name = String(room);
+    if (!this.rooms.has(name)) this.rooms.set(name, new Set());
+    this.rooms.get(name).add(client);
+    client.rooms.add(name);
+    client.info.rooms = [...client.rooms];
+  }
+
+  leave(client, room) {
+    const name = String(room);
+    const members = this.rooms.get(name);
+    members?.delete(client);
+    if (members?.size === 0) this.rooms.delete(name);
+    client.rooms.delete(name);
+    client.info.rooms = [...client.rooms];
+  }
+
+  /**
+   * @returns {boolean} Whether the client was open to receive it
+   */
+  send(client, data) {
+    if (client.ws.readyState !== SOCKET_OPEN) return false;
+    client.ws.send(serializeMessage(data));
+    return true;
+  }
+
+  /**
+   * Send to every client in a room (or every client for a null room)
+   * @returns {number} Clients the message was sent to
+   */
+  broadcast(room, data, except = null) {
+    const members = room === null || room === undefined
+      ? this.clients.values()
+      : this.rooms.get(String(room)) || [];
+    const text = serializeMessage(data);
+    let sent = 0;
+    for (const client of members) {
+      if (client === except || client.ws.readyState !== SOCKET_OPEN) continue;
+      client.ws.send(text);
+      sent++;
+    }
+    return sent;
+  }
+
+  closeAll(code = 1001, reason = 'Server shutting down') {
+    for (const client of [...this.clients.values()]) {
+      client.ws.close(code, reason);
+      this.remove(client);
+    }
+  }
+}
+
+export { SocketHub, serializeMessage, parseMessage, SOCKET_MIDDLEWARE, SOCKET_STEPS, SOCKET_OPEN, CLIENT };
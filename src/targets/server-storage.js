@@ -0,0 +1,347 @@
+/**
+ * ddjex Server Storage
+ * Durable persistence of server state across restarts
+ *
+ * A state opts in with a server storage in its persist config:
+ *
+ *   "todos": { "type": "array", "initial": [], "persist": { "storage": "file", "path": "data/app.json" } },
+ *   "audit": { "type": "array", "initial": [], "persist": { "storage": "journal", "compact": 500 } },
+ *   "users": { "type": "object", "initial": {}, "persist": { "storage": "sqlite", "path": "data/app.db" } }
+ *
+ * Persisted state is loaded when the server mounts and saved after every dispatched action
+ * that changed it. States with the same storage and path share one file. Values are stored as
+ * { version, value } records, so persist.key, persist.version and persist.migrate work as for
+ * Web Storage (see core/persist.js).
+ */
+
+import { DDJEXError } from '../core/errors.js';
+import { logger } from '../core/logger.js';
+import { restoreRecord, isWebStorage } from '../core/persist.js';
+
+const DEFAULT_COMPACT = 1000;
+const DEFAULT_TABLE = 'ddjex_state';
+
+const DEFAULT_EXTENSIONS = { file: 'json', journal: 'journal', sqlite: 'db' };
+
+// Node modules are imported on first use so this module stays importable in browsers
+async function nodeModules() {
+  const [fs, path] = await Promise.all([import('fs/promises'), import('path')]);
+  return { fs, path };
+}
+
+async function readText(fs, file) {
+  try {
+    return await fs.readFile(file, 'utf8');
+  } catch (e) {
+    if (e.code === 'ENOENT') return null;
+    throw e;
+  }
+}
+
+/**
+ * Replace a file by writing a temporary sibling and renaming it over the original,
+ * so a crash mid-write never leaves a truncated file behind
+ */
+async function writeAtomic({ fs, path }, file, text) {
+  await fs.mkdir(path.dirname(file), { recursive: true });
+  const temp = `${file}.${process.pid}.tmp`;
+  const handle = await fs.open(temp, 'w');
+  try {
+    await handle.writeFile(text);
+    await handle.sync();
+  } finally {
+    await handle.close();
+  }
+  await fs.rename(temp, file);
+}
+
+function loadFailed(file, message) {
+  return new DDJEXError('STORAGE_LOAD_FAILED', `Cannot load server storage ${file}: ${message}`, { path: file });
+}
+
+/**
+ * Built-in adapters: (config, modules, options) => Promise<adapter>
+ *
+ * An adapter stores { key: { version, value } } records:
+ *   load()                 => Promise<{ key: record }>
+ *   save(records, entry)   => Promise, entry is { action, params } of the dispatch that changed them
+ *   close()                => Promise
+ */
+const STORAGE_ADAPTERS = {
+  // One JSON document, rewritten atomically on every save
+  async file({ file }, modules) {
+    let records = {};
+
+    return {
+      async load() {
+        const text = await readText(modules.fs, file);
+        if (text === null || text.trim() === '') return records;
+        try {
+          records = JSON.parse(text);
+        } catch (e) {
+          throw loadFailed(file, e.message);
+        }
+        return records;
+      },
+      async save(changes) {
+        records = { ...records, ...changes };
+        await writeAtomic(modules, file, JSON.stringify(records, null, 2) + '\n');
+      },
+      async close() {}
+    };
+  },
+
+  // Append-only log of dispatched actions and the records they changed,
+  // compacted into a single snapshot line every `compact` entries
+  async journal({ file, compact }, modules) {
+    const { fs, path } = modules;
+    let records = {};
+    let entries = 0;
+    let handle = null;
+
+    const append = async (line) => {
+      if (!handle) {
+        await fs.mkdir(path.dirname(file), { recursive: true });
+        handle = await fs.open(file, 'a');
+      }
+      await handle.write(line);
+      await handle.datasync();
+    };
+
+    return {
+      async load() {
+        const text = await readText(fs, file);
+        if (text === null) return records;
+
+        const lines = text.split('\n').filter(line => line.trim() !== '');
+        for (const [i, line] of lines.entries()) {
+          let entry;
+          try {
+            entry = JSON.parse(line);
+          } catch (e) {
+            // A torn final line is an append the process did not finish; earlier ones are corruption
+            if (i === lines.length - 1) {
+              logger.warn(`Ignoring incomplete last entry of journal ${file}`);
+              break;
+            }
+            throw loadFailed(file, `line ${i + 1}: ${e.message}`);
+          }
+          if (entry.snapshot) {
+            records = { ...entry.snapshot };
+            entries = 0;
+          } else {
+            Object.assign(records, entry.state);
+            entries++;
+          }
+        }
+        return records;
+      },
+      async save(changes, entry) {
+        records = { ...records, ...changes };
+        await append(JSON.stringify({ ...entry, time: new Date().toISOString(), state: changes }) + '\n');
+        entries++;
+
+        if (entries >= compact) {
+          await handle.close();
+          handle = null;
+          await writeAtomic(modules, file, JSON.stringify({ snapshot: records }) + '\n');
+          entries = 0;
+        }
+      },
+      async close() {
+        if (handle) await handle.close();
+        handle = null;
+      }
+    };
+  },
+
+  // One row per key in a table of an SQLite database (better-sqlite3 compatible driver)
+  async sqlite({ file, table }, modules, options) {
+    let Database = options.sqlite;
+    if (!Database) {
+      try {
+        Database = (await import('better-sqlite3')).default;
+      } catch (e) {
+        throw new DDJEXError('STORAGE_UNAVAILABLE', 'sqlite storage requires the optional better-sqlite3 package', {
+          path: file,
+          install: 'npm install better-sqlite3'
+        });
+      }
+    }
+
+    await modules.fs.mkdir(modules.path.dirname(file), { recursive: true });
+    const db = new Database(file);
+    db.exec(`CREATE TABLE IF NOT EXISTS ${table} (key TEXT PRIMARY KEY, version INTEGER NOT NULL, value TEXT NOT NULL)`);
+    const upsert = db.prepare(
+      `INSERT INTO ${table} (key, version, value) VALUES (?, ?, ?) ` +
+      'ON CONFLICT(key) DO UPDATE SET version = excluded.version, value = excluded.value'
+    );
+    const saveAll = db.transaction((changes) => {
+      for (const [key, record] of Object.entries(changes)) {
+        upsert.run(key, record.version, JSON.stringify(record.value));
+      }
+    });
+
+    return {
+      async load() {
+        const records = {};
+        for (const row of db.prepare(`SELECT key, version, value FROM ${table}`).all()) {
+          try {
+            records[row.key] = { version: row.version, value: JSON.parse(row.value) };
+          } catch (e) {
+            throw loadFailed(file, `key ${row.key}: ${e.message}`);
+          }
+        }
+        return records;
+      },
+      async save(changes) {
+        saveAll(changes);
+      },
+      async close() {
+        db.close();
+      }
+    };
+  }
+};
+
+/**
+ * Loads and saves the persisted state of one runtime
+ */
+class ServerStorage {
+  /**
+   * @param {Runtime} runtime - Initialized runtime
+   * @param {Object} options - { dir: base directory for storage paths, sqlite: SQLite Database class }
+   */
+  constructor(runtime, options = {}) {
+    this.runtime = runtime;
+    this.options = options;
+    // storage:path -> { adapter, states: [{ id, key, config }] }
+    this.stores = new Map();
+    // State id -> last saved value
+    this.saved = new Map();
+    this.queue = Promise.resolve();
+    this.failure = null;
+    this.removeMiddleware = null;
+  }
+
+  /**
+   * Open every configured storage, load its state and start saving after dispatches
+   */
+  async open() {
+    const { program, stateManager } = this.runtime;
+    const modules = await nodeModules();
+    const dir = modules.path.resolve(this.options.dir || process.cwd());
+
+    for (const [id, definition] of Object.entries(program.state || {})) {
+      const config = definition.persist;
+      if (!config || isWebStorage(config)) continue;
+
+      const factory = Object.hasOwn(STORAGE_ADAPTERS, config.storage) ? STORAGE_ADAPTERS[config.storage] : null;
+      if (!factory) {
+        throw new DDJEXError('INVALID_PERSIST_STORAGE', `Unknown server storage for state '${id}': ${config.storage}`, {
+          state: id,
+          options: Object.keys(STORAGE_ADAPTERS)
+        });
+      }
+
+      const file = modules.path.resolve(dir, config.path || `${program.id || 'ddjex'}.${DEFAULT_EXTENSIONS[config.storage]}`);
+      const name = `${config.storage}:${file}`;
+      if (!this.stores.has(name)) {
+        const adapter = await factory({
+          file,
+          compact: config.compact ?? DEFAULT_COMPACT,
+          table: config.table || DEFAULT_TABLE
+        }, modules, this.options);
+        this.stores.set(name, { adapter, states: [] });
+      }
+      this.stores.get(name).states.push({ id, key: config.key || id, config });
+    }
+
+    const resolver = (expr, params) => this.runtime.resolve(expr, params);
+    for (const { adapter, states } of this.stores.values()) {
+      const records = await adapter.load();
+      const migrated = {};
+
+      for (const { id, key, config } of states) {
+        const stored = restoreRecord(id, records[key], config, resolver);
+        if (stored.found) {
+          // Stored values that fail constraints keep the declared initial value
+          const error = stateManager.constraintManager.validateState(id, stored.value);
+          if (error) {
+            logger.warn(`Ignoring persisted state '${id}': ${error.message}`);
+          } else {
+            stateManager.set(id, stored.value, true);
+            if (stored.migrated) migrated[key] = { version: config.version ?? 1, value: stored.value };
+          }
+        }
+        this.saved.set(id, stateManager.get(id));
+      }
+
+      // Save migrated values so the migration runs only once
+      if (Object.keys(migrated).length > 0) {
+        await adapter.save(migrated, { action: null, params: null });
+      }
+    }
+
+    if (this.stores.size > 0) {
+      this.removeMiddleware = this.runtime.addMiddleware({
+        afterDispatch: ({ action, params }) => this.persist(action, params)
+      });
+    }
+    return this;
+  }
+
+  /**
+   * Queue a save of every persisted state the action changed
+   */
+  persist(action, params) {
+    const { stateManager } = this.runtime;
+    const saves = [];
+
+    for (const { adapter, states } of this.stores.values()) {
+      const changes = {};
+      for (const { id, key, config } of states) {
+        const value = stateManager.get(id);
+        if (value === this.saved.get(id)) continue;
+        this.saved.set(id, value);
+        changes[key] = { version: config.version ?? 1, value };
+      }
+      if (Object.keys(changes).length > 0) saves.push([adapter, changes]);
+    }
+    if (saves.length === 0) return;
+
+    // Writes run one after another, in dispatch order
+    this.queue = this.queue
+      .then(() => Promise.all(saves.map(([adapter, changes]) => adapter.save(changes, { action, params }))))
+      .catch(error => {
+        logger.error(`Failed to persist state after action '${action}':`, error.message || error);
+        this.failure = error;
+      });
+  }
+
+  /**
+   * Wait for queued saves; rejects if any of them failed since the last flush
+   */
+  async flush() {
+    await this.queue;
+    if (this.failure) {
+      const error = this.failure;
+      this.failure = null;
+      throw new DDJEXError('STORAGE_WRITE_FAILED', `Failed to persist state: ${error.message || error}`, {
+        cause: error.code
+      });
+    }
+  }
+
+  async close() {
+    this.removeMiddleware?.();
+    this.removeMiddleware = null;
+    await this.queue;
+    for (const { adapter } of this.stores.values()) {
+      await adapter.close();
+    }
+    this.stores.clear();
+  }
+}
+
+export { ServerStorage, STORAGE_ADAPTERS, DEFAULT_COMPACT, DEFAULT_TABLE };
@@ -1,161 +1,698 @@
 /**
  * ddjex Server Target
  * HTTP server with routing
+ *
+ * Routes are matched most specific first (see core/route-pattern.js for the path syntax);
+ * groups share a path prefix and middleware:
+ *
+ *   "routes": [
+ *     { "method": "GET", "path": "/files/*path", ... },
+ *     { "prefix": "/api", "middleware": [...], "routes": [
+ *       { "method": "GET", "path": "/users/:id", "params": { "id": "integer" }, ... }
+ *     ] }
+ *   ]
+ *
+ * HEAD is answered by GET routes without a body, OPTIONS with the allowed methods,
+ * and a path that only matches other methods gets 405 with an Allow header.
+ * WebSocket endpoints are declared in `sockets` (see server-sockets.js).
+ * Handlers call other services with the `http` step (see core/http-client.js).
+ *
+ * The optional `server` section configures the HTTP lifecycle:
+ *
+ *   "server": {
+ *     "timeout": 5000,                        // handler timeout in ms (routes may set their own)
+ *     "health": { "live": "/healthz", "ready": "/readyz", "check": expr },   // or false
+ *     "errors": { "CONSTRAINT_VIOLATION": { "status": 422 } }                 // see server-errors.js
+ *   }
+ *
+ * On SIGTERM/SIGINT (or unmount) the server drains: readiness turns 503, no new connections
+ * are accepted and in-flight requests get `shutdownTimeout` ms to finish.
  */
 
 import { Target } from '../core/runtime.js';
+import { DDJEXError } from '../core/errors.js';
+import { resolveExpression } from '../core/operations.js';
+import { validateSchema } from '../core/form-validation.js';
+import { parsePath, getAtPath } from '../core/path.js';
+import { parseRoutePattern, matchRoutePattern, splitRequestPath, compareRoutePatterns } from '../core/route-pattern.js';
+import { createMiddleware, runMiddleware } from './server-middleware.js';
+import { responseHead, formatBody, parseCookies, sseEvent } from './server-response.js';
+import { ServerStorage } from './server-storage.js';
+import { SocketHub, parseMessage, SOCKET_STEPS, CLIENT } from './server-sockets.js';
+import { createErrorMapper } from './server-errors.js';
+import { MAX_WS_PAYLOAD_SIZE } from '../core/websocket.js';
+import { httpRequest } from '../core/http-client.js';
+
+const DEFAULT_HANDLER_TIMEOUT = 30000;
+const DEFAULT_SHUTDOWN_TIMEOUT = 10000;
+
+const SHUTDOWN_SIGNALS = ['SIGTERM', 'SIGINT'];
+
+// Context key of the AbortSignal that stops a timed-out handler before its next step
+const SIGNAL = Symbol('ddjex.signal');
 
 class ServerTarget extends Target {
   constructor(options = {}) {
     super();
-    this.port = options.port || 3000;
+    this.port = options.port ?? 3000;
     this.server = null;
+    this.log = options.log || console.log;
+    // Handler timeout when neither the route nor the program sets one (0 disables)
+    this.timeout = options.timeout ?? DEFAULT_HANDLER_TIMEOUT;
+    this.shutdownTimeout = options.shutdownTimeout ?? DEFAULT_SHUTDOWN_TIMEOUT;
+    this.handleSignals = options.handleSignals !== false;
+    // Send the messages of internal errors to clients (for development)
+    this.exposeErrors = options.exposeErrors === true;
+    // 'starting' until listening, then 'ready', 'draining' and 'closed'
+    this.status = 'starting';
+    this.startedAt = Date.now();
+    this.inFlight = 0;
+    this.idle = null;
+    this.streams = new Set();
+    this.shutdownPromise = null;
+    this.signalHandlers = [];
+    // Durable state storage (see server-storage.js): base directory and optional SQLite driver
+    this.storageOptions = { dir: options.storageDir, sqlite: options.sqlite };
+    this.storage = null;
+    // Connected WebSocket clients and rooms; wss is the ws server handling upgrades
+    this.hub = new SocketHub();
+    this.wss = null;
+    // Client -> promise settled once its handler queue, onClose steps included, has run
+    this.socketQueues = new Map();
   }
 
   mount(runtime) {
-    this.runtime = runtime;
-    this.routes = this.buildRoutes(runtime.program.routes || []);
+    this.configure(runtime);
 
     // Dynamic import for Node.js http module
-    return import('http').then(({ createServer }) => {
+    return this.openStorage().then(() => import('http')).then(({ createServer }) => {
       this.server = createServer((req, res) => this.handleRequest(req, res));
+      return this.sockets.length > 0 ? this.openSockets() : null;
+    }).then(() => new Promise((resolve, reject) => {
+      this.server.once('error', reject);
       this.server.listen(this.port, () => {
-        console.log(`ddjex Server running on port ${this.port}`);
+        this.server.off('error', reject);
+        this.port = this.server.address().port;
+        this.status = 'ready';
+        if (this.handleSignals) this.listenForSignals();
+        this.log(`ddjex Server running on port ${this.port}`);
+        resolve(this);
       });
-      return this;
-    });
+    }));
   }
 
-  unmount(runtime) {
-    if (this.server) {
-      return new Promise((resolve) => {
-        this.server.close(() => {
-          this.server = null;
-          resolve(this);
-        });
+  /**
+   * Compile routes and middleware for a runtime (mount does this before listening)
+   */
+  configure(runtime) {
+    const config = runtime.program.server || {};
+    this.runtime = runtime;
+    this.status = 'starting';
+    this.shutdownPromise = null;
+    this.handlerTimeout = config.timeout ?? this.timeout;
+    this.health = config.health === false ? null : {
+      live: config.health?.live || '/healthz',
+      ready: config.health?.ready || '/readyz',
+      check: config.health?.check
+    };
+    this.mapError = createErrorMapper(config.errors, { expose: this.exposeErrors });
+    this.middleware = createMiddleware(runtime.program.middleware?.http, this);
+    this.routes = this.buildRoutes(runtime.program.routes || []);
+    this.sockets = this.buildSockets(runtime.program.sockets || []);
+    return this;
+  }
+
+  /**
+   * Load persisted state and start saving it after each dispatched action
+   */
+  async openStorage() {
+    this.storage = await new ServerStorage(this.runtime, this.storageOptions).open();
+    return this;
+  }
+
+  /**
+   * Accept WebSocket upgrades with the optional ws package
+   */
+  async openSockets() {
+    let WebSocketServer;
+    try {
+      ({ WebSocketServer } = await import('ws'));
+    } catch (e) {
+      throw new DDJEXError('WEBSOCKET_UNAVAILABLE', 'Server sockets require the optional ws package', {
+        install: 'npm install ws'
       });
     }
+    this.wss = new WebSocketServer({ noServer: true, maxPayload: MAX_WS_PAYLOAD_SIZE });
+    this.server.on('upgrade', (req, socket, head) => this.handleUpgrade(req, socket, head));
     return this;
   }
 
+  listenForSignals() {
+    for (const signal of SHUTDOWN_SIGNALS) {
+      const handler = () => {
+        this.log(`Received ${signal}, draining connections`);
+        // Re-raise once drained so the process exits as it would have
+        this.shutdown().finally(() => process.kill(process.pid, signal));
+      };
+      process.once(signal, handler);
+      this.signalHandlers.push([signal, handler]);
+    }
+  }
+
+  unmount(runtime) {
+    return this.shutdown();
+  }
+
+  /**
+   * Stop accepting connections, let in-flight requests finish (up to shutdownTimeout),
+   * then close sockets, streams and storage
+   * @returns {Promise<ServerTarget>}
+   */
+  shutdown() {
+    if (this.shutdownPromise) return this.shutdownPromise;
+    this.status = 'draining';
+
+    for (const [signal, handler] of this.signalHandlers) process.off(signal, handler);
+    this.signalHandlers = [];
+
+    this.hub.closeAll();
+    if (this.wss) {
+      this.wss.close();
+      this.wss = null;
+    }
+    for (const res of this.streams) res.end();
+    this.streams.clear();
+
+    const server = this.server;
+    const closed = server ? new Promise(resolve => server.close(() => resolve())) : null;
+    server?.closeIdleConnections?.();
+
+    this.shutdownPromise = this.drain().then(() => {
+      // Connections still open after the grace period are cut
+      server?.closeAllConnections?.();
+      return closed;
+    }).then(() => this.settleSockets()).then(() => {
+      this.server = null;
+      const storage = this.storage;
+      this.storage = null;
+      return storage?.close();
+    }).then(() => {
+      this.status = 'closed';
+      return this;
+    });
+    return this.shutdownPromise;
+  }
+
+  /**
+   * Resolve once no request is in flight, or after shutdownTimeout
+   */
+  drain() {
+    if (this.inFlight === 0) return Promise.resolve();
+    return new Promise((resolve) => {
+      const timer = setTimeout(() => {
+        this.log(`Shutdown timeout: ${this.inFlight} request(s) still running`);
+        this.idle = null;
+        resolve();
+      }, this.shutdownTimeout);
+      this.idle = () => {
+        clearTimeout(timer);
+        resolve();
+      };
+    });
+  }
+
+  /**
+   * Resolve once every socket has run its onClose steps, or after shutdownTimeout
+   */
+  settleSockets() {
+    if (this.socketQueues.size === 0) return Promise.resolve();
+    let timer;
+    const timeout = new Promise((resolve) => {
+      timer = setTimeout(() => {
+        this.log(`Shutdown timeout: ${this.socketQueues.size} socket handler(s) still running`);
+        resolve();
+      }, this.shutdownTimeout);
+    });
+    return Promise.race([Promise.all(this.socketQueues.values()), timeout]).then(() => clearTimeout(timer));
+  }
+
   buildRoutes(routeDefs) {
-    return routeDefs.map(route => ({
+    const routes = flattenRoutes(routeDefs).map(route => ({
       method: route.method,
-      pattern: this.parsePattern(route.path),
-      params: route.params || [],
+      path: route.path,
+      pattern: this.parsePattern(route.path, route.params),
       handler: route.handler,
-      response: route.response
+      response: route.response,
+      timeout: route.timeout,
+      middleware: createMiddleware(route.middleware, this)
     }));
+    // Most specific first; equally specific routes keep their order
+    return routes.sort((a, b) => compareRoutePatterns(a.pattern, b.pattern));
   }
 
-  parsePattern(path) {
-    const parts = path.split('/').filter(Boolean);
-    const pattern = {
-      parts: [],
-      params: []
-    };
+  buildSockets(socketDefs) {
+    const sockets = socketDefs.map(socket => ({
+      path: socket.path,
+      pattern: this.parsePattern(socket.path, socket.params),
+      middleware: createMiddleware(socket.middleware, this),
+      // Declared subscriptions are set up before the connect handler runs
+      onConnect: [...(socket.subscribe || []).map(ref => ({ op: 'subscribe', args: [ref] })), ...(socket.onConnect || [])],
+      onMessage: socket.onMessage || [],
+      onClose: socket.onClose || []
+    }));
+    return sockets.sort((a, b) => compareRoutePatterns(a.pattern, b.pattern));
+  }
 
-    for (const part of parts) {
-      if (part.startsWith(':')) {
-        pattern.parts.push({ type: 'param', name: part.slice(1) });
-        pattern.params.push(part.slice(1));
-      } else {
-        pattern.parts.push({ type: 'static', value: part });
-      }
+  /**
+   * @param {string} path - Route path
+   * @param {Object|Array} types - Param name -> type; the legacy array of names has no types
+   */
+  parsePattern(path, types = {}) {
+    try {
+      return parseRoutePattern(path, Array.isArray(types) ? {} : types);
+    } catch (error) {
+      throw new DDJEXError(error.code, error.message, { path });
     }
-
-    return pattern;
   }
 
   matchRoute(method, path) {
-    const pathParts = path.split('/').filter(Boolean);
+    const segments = splitRequestPath(path);
+    if (!segments) return null;
 
     for (const route of this.routes) {
       if (route.method !== method) continue;
-      if (route.pattern.parts.length !== pathParts.length) continue;
-
-      const params = {};
-      let match = true;
-
-      for (let i = 0; i < route.pattern.parts.length; i++) {
-        const part = route.pattern.parts[i];
-        if (part.type === 'static') {
-          if (part.value !== pathParts[i]) {
-            match = false;
-            break;
-          }
-        } else if (part.type === 'param') {
-          params[part.name] = pathParts[i];
-        }
+      const params = matchRoutePattern(route.pattern, segments);
+      if (params) {
+        return { route, params };
       }
+    }
 
-      if (match) {
-        return { route, params };
+    return null;
+  }
+
+  matchSocket(path) {
+    const segments = splitRequestPath(path);
+    if (!segments) return null;
+
+    for (const socket of this.sockets) {
+      const params = matchRoutePattern(socket.pattern, segments);
+      if (params) {
+        return { socket, params };
       }
     }
 
     return null;
   }
 
+  /**
+   * Methods with a route matching the path (for Allow headers)
+   */
+  allowedMethods(path) {
+    const segments = splitRequestPath(path);
+    if (!segments) return [];
+
+    const methods = new Set();
+    for (const route of this.routes) {
+      if (matchRoutePattern(route.pattern, segments)) methods.add(route.method);
+    }
+    if (methods.size === 0) return [];
+    if (methods.has('GET')) methods.add('HEAD');
+    methods.add('OPTIONS');
+    return [...methods];
+  }
+
   async handleRequest(req, res) {
     const url = new URL(req.url, `http://localhost:${this.port}`);
     const path = url.pathname;
     const method = req.method;
 
-    // Match route
-    const match = this.matchRoute(method, path);
+    // Execution context, shared by middleware and handler steps
+    const context = this.createContext(req, url);
+    // Middleware state for this request; `headers` are added to every response
+    const request = { req, res, url, method, path, context, headers: {}, bodyLimit: null };
+    this.inFlight++;
+    if (this.status === 'draining') request.headers['Connection'] = 'close';
 
-    if (!match) {
-      res.writeHead(404, { 'Content-Type': 'application/json' });
-      res.end(JSON.stringify({ error: 'Not Found' }));
-      return;
-    }
+    try {
+      // Probes skip middleware, unless the program routes the path itself
+      if (this.health && (method === 'GET' || method === 'HEAD') &&
+          (path === this.health.live || path === this.health.ready) && !this.matchRoute('GET', path)) {
+        await this.send(res, this.healthResponse(path, context), request.headers, method);
+        return;
+      }
 
-    const { route, params } = match;
+      // Program middleware runs before routing (CORS preflight, logging, rate limits)
+      const early = await runMiddleware(this.middleware, request);
+      if (early) {
+        await this.send(res, early, request.headers, method);
+        return;
+      }
+
+      // Match route; HEAD falls back to the GET route
+      const match = this.matchRoute(method, path) || (method === 'HEAD' ? this.matchRoute('GET', path) : null);
+
+      if (!match) {
+        const allowed = this.allowedMethods(path);
+        if (allowed.length === 0) {
+          await this.send(res, { status: 404, body: { error: 'Not Found' } }, request.headers, method);
+        } else if (method === 'OPTIONS') {
+          await this.send(res, { status: 204, headers: { 'Allow': allowed.join(', ') } }, request.headers);
+        } else {
+          await this.send(res, {
+            status: 405,
+            headers: { 'Allow': allowed.join(', ') },
+            body: { error: true, code: 'METHOD_NOT_ALLOWED', message: `Method ${method} not allowed for ${path}`, allowed }
+          }, request.headers, method);
+        }
+        return;
+      }
+
+      const { route, params } = match;
+      context.params = params;
+
+      const blocked = await runMiddleware(route.middleware, request);
+      if (blocked) {
+        await this.send(res, blocked, request.headers, method);
+        return;
+      }
 
-    try {
       // Parse body for POST/PUT/PATCH
-      let body = null;
       if (['POST', 'PUT', 'PATCH'].includes(method)) {
-        body = await this.parseBody(req);
+        context.body = await this.parseBody(req, request.bodyLimit).catch((error) => {
+          if (error.code === 'PAYLOAD_TOO_LARGE') request.headers['Connection'] = 'close';
+          throw error;
+        });
       }
 
-      // Create execution context
-      const context = {
-        params,
-        body,
-        query: Object.fromEntries(url.searchParams),
-        headers: req.headers,
-        locals: {}
-      };
+      const controller = new AbortController();
+      context[SIGNAL] = controller.signal;
+      const response = await this.withTimeout(this.runHandler(route, context), route.timeout ?? this.handlerTimeout, controller);
+      if (response.stream !== undefined && method !== 'HEAD') {
+        this.openStream(res, response, request.headers);
+        return;
+      }
+      await this.send(res, response, request.headers, method);
 
-      // Execute handler steps
-      for (const step of route.handler) {
-        await this.executeStep(step, context);
+    } catch (error) {
+      // A failure mid-stream can only end the response
+      if (res.headersSent) {
+        res.end();
+        return;
+      }
+      const mapped = this.mapError(error);
+      if (mapped.internal) {
+        this.log(`${method} ${path} failed: ${error?.message || error}`, { method, path, error });
+      }
+      res.writeHead(mapped.status, { ...request.headers, 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(mapped.body));
+    } finally {
+      this.inFlight--;
+      if (this.inFlight === 0 && this.idle) {
+        const idle = this.idle;
+        this.idle = null;
+        idle();
+      }
+    }
+  }
+
+  /**
+   * Run a route's handler steps and resolve its response
+   */
+  async runHandler(route, context) {
+    for (const step of route.handler) {
+      await this.executeStep(step, context);
+    }
+    return this.resolveWithContext(route.response, context) || {};
+  }
+
+  /**
+   * Reject with a 503 when the handler takes longer than `ms` (0 or null: no limit) and
+   * abort `controller`, so the handler stops before its next step instead of changing state
+   */
+  withTimeout(promise, ms, controller) {
+    if (!ms) return promise;
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+      timer = setTimeout(() => {
+        const error = {
+          status: 503,
+          code: 'HANDLER_TIMEOUT',
+          message: `Request handler did not finish within ${ms}ms`
+        };
+        controller?.abort(error);
+        reject(error);
+      }, ms);
+    });
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+  }
+
+  /**
+   * Liveness is answered while the process runs; readiness once listening, while not
+   * draining and while the program's check expression holds
+   */
+  healthResponse(path, context) {
+    const headers = { 'Cache-Control': 'no-store' };
+    if (path === this.health.live) {
+      return { status: 200, headers, body: { status: 'ok', uptime: Math.round((Date.now() - this.startedAt) / 1000) } };
+    }
+
+    let status = this.status;
+    if (status === 'ready' && this.health.check !== undefined) {
+      try {
+        if (!this.resolveExpr(this.health.check, context)) status = 'unavailable';
+      } catch (e) {
+        status = 'unavailable';
       }
+    }
+    return { status: status === 'ready' ? 200 : 503, headers, body: { status } };
+  }
 
-      // Build response
-      const response = this.resolveWithContext(route.response, context);
-      const status = response.status || 200;
-      const responseBody = response.body;
+  createContext(req, url, params = {}) {
+    return {
+      params,
+      body: null,
+      query: Object.fromEntries(url.searchParams),
+      headers: req.headers,
+      cookies: parseCookies(req.headers.cookie),
+      locals: {}
+    };
+  }
 
-      res.writeHead(status, { 'Content-Type': 'application/json' });
-      res.end(JSON.stringify(responseBody) + '\n');
+  /**
+   * Authorize a WebSocket upgrade with the socket's middleware, then hand it to ws
+   */
+  async handleUpgrade(req, socket, head) {
+    const url = new URL(req.url, `http://localhost:${this.port}`);
+    const match = this.matchSocket(url.pathname);
+    if (!match) {
+      rejectUpgrade(socket, { status: 404, body: { error: 'Not Found' } });
+      return;
+    }
 
+    const context = this.createContext(req, url, match.params);
+    const request = { req, res: null, url, method: req.method, path: url.pathname, context, headers: {}, bodyLimit: null };
+    try {
+      const blocked = await runMiddleware(match.socket.middleware, request);
+      if (blocked) {
+        rejectUpgrade(socket, blocked, request.headers);
+        return;
+      }
     } catch (error) {
-      res.writeHead(error.status || 500, { 'Content-Type': 'application/json' });
-      res.end(JSON.stringify({
-        error: true,
-        code: error.code || 'INTERNAL_ERROR',
-        message: error.message || 'Internal server error'
+      rejectUpgrade(socket, this.mapError(error));
+      return;
+    }
+
+    this.wss.handleUpgrade(req, socket, head, (ws) => this.handleSocket(ws, match.socket, context));
+  }
+
+  /**
+   * Run a socket's handlers for a connection; messages are handled one at a time, in order
+   * @param {WebSocket} ws - Accepted ws-compatible socket
+   * @param {Object} socket - Compiled socket endpoint
+   * @param {Object} context - Context of the upgrade request
+   * @returns {Object} The hub client
+   */
+  handleSocket(ws, socket, context) {
+    const client = this.hub.add(ws);
+    client.context = context;
+    context.socket = client.info;
+    context[CLIENT] = client;
+
+    client.queue = this.runSocketSteps(socket.onConnect, context).then((connected) => {
+      if (!connected) ws.close(1011, 'Connection handler failed');
+    });
+    let settle;
+    this.socketQueues.set(client, new Promise(resolve => { settle = resolve; }));
+
+    ws.on('message', (raw) => {
+      client.queue = client.queue.then(() => this.runSocketSteps(socket.onMessage, {
+        ...context,
+        locals: { ...context.locals },
+        message: parseMessage(raw)
       }));
+    });
+    ws.on('close', (code, reason) => {
+      this.hub.remove(client);
+      client.queue = client.queue.then(() => this.runSocketSteps(socket.onClose, {
+        ...context,
+        locals: { ...context.locals },
+        code,
+        reason: reason ? String(reason) : ''
+      }));
+      client.queue.then(() => {
+        this.socketQueues.delete(client);
+        settle();
+      });
+    });
+    ws.on('error', (error) => this.log(`WebSocket ${client.id} error: ${error.message || error}`));
+
+    return client;
+  }
+
+  /**
+   * Run handler steps for a socket event; failures are sent to the client as error messages
+   * @returns {Promise<boolean>} Whether every step succeeded
+   */
+  async runSocketSteps(steps, context) {
+    try {
+      for (const step of steps) {
+        await this.executeStep(step, context);
+      }
+      return true;
+    } catch (error) {
+      const mapped = this.mapError(error);
+      if (mapped.internal) {
+        this.log(`WebSocket ${context.socket.id} failed: ${error?.message || error}`, { error });
+      }
+      this.hub.send(context[CLIENT], mapped.body);
+      return false;
     }
   }
 
-  async parseBody(req) {
+  /**
+   * Push a state (or nested ref) to a client now and on every change
+   */
+  subscribeClient(client, ref) {
+    // A socket closed while its connect handler ran keeps no subscriptions
+    if (client.closed) return false;
+    if (client.subscriptions.has(ref)) return true;
+    const { stateManager } = this.runtime;
+    const target = stateManager.splitRef(ref);
+    if (!target) {
+      throw { status: 500, code: 'INVALID_SUBSCRIPTION', message: `Cannot subscribe to undefined state: ${ref}` };
+    }
+
+    const push = () => this.hub.send(client, { type: 'state', ref, value: stateManager.get(ref) });
+    push();
+    client.subscriptions.set(ref, stateManager.subscribe(target.id, { run: push }, target.path));
+    return true;
+  }
+
+  /**
+   * Handler steps for the connected client (see server-sockets.js)
+   */
+  socketStep(op, args, context) {
+    const client = context[CLIENT];
+    if (!client) {
+      throw { status: 500, code: 'NO_SOCKET', message: `Step '${op}' can only run in socket handlers` };
+    }
+
+    switch (op) {
+      case 'send':
+        return { sent: this.hub.send(client, args[0]) };
+      case 'joinRoom':
+        this.hub.join(client, args[0]);
+        return client.info.rooms;
+      case 'leaveRoom':
+        this.hub.leave(client, args[0]);
+        return client.info.rooms;
+      case 'subscribe':
+        return this.subscribeClient(client, args[0]);
+      case 'unsubscribe': {
+        const unsubscribe = client.subscriptions.get(args[0]);
+        unsubscribe?.();
+        return client.subscriptions.delete(args[0]);
+      }
+      case 'close':
+        client.ws.close(args[0] ?? 1000, args[1] ?? '');
+        return true;
+    }
+  }
+
+  /**
+   * Write a route, middleware or routing response (see server-response.js for its shape);
+   * HEAD requests get the status and headers only
+   */
+  async send(res, response, headers = {}, method = 'GET') {
+    const head = responseHead(response, headers);
+    res.writeHead(head.status, head.headers);
+    if (response.body === null || response.body === undefined || method === 'HEAD') {
+      res.end();
+      return;
+    }
+
+    const body = formatBody(response);
+    if (!Array.isArray(body)) {
+      res.end(body);
+      return;
+    }
+    // Line-per-item bodies are written in chunks, respecting backpressure
+    for (const chunk of body) {
+      if (!res.write(chunk)) await new Promise(resolve => res.once('drain', resolve));
+    }
+    res.end();
+  }
+
+  /**
+   * Stream a state as NDJSON lines or Server-Sent Events: its current value, then every change,
+   * until the client disconnects
+   */
+  openStream(res, response, headers = {}) {
+    const { stateManager } = this.runtime;
+    const ref = stateManager.splitRef(response.stream);
+    if (!ref) {
+      throw { status: 500, code: 'INVALID_STREAM', message: `Cannot stream undefined state: ${response.stream}` };
+    }
+
+    const type = response.type === 'sse' ? 'sse' : 'ndjson';
+    const head = responseHead({ ...response, type }, headers);
+    if (type === 'sse') {
+      head.headers['Cache-Control'] = head.headers['Cache-Control'] || 'no-cache';
+      head.headers['Connection'] = 'keep-alive';
+    }
+    res.writeHead(head.status, head.headers);
+
+    const write = () => {
+      const value = stateManager.get(response.stream);
+      res.write(type === 'sse' ? sseEvent(value, response.event) : JSON.stringify(value) + '\n');
+    };
+    write();
+
+    const unsubscribe = stateManager.subscribe(ref.id, { run: write }, ref.path);
+    // Open streams are ended when the server drains
+    this.streams.add(res);
+    res.on('close', () => {
+      unsubscribe();
+      this.streams.delete(res);
+    });
+  }
+
+  async parseBody(req, limit = null) {
     return new Promise((resolve, reject) => {
       let data = '';
-      req.on('data', chunk => data += chunk);
+      let size = 0;
+      const onData = (chunk) => {
+        size += chunk.length;
+        if (limit !== null && size > limit) {
+          // Read no further; the connection is closed once the 413 is sent
+          req.off('data', onData);
+          req.pause();
+          reject({ status: 413, code: 'PAYLOAD_TOO_LARGE', message: `Request body exceeds ${limit} bytes` });
+          return;
+        }
+        data += chunk;
+      };
+      req.on('data', onData);
       req.on('end', () => {
         try {
           resolve(data ? JSON.parse(data) : null);
@@ -169,33 +706,47 @@ class ServerTarget extends Target {
 
   async executeStep(step, context) {
     const { op, args, as } = step;
+    // A handler that timed out runs no further steps
+    if (context[SIGNAL]?.aborted) throw context[SIGNAL].reason;
 
     let result;
 
     switch (op) {
       case 'action':
         const [actionId, ...actionArgs] = args.map(arg => this.resolveExpr(arg, context));
-        this.runtime.dispatch(actionId, ...actionArgs);
-        break;
-
-      case 'find':
-        const [arr, predicate] = args;
-        const resolvedArr = this.resolveExpr(arr, context);
-        if (Array.isArray(resolvedArr)) {
-          result = resolvedArr.find((item, index) =>
-            this.resolveExpr(predicate, { ...context, item, index })
-          );
-        }
+        result = await this.runtime.dispatch(actionId, ...actionArgs);
+        // Respond only once the changes are stored
+        await this.storage?.flush();
         break;
 
       case 'validate':
         const [data, schema] = args;
         const resolvedData = this.resolveExpr(data, context);
-        result = this.validate(resolvedData, schema);
+        // A schema kept in state (e.g. shared with a DOM form) is referenced with ref
+        const isExpression = typeof schema?.ref === 'string' || typeof schema?.op === 'string';
+        result = this.validate(resolvedData, isExpression ? this.resolveExpr(schema, context) : schema);
+        break;
+
+      case 'http': {
+        const [url, options] = (args || []).map(arg => this.resolveExpr(arg, context));
+        // A handler stopped by its timeout also cancels its upstream request and retries
+        const signals = [options?.signal, context[SIGNAL]].filter(signal => signal instanceof AbortSignal);
+        result = await httpRequest(url, { ...options, signal: signals.length > 1 ? AbortSignal.any(signals) : signals[0] });
+        break;
+      }
+
+      case 'broadcast': {
+        const [room, message, options] = (args || []).map(arg => this.resolveExpr(arg, context));
+        result = { sent: this.hub.broadcast(room, message, options?.exceptSelf ? context[CLIENT] : null) };
         break;
+      }
 
       default:
-        result = this.resolveExpr(step, context);
+        if (SOCKET_STEPS.includes(op)) {
+          result = this.socketStep(op, (args || []).map(arg => this.resolveExpr(arg, context)), context);
+        } else {
+          result = this.resolveExpr(step, context);
+        }
     }
 
     if (as) {
@@ -213,154 +764,93 @@ class ServerTarget extends Target {
   }
 
   resolveExpr(expr, ctx) {
-    if (expr === null || expr === undefined) return expr;
-    if (typeof expr !== 'object') return expr;
-    if (Array.isArray(expr)) return expr.map(e => this.resolveExpr(e, ctx));
-
-    // Reference to state
-    if ('ref' in expr) {
-      const name = expr.ref;
-      // Check context first (locals like 'user', 'item')
-      if (name in ctx) return ctx[name];
-      if (ctx.locals && name in ctx.locals) return ctx.locals[name];
-      // Then check state
-      return this.runtime.stateManager.get(name);
-    }
-
-    // Parameter (from URL params or loop context)
-    if ('param' in expr) {
-      const name = expr.param;
-      // Check direct context first (for loop variables like 'item')
-      if (name in ctx) return ctx[name];
-      // Then URL params
-      return ctx.params?.[name];
-    }
-
-    // Operation
-    if ('op' in expr) {
-      return this.executeOp(expr.op, expr.args || [], ctx);
-    }
-
-    // Object literal
-    const result = {};
-    for (const [k, v] of Object.entries(expr)) {
-      result[k] = this.resolveExpr(v, ctx);
-    }
-    return result;
+    return resolveExpression(expr, this.createExpressionContext(ctx));
   }
 
-  executeOp(op, args, ctx) {
-    // Higher-order ops
-    if (['find', 'filter', 'map', 'some', 'every'].includes(op)) {
-      const arr = this.resolveExpr(args[0], ctx);
-      if (!Array.isArray(arr)) return op === 'find' ? undefined : [];
-
-      const predicate = args[1];
-      const evalItem = (item, index) => {
-        const itemCtx = { ...ctx, item, index };
-        return this.resolveExpr(predicate, itemCtx);
-      };
-
-      switch (op) {
-        case 'find': return arr.find(evalItem);
-        case 'filter': return arr.filter(evalItem);
-        case 'map': return arr.map(evalItem);
-        case 'some': return arr.some(evalItem);
-        case 'every': return arr.every(evalItem);
-      }
-    }
-
-    const resolvedArgs = args.map(a => this.resolveExpr(a, ctx));
-
-    // Built-in ops
-    const ops = {
-      // Math
-      add: (a, b) => a + b,
-      subtract: (a, b) => a - b,
-      multiply: (a, b) => a * b,
-      divide: (a, b) => a / b,
-      modulo: (a, b) => a % b,
-
-      // Compare
-      eq: (a, b) => a === b,
-      neq: (a, b) => a !== b,
-      gt: (a, b) => a > b,
-      gte: (a, b) => a >= b,
-      lt: (a, b) => a < b,
-      lte: (a, b) => a <= b,
-      and: (...a) => a.every(Boolean),
-      or: (...a) => a.some(Boolean),
-      not: (a) => !a,
-
-      // Array
-      length: (a) => a?.length ?? 0,
-      first: (a) => a?.[0],
-      last: (a) => a?.[a.length - 1],
-      slice: (a, s, e) => a?.slice(s, e),
-      includes: (a, v) => a?.includes(v),
-      concat: (...a) => [].concat(...a),
-
-      // Object
-      get: (o, k) => o?.[k],
-      set: (o, k, v) => ({ ...o, [k]: v }),
-      keys: (o) => Object.keys(o ?? {}),
-      merge: (...o) => Object.assign({}, ...o),
-
-      // String
-      toLowerCase: (s) => s?.toLowerCase(),
-      toUpperCase: (s) => s?.toUpperCase(),
-      trim: (s) => s?.trim(),
-      split: (s, d) => s?.split(d),
-
-      // Type
-      parseInt: (v) => parseInt(v, 10),
-      toString: (v) => String(v),
-
-      // Control
-      if: (c, t, e) => c ? t : e,
-      coalesce: (...v) => v.find(x => x != null),
-
-      // Util
-      now: () => Date.now(),
-      log: (...a) => { console.log(...a); return a[0]; },
+  /**
+   * Expression context for request handling: refs and params see the request
+   * (body, query, headers, params, locals and step results) before state; the validator
+   * reports state and computed values named like a request value, since handlers cannot read them
+   */
+  createExpressionContext(ctx) {
+    const runtime = this.runtime;
+    const lookup = (name) => {
+      if (Object.hasOwn(ctx, name)) return { found: true, value: ctx[name] };
+      if (ctx.locals && Object.hasOwn(ctx.locals, name)) return { found: true, value: ctx.locals[name] };
+      return { found: false };
     };
 
-    if (ops[op]) {
-      return ops[op](...resolvedArgs);
-    }
+    return {
+      get: (name) => {
+        const local = lookup(name);
+        if (local.found) return local.value;
 
-    console.warn(`Unknown op: ${op}`);
-    return undefined;
+        // Nested reads of request values, e.g. { "ref": "body.name" }
+        const dot = name.indexOf('.');
+        if (dot > 0 && !runtime.stateManager.splitRef(name)) {
+          const head = lookup(name.slice(0, dot));
+          if (head.found) return getAtPath(head.value, parsePath(name.slice(dot + 1)));
+        }
+        return runtime.stateManager.get(name);
+      },
+      getContext: (id) => runtime.contextManager?.get(id),
+      operations: runtime.plugins.operations,
+      // Loop variables and request values shadow URL params, as for refs
+      params: { ...ctx.params, ...ctx, ...ctx.locals }
+    };
   }
 
   validate(data, schema) {
-    const errors = [];
-
-    for (const [field, rules] of Object.entries(schema)) {
-      const value = data?.[field];
-
-      if (rules.required && (value === undefined || value === null || value === '')) {
-        errors.push({ field, code: 'REQUIRED', message: `${field} is required` });
-        continue;
-      }
+    const result = validateSchema(data, schema);
+    if (!result.valid) {
+      throw { status: 400, code: 'VALIDATION_ERROR', message: 'Validation failed', errors: result.errors };
+    }
+    return data;
+  }
+}
 
-      if (value !== undefined && value !== null) {
-        if (rules.type && typeof value !== rules.type) {
-          errors.push({ field, code: 'INVALID_TYPE', message: `${field} must be ${rules.type}` });
-        }
+const UPGRADE_STATUS_TEXT = {
+  400: 'Bad Request', 401: 'Unauthorized', 403: 'Forbidden', 404: 'Not Found', 429: 'Too Many Requests', 500: 'Internal Server Error'
+};
 
-        if (rules.format === 'email' && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value)) {
-          errors.push({ field, code: 'INVALID_FORMAT', message: `${field} must be a valid email` });
-        }
-      }
-    }
+/**
+ * Answer a refused WebSocket upgrade with a plain HTTP response and drop the connection
+ */
+function rejectUpgrade(socket, response, headers = {}) {
+  const head = responseHead(response, headers);
+  const body = response.body === null || response.body === undefined ? '' : formatBody(response);
+  const text = Array.isArray(body) ? body.join('') : body;
+  const lines = [`HTTP/1.1 ${head.status} ${UPGRADE_STATUS_TEXT[head.status] || 'Error'}`];
+  for (const [name, value] of Object.entries(head.headers)) {
+    for (const item of [].concat(value)) lines.push(`${name}: ${item}`);
+  }
+  lines.push(`Content-Length: ${Buffer.byteLength(text)}`, 'Connection: close');
+  socket.once('finish', () => socket.destroy());
+  socket.end(`${lines.join('\r\n')}\r\n\r\n${text}`);
+}
 
-    if (errors.length > 0) {
-      throw { status: 400, code: 'VALIDATION_ERROR', message: 'Validation failed', errors };
+/**
+ * Flatten route groups ({ prefix, middleware, routes }) into routes with full paths;
+ * group middleware runs before the middleware of its routes
+ */
+function flattenRoutes(routeDefs, prefix = '', middleware = []) {
+  const routes = [];
+  for (const def of routeDefs) {
+    if (Array.isArray(def.routes)) {
+      routes.push(...flattenRoutes(def.routes, joinPaths(prefix, def.prefix || ''), [...middleware, ...(def.middleware || [])]));
+    } else {
+      routes.push({
+        ...def,
+        path: joinPaths(prefix, def.path),
+        middleware: middleware.length > 0 ? [...middleware, ...(def.middleware || [])] : def.middleware
+      });
     }
-
-    return data;
   }
+  return routes;
+}
+
+function joinPaths(prefix, path) {
+  return ('/' + [prefix, path].join('/')).replace(/\/+/g, '/').replace(/(.)\/$/, '$1');
 }
 
-export { ServerTarget };
+export { ServerTarget, flattenRoutes };
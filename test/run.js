@@ -20,14 +20,24 @@ import {
   Validators,
   validateValue,
   validateForm,
+  validateSchema,
   createFormState,
   ValidationOperations
 } from '../src/core/form-validation.js';
 import { RouterManager } from '../src/core/router.js';
 import { TestRunner, runTests as runSelfTests, AssertionError } from '../src/core/test-runner.js';
 import { HMRClient } from '../src/dev/hmr.js';
+import { compile } from '../src/compiler/index.js';
+import { ServerTarget } from '../src/targets/server.js';
+import { generateOpenAPI } from '../src/targets/openapi.js';
+import { CLITarget } from '../src/targets/cli.js';
+import { glob, matchGlob, expandBraces } from '../src/targets/cli-glob.js';
+import { exitCodeFor } from '../src/targets/cli-output.js';
+import { httpRequest } from '../src/core/http-client.js';
 import fs from 'fs/promises';
 import path from 'path';
+import { Readable, PassThrough } from 'stream';
+import { EventEmitter } from 'events';
 import { fileURLToPath } from 'url';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
@@ -37,6 +47,50 @@ class TestTarget {
   unmount(runtime) { return this; }
 }
 
+/**
+ * Configure a ServerTarget for a program without listening on a port
+ */
+function createTestServer(program, options = {}) {
+  const target = new ServerTarget(options);
+  const runtime = new Runtime(program, target);
+  runtime.initialize();
+  return target.configure(runtime);
+}
+
+/**
+ * Send a fake request through ServerTarget.handleRequest
+ * @returns {Promise<Object>} { status, headers, body, text, res }; body is parsed for JSON responses
+ */
+async function serverRequest(target, { method = 'GET', url = '/', headers = {}, body } = {}) {
+  const chunks = body === undefined ? [] : [typeof body === 'string' ? body : JSON.stringify(body)];
+  const req = Object.assign(Readable.from(chunks), {
+    method,
+    url,
+    headers,
+    socket: { remoteAddress: '127.0.0.1' }
+  });
+  const res = Object.assign(new EventEmitter(), {
+    statusCode: 200,
+    headers: {},
+    body: '',
+    writeHead(status, head = {}) {
+      this.statusCode = status;
+      this.headers = head;
+    },
+    write(data) {
+      this.body += data;
+      return true;
+    },
+    end(data = '') {
+      this.body += data;
+      this.emit('finish');
+    }
+  });
+  await target.handleRequest(req, res);
+  const json = res.body && (res.headers['Content-Type'] || '').startsWith('application/json');
+  return { status: res.statusCode, headers: res.headers, body: json ? JSON.parse(res.body) : null, text: res.body, res };
+}
+
 async function runTests() {
   const results = {
     passed: 0,
@@ -2888,50 +2942,3432 @@ async function runUnitTests(results) {
     }
   }, results);
 
-  console.log('');
-}
+  // ===== ACTION HISTORY TESTS =====
+  console.log('\nAction History\n--------------');
+
+  const historyProgram = () => ({
+    $ddjex: '0.4.0',
+    id: 'test',
+    target: 'dom',
+    state: {
+      count: { type: 'number', initial: 0, constraints: { max: 10 } },
+      label: { type: 'string', initial: '' }
+    },
+    actions: {
+      add: {
+        params: ['amount'],
+        mutations: [
+          { target: 'count', op: 'add', value: { param: 'amount' } },
+          { target: 'label', op: 'set', value: { op: 'toString', args: [{ param: 'amount' }] } }
+        ]
+      },
+      bump: {
+        mutations: [
+          { target: 'count', op: 'add', value: 1 },
+          { target: 'count', op: 'add', value: 1 }
+        ]
+      }
+    }
+  });
 
-async function runSpecTests(results) {
-  console.log('Spec Conformance Tests\n----------------------');
+  test('History: disabled by default', () => {
+    const runtime = new Runtime(historyProgram(), new TestTarget());
+    runtime.initialize();
+    runtime.dispatch('add', 2);
+    assert(runtime.getHistory() === null, 'History should be null when not enabled');
+    assert(runtime.undo() === false, 'undo should be a no-op');
+  }, results);
 
-  const examplesDir = path.join(__dirname, '../spec/examples');
+  test('History: one entry per dispatched action', () => {
+    const runtime = new Runtime(historyProgram(), new TestTarget());
+    runtime.initialize();
+    runtime.enableHistory();
+    runtime.dispatch('add', 2);
+    runtime.dispatch('bump');
 
-  // Recursively find all JSON files
-  async function findJsonFiles(dir, prefix = '') {
-    const entries = await fs.readdir(dir, { withFileTypes: true });
-    const files = [];
-    for (const entry of entries) {
-      const fullPath = path.join(dir, entry.name);
-      const relativePath = prefix ? `${prefix}/${entry.name}` : entry.name;
-      if (entry.isDirectory()) {
-        files.push(...await findJsonFiles(fullPath, relativePath));
-      } else if (entry.name.endsWith('.json')) {
-        files.push({ path: fullPath, name: relativePath });
+    const { entries, position } = runtime.getHistory();
+    assert(entries.length === 2, `Should have 2 entries, got ${entries.length}`);
+    assert(position === 1, 'Position should be at last entry');
+    assert(entries[0].action === 'add' && entries[0].args[0] === 2, 'Should record action id and args');
+    assert(entries[0].diff.count.from === 0 && entries[0].diff.count.to === 2, 'Should record count diff');
+    assert(entries[0].diff.label.to === '2', 'Should record label diff');
+    assert(entries[1].diff.count.from === 2 && entries[1].diff.count.to === 4, 'Batch should collapse into one diff');
+  }, results);
+
+  test('History: undo and redo', () => {
+    const runtime = new Runtime(historyProgram(), new TestTarget());
+    runtime.initialize();
+    runtime.enableHistory();
+    runtime.dispatch('add', 2);
+    runtime.dispatch('add', 3);
+
+    assert(runtime.undo() === true, 'undo should succeed');
+    assert(runtime.getState().count === 2 && runtime.getState().label === '2', 'undo should restore previous state');
+    runtime.undo();
+    assert(runtime.getState().count === 0, 'second undo should restore initial state');
+    assert(runtime.undo() === false, 'undo past the start should return false');
+    runtime.redo();
+    runtime.redo();
+    assert(runtime.getState().count === 5 && runtime.getState().label === '3', 'redo should re-apply entries');
+    assert(runtime.redo() === false, 'redo past the end should return false');
+  }, results);
+
+  test('History: new action discards redo entries', () => {
+    const runtime = new Runtime(historyProgram(), new TestTarget());
+    runtime.initialize();
+    runtime.enableHistory();
+    runtime.dispatch('add', 1);
+    runtime.dispatch('add', 1);
+    runtime.undo();
+    runtime.dispatch('add', 5);
+
+    const { entries } = runtime.getHistory();
+    assert(entries.length === 2, 'Undone entry should be discarded');
+    assert(entries[1].args[0] === 5, 'Latest entry should be the new action');
+    assert(runtime.getState().count === 6, 'Count should be 6');
+  }, results);
+
+  test('History: jumpTo moves across entries', () => {
+    const runtime = new Runtime(historyProgram(), new TestTarget());
+    runtime.initialize();
+    runtime.enableHistory();
+    runtime.dispatch('add', 1);
+    runtime.dispatch('add', 2);
+    runtime.dispatch('add', 3);
+
+    runtime.jumpTo(0);
+    assert(runtime.getState().count === 1, 'jumpTo(0) should apply only the first entry');
+    runtime.jumpTo(2);
+    assert(runtime.getState().count === 6, 'jumpTo(2) should apply all entries');
+    runtime.jumpTo(-1);
+    assert(runtime.getState().count === 0, 'jumpTo(-1) should restore initial state');
+
+    let threw = false;
+    try {
+      runtime.jumpTo(3);
+    } catch (e) {
+      threw = true;
+      assert(e.code === 'INVALID_HISTORY_INDEX', 'Should have INVALID_HISTORY_INDEX code');
+    }
+    assert(threw, 'Out of range index should throw');
+  }, results);
+
+  test('History: bounded buffer drops oldest entries', () => {
+    const runtime = new Runtime(historyProgram(), new TestTarget());
+    runtime.initialize();
+    runtime.enableHistory({ limit: 2 });
+    runtime.dispatch('add', 1);
+    runtime.dispatch('add', 2);
+    runtime.dispatch('add', 3);
+
+    const { entries, position } = runtime.getHistory();
+    assert(entries.length === 2, 'Should keep only 2 entries');
+    assert(entries[0].args[0] === 2, 'Oldest entry should be dropped');
+    assert(position === 1, 'Position should stay at last entry');
+  }, results);
+
+  test('History: replay goes through constraint checks', () => {
+    const runtime = new Runtime(historyProgram(), new TestTarget());
+    runtime.initialize();
+    runtime.enableHistory();
+    runtime.dispatch('add', 8);
+    runtime.undo();
+
+    // Tighten the constraint so re-applying the entry is no longer allowed
+    runtime.stateManager.constraintManager.registerConstraints('count', { max: 5 });
+    let threw = false;
+    try {
+      runtime.redo();
+    } catch (e) {
+      threw = true;
+      assert(e.code === 'CONSTRAINT_VIOLATION', 'Should be a constraint violation');
+    }
+    assert(threw, 'redo should validate constraints');
+    assert(runtime.getHistory().position === -1, 'Position should not move on failed redo');
+  }, results);
+
+  test('History: failed replays change nothing and no-op dispatches are not recorded', () => {
+    const program = historyProgram();
+    program.actions.keep = { mutations: [{ target: 'count', op: 'add', value: 0 }] };
+    const runtime = new Runtime(program, new TestTarget());
+    runtime.initialize();
+    runtime.enableHistory();
+    runtime.dispatch('add', 2);
+    runtime.dispatch('add', 3);
+    runtime.dispatch('keep');
+    assert(runtime.getHistory().entries.length === 2, 'An action that changed nothing should not add an entry');
+
+    // count is replayed before label, so only the second write fails
+    runtime.stateManager.constraintManager.registerConstraints('label', { maxLength: 0 });
+    let threw = false;
+    try {
+      runtime.undo();
+    } catch (e) {
+      threw = e.code === 'CONSTRAINT_VIOLATION';
+    }
+    assert(threw, 'undo should validate constraints');
+    assert(runtime.getState().count === 5 && runtime.getState().label === '3', 'A failed undo should revert no state');
+    assert(runtime.getHistory().position === 1, 'A failed undo should not move the cursor');
+
+    threw = false;
+    try {
+      runtime.jumpTo(-1);
+    } catch (e) {
+      threw = true;
+    }
+    assert(threw && runtime.getState().count === 5 && runtime.getHistory().position === 1, 'A failed jumpTo should leave state and cursor where they were');
+  }, results);
+
+  // ===== PERSISTED STATE TESTS =====
+  console.log('\nPersisted State\n---------------');
+
+  const createMockStorage = () => {
+    const data = new Map();
+    return {
+      data,
+      getItem: (k) => data.has(k) ? data.get(k) : null,
+      setItem: (k, v) => data.set(k, String(v)),
+      removeItem: (k) => data.delete(k),
+      clear: () => data.clear()
+    };
+  };
+  const prevWindow = global.window;
+  const prevLocalStorage = global.localStorage;
+  global.window = global.window || {};
+  global.localStorage = createMockStorage();
+
+  const persistProgram = (persist, initial = 'light') => ({
+    $ddjex: '0.4.0',
+    id: 'persist_app',
+    target: 'dom',
+    state: {
+      theme: { type: 'string', initial, persist }
+    },
+    actions: {
+      setTheme: {
+        params: ['value'],
+        mutations: [{ target: 'theme', op: 'set', value: { param: 'value' } }]
       }
     }
-    return files;
-  }
+  });
 
-  try {
-    const jsonFiles = await findJsonFiles(examplesDir);
+  test('Persist: uses initial value when nothing is stored', () => {
+    global.localStorage.clear();
+    const runtime = new Runtime(persistProgram({ key: 'theme' }), new TestTarget());
+    runtime.initialize();
+    assert(runtime.getState().theme === 'light', 'Should use initial value');
+  }, results);
 
-    for (const { path: filePath, name: file } of jsonFiles) {
-      const content = await fs.readFile(filePath, 'utf-8');
+  test('Persist: hydrates from namespaced storage key', () => {
+    global.localStorage.clear();
+    global.localStorage.setItem('ddjex:persist_app:theme', JSON.stringify({ version: 1, value: 'dark' }));
+    const runtime = new Runtime(persistProgram({ key: 'theme' }), new TestTarget());
+    runtime.initialize();
+    assert(runtime.getState().theme === 'dark', `Should hydrate stored value, got ${runtime.getState().theme}`);
+  }, results);
 
-      test(`Spec: ${file} parses and validates`, () => {
-        const program = JSON.parse(content);
-        const validation = Runtime.validate(program);
-        assert(validation.valid, `Should be valid: ${JSON.stringify(validation.errors)}`);
-      }, results);
+  await testAsync('Persist: writes changes back debounced', async () => {
+    global.localStorage.clear();
+    const runtime = new Runtime(persistProgram({ key: 'theme', debounce: 10 }), new TestTarget());
+    runtime.initialize();
+    runtime.dispatch('setTheme', 'blue');
+    runtime.dispatch('setTheme', 'green');
+    assert(global.localStorage.getItem('ddjex:persist_app:theme') === null, 'Write should be debounced');
+    await new Promise(r => setTimeout(r, 30));
+    const stored = JSON.parse(global.localStorage.getItem('ddjex:persist_app:theme'));
+    assert(stored.value === 'green' && stored.version === 1, `Should store latest value, got ${JSON.stringify(stored)}`);
+  }, results);
 
-      test(`Spec: ${file} initializes`, () => {
-        const program = JSON.parse(content);
-        const runtime = new Runtime(program, new TestTarget());
-        runtime.initialize();
-        assert(runtime.mounted === false, 'Should not be mounted yet');
-        assert(runtime.stateManager !== null, 'Should have state manager');
-      }, results);
+  test('Persist: dispose flushes pending writes', () => {
+    global.localStorage.clear();
+    const runtime = new Runtime(persistProgram({ key: 'theme', debounce: 1000 }), new TestTarget());
+    runtime.initialize();
+    runtime.dispatch('setTheme', 'red');
+    runtime.stateManager.dispose();
+    const stored = JSON.parse(global.localStorage.getItem('ddjex:persist_app:theme'));
+    assert(stored.value === 'red', 'Pending write should be flushed on dispose');
+  }, results);
+
+  test('Persist: migrates older versions', () => {
+    global.localStorage.clear();
+    global.localStorage.setItem('ddjex:persist_app:theme', JSON.stringify({ version: 1, value: 'DARK' }));
+    const runtime = new Runtime(persistProgram({
+      key: 'theme',
+      version: 2,
+      migrate: { op: 'toLowerCase', args: [{ param: 'value' }] }
+    }), new TestTarget());
+    runtime.initialize();
+    assert(runtime.getState().theme === 'dark', 'Should apply migration');
+    const stored = JSON.parse(global.localStorage.getItem('ddjex:persist_app:theme'));
+    assert(stored.version === 2 && stored.value === 'dark', 'Migrated value should be written back');
+  }, results);
+
+  test('Persist: discards newer or unmigratable versions', () => {
+    global.localStorage.clear();
+    global.localStorage.setItem('ddjex:persist_app:theme', JSON.stringify({ version: 3, value: 'dark' }));
+    const runtime = new Runtime(persistProgram({ key: 'theme', version: 2 }), new TestTarget());
+    runtime.initialize();
+    assert(runtime.getState().theme === 'light', 'Should fall back to initial value');
+  }, results);
+
+  test('Persist: stored values must satisfy constraints', () => {
+    global.localStorage.clear();
+    global.localStorage.setItem('ddjex:persist_app:theme', JSON.stringify({ version: 1, value: 'neon' }));
+    const program = persistProgram({ key: 'theme' });
+    program.state.theme.constraints = { enum: ['light', 'dark'] };
+    const runtime = new Runtime(program, new TestTarget());
+    runtime.initialize();
+    assert(runtime.getState().theme === 'light', 'Invalid stored value should be ignored');
+  }, results);
+
+  test('Persist: validator checks persist config', () => {
+    const result = validate(persistProgram({ storage: 'cookie', version: 0 }));
+    assert(!result.valid, 'Should be invalid');
+    assert(result.errors.some(e => e.code === 'INVALID_PERSIST_STORAGE'), 'Should flag storage');
+    assert(result.errors.some(e => e.code === 'INVALID_PERSIST_VERSION'), 'Should flag version');
+    assert(validate(persistProgram({ key: 'theme', version: 2, migrate: { param: 'value' } })).valid, 'Valid config should pass');
+  }, results);
+
+  global.window = prevWindow;
+  global.localStorage = prevLocalStorage;
+
+  // ===== ASYNC ACTION TESTS =====
+  console.log('\nAsync Actions\n-------------');
+
+  const asyncActionProgram = (mode) => ({
+    $ddjex: '0.4.0',
+    id: 'test',
+    target: 'dom',
+    state: {
+      user: { type: 'object', initial: null },
+      loads: { type: 'number', initial: 0 }
+    },
+    actions: {
+      loadUser: {
+        params: ['id', 'ms'],
+        mode,
+        mutations: [{ target: 'loads', op: 'add', value: 1 }],
+        steps: [
+          { await: { op: 'testLoadUser', args: [{ param: 'id' }, { param: 'ms' }] }, as: 'result' },
+          { mutations: [{ target: 'user', op: 'set', value: { param: 'result' } }] }
+        ]
+      }
+    }
+  });
+
+  AsyncOperations.testLoadUser = async (id, ms = 5) => {
+    await new Promise(r => setTimeout(r, ms));
+    if (id === 'bad') return { error: true, code: 'NOT_FOUND', message: 'User not found' };
+    if (id === 'throw') throw new Error('Network down');
+    return { id };
+  };
+
+  await testAsync('AsyncAction: awaits step and applies follow-up mutations', async () => {
+    const runtime = new Runtime(asyncActionProgram(), new TestTarget());
+    runtime.initialize();
+    const promise = runtime.dispatch('loadUser', 'u1');
+    assert(runtime.getState().loads === 1, 'Leading mutations should apply synchronously');
+    assert(runtime.getState().$actions.loadUser.pending === true, 'Should be pending while in flight');
+    const result = await promise;
+    assert(result.id === 'u1', 'Dispatch should resolve to the last awaited value');
+    assert(runtime.getState().user.id === 'u1', 'Follow-up mutation should use the bound result');
+    const status = runtime.getState().$actions.loadUser;
+    assert(status.pending === false && status.error === null, 'Should not be pending after completion');
+    assert(status.lastResult.id === 'u1', 'lastResult should be exposed');
+  }, results);
+
+  await testAsync('AsyncAction: failures are exposed as error state', async () => {
+    const runtime = new Runtime(asyncActionProgram(), new TestTarget());
+    runtime.initialize();
+    const result = await runtime.dispatch('loadUser', 'bad');
+    assert(result.error === true && result.code === 'NOT_FOUND', 'Should resolve to an error object');
+    const status = runtime.getState().$actions.loadUser;
+    assert(status.pending === false, 'Should not be pending after failure');
+    assert(status.error.code === 'NOT_FOUND', 'Error should be stored');
+    assert(runtime.getState().user === null, 'Follow-up mutations should not run');
+
+    await runtime.dispatch('loadUser', 'throw');
+    assert(runtime.getState().$actions.loadUser.error.message === 'Network down', 'Thrown errors should be stored');
+  }, results);
+
+  await testAsync('AsyncAction: latest mode cancels the in-flight run', async () => {
+    const runtime = new Runtime(asyncActionProgram('latest'), new TestTarget());
+    runtime.initialize();
+    const first = runtime.dispatch('loadUser', 'slow', 30);
+    const second = runtime.dispatch('loadUser', 'fast', 5);
+    const [r1, r2] = await Promise.all([first, second]);
+    assert(r1.cancelled === true && r1.reason === 'superseded', 'First run should be cancelled');
+    assert(r2.id === 'fast', 'Second run should complete');
+    assert(runtime.getState().user.id === 'fast', 'Stale result should not be applied');
+    assert(runtime.getState().$actions.loadUser.pending === false, 'Should not be pending');
+  }, results);
+
+  await testAsync('AsyncAction: latest mode aborts the superseded operation', async () => {
+    const program = asyncActionProgram('latest');
+    program.actions.loadUser.steps[0].await = { op: 'testWatchSignal', args: [{ param: 'id' }] };
+    const seen = [];
+    AsyncOperations.testWatchSignal = function (id) {
+      seen.push({ id, signal: this.signal });
+      return AsyncOperations.delay.call(this, id === 'slow' ? 5000 : 5).then(() => ({ id }));
+    };
+    try {
+      const runtime = new Runtime(program, new TestTarget());
+      runtime.initialize();
+      const started = Date.now();
+      const first = runtime.dispatch('loadUser', 'slow');
+      const second = runtime.dispatch('loadUser', 'fast');
+      const [r1, r2] = await Promise.all([first, second]);
+      assert(r1.cancelled === true && r2.id === 'fast', 'Superseded run is cancelled');
+      assert(seen[0].signal.aborted === true && seen[1].signal.aborted === false, 'Operations receive the run signal');
+      assert(Date.now() - started < 1000, 'Aborted delay stops early');
+    } finally {
+      delete AsyncOperations.testWatchSignal;
+    }
+
+    const compiled = (() => {
+      try {
+        compile(asyncActionProgram('latest'));
+        return null;
+      } catch (e) {
+        return e.code;
+      }
+    })();
+    assert(compiled === 'UNSUPPORTED_ASYNC_ACTION', 'Compiler rejects async steps');
+  }, results);
+
+  await testAsync('AsyncAction: queue mode runs sequentially', async () => {
+    const runtime = new Runtime(asyncActionProgram('queue'), new TestTarget());
+    runtime.initialize();
+    const order = [];
+    const first = runtime.dispatch('loadUser', 'a', 20).then(r => order.push(r.id));
+    const second = runtime.dispatch('loadUser', 'b', 1).then(r => order.push(r.id));
+    await Promise.all([first, second]);
+    assert(order.join(',') === 'a,b', `Runs should complete in order, got ${order.join(',')}`);
+    assert(runtime.getState().user.id === 'b', 'Last queued result should win');
+    assert(runtime.getState().$actions.loadUser.pending === false, 'Should not be pending');
+  }, results);
+
+  await testAsync('AsyncAction: drop mode ignores dispatches while pending', async () => {
+    const runtime = new Runtime(asyncActionProgram('drop'), new TestTarget());
+    runtime.initialize();
+    const first = runtime.dispatch('loadUser', 'a', 10);
+    const dropped = await runtime.dispatch('loadUser', 'b', 1);
+    assert(dropped.cancelled === true && dropped.reason === 'dropped', 'Second dispatch should be dropped');
+    await first;
+    assert(runtime.getState().user.id === 'a', 'First run should complete');
+    assert(runtime.getState().loads === 1, 'Dropped dispatch should not run mutations');
+  }, results);
+
+  await testAsync('AsyncAction: cancelAction stops the in-flight run', async () => {
+    const runtime = new Runtime(asyncActionProgram(), new TestTarget());
+    runtime.initialize();
+    const promise = runtime.dispatch('loadUser', 'a', 10);
+    assert(runtime.cancelAction('loadUser') === true, 'Should cancel');
+    assert(runtime.getState().$actions.loadUser.pending === false, 'Should not be pending after cancel');
+    const result = await promise;
+    assert(result.cancelled === true, 'Cancelled run should resolve as cancelled');
+    assert(runtime.getState().user === null, 'Cancelled run should not apply mutations');
+  }, results);
+
+  test('AsyncAction: validator checks steps and mode', () => {
+    const program = asyncActionProgram('parallel');
+    program.actions.loadUser.steps.push({ await: 1, mutations: [] });
+    const result = validate(program);
+    assert(result.errors.some(e => e.code === 'INVALID_ACTION_MODE'), 'Should flag mode');
+    assert(result.errors.some(e => e.code === 'INVALID_ACTION_STEP'), 'Should flag ambiguous step');
+    assert(validate(asyncActionProgram('queue')).valid, `Valid async action should pass: ${JSON.stringify(validate(asyncActionProgram('queue')).errors)}`);
+  }, results);
+
+  delete AsyncOperations.testLoadUser;
+
+  // ===== PATH MUTATION TESTS =====
+  console.log('\nPath Mutations\n--------------');
+
+  test('PathMutation: set nested object key immutably', () => {
+    const sm = new StateManager();
+    const original = { name: 'Ann', address: { city: 'Oslo', zip: '0150' }, tags: ['a'] };
+    sm.defineState('user', { type: 'object', initial: original });
+    sm.mutate('user', 'set', 'Paris', null, 'address.city');
+    const user = sm.get('user');
+    assert(user.address.city === 'Paris', 'City should be updated');
+    assert(user.address.zip === '0150', 'Sibling keys should be kept');
+    assert(original.address.city === 'Oslo', 'Original should not be mutated');
+    assert(user.tags === original.tags, 'Untouched branches should be shared');
+  }, results);
+
+  test('PathMutation: array index notation and ops at path', () => {
+    const sm = new StateManager();
+    sm.defineState('todos', { type: 'array', initial: [{ done: false, n: 1 }, { done: false, n: 2 }] });
+    sm.mutate('todos', 'toggle', undefined, null, '[1].done');
+    assert(sm.get('todos')[1].done === true, 'toggle at [1].done should work');
+    sm.mutate('todos', 'add', 10, null, [0, 'n']);
+    assert(sm.get('todos')[0].n === 11, 'add at segment path should work');
+    sm.mutate('todos', 'merge', { note: 'x' }, null, '[0]');
+    assert(sm.get('todos')[0].note === 'x' && sm.get('todos')[0].n === 11, 'merge at path should work');
+  }, results);
+
+  test('PathMutation: creates missing intermediate containers', () => {
+    const sm = new StateManager();
+    sm.defineState('settings', { type: 'object', initial: {} });
+    sm.mutate('settings', 'set', 'dark', null, 'ui.theme');
+    sm.mutate('settings', 'set', 'a', null, 'recent[0]');
+    assert(sm.get('settings').ui.theme === 'dark', 'Missing object should be created');
+    assert(Array.isArray(sm.get('settings').recent) && sm.get('settings').recent[0] === 'a', 'Missing array should be created');
+  }, results);
+
+  test('PathMutation: remove at path', () => {
+    const sm = new StateManager();
+    sm.defineState('data', { type: 'object', initial: { a: 1, b: 2, list: ['x', 'y', 'z'] } });
+    sm.mutate('data', 'remove', undefined, null, 'a');
+    assert(!('a' in sm.get('data')) && sm.get('data').b === 2, 'Key should be removed');
+    sm.mutate('data', 'remove', undefined, null, 'list[1]');
+    assert(sm.get('data').list.join('') === 'xz', 'Array item should be removed');
+
+    let threw = false;
+    try {
+      sm.mutate('data', 'remove', undefined);
+    } catch (e) {
+      threw = true;
+      assert(e.code === 'INVALID_MUTATION_PATH', 'Should require a path');
+    }
+    assert(threw, 'remove without path should throw');
+  }, results);
+
+  test('PathMutation: rejects dangerous path keys', () => {
+    const sm = new StateManager();
+    sm.defineState('data', { type: 'object', initial: {} });
+    let threw = false;
+    try {
+      sm.mutate('data', 'set', 1, null, '__proto__.polluted');
+    } catch (e) {
+      threw = true;
+      assert(e.code === 'INVALID_MUTATION_PATH', 'Should have INVALID_MUTATION_PATH code');
+    }
+    assert(threw, 'Should reject __proto__');
+    assert(({}).polluted === undefined, 'Prototype should not be polluted');
+  }, results);
+
+  test('PathMutation: where matcher in actions', () => {
+    const program = {
+      $ddjex: '0.4.0',
+      id: 'test',
+      target: 'dom',
+      state: {
+        todos: { type: 'array', initial: [{ id: 1, done: false }, { id: 2, done: false }, { id: 3, done: false }] }
+      },
+      actions: {
+        toggleTodo: {
+          params: ['id'],
+          mutations: [{ target: 'todos', where: { id: { param: 'id' } }, path: 'done', op: 'toggle' }]
+        },
+        removeTodo: {
+          params: ['id'],
+          mutations: [{ target: 'todos', where: { id: { param: 'id' } }, op: 'remove' }]
+        },
+        renameTodo: {
+          params: ['id', 'title'],
+          mutations: [{ target: 'todos', path: [{ where: { id: { param: 'id' } } }, 'title'], op: 'set', value: { param: 'title' } }]
+        }
+      }
+    };
+    assert(validate(program).valid, `Program should validate: ${JSON.stringify(validate(program).errors)}`);
+
+    const runtime = new Runtime(program, new TestTarget());
+    runtime.initialize();
+    runtime.dispatch('toggleTodo', 2);
+    const todos = runtime.getState().todos;
+    assert(todos[1].done === true && todos[0].done === false && todos[2].done === false, 'Only matching item should toggle');
+    runtime.dispatch('renameTodo', 3, 'Ship');
+    assert(runtime.getState().todos[2].title === 'Ship', 'Path with where segment should set field');
+    runtime.dispatch('removeTodo', 1);
+    assert(runtime.getState().todos.map(t => t.id).join(',') === '2,3', 'Matching item should be removed');
+  }, results);
+
+  test('PathMutation: constraints apply to the top-level state', () => {
+    const program = {
+      $ddjex: '0.4.0',
+      id: 'test',
+      target: 'dom',
+      state: {
+        cart: { type: 'object', initial: { items: ['a'] }, constraints: { custom: { op: 'lte', args: [{ op: 'length', args: [{ op: 'get', args: [{ param: '$value' }, 'items'] }] }, 2] }, message: 'Cart is full' } }
+      },
+      actions: {
+        addItem: {
+          params: ['item'],
+          mutations: [{ target: 'cart', path: 'items', op: 'push', value: { param: 'item' } }]
+        }
+      }
+    };
+    const runtime = new Runtime(program, new TestTarget());
+    runtime.initialize();
+    runtime.dispatch('addItem', 'b');
+    let threw = false;
+    try {
+      runtime.dispatch('addItem', 'c');
+    } catch (e) {
+      threw = true;
+      assert(e.code === 'CONSTRAINT_VIOLATION', 'Should be a constraint violation');
     }
+    assert(threw, 'Constraint on top-level state should be enforced');
+    assert(runtime.getState().cart.items.length === 2, 'State should be unchanged');
+  }, results);
+
+  test('PathMutation: validator checks path, where and remove', () => {
+    const program = {
+      $ddjex: '0.4.0',
+      id: 'test',
+      target: 'dom',
+      state: { items: { type: 'array', initial: [] } },
+      actions: {
+        bad: {
+          mutations: [
+            { target: 'items', op: 'remove' },
+            { target: 'items', op: 'set', path: 5, value: 1 },
+            { target: 'items', op: 'set', where: 'id', value: 1 }
+          ]
+        }
+      }
+    };
+    const result = validate(program);
+    assert(result.errors.some(e => e.code === 'MISSING_MUTATION_PATH'), 'Should flag remove without path');
+    assert(result.errors.some(e => e.code === 'INVALID_MUTATION_PATH'), 'Should flag invalid path');
+    assert(result.errors.some(e => e.code === 'INVALID_MUTATION_WHERE'), 'Should flag invalid where');
+  }, results);
+
+  test('PathMutation: compiled actions update nested values', () => {
+    const program = {
+      $ddjex: '0.4.0',
+      id: 'test',
+      target: 'cli',
+      state: {
+        user: { type: 'object', initial: { name: 'ada', address: { city: 'London', zip: 'N1' } } },
+        todos: { type: 'array', initial: [{ id: 1, done: false, tags: ['a'] }, { id: 2, done: false, tags: [] }] }
+      },
+      actions: {
+        move: { params: ['city'], mutations: [{ target: 'user', path: 'address.city', op: 'set', value: { param: 'city' } }] },
+        toggle: { params: ['id'], mutations: [{ target: 'todos', where: { id: { param: 'id' } }, path: 'done', op: 'toggle' }] },
+        tag: { mutations: [{ target: 'todos', path: '[1].tags', op: 'push', value: 'b' }] },
+        forget: { mutations: [{ target: 'user', path: 'address.zip', op: 'remove' }] },
+        drop: { params: ['id'], mutations: [{ target: 'todos', where: { id: { param: 'id' } }, op: 'remove' }] }
+      }
+    };
+    const code = compile(program, { target: 'module' }).replace(/^export .*$/m, '');
+    const app = new Function(`${code}\nreturn { state, dispatch };`)();
+    const before = app.state.user;
+
+    app.dispatch('move', 'Paris');
+    assert(app.state.user.address.city === 'Paris' && app.state.user.name === 'ada', `path set keeps siblings: ${JSON.stringify(app.state.user)}`);
+    assert(before.address.city === 'London', 'Nested updates are immutable');
+
+    app.dispatch('toggle', 2);
+    assert(app.state.todos[0].done === false && app.state.todos[1].done === true, `where + toggle: ${JSON.stringify(app.state.todos)}`);
+
+    app.dispatch('tag');
+    app.dispatch('forget');
+    assert(app.state.todos[1].tags.join() === 'b' && !('zip' in app.state.user.address), 'push and remove at a path');
+
+    app.dispatch('drop', 1);
+    assert(app.state.todos.map(t => t.id).join() === '2', 'remove with where drops matching items');
+
+    const minified = compile(program, { target: 'module', minify: true }).replace(/export .*$/, '');
+    const small = new Function(`${minified}\nreturn { state, dispatch };`)();
+    small.dispatch('move', 'Rome');
+    assert(small.state.user.address.city === 'Rome', 'Path helpers survive minification');
+  }, results);
+
+  test('PathMutation: compiler rejects mutations it cannot perform', () => {
+    const compileAction = (mutation) => {
+      try {
+        compile({ $ddjex: '0.4.0', id: 'test', target: 'cli', state: { list: { type: 'array', initial: [] } }, actions: { run: { mutations: [mutation] } } });
+        return null;
+      } catch (e) {
+        return e.code;
+      }
+    };
+    assert(compileAction({ target: 'list', op: 'remove' }) === 'INVALID_MUTATION_PATH', 'remove needs a path or where');
+    assert(compileAction({ target: 'list', op: 'math.bump', value: 1 }) === 'UNSUPPORTED_MUTATION_OP', 'Unknown ops are compile errors');
+    assert(compileAction({ target: 'list', op: 'unshift', value: 1 }) === null, 'Every built-in op compiles');
+  }, results);
+
+  // ===== MUTATION OPERATOR TESTS =====
+  console.log('\nMutation Operators\n------------------');
+
+  test('MutationOps: removeAt and insertAt', () => {
+    const sm = new StateManager();
+    sm.defineState('list', { type: 'array', initial: ['a', 'b', 'c'] });
+    sm.mutate('list', 'removeAt', 1);
+    assert(sm.get('list').join('') === 'ac', 'removeAt should remove the item at index');
+    sm.mutate('list', 'removeAt', -1);
+    sm.mutate('list', 'removeAt', 5);
+    assert(sm.get('list').join('') === 'ac', 'Out-of-range removeAt should leave the array unchanged');
+    sm.mutate('list', 'insertAt', 'b', null, null, { index: 1 });
+    assert(sm.get('list').join('') === 'abc', 'insertAt should insert at index');
+  }, results);
+
+  test('MutationOps: move reorders items', () => {
+    const sm = new StateManager();
+    sm.defineState('list', { type: 'array', initial: ['a', 'b', 'c', 'd'] });
+    sm.mutate('list', 'move', undefined, null, null, { from: 0, to: 2 });
+    assert(sm.get('list').join('') === 'bcad', 'move should place item at the target index');
+    sm.mutate('list', 'move', undefined, null, null, { from: 3, to: 0 });
+    assert(sm.get('list').join('') === 'dbca', 'move should work backwards');
+    sm.mutate('list', 'move', undefined, null, null, { from: -1, to: 0 });
+    assert(sm.get('list').join('') === 'dbca', 'Missing source index should be a no-op');
+  }, results);
+
+  test('MutationOps: upsert, clear, increment and decrement', () => {
+    const sm = new StateManager();
+    sm.defineState('users', { type: 'array', initial: [{ id: 1, name: 'Ann' }] });
+    sm.defineState('count', { type: 'number', initial: 5 });
+    sm.defineState('query', { type: 'string', initial: 'abc' });
+    sm.mutate('users', 'upsert', { id: 1, name: 'Anna' });
+    sm.mutate('users', 'upsert', { id: 2, name: 'Bo' });
+    assert(sm.get('users').length === 2 && sm.get('users')[0].name === 'Anna', 'upsert should replace by id, else append');
+    sm.mutate('users', 'upsert', { name: 'Bo', age: 3 }, null, null, { key: 'name' });
+    assert(sm.get('users')[1].age === 3, 'upsert should honour a custom key');
+    sm.mutate('count', 'increment');
+    sm.mutate('count', 'decrement', 3);
+    assert(sm.get('count') === 3, 'increment defaults to 1, decrement uses value');
+    sm.mutate('users', 'clear');
+    sm.mutate('query', 'clear');
+    sm.mutate('count', 'clear');
+    assert(sm.get('users').length === 0 && sm.get('query') === '' && sm.get('count') === 0, 'clear should empty by kind');
+  }, results);
+
+  test('MutationOps: removeWhere and updateWhere in actions', () => {
+    const program = {
+      $ddjex: '0.4.0',
+      id: 'test',
+      target: 'dom',
+      state: {
+        todos: { type: 'array', initial: [{ id: 1, done: true }, { id: 2, done: false }, { id: 3, done: true }] }
+      },
+      actions: {
+        clearDone: {
+          mutations: [{ target: 'todos', op: 'removeWhere', value: { op: 'get', args: [{ param: 'item' }, 'done'] } }]
+        },
+        complete: {
+          params: ['id'],
+          mutations: [{
+            target: 'todos',
+            op: 'updateWhere',
+            match: { op: 'eq', args: [{ op: 'get', args: [{ param: 'item' }, 'id'] }, { param: 'id' }] },
+            value: { op: 'merge', args: [{ param: 'item' }, { done: true }] }
+          }]
+        },
+        insertFirst: {
+          params: ['todo'],
+          mutations: [{ target: 'todos', op: 'insertAt', index: 0, value: { param: 'todo' } }]
+        }
+      }
+    };
+    const result = validate(program);
+    assert(result.valid, `Program should validate: ${JSON.stringify(result.errors)}`);
+
+    const runtime = new Runtime(program, new TestTarget());
+    runtime.initialize();
+    runtime.dispatch('complete', 2);
+    assert(runtime.getState().todos[1].done === true, 'updateWhere should update matching items');
+    runtime.dispatch('insertFirst', { id: 4, done: false });
+    runtime.dispatch('clearDone');
+    assert(runtime.getState().todos.map(t => t.id).join(',') === '4', 'removeWhere should drop matching items');
+  }, results);
+
+  test('MutationOps: validator requires operands', () => {
+    const program = {
+      $ddjex: '0.4.0',
+      id: 'test',
+      target: 'dom',
+      state: { list: { type: 'array', initial: [] } },
+      actions: {
+        bad: {
+          mutations: [
+            { target: 'list', op: 'move', from: 0 },
+            { target: 'list', op: 'insertAt', value: 1 },
+            { target: 'list', op: 'updateWhere', value: 1 }
+          ]
+        }
+      }
+    };
+    const result = validate(program);
+    const missing = result.errors.filter(e => e.code === 'MISSING_MUTATION_FIELD');
+    assert(!result.valid, 'Program should be invalid');
+    assert(missing.length === 3, `Should report each missing operand, got ${missing.length}`);
+  }, results);
+
+  test('MutationOps: compiled actions match the runtime', () => {
+    const program = {
+      $ddjex: '0.4.0',
+      id: 'test',
+      target: 'cli',
+      state: {
+        items: { type: 'array', initial: [{ id: 1 }, { id: 2 }, { id: 3 }] },
+        count: { type: 'number', initial: 0 },
+        tags: { type: 'any', initial: ['a'] },
+        note: { initial: 'text' }
+      },
+      actions: {
+        reset: {
+          mutations: [{ target: 'tags', op: 'clear' }, { target: 'note', op: 'clear' }]
+        },
+        reorder: {
+          params: ['from', 'to'],
+          mutations: [
+            { target: 'items', op: 'move', from: { param: 'from' }, to: { param: 'to' } },
+            { target: 'count', op: 'increment' }
+          ]
+        },
+        drop: {
+          params: ['id'],
+          mutations: [{ target: 'items', op: 'removeWhere', value: { op: 'eq', args: [{ op: 'get', args: [{ param: 'item' }, 'id'] }, { param: 'id' }] } }]
+        },
+        put: {
+          params: ['item'],
+          mutations: [{ target: 'items', op: 'upsert', value: { param: 'item' } }]
+        }
+      }
+    };
+    const code = compile(program, { target: 'module' }).replace(/^export .*$/m, '');
+    const app = new Function(`${code}\nreturn { state, dispatch };`)();
+    app.dispatch('reorder', 0, 2);
+    app.dispatch('drop', 3);
+    app.dispatch('put', { id: 2, name: 'two' });
+    assert(app.state.items.map(i => i.id).join(',') === '2,1', `Compiled move/removeWhere should work, got ${JSON.stringify(app.state.items)}`);
+    assert(app.state.items[0].name === 'two', 'Compiled upsert should replace by id');
+    assert(app.state.count === 1, 'Compiled increment should default to 1');
+
+    const runtime = new Runtime(program, new TestTarget());
+    runtime.initialize();
+    runtime.dispatch('reset');
+    app.dispatch('reset');
+    assert(JSON.stringify([app.state.tags, app.state.note]) === '[[],""]', `Compiled clear should empty by kind, got ${JSON.stringify([app.state.tags, app.state.note])}`);
+    assert(JSON.stringify(runtime.getState().tags) === '[]' && runtime.getState().note === '', 'Runtime clear should agree');
+  }, results);
+
+  // ===== FINE-GRAINED SUBSCRIPTION TESTS =====
+  console.log('\nFine-grained Subscriptions\n--------------------------');
+
+  test('Subscriptions: plain { run } subscribers are run', () => {
+    const sm = new StateManager();
+    sm.defineState('count', { type: 'number', initial: 0 });
+    let runs = 0;
+    sm.subscribe('count', { run: () => runs++, dependencies: new Set() });
+    sm.set('count', 1);
+    assert(runs === 1, `Subscriber should run once, ran ${runs}`);
+  }, results);
+
+  test('Subscriptions: path subscribers only run when their path changes', () => {
+    const sm = new StateManager();
+    sm.defineState('settings', { type: 'object', initial: { theme: 'light', font: { size: 12 } } });
+    let themeRuns = 0;
+    let sizeRuns = 0;
+    let wholeRuns = 0;
+    sm.subscribe('settings', { run: () => themeRuns++ }, 'theme');
+    sm.subscribe('settings', { run: () => sizeRuns++ }, 'font.size');
+    sm.subscribe('settings', { run: () => wholeRuns++ });
+
+    sm.mutate('settings', 'set', 'dark', null, 'theme');
+    assert(themeRuns === 1 && sizeRuns === 0, 'Only theme subscriber should run');
+    sm.mutate('settings', 'set', 14, null, 'font.size');
+    assert(themeRuns === 1 && sizeRuns === 1, 'Only size subscriber should run');
+    sm.set('settings', { ...sm.get('settings') });
+    assert(themeRuns === 1 && sizeRuns === 1, 'New identity with same fields should not notify path subscribers');
+    assert(wholeRuns === 3, 'Whole-value subscriber should run on every change');
+  }, results);
+
+  test('Subscriptions: dotted refs track path reads in computed', () => {
+    const sm = new StateManager();
+    sm.defineState('settings', { type: 'object', initial: { theme: 'light', lang: 'en' } });
+    let computes = 0;
+    sm.defineComputed('themeLabel', { deps: ['settings'] }, () => {
+      computes++;
+      return `Theme: ${sm.get('settings.theme')}`;
+    });
+
+    assert(sm.get('themeLabel') === 'Theme: light', 'Computed should read the path');
+    sm.mutate('settings', 'set', 'fr', null, 'lang');
+    assert(sm.get('themeLabel') === 'Theme: light' && computes === 1, 'Unrelated path should not invalidate');
+    sm.mutate('settings', 'set', 'dark', null, 'theme');
+    assert(sm.get('themeLabel') === 'Theme: dark' && computes === 2, 'Read path change should invalidate');
+  }, results);
+
+  test('Subscriptions: computed equality suppresses no-op updates', () => {
+    const program = {
+      $ddjex: '0.4.0',
+      id: 'test',
+      target: 'dom',
+      state: {
+        todos: { type: 'array', initial: [{ id: 1, done: false }, { id: 2, done: true }] }
+      },
+      computed: {
+        doneIds: {
+          deps: ['todos'],
+          equality: 'shallow',
+          fn: { op: 'map', args: [{ op: 'filter', args: [{ ref: 'todos' }, { op: 'get', args: [{ ref: 'item' }, 'done'] }] }, { op: 'get', args: [{ ref: 'item' }, 'id'] }] }
+        },
+        summary: {
+          deps: ['todos'],
+          equality: 'deep',
+          fn: { done: { op: 'length', args: [{ op: 'filter', args: [{ ref: 'todos' }, { op: 'get', args: [{ ref: 'item' }, 'done'] }] }] } }
+        }
+      },
+      actions: {
+        rename: {
+          params: ['id', 'title'],
+          mutations: [{ target: 'todos', where: { id: { param: 'id' } }, path: 'title', op: 'set', value: { param: 'title' } }]
+        },
+        complete: {
+          params: ['id'],
+          mutations: [{ target: 'todos', where: { id: { param: 'id' } }, path: 'done', op: 'set', value: true }]
+        }
+      }
+    };
+    const result = validate(program);
+    assert(result.valid, `Program should validate: ${JSON.stringify(result.errors)}`);
+
+    const runtime = new Runtime(program, new TestTarget());
+    runtime.initialize();
+    const sm = runtime.stateManager;
+    const firstIds = sm.get('doneIds');
+    const firstSummary = sm.get('summary');
+    let idRuns = 0;
+    let summaryRuns = 0;
+    sm.subscribe('doneIds', { run: () => idRuns++ });
+    sm.subscribe('summary', { run: () => summaryRuns++ });
+
+    runtime.dispatch('rename', 1, 'Write docs');
+    assert(idRuns === 0 && summaryRuns === 0, 'Equal results should not notify downstream');
+    assert(sm.get('doneIds') === firstIds && sm.get('summary') === firstSummary, 'Equal results should keep their identity');
+
+    runtime.dispatch('complete', 1);
+    assert(idRuns === 1 && summaryRuns === 1, 'Changed results should notify downstream');
+    assert(sm.get('doneIds').join(',') === '1,2', 'Computed should hold the new value');
+  }, results);
+
+  test('Subscriptions: validator rejects unknown equality', () => {
+    const program = {
+      $ddjex: '0.4.0',
+      id: 'test',
+      target: 'dom',
+      state: { a: { type: 'number', initial: 1 } },
+      computed: { b: { deps: ['a'], equality: 'strict', fn: { ref: 'a' } } }
+    };
+    const result = validate(program);
+    assert(result.errors.some(e => e.code === 'INVALID_COMPUTED_EQUALITY'), 'Should report INVALID_COMPUTED_EQUALITY');
+  }, results);
+
+  // ===== PLUGIN TESTS =====
+  console.log('\nPlugins\n-------');
+
+  const mathPlugin = () => ({
+    name: 'math',
+    operations: { clamp: (v, min, max) => Math.min(Math.max(v, min), max) },
+    asyncOperations: { double: async (v) => v * 2 },
+    mutations: { bumpBy: (current, value) => current + value * 10 }
+  });
+
+  test('Plugins: namespaced operations resolve per runtime', () => {
+    const program = {
+      $ddjex: '0.4.0',
+      id: 'test',
+      target: 'dom',
+      state: { value: { type: 'number', initial: 42 } },
+      computed: {
+        clamped: { deps: ['value'], fn: { op: 'math.clamp', args: [{ ref: 'value' }, 0, 10] } }
+      }
+    };
+    const runtime = createApp(program, new TestTarget(), { plugins: [mathPlugin()] });
+    assert(runtime.stateManager.get('clamped') === 10, 'Plugin op should be callable as math.clamp');
+    assert(!('math.clamp' in Operations), 'Plugin ops should not leak into the global operations');
+
+    const other = new Runtime(program, new TestTarget());
+    other.initialize();
+    let threw = false;
+    try {
+      other.stateManager.get('clamped');
+    } catch (e) {
+      threw = true;
+      assert(e.code === 'UNKNOWN_OPERATION', 'Unregistered runtime should report UNKNOWN_OPERATION');
+    }
+    assert(threw, 'Runtime without the plugin should not resolve its ops');
+  }, results);
+
+  test('Plugins: custom mutation ops', () => {
+    const program = {
+      $ddjex: '0.4.0',
+      id: 'test',
+      target: 'dom',
+      state: { count: { type: 'number', initial: 1 } },
+      actions: {
+        bump: { params: ['n'], mutations: [{ target: 'count', op: 'math.bumpBy', value: { param: 'n' } }] }
+      }
+    };
+    const runtime = new Runtime(program, new TestTarget()).use(mathPlugin());
+    runtime.initialize();
+    runtime.dispatch('bump', 2);
+    assert(runtime.getState().count === 21, 'Plugin mutation should compute the next value');
+  }, results);
+
+  await testAsync('Plugins: async operations in action steps', async () => {
+    const program = {
+      $ddjex: '0.4.0',
+      id: 'test',
+      target: 'dom',
+      state: { result: { type: 'number', initial: 0 } },
+      actions: {
+        compute: {
+          params: ['n'],
+          steps: [
+            { await: { op: 'math.double', args: [{ param: 'n' }] }, as: 'doubled' },
+            { mutations: [{ target: 'result', op: 'set', value: { param: 'doubled' } }] }
+          ]
+        }
+      }
+    };
+    const runtime = createApp(program, new TestTarget(), { plugins: [mathPlugin()] });
+    await runtime.dispatch('compute', 4);
+    assert(runtime.getState().result === 8, 'Plugin async op should be awaited');
+  }, results);
+
+  test('Plugins: lifecycle hooks run in order', () => {
+    const calls = [];
+    const plugin = {
+      name: 'tracker',
+      hooks: {
+        init: () => calls.push('init'),
+        mount: () => calls.push('mount'),
+        unmount: () => calls.push('unmount')
+      }
+    };
+    const program = { $ddjex: '0.4.0', id: 'test', target: 'dom' };
+    const runtime = createApp(program, new TestTarget(), { plugins: [plugin] });
+    runtime.mount();
+    runtime.unmount();
+    assert(calls.join(',') === 'init,mount,unmount', `Hooks should run in lifecycle order, got ${calls.join(',')}`);
+
+    const late = [];
+    runtime.use({ name: 'late', hooks: { init: (rt) => late.push(rt === runtime) } });
+    assert(late[0] === true, 'Plugins added after initialize should get init immediately');
+  }, results);
+
+  test('Plugins: rejects invalid and duplicate plugins', () => {
+    const runtime = new Runtime({ $ddjex: '0.4.0', id: 'test', target: 'dom' }, new TestTarget());
+    const codeOf = (fn) => {
+      try {
+        fn();
+      } catch (e) {
+        return e.code;
+      }
+      return null;
+    };
+    assert(codeOf(() => runtime.use({ operations: {} })) === 'INVALID_PLUGIN', 'Missing name should be rejected');
+    assert(codeOf(() => runtime.use({ name: 'x', operations: { a: 1 } })) === 'INVALID_PLUGIN', 'Non-function op should be rejected');
+    assert(codeOf(() => runtime.use({ name: 'x', hooks: { beforeAll: () => {} } })) === 'INVALID_PLUGIN', 'Unknown hook should be rejected');
+    runtime.use({ name: 'y' });
+    assert(codeOf(() => runtime.use({ name: 'y' })) === 'PLUGIN_ALREADY_REGISTERED', 'Duplicate name should be rejected');
+  }, results);
+
+  test('Plugins: validator knows plugin ops, mutations, node types and rules', () => {
+    const program = {
+      $ddjex: '0.4.0',
+      id: 'test',
+      target: 'dom',
+      state: { count: { type: 'number', initial: 0 } },
+      actions: {
+        bump: { mutations: [{ target: 'count', op: 'math.bumpBy', value: { op: 'math.clamp', args: [5, 0, 1] } }] }
+      },
+      root: { type: 'charts.bar', props: { value: { ref: 'count' } } }
+    };
+    const chartsPlugin = {
+      name: 'charts',
+      nodes: { bar: () => null },
+      rules: [(p) => p.root ? [] : [{ code: 'CHARTS_NEEDS_ROOT', message: 'charts needs a root' }]]
+    };
+
+    const without = validate(program);
+    const codes = without.errors.map(e => e.code);
+    assert(codes.includes('UNKNOWN_OPERATION'), 'Unregistered namespaced op should be reported');
+    assert(codes.includes('INVALID_MUTATION_OP'), 'Unregistered plugin mutation should be reported');
+    assert(codes.includes('UNKNOWN_NODE_TYPE'), 'Unregistered plugin node type should be reported');
+
+    const withPlugins = validate(program, { plugins: [mathPlugin(), chartsPlugin] });
+    assert(withPlugins.valid, `Program should validate with plugins: ${JSON.stringify(withPlugins.errors)}`);
+
+    const builtins = validate({
+      ...program,
+      actions: {
+        load: { steps: [{ await: { op: 'storage.get', args: ['count'] }, as: 'saved' }, { await: { op: 'clipboard.write', args: ['hi'] } }] }
+      },
+      root: { type: 'div', props: { title: { op: 'storage.get', args: ['theme'] } } }
+    });
+    assert(builtins.valid, `Built-in namespaced ops are not plugin ops: ${JSON.stringify(builtins.errors)}`);
+
+    const rootless = { ...program };
+    delete rootless.root;
+    const ruled = validate(rootless, { plugins: [mathPlugin(), chartsPlugin] });
+    assert(ruled.errors.some(e => e.code === 'CHARTS_NEEDS_ROOT'), 'Plugin rules should report errors');
+  }, results);
+
+  // ===== IMPORT TESTS =====
+  console.log('\nProgram Imports\n---------------');
+
+  const importFixtures = async (files) => {
+    const os = await import('os');
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'ddjex-imports-'));
+    for (const [name, content] of Object.entries(files)) {
+      await fs.mkdir(path.dirname(path.join(dir, name)), { recursive: true });
+      await fs.writeFile(path.join(dir, name), JSON.stringify(content));
+    }
+    return dir;
+  };
+
+  const counterModule = {
+    $ddjex: '0.4.0',
+    id: 'counter',
+    target: 'dom',
+    state: { count: { type: 'number', initial: 0 } },
+    computed: { doubled: { deps: ['count'], fn: { op: 'multiply', args: [{ ref: 'count' }, 2] } } },
+    actions: { increment: { mutations: [{ target: 'count', op: 'add', value: 1 }] } },
+    components: { Counter: { render: { type: 'span', children: [{ bind: 'count' }] } } }
+  };
+
+  await testAsync('Imports: load() merges namespaced modules', async () => {
+    const { load } = await import('../src/index.js');
+    const dir = await importFixtures({
+      'app.json': {
+        $ddjex: '0.4.0',
+        id: 'app',
+        target: 'dom',
+        imports: [{ src: './modules/counter.json', as: 'counter' }],
+        computed: { total: { deps: ['counter.count'], fn: { op: 'add', args: [{ ref: 'counter.count' }, 100] } } }
+      },
+      'modules/counter.json': counterModule
+    });
+
+    try {
+      const program = await load(path.join(dir, 'app.json'));
+      assert(!program.error, `Should load: ${JSON.stringify(program)}`);
+      assert(!('imports' in program), 'Resolved program should have no imports');
+      assert('counter.count' in program.state && 'counter.Counter' in program.components, 'Names should be namespaced');
+      assert(program.computed['counter.doubled'].deps[0] === 'counter.count', 'Module deps should be qualified');
+      assert(program.actions['counter.increment'].mutations[0].target === 'counter.count', 'Module targets should be qualified');
+      assert(program.components['counter.Counter'].render.children[0].bind === 'counter.count', 'Module binds should be qualified');
+      assert(validate(program).valid, `Resolved program should validate: ${JSON.stringify(validate(program).errors)}`);
+
+      const runtime = new Runtime(program, new TestTarget());
+      runtime.initialize();
+      runtime.dispatch('counter.increment');
+      assert(runtime.stateManager.get('counter.doubled') === 2, 'Imported computed should track imported state');
+      assert(runtime.stateManager.get('total') === 101, 'Program should read imported state by qualified name');
+    } finally {
+      await fs.rm(dir, { recursive: true, force: true });
+    }
+  }, results);
+
+  await testAsync('Imports: nested imports, shared modules and conflicts', async () => {
+    const { load } = await import('../src/index.js');
+    const shared = { $ddjex: '0.4.0', id: 'shared', target: 'dom', state: { theme: { type: 'string', initial: 'light' } } };
+    const dir = await importFixtures({
+      'app.json': { $ddjex: '0.4.0', id: 'app', target: 'dom', imports: [{ src: 'a.json' }, { src: 'b.json' }] },
+      'a.json': { $ddjex: '0.4.0', id: 'a', target: 'dom', imports: [{ src: './shared.json' }], state: { a: { type: 'number', initial: 1 } } },
+      'b.json': { $ddjex: '0.4.0', id: 'b', target: 'dom', imports: [{ src: './shared.json' }] },
+      'shared.json': shared,
+      'clash.json': { $ddjex: '0.4.0', id: 'clash', target: 'dom', imports: [{ src: './shared.json' }], state: { theme: { type: 'string', initial: 'dark' } } }
+    });
+
+    try {
+      const program = await load(path.join(dir, 'app.json'));
+      assert(!program.error, `Should load: ${JSON.stringify(program)}`);
+      assert(program.state.theme.initial === 'light' && program.state.a.initial === 1, 'Nested and shared imports should merge once');
+
+      const clash = await load(path.join(dir, 'clash.json'));
+      assert(clash.error && clash.code === 'IMPORT_CONFLICT', `Conflicting names should fail, got ${clash.code}`);
+      assert(clash.source === path.join(dir, 'shared.json'), 'Conflict should name the imported file');
+    } finally {
+      await fs.rm(dir, { recursive: true, force: true });
+    }
+  }, results);
+
+  await testAsync('Imports: detects cycles and missing files', async () => {
+    const { load } = await import('../src/index.js');
+    const dir = await importFixtures({
+      'a.json': { $ddjex: '0.4.0', id: 'a', target: 'dom', imports: [{ src: './b.json', as: 'b' }] },
+      'b.json': { $ddjex: '0.4.0', id: 'b', target: 'dom', imports: [{ src: './a.json', as: 'a' }] },
+      'broken.json': { $ddjex: '0.4.0', id: 'broken', target: 'dom', imports: [{ src: './missing.json' }] }
+    });
+
+    try {
+      const cyclic = await load(path.join(dir, 'a.json'));
+      assert(cyclic.error && cyclic.code === 'IMPORT_CYCLE', `Cycle should be detected, got ${cyclic.code}`);
+      assert(cyclic.cycle.map(f => path.basename(f)).join(' -> ') === 'a.json -> b.json -> a.json', 'Cycle should list the chain');
+
+      const broken = await load(path.join(dir, 'broken.json'));
+      assert(broken.error && broken.code === 'IMPORT_FAILED', `Missing file should fail, got ${broken.code}`);
+    } finally {
+      await fs.rm(dir, { recursive: true, force: true });
+    }
+  }, results);
+
+  await testAsync('Imports: validator errors report the source file', async () => {
+    const { resolveImports } = await import('../src/core/imports.js');
+    const files = {
+      '/app/main.json': { $ddjex: '0.4.0', id: 'main', target: 'dom', imports: [{ src: 'widgets.json', as: 'widgets' }] },
+      '/app/widgets.json': {
+        $ddjex: '0.4.0',
+        id: 'widgets',
+        target: 'dom',
+        computed: { broken: { deps: ['nothing'], fn: { ref: 'nothing' } } }
+      }
+    };
+    const loader = {
+      resolve: (src, from) => path.posix.join(path.posix.dirname(from), src),
+      read: async (file) => files[file]
+    };
+    const program = await resolveImports(files['/app/main.json'], loader, '/app/main.json');
+    const result = validate(program);
+    const depError = result.errors.find(e => e.code === 'UNDEFINED_DEPENDENCY');
+    assert(depError, 'Should report the undefined dependency');
+    assert(depError.location.source === '/app/widgets.json', `Error should name the source file, got ${depError.location.source}`);
+  }, results);
+
+  await testAsync('Imports: LazyManager resolves imports relative to the module', async () => {
+    const { LazyManager } = await import('../src/core/lazy.js');
+    const files = {
+      '/imports-test/app.json': { $ddjex: '0.4.0', id: 'app', target: 'dom', imports: [{ src: './parts/counter.json', as: 'counter' }] },
+      '/imports-test/parts/counter.json': counterModule
+    };
+    const requested = [];
+    const manager = new LazyManager({
+      fetch: async (url) => {
+        requested.push(url);
+        return { ok: url in files, status: 404, text: async () => JSON.stringify(files[url]) };
+      }
+    });
+    const program = await manager.loadProgram('/imports-test/app.json');
+    assert(requested.includes('/imports-test/parts/counter.json'), `Import should resolve relative to the module, got ${requested.join(', ')}`);
+    assert('counter.increment' in program.actions, 'Imported actions should be namespaced');
+  }, results);
+
+  test('Imports: runtime refuses unresolved imports', () => {
+    const program = { $ddjex: '0.4.0', id: 'test', target: 'dom', imports: [{ src: './x.json' }] };
+    let threw = false;
+    try {
+      new Runtime(program, new TestTarget()).initialize();
+    } catch (e) {
+      threw = true;
+      assert(e.code === 'UNRESOLVED_IMPORTS', 'Should have UNRESOLVED_IMPORTS code');
+    }
+    assert(threw, 'initialize should throw for unresolved imports');
+  }, results);
+
+  // ===== MIDDLEWARE TESTS =====
+  console.log('\nDispatch Middleware\n-------------------');
+
+  const middlewareProgram = () => ({
+    $ddjex: '0.4.0',
+    id: 'test',
+    target: 'dom',
+    state: { count: { type: 'number', initial: 0, constraints: { max: 10 } } },
+    actions: {
+      add: { params: ['n'], mutations: [{ target: 'count', op: 'add', value: { param: 'n' } }] }
+    }
+  });
+
+  test('Middleware: beforeDispatch sees action, params and state', () => {
+    const runtime = new Runtime(middlewareProgram(), new TestTarget());
+    runtime.initialize();
+    const seen = [];
+    runtime.addMiddleware({ beforeDispatch: (ctx) => { seen.push(ctx); } });
+    runtime.dispatch('add', 3);
+    runtime.dispatch('add', 2);
+    assert(seen.length === 2, 'Middleware should run for every dispatch');
+    assert(seen[1].action === 'add' && seen[1].params.n === 2, 'Middleware should receive action id and params');
+    assert(seen[1].state.count === 3, 'Middleware should receive the state before the call');
+    assert(runtime.getState().count === 5, 'Undefined result should continue the call');
+  }, results);
+
+  test('Middleware: veto and params transform', () => {
+    const runtime = new Runtime(middlewareProgram(), new TestTarget());
+    runtime.initialize();
+    const remove = runtime.addMiddleware({
+      beforeDispatch: ({ params }) => params.n < 0 ? { veto: true, reason: 'negative' } : { params: { n: params.n * 2 } }
+    });
+    const vetoed = runtime.dispatch('add', -1);
+    assert(vetoed.error === true && vetoed.code === 'ACTION_VETOED', 'Veto should return ACTION_VETOED');
+    assert(vetoed.reason === 'negative' && vetoed.action === 'add', 'Veto should carry reason and action');
+    runtime.dispatch('add', 2);
+    assert(runtime.getState().count === 4, 'Returned params should replace the call params');
+    remove();
+    runtime.dispatch('add', 1);
+    assert(runtime.getState().count === 5, 'Removed middleware should no longer run');
+  }, results);
+
+  test('Middleware: afterDispatch sees constraint violations', () => {
+    const runtime = new Runtime(middlewareProgram(), new TestTarget());
+    runtime.initialize();
+    const outcomes = [];
+    runtime.addMiddleware({ afterDispatch: ({ error, state }) => outcomes.push({ error, count: state.count }) });
+    runtime.dispatch('add', 4);
+    let threw = false;
+    try {
+      runtime.dispatch('add', 20);
+    } catch (e) {
+      threw = e.code === 'CONSTRAINT_VIOLATION';
+    }
+    assert(threw, 'Constraint violation should still be thrown to the caller');
+    assert(outcomes[0].error === null && outcomes[0].count === 4, 'Successful call should report no error');
+    assert(outcomes[1].error.code === 'CONSTRAINT_VIOLATION' && outcomes[1].error.state === 'count', 'After middleware should see the violation');
+  }, results);
+
+  test('Middleware: program expressions', () => {
+    const program = middlewareProgram();
+    program.state.log = { type: 'array', initial: [] };
+    program.actions.record = { params: ['entry'], mutations: [{ target: 'log', op: 'push', value: { param: 'entry' } }] };
+    program.middleware = {
+      beforeDispatch: [{
+        op: 'if',
+        args: [
+          { op: 'gt', args: [{ op: 'get', args: [{ param: 'state' }, 'count'] }, 5] },
+          { veto: true, reason: 'limit' },
+          null
+        ]
+      }]
+    };
+    const runtime = new Runtime(program, new TestTarget());
+    runtime.initialize();
+    assert(validate(program).valid, 'Program middleware should validate');
+    runtime.dispatch('add', 6);
+    const vetoed = runtime.dispatch('add', 1);
+    assert(vetoed.code === 'ACTION_VETOED' && vetoed.reason === 'limit', 'Expression middleware should veto');
+    assert(runtime.getState().count === 6, 'Vetoed call should not mutate state');
+
+    const invalid = validate({ ...program, middleware: { beforeDispatch: [{ param: 'nope' }], around: [] } });
+    const codes = invalid.errors.map(e => e.code);
+    assert(codes.includes('UNDEFINED_PARAM'), 'Unknown params should be reported');
+    assert(codes.includes('INVALID_MIDDLEWARE'), 'Unknown phases should be reported');
+  }, results);
+
+  await testAsync('Middleware: async actions', async () => {
+    const program = middlewareProgram();
+    program.actions.addLater = {
+      params: ['n'],
+      steps: [{ mutations: [{ target: 'count', op: 'add', value: { param: 'n' } }] }]
+    };
+    const runtime = new Runtime(program, new TestTarget());
+    runtime.initialize();
+    const after = [];
+    runtime.addMiddleware({
+      beforeDispatch: ({ params }) => params.n === 0 ? false : undefined,
+      afterDispatch: ({ action, state }) => after.push([action, state.count])
+    });
+    const vetoed = await runtime.dispatch('addLater', 0);
+    assert(vetoed.code === 'ACTION_VETOED', 'Async actions should resolve with the veto');
+    await runtime.dispatch('addLater', 2);
+    assert(after.length === 1 && after[0][0] === 'addLater' && after[0][1] === 2, 'After middleware should run once the steps finish');
+  }, results);
+
+  // ===== TRANSACTION TESTS =====
+  console.log('\nTransactional Actions\n---------------------');
+
+  const transactionProgram = () => ({
+    $ddjex: '0.4.0',
+    id: 'test',
+    target: 'dom',
+    state: {
+      a: { type: 'number', initial: 0 },
+      b: { type: 'string', initial: '' },
+      items: { type: 'array', initial: [] },
+      count: { type: 'number', initial: 0, constraints: { max: 5 } }
+    },
+    computed: {
+      total: { deps: ['a', 'count'], fn: { op: 'add', args: [{ ref: 'a' }, { ref: 'count' }] } }
+    },
+    actions: {
+      apply: {
+        params: ['n'],
+        mutations: [
+          { target: 'a', op: 'set', value: { param: 'n' } },
+          { target: 'b', op: 'set', value: 'changed' },
+          { target: 'items', op: 'push', value: { param: 'n' } },
+          { target: 'count', op: 'set', value: { param: 'n' } }
+        ]
+      }
+    }
+  });
+
+  test('Transactions: failing mutation rolls back the whole action', () => {
+    const runtime = new Runtime(transactionProgram(), new TestTarget());
+    runtime.initialize();
+    const notified = [];
+    for (const id of ['a', 'b', 'items', 'total']) {
+      runtime.stateManager.subscribe(id, { run: () => notified.push(id) });
+    }
+
+    let error = null;
+    try {
+      runtime.dispatch('apply', 9);
+    } catch (e) {
+      error = e;
+    }
+    assert(error?.code === 'CONSTRAINT_VIOLATION', 'Constraint violation should be thrown');
+    const state = runtime.getState();
+    assert(state.a === 0 && state.b === '' && state.items.length === 0 && state.count === 0, 'All touched states should be restored');
+    assert(runtime.stateManager.get('total') === 0, 'Computed values should be unchanged');
+    assert(notified.length === 0, 'Subscribers should not be notified of rolled back changes');
+
+    const json = error.toJSON();
+    assert(json.transaction.mutationIndex === 3, 'Error should identify the failed mutation index');
+    assert(json.transaction.target === 'count' && json.transaction.op === 'set', 'Error should describe the failed mutation');
+    assert(json.transaction.action === 'apply' && json.transaction.rolledBack === true, 'Error should report the rollback');
+
+    runtime.dispatch('apply', 3);
+    assert(runtime.getState().items.length === 1 && runtime.stateManager.get('total') === 6, 'Successful action should commit every mutation');
+    assert(notified.includes('a') && notified.includes('total'), 'Successful action should notify subscribers');
+  }, results);
+
+  test('Transactions: invariant violations and mutation errors roll back', () => {
+    const program = transactionProgram();
+    program.invariants = [{ id: 'a_small', check: { op: 'lt', args: [{ ref: 'a' }, 100] }, message: 'a must stay small' }];
+    program.actions.big = {
+      mutations: [
+        { target: 'b', op: 'set', value: 'big' },
+        { target: 'a', op: 'set', value: 500 }
+      ]
+    };
+    program.actions.broken = {
+      mutations: [
+        { target: 'a', op: 'set', value: 1 },
+        { target: 'b', op: 'removeAt', path: 'missing', index: 0 }
+      ]
+    };
+    const runtime = new Runtime(program, new TestTarget());
+    runtime.initialize();
+
+    let error = null;
+    try {
+      runtime.dispatch('big');
+    } catch (e) {
+      error = e;
+    }
+    assert(error?.code === 'INVARIANT_VIOLATION', 'Invariant violation should be thrown');
+    assert(error.toJSON().transaction.mutationIndex === 1, 'Invariant error should carry the mutation index');
+    assert(runtime.getState().b === '', 'Earlier mutations should be rolled back');
+
+    error = null;
+    try {
+      runtime.dispatch('broken');
+    } catch (e) {
+      error = e;
+    }
+    assert(error !== null && error.transaction.mutationIndex === 1, 'Mutation errors should carry the mutation index');
+    assert(runtime.getState().a === 0, 'Mutation errors should roll back earlier mutations');
+  }, results);
+
+  test('Transactions: failed action leaves no history entry', () => {
+    const runtime = new Runtime(transactionProgram(), new TestTarget());
+    runtime.initialize();
+    runtime.enableHistory();
+    runtime.dispatch('apply', 2);
+    try {
+      runtime.dispatch('apply', 9);
+    } catch (e) {
+      // expected
+    }
+    const history = runtime.getHistory();
+    assert(history.entries.length === 1 && history.position === 0, 'Only the successful action should be recorded');
+    runtime.undo();
+    assert(runtime.getState().a === 0 && runtime.getState().items.length === 0, 'Undo should still restore the initial state');
+  }, results);
+
+  await testAsync('Transactions: async steps return the structured error', async () => {
+    const program = transactionProgram();
+    program.actions.later = {
+      params: ['n'],
+      steps: [{ mutations: program.actions.apply.mutations }]
+    };
+    const runtime = new Runtime(program, new TestTarget());
+    runtime.initialize();
+    const result = await runtime.dispatch('later', 9);
+    assert(result.error === true && result.code === 'CONSTRAINT_VIOLATION', 'Async action should resolve with the error');
+    assert(result.transaction.mutationIndex === 3, 'Async error should carry the mutation index');
+    assert(runtime.getState().a === 0, 'Async step should be rolled back');
+  }, results);
+
+  // ===== SERVER MIDDLEWARE TESTS =====
+  console.log('\nServer Middleware\n-----------------');
+
+  const middlewareServer = (extra = {}) => ({
+    $ddjex: '0.4.0',
+    id: 'api',
+    target: 'server',
+    state: {
+      tokens: { type: 'array', initial: ['secret'] },
+      items: { type: 'array', initial: [1, 2] }
+    },
+    routes: [
+      { method: 'GET', path: '/items', handler: [], response: { status: 200, body: { ref: 'items' } } },
+      {
+        method: 'GET',
+        path: '/me',
+        middleware: [{ use: 'auth', scheme: 'bearer', tokens: { ref: 'tokens' }, as: 'token' }],
+        handler: [],
+        response: { status: 200, body: { token: { ref: 'token' } } }
+      },
+      {
+        method: 'POST',
+        path: '/items',
+        middleware: [
+          { use: 'auth', scheme: 'apiKey', query: 'key', verify: { op: 'if', args: [{ op: 'eq', args: [{ param: 'token' }, 'k1'] }, { name: 'client' }, null] }, as: 'client' },
+          { use: 'bodyLimit', max: 20 }
+        ],
+        handler: [],
+        response: { status: 201, body: { client: { ref: 'client' }, body: { ref: 'body' } } }
+      }
+    ],
+    ...extra
+  });
+
+  await testAsync('Server middleware: bearer auth guards a route', async () => {
+    const server = createTestServer(middlewareServer());
+    const open = await serverRequest(server, { url: '/items' });
+    assert(open.status === 200 && open.body.length === 2, 'Routes without middleware should be open');
+
+    const missing = await serverRequest(server, { url: '/me' });
+    assert(missing.status === 401 && missing.body.code === 'UNAUTHORIZED', 'Missing token should be rejected');
+    assert(missing.headers['WWW-Authenticate'] === 'Bearer', 'Bearer challenge should be sent');
+
+    const wrong = await serverRequest(server, { url: '/me', headers: { authorization: 'Bearer nope' } });
+    assert(wrong.status === 401, 'Unknown token should be rejected');
+
+    const ok = await serverRequest(server, { url: '/me', headers: { authorization: 'Bearer secret' } });
+    assert(ok.status === 200 && ok.body.token === 'secret', 'Accepted token should be stored in locals');
+  }, results);
+
+  await testAsync('Server middleware: api keys and body limit', async () => {
+    const server = createTestServer(middlewareServer());
+    const denied = await serverRequest(server, { method: 'POST', url: '/items?key=bad', body: { a: 1 } });
+    assert(denied.status === 401, 'verify returning null should reject the key');
+
+    const ok = await serverRequest(server, { method: 'POST', url: '/items', headers: { 'x-api-key': 'k1' }, body: { a: 1 } });
+    assert(ok.status === 201 && ok.body.client.name === 'client' && ok.body.body.a === 1, 'verify result should be stored in locals');
+
+    const viaQuery = await serverRequest(server, { method: 'POST', url: '/items?key=k1', body: { a: 2 } });
+    assert(viaQuery.status === 201, 'Key should be accepted from the query parameter');
+
+    const large = await serverRequest(server, { method: 'POST', url: '/items?key=k1', body: { text: 'x'.repeat(50) } });
+    assert(large.status === 413 && large.body.code === 'PAYLOAD_TOO_LARGE', 'Oversized body should be rejected');
+    assert(large.headers['Connection'] === 'close', 'The connection of an oversized body should be closed');
+
+    let pulled = 0;
+    const upload = Readable.from((function* () {
+      for (let i = 0; i < 100; i++) {
+        pulled++;
+        yield 'x'.repeat(10);
+      }
+    })());
+    const stopped = await server.parseBody(upload, 20).catch(error => error);
+    await new Promise(resolve => setTimeout(resolve, 10));
+    assert(stopped.code === 'PAYLOAD_TOO_LARGE' && upload.isPaused() && pulled < 100, 'An oversized body should not be read further');
+
+    const declared = await serverRequest(server, { method: 'POST', url: '/items?key=k1', headers: { 'content-length': '5000' }, body: {} });
+    assert(declared.status === 413, 'Oversized content-length should be rejected before reading');
+  }, results);
+
+  await testAsync('Server middleware: CORS headers and preflight', async () => {
+    const server = createTestServer(middlewareServer({
+      middleware: { http: [{ use: 'cors', origin: ['https://app.example'], credentials: true, maxAge: 600 }] }
+    }));
+    const simple = await serverRequest(server, { url: '/items', headers: { origin: 'https://app.example' } });
+    assert(simple.headers['Access-Control-Allow-Origin'] === 'https://app.example', 'Allowed origin should be echoed');
+    assert(simple.headers['Access-Control-Allow-Credentials'] === 'true', 'Credentials header should be set');
+
+    const other = await serverRequest(server, { url: '/items', headers: { origin: 'https://evil.example' } });
+    assert(other.headers['Access-Control-Allow-Origin'] === undefined, 'Other origins should not be allowed');
+
+    const preflight = await serverRequest(server, {
+      method: 'OPTIONS',
+      url: '/me',
+      headers: { origin: 'https://app.example', 'access-control-request-method': 'GET' }
+    });
+    assert(preflight.status === 204 && preflight.body === null, 'Preflight should short-circuit with 204');
+    assert(preflight.headers['Access-Control-Max-Age'] === '600', 'Preflight should include max age');
+    assert(preflight.headers['Access-Control-Allow-Methods'].includes('GET'), 'Preflight should list methods');
+  }, results);
+
+  await testAsync('Server middleware: rate limit, logging and guard', async () => {
+    const lines = [];
+    const server = createTestServer(middlewareServer({
+      middleware: {
+        http: [
+          { use: 'logger' },
+          { use: 'rateLimit', max: 2, window: 60000 },
+          { use: 'guard', check: { op: 'neq', args: [{ op: 'get', args: [{ ref: 'query' }, 'blocked'] }, '1'] } }
+        ]
+      }
+    }), { log: (line) => lines.push(line) });
+
+    const first = await serverRequest(server, { url: '/items' });
+    assert(first.headers['X-RateLimit-Remaining'] === '1', 'Remaining requests should be reported');
+    const blocked = await serverRequest(server, { url: '/items?blocked=1' });
+    assert(blocked.status === 403 && blocked.body.code === 'FORBIDDEN', 'Guard should short-circuit with 403');
+    const limited = await serverRequest(server, { url: '/items' });
+    assert(limited.status === 429 && limited.body.code === 'RATE_LIMITED', 'Requests over the limit should get 429');
+    assert(Number(limited.headers['Retry-After']) > 0, 'Retry-After should be set');
+    assert(lines.length === 3 && lines[0] === lines[0].match(/^GET \/items 200 \d+ms$/)?.[0], 'Each request should be logged');
+    assert(lines[2].startsWith('GET /items 429'), 'Short-circuited requests should be logged with their status');
+    const spoofed = await serverRequest(server, { url: '/items', headers: { 'x-forwarded-for': '10.0.0.9' } });
+    assert(spoofed.status === 429, 'X-Forwarded-For should not change the client key by default');
+
+    const proxied = createTestServer(middlewareServer({ middleware: { http: [{ use: 'rateLimit', max: 1, trustProxy: true }] } }));
+    const from = (address) => serverRequest(proxied, { url: '/items', headers: { 'x-forwarded-for': `${address}, 10.0.0.1` } });
+    assert((await from('203.0.113.1')).status === 200 && (await from('203.0.113.2')).status === 200, 'trustProxy should key clients by X-Forwarded-For');
+    assert((await from('203.0.113.1')).status === 429, 'trustProxy should still limit each forwarded client');
+  }, results);
+
+  test('Server middleware: validation', () => {
+    const valid = validate(middlewareServer({
+      middleware: { http: [{ use: 'cors' }, { use: 'rateLimit', max: 10 }] },
+      routes: [{ method: 'GET', path: '/', middleware: [{ use: 'auth', scheme: 'apiKey', keys: { ref: 'tokens' } }], handler: [] }]
+    }));
+    assert(valid.valid, 'Built-in middleware should validate');
+    const invalid = validate(middlewareServer({
+      middleware: { http: [{ use: 'compress' }] },
+      routes: [{ method: 'GET', path: '/', middleware: [{ use: 'auth', scheme: 'basic', keys: ['k'] }, { use: 'guard' }], handler: [] }]
+    }));
+    const codes = invalid.errors.map(e => e.code);
+    assert(codes.includes('UNKNOWN_MIDDLEWARE'), 'Unknown middleware should be reported');
+    assert(codes.filter(c => c === 'INVALID_MIDDLEWARE').length === 2, 'Invalid options should be reported');
+
+    const open = middlewareServer({ routes: [{ method: 'GET', path: '/', middleware: [{ use: 'auth' }], handler: [] }] });
+    const openErrors = validate(open).errors;
+    assert(openErrors.length === 1 && openErrors[0].code === 'INVALID_MIDDLEWARE' && openErrors[0].location.path === '$.routes[0].middleware[0]',
+      'auth without tokens, keys or verify should be reported');
+    let unchecked = null;
+    try {
+      createTestServer(open);
+    } catch (e) {
+      unchecked = e;
+    }
+    assert(unchecked?.code === 'INVALID_MIDDLEWARE', 'auth without tokens, keys or verify should fail when the server is configured');
+
+    let threw = false;
+    try {
+      createTestServer(middlewareServer({ middleware: { http: [{ use: 'toString' }] } }));
+    } catch (e) {
+      threw = e.code === 'UNKNOWN_MIDDLEWARE';
+    }
+    assert(threw, 'Unknown middleware should fail when the server is configured');
+  }, results);
+
+  // ===== SERVER EXPRESSION TESTS =====
+  console.log('\nServer Expressions\n------------------');
+
+  const expressionServer = (routes) => ({
+    $ddjex: '0.4.0',
+    id: 'api',
+    target: 'server',
+    state: { users: { type: 'array', initial: [{ id: 1, name: 'Ada' }, { id: 2, name: 'Linus' }] } },
+    routes
+  });
+
+  await testAsync('Server expressions: core operations are available', async () => {
+    const server = createTestServer(expressionServer([{
+      method: 'POST',
+      path: '/check/:id',
+      params: ['id'],
+      handler: [
+        { op: 'validateField', args: [{ op: 'get', args: [{ ref: 'body' }, 'email'] }, ['required', 'email']], as: 'email' },
+        {
+          op: 'find',
+          args: [{ ref: 'users' }, { op: 'eq', args: [{ op: 'get', args: [{ param: 'item' }, 'id'] }, { op: 'parseInt', args: [{ param: 'id' }] }] }],
+          as: 'user'
+        }
+      ],
+      response: {
+        status: 200,
+        body: {
+          email: { ref: 'email' },
+          name: { op: 'toUpperCase', args: [{ op: 'trim', args: [{ ref: 'user.name' }] }] },
+          day: { op: 'formatDate', args: [{ op: 'parseDate', args: ['2024-03-05T10:00:00'] }, 'YYYY-MM-DD'] },
+          padded: { op: 'padStart', args: [{ param: 'id' }, 3, '0'] },
+          tag: { op: 'get', args: [{ ref: 'query' }, 'tag'] }
+        }
+      }
+    }]));
+
+    const res = await serverRequest(server, { method: 'POST', url: '/check/2?tag=x', body: { email: 'not-an-email' } });
+    assert(res.status === 200, 'Route should succeed');
+    assert(res.body.email.valid === false && res.body.email.error === 'Invalid email', 'validateField should run on the server');
+    assert(res.body.name === 'LINUS', 'String ops and nested refs of step results should resolve');
+    assert(res.body.day === '2024-03-05', 'Date ops should run on the server');
+    assert(res.body.padded === '002' && res.body.tag === 'x', 'Params and query should be available');
+  }, results);
+
+  await testAsync('Server expressions: unknown operations are errors', async () => {
+    const server = createTestServer(expressionServer([
+      { method: 'GET', path: '/broken', handler: [], response: { status: 200, body: { op: 'noSuchOp', args: [] } } }
+    ]));
+    const res = await serverRequest(server, { url: '/broken' });
+    assert(res.status === 500 && res.body.code === 'UNKNOWN_OPERATION', 'Unknown op should produce an error response');
+    assert(!res.body.message.includes('noSuchOp'), 'Internal messages should not reach clients');
+
+    const exposed = createTestServer(expressionServer([
+      { method: 'GET', path: '/broken', handler: [], response: { status: 200, body: { op: 'noSuchOp', args: [] } } }
+    ]), { exposeErrors: true });
+    const shown = await serverRequest(exposed, { url: '/broken' });
+    assert(shown.body.message.includes('noSuchOp'), 'exposeErrors should name the operation');
+  }, results);
+
+  await testAsync('Server expressions: refs see own request values only', async () => {
+    const routes = [{
+      method: 'GET',
+      path: '/proto',
+      handler: [],
+      response: { status: 200, body: { types: [{ op: 'typeof', args: [{ ref: 'constructor' }] }, { op: 'typeof', args: [{ ref: 'toString' }] }] } }
+    }];
+    const res = await serverRequest(createTestServer(expressionServer(routes)), { url: '/proto' });
+    assert(res.body.types.join() === 'undefined,undefined', `Inherited names should not resolve: ${JSON.stringify(res.body)}`);
+    assert(validate(expressionServer(routes)).errors.filter(e => e.code === 'UNDEFINED_REF').length === 2, 'Inherited names should be undefined refs');
+
+    const program = expressionServer([]);
+    program.state.body = { type: 'object', initial: {} };
+    program.computed = { query: { deps: ['users'], fn: { op: 'length', args: [{ ref: 'users' }] } } };
+    const shadowed = validate(program).errors.filter(e => e.code === 'SHADOWED_BY_REQUEST').map(e => e.location.path);
+    assert(shadowed.join() === '$.state.body,$.computed.query', `State named like request values should be reported: ${shadowed}`);
+  }, results);
+
+  // ===== SERVER RESPONSE TESTS =====
+  console.log('\nServer Responses\n----------------');
+
+  const responseServer = () => ({
+    $ddjex: '0.4.0',
+    id: 'site',
+    target: 'server',
+    state: {
+      rows: { type: 'array', initial: [{ id: 1, name: 'Ada' }, { id: 2, name: 'Smith, "J"' }] },
+      feed: { type: 'object', initial: { version: 1, items: [] } }
+    },
+    actions: {
+      publish: { params: ['item'], mutations: [{ target: 'feed', path: 'items', op: 'push', value: { param: 'item' } }] }
+    },
+    routes: [
+      {
+        method: 'GET',
+        path: '/admin',
+        handler: [],
+        response: {
+          status: 200,
+          type: 'html',
+          body: { op: 'concat', args: ['<h1>', { op: 'length', args: [{ ref: 'rows' }] }, ' rows</h1>'] },
+          headers: { 'Cache-Control': 'no-store' }
+        }
+      },
+      { method: 'GET', path: '/rows.csv', handler: [], response: { type: 'csv', body: { ref: 'rows' } } },
+      { method: 'GET', path: '/rows.ndjson', handler: [], response: { type: 'ndjson', body: { ref: 'rows' } } },
+      { method: 'GET', path: '/ping', handler: [], response: { type: 'text', body: 'pong' } },
+      {
+        method: 'POST',
+        path: '/login',
+        handler: [],
+        response: {
+          redirect: '/admin',
+          cookies: {
+            session: { value: { op: 'get', args: [{ ref: 'body' }, 'user'] }, httpOnly: true, sameSite: 'lax', maxAge: 3600 },
+            legacy: null
+          }
+        }
+      },
+      { method: 'GET', path: '/whoami', handler: [], response: { body: { session: { op: 'get', args: [{ ref: 'cookies' }, 'session'] } } } },
+      { method: 'GET', path: '/events', handler: [], response: { type: 'sse', stream: 'feed.items', event: 'items' } },
+      { method: 'GET', path: '/live', handler: [], response: { type: 'ndjson', stream: 'feed' } }
+    ]
+  });
+
+  await testAsync('Server responses: content types and headers', async () => {
+    const server = createTestServer(responseServer());
+    const html = await serverRequest(server, { url: '/admin' });
+    assert(html.headers['Content-Type'] === 'text/html; charset=utf-8' && html.text === '<h1>2 rows</h1>', 'HTML body should be sent as-is');
+    assert(html.headers['Cache-Control'] === 'no-store', 'Custom headers should be sent');
+
+    const csv = await serverRequest(server, { url: '/rows.csv' });
+    assert(csv.headers['Content-Type'].startsWith('text/csv'), 'CSV content type should be set');
+    assert(csv.text === 'id,name\r\n1,Ada\r\n2,"Smith, ""J"""\r\n', 'Rows should be converted to escaped CSV');
+
+    const ndjson = await serverRequest(server, { url: '/rows.ndjson' });
+    const lines = ndjson.text.trim().split('\n').map(line => JSON.parse(line));
+    assert(lines.length === 2 && lines[1].id === 2, 'Arrays should be sent one JSON value per line');
+
+    const text = await serverRequest(server, { url: '/ping' });
+    assert(text.text === 'pong' && text.headers['Content-Type'].startsWith('text/plain'), 'Text body should be sent as plain text');
+  }, results);
+
+  await testAsync('Server responses: redirects and cookies', async () => {
+    const server = createTestServer(responseServer());
+    const res = await serverRequest(server, { method: 'POST', url: '/login', body: { user: 'ada' } });
+    assert(res.status === 302 && res.headers['Location'] === '/admin', 'Redirect should default to 302 with Location');
+    const [session, legacy] = res.headers['Set-Cookie'];
+    assert(session === 'session=ada; Path=/; Max-Age=3600; HttpOnly; SameSite=Lax', 'Cookie options should be serialized');
+    assert(legacy === 'legacy=; Path=/; Max-Age=0', 'null cookie should be cleared');
+
+    const me = await serverRequest(server, { url: '/whoami', headers: { cookie: 'theme=dark; session=ada%20l' } });
+    assert(me.body.session === 'ada l', 'Request cookies should be parsed into the context');
+  }, results);
+
+  await testAsync('Server responses: SSE and NDJSON streams follow state', async () => {
+    const server = createTestServer(responseServer());
+    const sse = await serverRequest(server, { url: '/events' });
+    const live = await serverRequest(server, { url: '/live' });
+    assert(sse.headers['Content-Type'] === 'text/event-stream' && sse.headers['Cache-Control'] === 'no-cache', 'SSE headers should be set');
+    assert(sse.text === 'event: items\ndata: []\n\n', 'Current value should be sent first');
+
+    server.runtime.dispatch('publish', 'a');
+    assert(sse.res.body.endsWith('event: items\ndata: ["a"]\n\n'), 'Changes should be sent as events');
+    assert(live.res.body.trim().split('\n').length === 2, 'NDJSON stream should write a line per change');
+
+    sse.res.emit('close');
+    live.res.emit('close');
+    server.runtime.dispatch('publish', 'b');
+    assert(!sse.res.body.includes('"b"') && !live.res.body.includes('"b"'), 'Closed streams should unsubscribe');
+  }, results);
+
+  // ===== OPENAPI TESTS =====
+  console.log('\nOpenAPI\n-------');
+
+  const openapiProgram = () => ({
+    $ddjex: '0.4.0',
+    id: 'shop',
+    target: 'server',
+    state: {
+      products: {
+        type: 'array',
+        initial: [],
+        itemType: 'object',
+        constraints: { maxLength: 100 }
+      },
+      stats: { type: 'object', initial: { visits: 0, open: true } }
+    },
+    middleware: { http: [{ use: 'rateLimit', max: 10 }] },
+    routes: [
+      { method: 'GET', path: '/stats', handler: [], response: { status: 200, body: { ref: 'stats' } } },
+      {
+        method: 'GET',
+        path: '/products/:id',
+        handler: [{ op: 'find', args: [{ ref: 'products' }, { op: 'eq', args: [{ op: 'get', args: [{ param: 'item' }, 'id'] }, { param: 'id' }] }], as: 'product' }],
+        response: {
+          op: 'if',
+          args: [{ ref: 'product' }, { status: 200, body: { ref: 'product' } }, { status: 404, body: { error: true, code: 'NOT_FOUND' } }]
+        }
+      },
+      {
+        method: 'POST',
+        path: '/products',
+        middleware: [{ use: 'auth', scheme: 'bearer', tokens: ['t'] }],
+        handler: [{
+          op: 'validate',
+          args: [{ ref: 'body' }, { name: { type: 'string', required: true }, price: { type: 'number' } }],
+          as: 'input'
+        }],
+        response: { status: 201, body: { name: { ref: 'input.name' }, count: { op: 'length', args: [{ ref: 'products' }] } } }
+      },
+      { method: 'GET', path: '/products.csv', handler: [], response: { type: 'csv', body: { ref: 'products' } } }
+    ]
+  });
+
+  test('OpenAPI: paths, parameters and responses', () => {
+    const doc = generateOpenAPI(openapiProgram(), { version: '2.0.0' });
+    assert(doc.openapi === '3.1.0' && doc.info.title === 'shop' && doc.info.version === '2.0.0', 'Document header should be set');
+
+    const stats = doc.paths['/stats'].get.responses['200'].content['application/json'].schema;
+    assert(stats.type === 'object' && stats.properties.visits.type === 'integer' && stats.properties.open.type === 'boolean', 'State shape should describe the response');
+
+    const byId = doc.paths['/products/{id}'].get;
+    assert(byId.parameters[0].name === 'id' && byId.parameters[0].in === 'path' && byId.parameters[0].required, 'Path params should come from the pattern');
+    assert(byId.responses['200'].content['application/json'].schema.type === 'object', 'find result should be the array item type');
+    assert(byId.responses['404'].description === 'Error', 'if branches should become separate responses');
+    assert(byId.responses['429'].content['application/json'].schema.$ref === '#/components/schemas/Error', 'Rate limit middleware should add 429');
+
+    const csv = doc.paths['/products.csv'].get.responses['200'].content['text/csv; charset=utf-8'];
+    assert(csv.schema.type === 'string', 'CSV responses should be strings');
+  }, results);
+
+  test('OpenAPI: request bodies and security', () => {
+    const doc = generateOpenAPI(openapiProgram());
+    const create = doc.paths['/products'].post;
+    const body = create.requestBody.content['application/json'].schema;
+    assert(body.properties.name.type === 'string' && body.properties.price.type === 'number', 'Body schema should come from validate');
+    assert(body.required.length === 1 && body.required[0] === 'name', 'Required fields should be listed');
+    assert(create.responses['400'] && create.responses['401'], 'Validation and auth errors should be documented');
+
+    const created = create.responses['201'].content['application/json'].schema;
+    assert(created.properties.name.type === 'string' && created.properties.count.type === 'number', 'Step results should be typed from validate');
+    assert(create.security[0].bearerAuth && doc.components.securitySchemes.bearerAuth.scheme === 'bearer', 'Bearer auth should be a security scheme');
+
+    let threw = false;
+    try {
+      generateOpenAPI({ $ddjex: '0.4.0', id: 'ui', target: 'dom' });
+    } catch (e) {
+      threw = e.code === 'INVALID_TARGET';
+    }
+    assert(threw, 'Non-server programs should be rejected');
+  }, results);
+
+  await testAsync('OpenAPI: CLI writes the document', async () => {
+    const { execFile } = await import('child_process');
+    const { tmpdir } = await import('os');
+    const output = path.join(tmpdir(), `ddjex-openapi-${process.pid}.json`);
+    try {
+      await new Promise((resolve, reject) => {
+        execFile(process.execPath, [
+          path.join(__dirname, '..', 'bin', 'ddjex-openapi.js'),
+          path.join(__dirname, '..', 'spec', 'examples', 'api.server.json'),
+          output,
+          '--title', 'Users API',
+          '--server', 'https://api.example.com'
+        ], { timeout: 10000 }, (error) => error ? reject(error) : resolve());
+      });
+      const doc = JSON.parse(await fs.readFile(output, 'utf-8'));
+      assert(doc.info.title === 'Users API' && doc.servers[0].url === 'https://api.example.com', 'CLI options should apply');
+      assert(doc.paths['/api/users/{id}'].delete, 'Every route should be documented');
+    } finally {
+      await fs.rm(output, { force: true });
+    }
+  }, results);
+
+  await testAsync('OpenAPI: CLI resolves imports', async () => {
+    const { execFile } = await import('child_process');
+    const dir = await importFixtures({
+      'shop.json': { $ddjex: '0.4.0', id: 'shop', target: 'server', state: { items: { type: 'array', initial: [] } } },
+      'api.server.json': {
+        $ddjex: '0.4.0',
+        id: 'api',
+        target: 'server',
+        imports: [{ src: './shop.json', as: 'shop' }],
+        routes: [{ method: 'GET', path: '/items', handler: [], response: { body: { ref: 'shop.items' } } }]
+      }
+    });
+    try {
+      const stdout = await new Promise((resolve, reject) => {
+        execFile(process.execPath, [path.join(__dirname, '..', 'bin', 'ddjex-openapi.js'), path.join(dir, 'api.server.json')],
+          { timeout: 10000 }, (error, out) => error ? reject(error) : resolve(out));
+      });
+      const schema = JSON.parse(stdout).paths['/items'].get.responses['200'].content['application/json'].schema;
+      assert(schema.type === 'array', 'Imported state should describe the response');
+    } finally {
+      await fs.rm(dir, { recursive: true, force: true });
+    }
+  }, results);
+
+  // ===== SCHEMA VALIDATION TESTS =====
+  console.log('\nSchema Validation\n-----------------');
+
+  const orderSchema = {
+    email: { type: 'string', required: true, format: 'email' },
+    name: ['required', { type: 'minLength', value: 2 }],
+    quantity: { type: 'integer', min: 1, max: 10 },
+    status: { type: 'string', enum: ['new', 'paid'] },
+    address: {
+      type: 'object',
+      required: true,
+      properties: {
+        city: { type: 'string', required: true },
+        zip: { type: 'string', pattern: '^[0-9]{5}$', messages: { pattern: 'ZIP must have 5 digits' } }
+      },
+      additionalProperties: false
+    },
+    items: {
+      type: 'array',
+      minLength: 1,
+      items: { type: 'object', properties: { sku: { type: 'string', required: true }, qty: { type: 'number', min: 0 } } }
+    }
+  };
+
+  test('validateSchema: valid nested data', () => {
+    const result = validateSchema({
+      email: 'a@b.co',
+      name: 'Ada',
+      quantity: 3,
+      status: 'paid',
+      address: { city: 'Berlin', zip: '10115' },
+      items: [{ sku: 'x', qty: 0 }]
+    }, orderSchema);
+    assert(result.valid && result.errors.length === 0, 'Valid data should pass');
+  }, results);
+
+  test('validateSchema: reports every error with its path', () => {
+    const result = validateSchema({
+      email: 'nope',
+      name: 'A',
+      quantity: 2.5,
+      status: 'lost',
+      address: { zip: '1', country: 'DE' },
+      items: [{ qty: -1 }, 'oops']
+    }, orderSchema);
+    const byPath = Object.fromEntries(result.errors.map(e => [e.path, e]));
+    assert(!result.valid, 'Invalid data should fail');
+    assert(byPath['$.email'].code === 'INVALID_FORMAT', 'Format errors should be reported');
+    assert(byPath['$.name'].code === 'MIN_LENGTH', 'Validators rules should be applied');
+    assert(byPath['$.quantity'].code === 'INVALID_TYPE', 'integer type should be checked');
+    assert(byPath['$.status'].code === 'INVALID_ENUM', 'enum should be checked');
+    assert(byPath['$.address.city'].code === 'REQUIRED' && byPath['$.address.city'].field === 'address.city', 'Nested required fields should have paths');
+    assert(byPath['$.address.zip'].message === 'ZIP must have 5 digits', 'Custom messages should be used');
+    assert(byPath['$.address.country'].code === 'UNKNOWN_FIELD', 'additionalProperties false should reject unknown fields');
+    assert(byPath['$.items[0].sku'].code === 'REQUIRED' && byPath['$.items[0].qty'].code === 'MIN', 'Array items should be validated');
+    assert(byPath['$.items[1]'].code === 'INVALID_TYPE', 'Item types should be checked');
+    assert(result.errors.length === 10, 'All errors should be collected');
+
+    const missing = validateSchema(null, { title: { type: 'string', required: true } });
+    assert(missing.errors[0].path === '$.title', 'Missing data should report required fields');
+    assert(Validators.max(1, { max: 0 }).valid === false, 'Zero limits should apply');
+  }, results);
+
+  await testAsync('validateSchema: server validate step shares the schema', async () => {
+    const server = createTestServer({
+      $ddjex: '0.4.0',
+      id: 'orders',
+      target: 'server',
+      state: {
+        orders: { type: 'array', initial: [] },
+        orderSchema: { type: 'object', initial: orderSchema }
+      },
+      routes: [{
+        method: 'POST',
+        path: '/orders',
+        handler: [{ op: 'validate', args: [{ ref: 'body' }, { ref: 'orderSchema' }], as: 'order' }],
+        response: { status: 201, body: { ref: 'order' } }
+      }]
+    });
+
+    const bad = await serverRequest(server, { method: 'POST', url: '/orders', body: { email: 'x@y.z', name: 'Al', address: {} } });
+    assert(bad.status === 400 && bad.body.code === 'VALIDATION_ERROR', 'Invalid body should be rejected');
+    assert(bad.body.errors.length === 1 && bad.body.errors[0].path === '$.address.city', 'Field errors should be returned with paths');
+
+    const ok = await serverRequest(server, { method: 'POST', url: '/orders', body: { email: 'x@y.z', name: 'Al', address: { city: 'Oslo' } } });
+    assert(ok.status === 201 && ok.body.address.city === 'Oslo', 'Valid body should pass');
+
+    const dom = Operations.validateSchema({ email: 'x@y.z', name: 'Al', address: { city: 'Oslo' } }, orderSchema);
+    assert(dom.valid, 'The same schema should work as an expression op');
+  }, results);
+
+  test('validateSchema: OpenAPI request bodies use the full vocabulary', () => {
+    const doc = generateOpenAPI({
+      $ddjex: '0.4.0',
+      id: 'orders',
+      target: 'server',
+      state: { orderSchema: { type: 'object', initial: orderSchema } },
+      routes: [{ method: 'POST', path: '/orders', handler: [{ op: 'validate', args: [{ ref: 'body' }, { ref: 'orderSchema' }] }], response: { status: 201 } }]
+    });
+    const body = doc.paths['/orders'].post.requestBody.content['application/json'].schema;
+    assert(body.required.includes('email') && body.required.includes('name') && body.required.includes('address'), 'Required fields and rules should be listed');
+    assert(body.properties.name.minLength === 2 && body.properties.quantity.maximum === 10, 'Limits should be converted');
+    assert(body.properties.email.format === 'email' && body.properties.status.enum.length === 2, 'Formats and enums should be converted');
+    assert(body.properties.address.properties.zip.pattern === '^[0-9]{5}$' && body.properties.address.additionalProperties === false, 'Nested objects should be converted');
+    assert(body.properties.items.minItems === 1 && body.properties.items.items.required[0] === 'sku', 'Array items should be converted');
+  }, results);
+
+  test('validateSchema: unknown rules in handler schemas are reported', () => {
+    const program = {
+      $ddjex: '0.4.0',
+      id: 'signup',
+      target: 'server',
+      state: { schema: { type: 'object', initial: { email: ['emial'] } } },
+      routes: [
+        {
+          method: 'POST',
+          path: '/signup',
+          handler: [{
+            op: 'validate',
+            args: [{ ref: 'body' }, {
+              email: ['required', 'emial'],
+              profile: { type: 'object', properties: { site: { type: 'string', format: 'ur1' } } }
+            }]
+          }],
+          response: { status: 201 }
+        },
+        { method: 'POST', path: '/stored', handler: [{ op: 'validate', args: [{ ref: 'body' }, { ref: 'schema' }] }], response: { status: 201 } }
+      ],
+      sockets: [{ path: '/ws', onMessage: [{ op: 'validate', args: [{ ref: 'message' }, { type: 'string', rules: [{ type: 'maxLenght', value: 5 }] }] }] }]
+    };
+    const unknown = validate(program).errors.filter(e => e.code === 'UNKNOWN_VALIDATION_RULE');
+    assert(unknown.map(e => e.message).join() === 'Unknown validation rule: emial,Unknown validation rule: ur1,Unknown validation rule: maxLenght',
+      `Unknown rules and formats should be reported: ${unknown.map(e => e.message)}`);
+    assert(unknown[0].location.path === '$.routes[0].handler[0].args[1].email', `Errors should point at the field: ${unknown[0].location.path}`);
+    assert(unknown[1].location.path === '$.routes[0].handler[0].args[1].profile.properties.site.format', `Nested formats should be found: ${unknown[1].location.path}`);
+    assert(unknown[0].suggestions[0].options.includes('email'), 'Known validators should be suggested');
+  }, results);
+
+  // ===== SERVER STORAGE TESTS =====
+  console.log('\nServer Storage\n--------------');
+
+  const storageDir = async () => {
+    const os = await import('os');
+    return fs.mkdtemp(path.join(os.tmpdir(), 'ddjex-storage-'));
+  };
+
+  const storageServer = (persist, extra = {}) => ({
+    $ddjex: '0.4.0',
+    id: 'store',
+    target: 'server',
+    state: {
+      todos: { type: 'array', initial: [], persist, constraints: { maxLength: 3 } },
+      hits: { type: 'number', initial: 0 },
+      ...extra
+    },
+    actions: {
+      addTodo: { params: ['todo'], mutations: [{ target: 'todos', op: 'push', value: { param: 'todo' } }] },
+      hit: { mutations: [{ target: 'hits', op: 'add', value: 1 }] }
+    },
+    routes: [{
+      method: 'POST',
+      path: '/todos',
+      handler: [{ op: 'action', args: ['addTodo', { ref: 'body' }] }],
+      response: { status: 201, body: { ref: 'todos' } }
+    }]
+  });
+
+  const openStorageServer = async (program, dir, options = {}) => {
+    const server = createTestServer(program, { storageDir: dir, ...options });
+    await server.openStorage();
+    return server;
+  };
+
+  await testAsync('Server storage: file storage survives a restart', async () => {
+    const dir = await storageDir();
+    try {
+      const program = storageServer({ storage: 'file', path: 'data/app.json' });
+      const first = await openStorageServer(program, dir);
+      const created = await serverRequest(first, { method: 'POST', url: '/todos', body: { title: 'a' } });
+      assert(created.status === 201, 'Route should succeed');
+      first.runtime.dispatch('hit');
+      await first.unmount();
+
+      const stored = JSON.parse(await fs.readFile(path.join(dir, 'data', 'app.json'), 'utf8'));
+      assert(stored.todos.version === 1 && stored.todos.value[0].title === 'a', 'State should be written as a versioned record');
+      assert(!('hits' in stored), 'Only persisted states should be written');
+      assert((await fs.readdir(path.join(dir, 'data'))).length === 1, 'No temporary files should be left behind');
+
+      const second = await openStorageServer(program, dir);
+      assert(second.runtime.getState().todos[0].title === 'a', 'State should be loaded on mount');
+      assert(second.runtime.getState().hits === 0, 'Other states should start from their initial value');
+      await second.unmount();
+    } finally {
+      await fs.rm(dir, { recursive: true, force: true });
+    }
+  }, results);
+
+  await testAsync('Server storage: journal appends actions and compacts', async () => {
+    const dir = await storageDir();
+    try {
+      const program = storageServer({ storage: 'journal', compact: 3 });
+      const first = await openStorageServer(program, dir);
+      for (const title of ['a', 'b']) {
+        await serverRequest(first, { method: 'POST', url: '/todos', body: { title } });
+      }
+      const file = path.join(dir, 'store.journal');
+      const lines = (await fs.readFile(file, 'utf8')).trim().split('\n').map(line => JSON.parse(line));
+      assert(lines.length === 2 && lines[1].action === 'addTodo' && lines[1].params.todo.title === 'b', 'Each action should be journaled');
+
+      // A failing action is rolled back and writes nothing
+      await serverRequest(first, { method: 'POST', url: '/todos', body: { title: 'c' } });
+      const rejected = await serverRequest(first, { method: 'POST', url: '/todos', body: { title: 'd' } });
+      assert(rejected.status === 500, 'Constraint violation should fail the request');
+      const compacted = (await fs.readFile(file, 'utf8')).trim().split('\n');
+      assert(compacted.length === 1 && JSON.parse(compacted[0]).snapshot.todos.value.length === 3, 'Journal should compact into a snapshot');
+      await first.unmount();
+
+      // An append cut short by a crash is ignored
+      await fs.appendFile(file, JSON.stringify({ action: 'addTodo', state: { todos: { version: 1, value: [] } } }) + '\n{"action":"addT');
+      const second = await openStorageServer(program, dir);
+      assert(second.runtime.getState().todos.length === 0, 'Journal entries after the snapshot should be replayed');
+      await second.unmount();
+
+      await fs.writeFile(file, '{"broken\n{"snapshot":{}}\n');
+      let error = null;
+      try {
+        await openStorageServer(program, dir);
+      } catch (e) {
+        error = e;
+      }
+      assert(error?.code === 'STORAGE_LOAD_FAILED', 'Corrupt journal entries should fail loudly');
+    } finally {
+      await fs.rm(dir, { recursive: true, force: true });
+    }
+  }, results);
+
+  await testAsync('Server storage: versions, migrations and constraints', async () => {
+    const dir = await storageDir();
+    try {
+      const file = path.join(dir, 'store.json');
+      await fs.writeFile(file, JSON.stringify({
+        items: { version: 1, value: ['x', 'y'] },
+        todos: { version: 1, value: [1, 2, 3, 4, 5] }
+      }));
+      const program = storageServer({ storage: 'file' }, {
+        list: {
+          type: 'array',
+          initial: [],
+          persist: {
+            storage: 'file',
+            key: 'items',
+            version: 2,
+            migrate: { op: 'map', args: [{ param: 'value' }, { op: 'concat', args: [{ param: 'item' }, '!'] }] }
+          }
+        }
+      });
+      const server = await openStorageServer(program, dir);
+      assert(server.runtime.getState().list.join() === 'x!,y!', 'Older records should be migrated');
+      assert(server.runtime.getState().todos.length === 0, 'Values failing constraints should be ignored');
+      await server.unmount();
+
+      const stored = JSON.parse(await fs.readFile(file, 'utf8'));
+      assert(stored.items.version === 2 && stored.items.value[0] === 'x!', 'Migrated records should be saved');
+    } finally {
+      await fs.rm(dir, { recursive: true, force: true });
+    }
+  }, results);
+
+  await testAsync('Server storage: sqlite stores one row per key', async () => {
+    const rows = new Map();
+    const statements = [];
+    class FakeDatabase {
+      constructor(file) {
+        this.file = file;
+      }
+      exec(sql) {
+        statements.push(sql);
+      }
+      prepare(sql) {
+        statements.push(sql);
+        return {
+          run: (key, version, value) => rows.set(key, { key, version, value }),
+          all: () => [...rows.values()]
+        };
+      }
+      transaction(fn) {
+        return fn;
+      }
+      close() {}
+    }
+
+    const dir = await storageDir();
+    try {
+      const program = storageServer({ storage: 'sqlite', table: 'app_state' });
+      const first = await openStorageServer(program, dir, { sqlite: FakeDatabase });
+      await serverRequest(first, { method: 'POST', url: '/todos', body: { title: 'q' } });
+      await first.unmount();
+      assert(statements[0].includes('CREATE TABLE IF NOT EXISTS app_state'), 'Table should be created');
+      assert(JSON.parse(rows.get('todos').value)[0].title === 'q', 'Values should be stored as JSON');
+
+      const second = await openStorageServer(program, dir, { sqlite: FakeDatabase });
+      assert(second.runtime.getState().todos[0].title === 'q', 'Rows should be loaded on mount');
+      await second.unmount();
+    } finally {
+      await fs.rm(dir, { recursive: true, force: true });
+    }
+  }, results);
+
+  test('Server storage: persist config is validated', () => {
+    const program = storageServer({ storage: 'journal', compact: 0, table: 'bad-name' });
+    const codes = validate(program).errors.map(e => e.code);
+    assert(codes.includes('INVALID_PERSIST_COMPACT') && codes.includes('INVALID_PERSIST_TABLE'), 'Invalid options should be reported');
+
+    const dom = validate({ ...storageServer({ storage: 'file' }), target: 'dom', routes: undefined, root: { type: 'div' } });
+    assert(dom.errors.some(e => e.code === 'INVALID_PERSIST_STORAGE'), 'Server storages should be rejected outside server programs');
+    const server = validate(storageServer({ storage: 'sqlite', path: 'app.db' }));
+    assert(!server.errors.some(e => e.code.startsWith('INVALID_PERSIST')), 'Server storages should be valid in server programs');
+  }, results);
+
+  // ===== SERVER ROUTING TESTS =====
+  console.log('\nServer Routing\n--------------');
+
+  const routingServer = () => ({
+    $ddjex: '0.4.0',
+    id: 'routing',
+    target: 'server',
+    state: {},
+    routes: [
+      { method: 'GET', path: '/users/:id', handler: [], response: { body: { route: 'param', id: { ref: 'params.id' } } } },
+      { method: 'GET', path: '/users/me', handler: [], response: { body: { route: 'me' } } },
+      { method: 'GET', path: '/users/:id', params: { id: 'integer' }, handler: [], response: { body: { route: 'typed', id: { ref: 'params.id' } } } },
+      { method: 'DELETE', path: '/users/:id', handler: [], response: { status: 204 } },
+      { method: 'GET', path: '/files/*path', handler: [], response: { body: { path: { ref: 'params.path' } } } },
+      { method: 'GET', path: '/posts/:page?', params: { page: 'number' }, handler: [], response: { body: { page: { ref: 'params.page' } } } },
+      {
+        prefix: '/api',
+        middleware: [{ use: 'guard', check: { op: 'eq', args: [{ ref: 'query.key' }, 'k'] } }],
+        routes: [
+          { method: 'GET', path: '/', handler: [], response: { body: { route: 'api' } } },
+          { prefix: 'v1', routes: [{ method: 'GET', path: '/status', handler: [], response: { body: { ok: true } } }] }
+        ]
+      }
+    ]
+  });
+
+  await testAsync('Server routing: most specific route wins', async () => {
+    const server = createTestServer(routingServer());
+    assert((await serverRequest(server, { url: '/users/me' })).body.route === 'me', 'Static segments should beat params');
+    const typed = await serverRequest(server, { url: '/users/42' });
+    assert(typed.body.route === 'typed' && typed.body.id === 42, 'Typed params should be coerced and beat untyped ones');
+    assert((await serverRequest(server, { url: '/users/ada%20l' })).body.id === 'ada l', 'Params should be decoded and fall through types');
+  }, results);
+
+  await testAsync('Server routing: wildcards, optional params and groups', async () => {
+    const server = createTestServer(routingServer());
+    assert((await serverRequest(server, { url: '/files/docs/a%2Fb.txt' })).body.path === 'docs/a/b.txt', 'Wildcards should capture the rest of the path');
+    assert((await serverRequest(server, { url: '/files' })).status === 404, 'Wildcards should need a segment unless optional');
+
+    assert((await serverRequest(server, { url: '/posts' })).body.page === undefined, 'Optional params may be missing');
+    assert((await serverRequest(server, { url: '/posts/2' })).body.page === 2, 'Optional params should be coerced');
+    assert((await serverRequest(server, { url: '/posts/x' })).status === 404, 'Unconvertible params should not match');
+
+    assert((await serverRequest(server, { url: '/api/v1/status?key=k' })).body.ok === true, 'Nested group prefixes should join');
+    assert((await serverRequest(server, { url: '/api?key=k' })).body.route === 'api', 'Group root should match the prefix');
+    assert((await serverRequest(server, { url: '/api/v1/status' })).status === 403, 'Group middleware should apply to nested routes');
+  }, results);
+
+  await testAsync('Server routing: 405, HEAD and OPTIONS', async () => {
+    const server = createTestServer(routingServer());
+    const notAllowed = await serverRequest(server, { method: 'PUT', url: '/users/1' });
+    assert(notAllowed.status === 405 && notAllowed.body.code === 'METHOD_NOT_ALLOWED', 'Other methods should get 405');
+    assert(notAllowed.headers['Allow'] === 'GET, DELETE, HEAD, OPTIONS', 'Allow should list the methods of the path');
+
+    const head = await serverRequest(server, { method: 'HEAD', url: '/users/me' });
+    assert(head.status === 200 && head.text === '' && head.headers['Content-Type'] === 'application/json', 'HEAD should use the GET route without a body');
+
+    const options = await serverRequest(server, { method: 'OPTIONS', url: '/files/a' });
+    assert(options.status === 204 && options.headers['Allow'] === 'GET, HEAD, OPTIONS', 'OPTIONS should answer with the allowed methods');
+    assert((await serverRequest(server, { method: 'OPTIONS', url: '/nothing' })).status === 404, 'Unknown paths should still be 404');
+  }, results);
+
+  test('Server routing: route patterns are validated', () => {
+    const program = {
+      $ddjex: '0.4.0',
+      id: 'bad_routes',
+      target: 'server',
+      routes: [
+        { method: 'GET', path: '/a/*rest/b', handler: [] },
+        { method: 'GET', path: '/a/:x?/b', handler: [] },
+        { method: 'GET', path: '/a/:x', params: { x: 'date', y: 'string' }, handler: [] },
+        { method: 'FETCH', path: '/a', handler: [] },
+        { prefix: '/g', routes: [{ method: 'GET', path: '/:id/:id', handler: [] }] }
+      ]
+    };
+    const errors = validate(program).errors;
+    const at = (path) => errors.find(e => e.location.path === path)?.code;
+    assert(at('$.routes[0].path') === 'INVALID_ROUTE_PATH', 'Wildcards must be last');
+    assert(at('$.routes[1].path') === 'INVALID_ROUTE_PATH', 'Optional params must be last');
+    assert(at('$.routes[2].params') === 'INVALID_ROUTE_PARAM_TYPE', 'Param types should be checked');
+    assert(at('$.routes[3].method') === 'INVALID_ROUTE_METHOD', 'Methods should be checked');
+    assert(at('$.routes[4].routes[0].path') === 'INVALID_ROUTE_PATH', 'Grouped routes should be checked');
+
+    let error = null;
+    try {
+      createTestServer({ ...program, routes: [program.routes[0]] });
+    } catch (e) {
+      error = e;
+    }
+    assert(error?.code === 'INVALID_PATH_PATTERN', 'Invalid patterns should fail on configure');
+  }, results);
+
+  test('Server routing: OpenAPI paths for groups, optional params and wildcards', () => {
+    const doc = generateOpenAPI(routingServer());
+    assert(doc.paths['/posts/{page}'].get.parameters[0].schema.type === 'number', 'Typed params should be described');
+    assert(doc.paths['/posts'].get.parameters === undefined, 'Optional params should add a shorter path');
+    assert(doc.paths['/files/{path}'].get.parameters[0].description.includes('slashes'), 'Wildcards should be one parameter');
+    assert(doc.paths['/api/v1/status'].get.responses['403'], 'Group prefixes and middleware should apply');
+    assert(doc.paths['/posts'].get.operationId !== doc.paths['/posts/{page}'].get.operationId, 'Operation ids should stay unique');
+  }, results);
+
+  // ===== SERVER SOCKET TESTS =====
+  console.log('\nServer Sockets\n--------------');
+
+  // ws-compatible socket that records what the server sends
+  const fakeSocket = () => {
+    const ws = new EventEmitter();
+    ws.readyState = 1;
+    ws.sent = [];
+    ws.send = (text) => ws.sent.push(JSON.parse(text));
+    ws.close = (code = 1000, reason = '') => {
+      if (ws.readyState !== 1) return;
+      ws.readyState = 3;
+      ws.closed = { code, reason };
+      ws.emit('close', code, Buffer.from(reason));
+    };
+    return ws;
+  };
+
+  const socketServer = () => ({
+    $ddjex: '0.4.0',
+    id: 'chat',
+    target: 'server',
+    state: {
+      tokens: { type: 'array', initial: ['t1'] },
+      messages: { type: 'array', initial: [] },
+      online: { type: 'number', initial: 0 }
+    },
+    actions: {
+      post: { params: ['text'], mutations: [{ target: 'messages', op: 'push', value: { param: 'text' } }] },
+      arrive: { mutations: [{ target: 'online', op: 'add', value: 1 }] },
+      depart: { mutations: [{ target: 'online', op: 'subtract', value: 1 }] }
+    },
+    routes: [{
+      method: 'POST',
+      path: '/announce',
+      handler: [{ op: 'broadcast', args: [null, { type: 'announce', note: { ref: 'body.note' } }], as: 'delivery' }],
+      response: { body: { ref: 'delivery' } }
+    }],
+    sockets: [{
+      path: '/chat/:room',
+      middleware: [{ use: 'auth', scheme: 'apiKey', query: 'key', keys: { ref: 'tokens' } }],
+      subscribe: ['online'],
+      onConnect: [
+        { op: 'action', args: ['arrive'] },
+        { op: 'joinRoom', args: [{ ref: 'params.room' }], as: 'rooms' },
+        { op: 'send', args: [{ type: 'welcome', id: { ref: 'socket.id' }, rooms: { ref: 'rooms' } }] }
+      ],
+      onMessage: [
+        { op: 'validate', args: [{ ref: 'message' }, { text: { type: 'string', required: true } }] },
+        { op: 'action', args: ['post', { ref: 'message.text' }] },
+        { op: 'broadcast', args: [{ ref: 'params.room' }, { from: { ref: 'socket.id' }, said: { ref: 'message.text' } }, { exceptSelf: true }] }
+      ],
+      onClose: [{ op: 'action', args: ['depart'] }]
+    }]
+  });
+
+  const connectSocket = async (server, room) => {
+    const ws = fakeSocket();
+    const context = server.createContext({ headers: {} }, new URL(`http://localhost/chat/${room}`), { room });
+    const client = server.handleSocket(ws, server.matchSocket(`/chat/${room}`).socket, context);
+    await client.queue;
+    return { ws, client };
+  };
+
+  await testAsync('Server sockets: connect, rooms and broadcast', async () => {
+    const server = createTestServer(socketServer());
+    const a = await connectSocket(server, 'red');
+    const b = await connectSocket(server, 'red');
+    const c = await connectSocket(server, 'blue');
+
+    assert(a.ws.sent[0].type === 'state' && a.ws.sent[0].ref === 'online' && a.ws.sent[0].value === 0, 'Subscribed state should be sent before onConnect');
+    const welcome = a.ws.sent.find(m => m.type === 'welcome');
+    assert(welcome.id === a.client.id && welcome.rooms[0] === 'red', 'onConnect steps should see socket and params');
+    assert(a.ws.sent.filter(m => m.type === 'state').map(m => m.value).join() === '0,1,2,3', 'State changes should be pushed');
+
+    a.ws.emit('message', Buffer.from(JSON.stringify({ text: 'hi' })));
+    await a.client.queue;
+    assert(b.ws.sent.some(m => m.from === a.client.id && m.said === 'hi'), 'Room members should receive broadcasts');
+    assert(!a.ws.sent.some(m => m.said === 'hi') && !c.ws.sent.some(m => m.said === 'hi'), 'Sender and other rooms should not');
+    assert(server.runtime.getState().messages[0] === 'hi', 'Messages should run actions');
+
+    a.ws.emit('message', 'not json');
+    await a.client.queue;
+    const error = a.ws.sent[a.ws.sent.length - 1];
+    assert(error.error === true && error.code === 'VALIDATION_ERROR' && error.errors[0].path === '$', 'Failed steps should be reported to the client');
+
+    const announce = await serverRequest(server, { method: 'POST', url: '/announce', body: { note: 'all' } });
+    assert(announce.body.sent === 3 && c.ws.sent.some(m => m.type === 'announce' && m.note === 'all'), 'HTTP routes should broadcast to every client');
+
+    b.ws.close();
+    await b.client.queue;
+    assert(server.runtime.getState().online === 2 && !server.hub.rooms.get('red').has(b.client), 'onClose should run and rooms should be left');
+    assert(a.ws.sent[a.ws.sent.length - 1].value === 2, 'Remaining clients should see the change');
+
+    server.unmount();
+    assert(a.ws.closed.code === 1001 && server.hub.clients.size === 0, 'Unmount should close every client');
+  }, results);
+
+  await testAsync('Server sockets: closing while connecting and shutting down', async () => {
+    const program = socketServer();
+    const socket = program.sockets[0];
+    socket.subscribe = [];
+    socket.onConnect = [{ op: 'wait', args: [20] }, { op: 'subscribe', args: ['online'] }, ...socket.onConnect];
+    socket.onClose = [{ op: 'wait', args: [20] }, ...socket.onClose];
+    const server = createTestServer(program);
+    const executeStep = server.executeStep.bind(server);
+    server.executeStep = (step, context) => step.op === 'wait'
+      ? new Promise(resolve => setTimeout(resolve, step.args[0]))
+      : executeStep(step, context);
+
+    const early = fakeSocket();
+    const context = server.createContext({ headers: {} }, new URL('http://localhost/chat/red'), { room: 'red' });
+    const client = server.handleSocket(early, server.matchSocket('/chat/red').socket, context);
+    early.close();
+    await client.queue;
+    assert(client.subscriptions.size === 0 && client.rooms.size === 0, 'Sockets closed before onConnect finished should not subscribe or join');
+    assert(!server.hub.rooms.has('red') && server.runtime.getState().online === 0, 'onClose should still run after onConnect');
+
+    await connectSocket(server, 'blue');
+    let onlineAtClose = null;
+    server.storage = { close: () => { onlineAtClose = server.runtime.getState().online; } };
+    await server.shutdown();
+    assert(onlineAtClose === 0 && server.socketQueues.size === 0, 'onClose steps should finish before storage closes');
+  }, results);
+
+  await testAsync('Server sockets: upgrades run socket middleware', async () => {
+    const server = createTestServer(socketServer());
+    const upgrade = async (url) => {
+      const socket = new EventEmitter();
+      socket.end = (text) => {
+        socket.response = text;
+        socket.emit('finish');
+      };
+      socket.destroy = () => {
+        socket.destroyed = true;
+      };
+      let accepted = null;
+      server.wss = { handleUpgrade: (req, raw, head, done) => { accepted = done(fakeSocket()); }, close() {} };
+      await server.handleUpgrade({ url, method: 'GET', headers: {} }, socket, Buffer.alloc(0));
+      return { socket, accepted };
+    };
+
+    const denied = await upgrade('/chat/red');
+    assert(denied.socket.response.startsWith('HTTP/1.1 401 Unauthorized') && denied.socket.destroyed, 'Unauthorized upgrades should be refused');
+    assert(denied.socket.response.includes('"code":"UNAUTHORIZED"'), 'Refusals should carry the error body');
+    assert((await upgrade('/nothing')).socket.response.startsWith('HTTP/1.1 404'), 'Unknown socket paths should be 404');
+
+    const ok = await upgrade('/chat/red?key=t1');
+    await ok.accepted.queue;
+    assert(ok.accepted.info.rooms[0] === 'red' && server.hub.clients.size === 1, 'Authorized upgrades should connect');
+    server.unmount();
+  }, results);
+
+  await testAsync('Server sockets: socket steps need a socket, ws is optional', async () => {
+    const program = socketServer();
+    program.routes.push({ method: 'GET', path: '/bad', handler: [{ op: 'send', args: ['x'] }], response: { body: null } });
+    const server = createTestServer(program);
+    const bad = await serverRequest(server, { url: '/bad' });
+    assert(bad.status === 500 && bad.body.code === 'NO_SOCKET', 'Socket steps should fail outside socket handlers');
+
+    let wsInstalled = true;
+    try {
+      await import('ws');
+    } catch {
+      wsInstalled = false;
+    }
+    if (!wsInstalled) {
+      let error = null;
+      try {
+        await new ServerTarget({ port: 0 }).mount(server.runtime);
+      } catch (e) {
+        error = e;
+      }
+      assert(error?.code === 'WEBSOCKET_UNAVAILABLE', 'Mounting sockets without ws should explain what to install');
+    }
+  }, results);
+
+  test('Server sockets: socket definitions are validated', () => {
+    const program = socketServer();
+    program.sockets.push({ middleware: [{ use: 'logger' }], subscribe: ['nope'], onMessage: {} });
+    const errors = validate(program).errors.filter(e => e.location.path.startsWith('$.sockets'));
+    const codes = errors.map(e => e.code);
+    assert(codes.includes('MISSING_SOCKET_PATH') && codes.includes('UNKNOWN_MIDDLEWARE'), 'Path and middleware should be checked');
+    assert(codes.includes('INVALID_SOCKET_SUBSCRIPTION') && codes.includes('INVALID_SOCKET_HANDLER'), 'Subscriptions and handlers should be checked');
+    assert(errors.every(e => e.location.path.startsWith('$.sockets[1]')), 'Valid sockets should pass');
+  }, results);
+
+  test('Server sockets: the documented example validates', () => {
+    const program = {
+      $ddjex: '0.4.0',
+      id: 'chat',
+      target: 'server',
+      state: { tokens: { type: 'array', initial: ['t1'] }, online: { type: 'number', initial: 0 } },
+      actions: { leave: { params: ['id'], mutations: [{ target: 'online', op: 'subtract', value: 1 }] } },
+      sockets: [{
+        path: '/chat/:room',
+        middleware: [{ use: 'auth', scheme: 'bearer', tokens: { ref: 'tokens' } }],
+        subscribe: ['online'],
+        onConnect: [{ op: 'joinRoom', args: [{ ref: 'params.room' }] }],
+        onMessage: [{ op: 'broadcast', args: [{ ref: 'params.room' }, { ref: 'message' }] }],
+        onClose: [{ op: 'action', args: ['leave', { ref: 'socket.id' }] }]
+      }]
+    };
+    const result = validate(program);
+    assert(result.valid, `Socket handlers should see request and socket values: ${JSON.stringify(result.errors)}`);
+
+    program.sockets[0].onClose.push({ op: 'print', args: [{ ref: 'nothing' }] });
+    program.routes = [{ method: 'GET', path: '/', handler: [], response: { body: { ref: 'message' } } }];
+    const paths = validate(program).errors.filter(e => e.code === 'UNDEFINED_REF').map(e => e.location.path);
+    assert(paths.join() === '$.routes[0].response.body,$.sockets[0].onClose[1].args[0]', `Unknown names should still be reported: ${paths}`);
+  }, results);
+
+  // ===== SERVER LIFECYCLE TESTS =====
+  console.log('\nServer Lifecycle\n----------------');
+
+  const lifecycleServer = (server = {}, routes = []) => ({
+    $ddjex: '0.4.0',
+    id: 'lifecycle',
+    target: 'server',
+    state: { open: { type: 'boolean', initial: true } },
+    server,
+    routes: [
+      { method: 'GET', path: '/broken', handler: [], response: { status: 200, body: { op: 'noSuchOp', args: [] } } },
+      { method: 'POST', path: '/items', handler: [], response: { status: 201, body: { ref: 'body' } } },
+      ...routes
+    ]
+  });
+
+  // Handler step `{ op: 'wait', args: [ms] }`, or wait for `gate` when no ms is given
+  const withWaitStep = (target, gate) => {
+    const executeStep = target.executeStep.bind(target);
+    target.executeStep = (step, context) => step.op === 'wait'
+      ? (step.args ? new Promise(resolve => setTimeout(resolve, step.args[0])) : gate)
+      : executeStep(step, context);
+    return target;
+  };
+
+  await testAsync('Server lifecycle: error table maps codes and hides internal messages', async () => {
+    const logged = [];
+    const server = createTestServer(lifecycleServer({
+      errors: {
+        INVALID_JSON: { status: 422, code: 'BAD_BODY', message: 'Send a JSON object' },
+        UNKNOWN_OPERATION: { status: 501 }
+      }
+    }), { log: (line) => logged.push(line) });
+
+    const bad = await serverRequest(server, { method: 'POST', url: '/items', headers: { 'content-type': 'application/json' }, body: '{nope' });
+    assert(bad.status === 422 && bad.body.code === 'BAD_BODY' && bad.body.message === 'Send a JSON object', 'Mapped errors use the table');
+
+    const broken = await serverRequest(server, { url: '/broken' });
+    assert(broken.status === 501 && broken.body.code === 'UNKNOWN_OPERATION', 'Mapped status keeps the code');
+    assert(broken.body.message === 'Internal server error', 'Internal message is not sent');
+    assert(logged.some(line => line.includes('GET /broken') && line.includes('noSuchOp')), 'Internal errors are logged');
+  }, results);
+
+  await testAsync('Server lifecycle: health and readiness probes', async () => {
+    const server = createTestServer(lifecycleServer({ health: { check: { ref: 'open' } } }));
+
+    const live = await serverRequest(server, { url: '/healthz' });
+    assert(live.status === 200 && live.body.status === 'ok' && typeof live.body.uptime === 'number', 'Liveness answers');
+    assert(live.headers['Cache-Control'] === 'no-store', 'Probes are not cached');
+
+    const starting = await serverRequest(server, { url: '/readyz' });
+    assert(starting.status === 503 && starting.body.status === 'starting', 'Not ready before listening');
+
+    server.status = 'ready';
+    const ready = await serverRequest(server, { url: '/readyz' });
+    assert(ready.status === 200 && ready.body.status === 'ready', 'Ready once listening');
+
+    server.runtime.stateManager.set('open', false);
+    const closed = await serverRequest(server, { url: '/readyz' });
+    assert(closed.status === 503 && closed.body.status === 'unavailable', 'Check expression gates readiness');
+
+    const head = await serverRequest(server, { method: 'HEAD', url: '/healthz' });
+    assert(head.status === 200 && head.text === '', 'HEAD probe has no body');
+
+    const routed = createTestServer(lifecycleServer({}, [
+      { method: 'GET', path: '/healthz', handler: [], response: { status: 200, body: { custom: true } } }
+    ]));
+    assert((await serverRequest(routed, { url: '/healthz' })).body.custom === true, 'Program routes win over probes');
+
+    const disabled = createTestServer(lifecycleServer({ health: false }));
+    assert((await serverRequest(disabled, { url: '/healthz' })).status === 404, 'health: false disables probes');
+  }, results);
+
+  await testAsync('Server lifecycle: handler timeouts', async () => {
+    const server = withWaitStep(createTestServer(lifecycleServer({ timeout: 20 }, [
+      { method: 'GET', path: '/slow', handler: [{ op: 'wait', args: [60] }], response: { status: 200, body: 'done' } },
+      { method: 'GET', path: '/report', timeout: 0, handler: [{ op: 'wait', args: [40] }], response: { status: 200, body: 'done' } }
+    ])));
+
+    const slow = await serverRequest(server, { url: '/slow' });
+    assert(slow.status === 503 && slow.body.code === 'HANDLER_TIMEOUT', 'Slow handler times out');
+    assert(slow.body.message.includes('20ms'), 'Timeout message names the limit');
+
+    const report = await serverRequest(server, { url: '/report' });
+    assert(report.status === 200, 'Route timeout 0 disables the program timeout');
+
+    const program = lifecycleServer({ timeout: 20 }, [
+      { method: 'POST', path: '/close', handler: [{ op: 'wait', args: [40] }, { op: 'action', args: ['close'] }], response: { status: 200 } }
+    ]);
+    program.actions = { close: { mutations: [{ target: 'open', op: 'set', value: false }] } };
+    const writer = withWaitStep(createTestServer(program));
+    const abandoned = await serverRequest(writer, { method: 'POST', url: '/close' });
+    await new Promise(resolve => setTimeout(resolve, 60));
+    assert(abandoned.status === 503 && writer.runtime.getState().open === true, 'Timed-out handlers run no further steps');
+
+    const errors = validate(lifecycleServer({ timeout: -1, health: { live: 'healthz' }, errors: { X: { status: 200 } } }, [
+      { method: 'GET', path: '/a', timeout: 'soon', handler: [] }
+    ])).errors.map(e => e.code);
+    assert(errors.filter(code => code === 'INVALID_SERVER_TIMEOUT').length === 2, 'Invalid timeouts are reported');
+    assert(errors.includes('INVALID_HEALTH_CONFIG') && errors.includes('INVALID_ERROR_MAPPING'), 'Invalid health and error config is reported');
+  }, results);
+
+  await testAsync('Server lifecycle: shutdown drains in-flight requests', async () => {
+    let release;
+    const gate = new Promise(resolve => { release = resolve; });
+    const target = withWaitStep(new ServerTarget({ port: 0, log: () => {}, handleSignals: false, shutdownTimeout: 2000 }), gate);
+    const runtime = new Runtime(lifecycleServer({}, [
+      { method: 'GET', path: '/slow', handler: [{ op: 'wait' }], response: { status: 200, body: { finished: true } } }
+    ]), target);
+    runtime.initialize();
+    target.configure(runtime);
+    await target.mount(runtime);
+
+    try {
+      const base = `http://127.0.0.1:${target.port}`;
+      assert(target.port > 0, 'Port 0 picks a free port');
+      assert((await fetch(`${base}/readyz`)).status === 200, 'Ready once listening');
+
+      const slow = fetch(`${base}/slow`);
+      for (let i = 0; i < 100 && target.inFlight === 0; i++) await new Promise(r => setTimeout(r, 10));
+      assert(target.inFlight === 1, 'Request is in flight');
+
+      const closing = target.shutdown();
+      assert(target.status === 'draining', 'Shutdown starts draining');
+      assert(target.healthResponse('/readyz', {}).status === 503, 'Not ready while draining');
+
+      release();
+      const res = await slow;
+      assert(res.status === 200 && (await res.json()).finished === true, 'In-flight request completes');
+      await closing;
+      assert(target.status === 'closed' && target.server === null, 'Server is closed after draining');
+    } finally {
+      release();
+      await target.shutdown();
+    }
+  }, results);
+
+  // ===== HTTP CLIENT TESTS =====
+  console.log('\nHTTP Client\n-----------');
+
+  // Local upstream: /echo reflects the request, /flaky fails `failures` times, /slow never answers in time
+  const stubUpstream = async () => {
+    const { createServer } = await import('http');
+    const seen = { flaky: 0 };
+    const server = createServer((req, res) => {
+      let raw = '';
+      req.on('data', chunk => { raw += chunk; });
+      req.on('end', () => {
+        const url = new URL(req.url, 'http://stub');
+        if (url.pathname === '/echo') {
+          res.writeHead(200, { 'Content-Type': 'application/json' });
+          res.end(JSON.stringify({ method: req.method, query: Object.fromEntries(url.searchParams), type: req.headers['content-type'] || null, token: req.headers['x-token'] || null, raw }));
+        } else if (url.pathname === '/flaky') {
+          seen.flaky++;
+          const ready = seen.flaky > Number(url.searchParams.get('failures'));
+          res.writeHead(ready ? 200 : 503, { 'Content-Type': 'text/plain' });
+          res.end(ready ? `attempt ${seen.flaky}` : 'busy');
+        } else if (url.pathname === '/slow') {
+          setTimeout(() => res.end('late'), 200);
+        } else {
+          res.writeHead(404, { 'Content-Type': 'application/json' });
+          res.end('{"missing":true}');
+        }
+      });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    return {
+      base: `http://127.0.0.1:${server.address().port}`,
+      seen,
+      close: () => new Promise(resolve => { server.closeAllConnections(); server.close(resolve); })
+    };
+  };
+
+  const upstream = await stubUpstream();
+  try {
+    await testAsync('HTTP client: server handlers call upstream services', async () => {
+      const server = createTestServer({
+        $ddjex: '0.4.0',
+        id: 'gateway',
+        target: 'server',
+        state: { token: { type: 'string', initial: 'secret' } },
+        routes: [{
+          method: 'POST',
+          path: '/forward',
+          handler: [{ op: 'http', args: [`${upstream.base}/echo`, {
+            method: 'PUT',
+            headers: { 'X-Token': { ref: 'token' } },
+            query: { page: 2 },
+            body: { ref: 'body' }
+          }], as: 'upstream' }],
+          response: { status: 200, body: { ref: 'upstream' } }
+        }, {
+          method: 'GET',
+          path: '/missing',
+          handler: [{ op: 'http', args: [`${upstream.base}/nowhere`], as: 'upstream' }],
+          response: { status: 200, body: { ref: 'upstream' } }
+        }]
+      });
+
+      const res = await serverRequest(server, { method: 'POST', url: '/forward', headers: { 'content-type': 'application/json' }, body: { name: 'Ada' } });
+      const echoed = res.body.body;
+      assert(res.status === 200 && res.body.ok === true && res.body.status === 200, 'Upstream response is bound with as');
+      assert(echoed.method === 'PUT' && echoed.query.page === '2' && echoed.token === 'secret', 'Method, query and headers are sent');
+      assert(echoed.type === 'application/json' && JSON.parse(echoed.raw).name === 'Ada', 'Objects are sent as JSON');
+
+      const missing = await serverRequest(server, { url: '/missing' });
+      assert(missing.body.status === 404 && missing.body.ok === false && missing.body.body.missing === true, 'Error statuses are results');
+    }, results);
+
+    await testAsync('HTTP client: retries transient failures with backoff', async () => {
+      upstream.seen.flaky = 0;
+      const res = await httpRequest(`${upstream.base}/flaky?failures=2`, { retries: 3, retryDelay: 5 });
+      assert(res.status === 200 && res.body === 'attempt 3', 'Succeeds on the third attempt');
+
+      upstream.seen.flaky = 0;
+      const exhausted = await httpRequest(`${upstream.base}/flaky?failures=5`, { retries: 1, retryDelay: 5 });
+      assert(exhausted.status === 503 && upstream.seen.flaky === 2, 'Last response is returned once retries run out');
+
+      let refused = null;
+      try {
+        await httpRequest('http://127.0.0.1:1/', { retries: 1, retryDelay: 5 });
+      } catch (e) {
+        refused = e;
+      }
+      assert(refused?.code === 'HTTP_REQUEST_FAILED' && refused.status === 502, 'Network failures are thrown after retries');
+
+      upstream.seen.flaky = 0;
+      const posted = await httpRequest(`${upstream.base}/flaky?failures=2`, { method: 'POST', retries: 3, retryDelay: 5 });
+      assert(posted.status === 503 && upstream.seen.flaky === 1, 'POST is not retried by default');
+
+      upstream.seen.flaky = 0;
+      const optedIn = await httpRequest(`${upstream.base}/flaky?failures=2`, { method: 'POST', retries: 3, retryDelay: 5, retryMethods: ['post'] });
+      assert(optedIn.status === 200 && upstream.seen.flaky === 3, 'retryMethods opts POST in');
+    }, results);
+
+    await testAsync('HTTP client: timeouts and invalid requests', async () => {
+      let timedOut = null;
+      try {
+        await httpRequest(`${upstream.base}/slow`, { timeout: 30 });
+      } catch (e) {
+        timedOut = e;
+      }
+      assert(timedOut?.code === 'HTTP_TIMEOUT' && timedOut.message.includes('30ms') && timedOut.status === 504, 'Slow upstream times out');
+
+      const server = createTestServer({
+        $ddjex: '0.4.0',
+        id: 'gateway',
+        target: 'server',
+        routes: [
+          { method: 'GET', path: '/slow', handler: [{ op: 'http', args: [`${upstream.base}/slow`, { timeout: 30 }] }], response: { status: 200 } },
+          { method: 'GET', path: '/down', handler: [{ op: 'http', args: ['http://127.0.0.1:1/'] }], response: { status: 200 } }
+        ]
+      });
+      const slow = await serverRequest(server, { url: '/slow' });
+      const down = await serverRequest(server, { url: '/down' });
+      assert(slow.status === 504 && slow.body.code === 'HTTP_TIMEOUT', `Timeouts answer 504: ${slow.status}`);
+      assert(down.status === 502 && down.body.code === 'HTTP_REQUEST_FAILED', `Unreachable upstreams answer 502: ${down.status}`);
+
+      const codes = [];
+      for (const [url, options] of [['ftp://example.com/file'], ['javascript:alert(1)'], [`${upstream.base}/echo`, { method: 'BREW' }]]) {
+        try {
+          await httpRequest(url, options);
+        } catch (e) {
+          codes.push(e.code);
+        }
+      }
+      assert(codes.join() === 'INVALID_URL,DANGEROUS_URL,INVALID_HTTP_METHOD', `Invalid requests are rejected: ${codes}`);
+
+      const text = await httpRequest(`${upstream.base}/echo`, { responseType: 'text' });
+      assert(typeof text.body === 'string' && text.headers['content-type'] === 'application/json', 'responseType text skips parsing');
+    }, results);
+
+    await testAsync('HTTP client: aborted signals cancel requests and retries', async () => {
+      const controller = new AbortController();
+      const reason = new Error('stop');
+      setTimeout(() => controller.abort(reason), 20);
+      let aborted = null;
+      try {
+        await httpRequest(`${upstream.base}/slow`, { timeout: 1000, retries: 2, signal: controller.signal });
+      } catch (e) {
+        aborted = e;
+      }
+      assert(aborted === reason, 'The pending attempt rejects with the abort reason');
+
+      const server = createTestServer({
+        $ddjex: '0.4.0',
+        id: 'gateway',
+        target: 'server',
+        routes: [{
+          method: 'GET',
+          path: '/busy',
+          timeout: 30,
+          handler: [{ op: 'http', args: [`${upstream.base}/flaky?failures=100`, { retries: 8, retryDelay: 10 }] }],
+          response: { status: 200 }
+        }]
+      });
+      upstream.seen.flaky = 0;
+      const res = await serverRequest(server, { url: '/busy' });
+      const attempts = upstream.seen.flaky;
+      await new Promise(resolve => setTimeout(resolve, 150));
+      assert(res.status === 503 && res.body.code === 'HANDLER_TIMEOUT', `The handler times out: ${res.status} ${res.body.code}`);
+      assert(attempts > 0 && upstream.seen.flaky === attempts, `A timed-out handler should stop retrying: ${attempts} then ${upstream.seen.flaky}`);
+    }, results);
+
+    await testAsync('HTTP client: CLI commands use the http step', async () => {
+      const target = new CLITarget([]);
+      const runtime = new Runtime({ $ddjex: '0.4.0', id: 'tool', target: 'cli', commands: [] }, target);
+      runtime.initialize();
+      target.runtime = runtime;
+
+      const context = { name: 'report' };
+      await target.executeStep({ op: 'http', args: [`${upstream.base}/echo`, { method: 'POST', body: { param: 'name' } }], as: 'sent' }, context);
+      assert(context.sent.body.method === 'POST' && context.sent.body.raw === 'report' && context.sent.body.type.startsWith('text/plain'), 'Response is bound in the command context');
+    }, results);
+  } finally {
+    await upstream.close();
+  }
+
+  // ===== CLI GLOB TESTS =====
+  console.log('\nCLI Glob\n--------');
+
+  test('CLI glob: segment wildcards, classes and braces', () => {
+    assert(matchGlob('*.json', 'package.json') && !matchGlob('*.json', 'src/app.json'), '* stays within a segment');
+    assert(matchGlob('**/*.json', 'package.json') && matchGlob('**/*.json', 'a/b/c.json'), '** spans zero or more segments');
+    assert(matchGlob('src/**', 'src/a/b.js') && !matchGlob('src/**/test', 'src/a/tests'), '** in the middle of a pattern');
+    assert(matchGlob('file?.txt', 'file1.txt') && !matchGlob('file?.txt', 'file10.txt'), '? matches one character');
+    assert(matchGlob('log[0-9].txt', 'log7.txt') && !matchGlob('log[!0-9].txt', 'log7.txt'), 'Character classes and negation');
+    assert(matchGlob('*.{js,mjs}', 'a.mjs') && !matchGlob('*.{js,mjs}', 'a.cjs'), 'Brace alternatives');
+    assert(matchGlob('part{1..3}.csv', 'part2.csv') && !matchGlob('part{1..3}.csv', 'part4.csv'), 'Brace ranges');
+    assert(expandBraces('{a,b{c,d}}.x').join() === 'a.x,bc.x,bd.x', 'Nested braces expand');
+    assert(matchGlob('\\*.md', '*.md') && !matchGlob('\\*.md', 'README.md'), 'Backslash escapes');
+    assert(!matchGlob('*', '.env') && matchGlob('.*', '.env') && matchGlob('*', '.env', { dot: true }), 'Dotfiles need dot or a leading dot');
+    assert(!matchGlob('**/*.js', '.cache/x.js') && matchGlob('**/*.js', '.cache/x.js', { dot: true }), '** skips dot directories');
+  }, results);
+
+  await testAsync('CLI glob: walks directories with ignore lists and options', async () => {
+    const os = await import('os');
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'ddjex-glob-'));
+    try {
+      for (const file of ['package.json', 'README.md', '.env', 'src/app.js', 'src/util.mjs', 'src/lib/deep.js',
+        'src/lib/deep.test.js', 'node_modules/dep/index.js', '.git/config']) {
+        await fs.mkdir(path.join(dir, path.dirname(file)), { recursive: true });
+        await fs.writeFile(path.join(dir, file), '');
+      }
+
+      const rel = (patterns, options = {}) => glob(dir, patterns, { relative: true, ...options }).then(files => files.join());
+      assert(await rel('*.json') === 'package.json', '*.json does not return every file');
+      assert(await rel('*') === 'README.md,package.json', 'Dotfiles are skipped by default');
+      assert(await rel('*', { dot: true }) === '.env,README.md,package.json', 'dot includes dotfiles');
+      assert(await rel('src/**/*.{js,mjs}') === 'src/app.js,src/lib/deep.js,src/lib/deep.test.js,src/util.mjs', 'Sorted recursive match');
+      assert(await rel(['**/*.js', '!**/*.test.js'], { ignore: ['node_modules'] }) === 'src/app.js,src/lib/deep.js', 'Negations and ignore lists');
+      assert(await rel(['**/*.js', 'src/*.js']) === 'node_modules/dep/index.js,src/app.js,src/lib/deep.js,src/lib/deep.test.js', 'Overlapping patterns do not duplicate');
+      assert(await rel('src/*', { directories: true }) === 'src/app.js,src/lib,src/util.mjs', 'directories includes folders');
+      assert(await rel('missing/**') === '', 'Missing base directory matches nothing');
+      const absolute = await glob('missing', `${dir.split(path.sep).join('/')}/src/lib/*.js`, { relative: true });
+      assert(absolute.join() === [path.join(dir, 'src/lib/deep.js'), path.join(dir, 'src/lib/deep.test.js')].join(), 'Absolute patterns walk from the root');
+
+      const target = new CLITarget([]);
+      const runtime = new Runtime({ $ddjex: '0.4.0', id: 'tool', target: 'cli', commands: [] }, target);
+      runtime.initialize();
+      target.runtime = runtime;
+      const context = {};
+      await target.executeStep({ op: 'glob', args: ['src/lib/*.js', dir], as: 'files' }, context);
+      assert(context.files.join() === [path.join(dir, 'src/lib/deep.js'), path.join(dir, 'src/lib/deep.test.js')].join(), 'Step returns joined paths');
+
+      let invalid = null;
+      try {
+        await glob(dir, ['!*.js']);
+      } catch (e) {
+        invalid = e;
+      }
+      assert(invalid?.code === 'INVALID_GLOB', 'Only negated patterns are rejected');
+    } finally {
+      await fs.rm(dir, { recursive: true, force: true });
+    }
+  }, results);
+
+  // ===== CLI COMMAND TESTS =====
+  console.log('\nCLI Commands\n------------');
+
+  const cliProgram = () => ({
+    $ddjex: '0.4.0',
+    id: 'tool',
+    target: 'cli',
+    version: '1.2.0',
+    description: 'Project tool',
+    commands: [{
+      name: 'db',
+      description: 'Database tasks',
+      flags: [{ name: 'env', type: 'string', choices: ['dev', 'prod'], default: 'dev', description: 'Target environment' }],
+      commands: [{
+        name: 'migrate',
+        aliases: ['m'],
+        description: 'Run pending migrations',
+        args: [{ name: 'steps', type: 'number', default: 1 }],
+        flags: [
+          { name: 'dry_run', short: 'n', type: 'boolean', description: 'Print SQL only' },
+          { name: 'tag', short: 't', type: 'string', multiple: true },
+          { name: 'verbose', short: 'v', type: 'boolean', default: true }
+        ],
+        examples: ['db migrate 2 --dry-run'],
+        handler: [{ op: 'print', args: [{ param: 'env' }, { param: 'steps' }, { param: 'dry_run' }, { param: 'tag' }, { param: 'verbose' }] }]
+      }]
+    }, {
+      name: 'copy',
+      args: [{ name: 'target', type: 'string', required: true }, { name: 'sources', type: 'string', variadic: true }],
+      handler: [{ op: 'print', args: [{ param: 'target' }, { param: 'sources' }] }]
+    }]
+  });
+
+  const runCli = async (args, program = cliProgram()) => {
+    const out = [];
+    const err = [];
+    let code = 0;
+    const target = new CLITarget(args, {
+      log: (...values) => out.push(values.map(v => typeof v === 'string' ? v : JSON.stringify(v)).join(' ')),
+      error: (line) => err.push(String(line)),
+      exit: (exitCode) => { code = exitCode; }
+    });
+    const runtime = new Runtime(program, target);
+    runtime.initialize();
+    await target.mount(runtime);
+    return { out: out.join('\n'), err: err.join('\n'), code };
+  };
+
+  await testAsync('CLI commands: nested subcommands with typed flags', async () => {
+    const run = await runCli(['db', '--env', 'prod', 'migrate', '3', '-nt', 'a', '--tag=b', '--no-verbose']);
+    assert(run.code === 0 && run.out === 'prod 3 true ["a","b"] false', `Parsed values: ${run.out} ${run.err}`);
+
+    const defaults = await runCli(['db', 'm']);
+    assert(defaults.out === 'dev 1 false [] true', `Aliases and defaults: ${defaults.out}`);
+
+    const variadic = await runCli(['copy', 'out', 'a.txt', '--', '-b.txt']);
+    assert(variadic.out === 'out ["a.txt","-b.txt"]', `Variadic args and --: ${variadic.out}`);
+  }, results);
+
+  await testAsync('CLI commands: usage errors', async () => {
+    const cases = [
+      [['db', 'migrate', '--nope'], 'Unknown flag: --nope'],
+      [['db', 'migrate', 'many'], 'Invalid number for <steps>: many'],
+      [['db', '--env', 'staging', 'migrate'], 'choose from dev, prod'],
+      [['db', 'seed'], 'Unknown command: db seed'],
+      [['copy'], 'Missing required argument: <target>'],
+      [['db', 'migrate', '1', '2'], 'Unexpected argument: 2'],
+      [['db', 'migrate', '--env'], 'Missing value for --env']
+    ];
+    for (const [args, message] of cases) {
+      const run = await runCli(args);
+      assert(run.code === 2 && run.err.includes(message), `${args.join(' ')}: ${run.err}`);
+    }
+    const run = await runCli(['db', 'migrate', '--nope']);
+    assert(run.err.includes("Run 'tool db migrate --help' for usage."), 'Points to the command help');
+  }, results);
+
+  await testAsync('CLI commands: help and version', async () => {
+    const help = await runCli(['db', 'migrate', '--help']);
+    assert(help.out.includes('Usage: tool db migrate [options] [steps]'), `Usage line: ${help.out}`);
+    assert(help.out.includes('Run pending migrations') && help.out.includes('-n, --dry-run') && help.out.includes('Print SQL only'), 'Flags with descriptions');
+    assert(help.out.includes('--env <env>') && help.out.includes('(choices: dev, prod) (default: "dev")'), 'Inherited flags with choices and defaults');
+    assert(help.out.includes('tool db migrate 2 --dry-run'), 'Examples');
+
+    const group = await runCli(['db']);
+    assert(group.code === 0 && group.out.includes('Commands:') && /migrate, m\s+Run pending migrations/.test(group.out), 'Groups list subcommands');
+
+    const top = await runCli([]);
+    assert(top.out.includes('Usage: tool <command> [options]') && top.out.includes('Project tool'), 'Program help');
+
+    const version = await runCli(['--version']);
+    assert(version.out === 'tool 1.2.0 (ddjex 0.4.0)', `Version: ${version.out}`);
+    const bare = await runCli(['-V'], { ...cliProgram(), version: undefined });
+    assert(bare.out === 'tool (ddjex 0.4.0)', `Version without program version: ${bare.out}`);
+  }, results);
+
+  await testAsync('CLI commands: completion scripts and validation', async () => {
+    const bash = (await runCli(['--completion', 'bash'])).out;
+    assert(bash.includes('complete -F _tool_completions tool') && bash.includes('"db|migrate") path="db migrate"'), 'bash walks subcommands');
+    assert(bash.includes('"db migrate") words="--dry-run --tag --verbose --env --help --yes --output --color --version"'), 'bash offers command flags');
+
+    const zsh = (await runCli(['--completion=zsh'])).out;
+    assert(zsh.startsWith('#compdef tool') && zsh.includes('bashcompinit'), 'zsh script');
+
+    const fish = (await runCli(['--completion', 'fish'])).out;
+    assert(fish.includes("complete -c tool -n '__fish_use_subcommand' -a 'db' -d 'Database tasks'"), 'fish subcommands');
+    assert(fish.includes("-l env -r -a 'dev prod'"), 'fish flag choices');
+
+    const bad = await runCli(['--completion', 'tcsh']);
+    assert(bad.code === 2 && bad.err.includes('choose from bash, zsh, fish'), 'Unknown shells are rejected');
+
+    const errors = validate({
+      $ddjex: '0.4.0', id: 'bad', target: 'cli',
+      commands: [
+        { name: 'a', flags: [{ name: 'help', type: 'boolean' }, { name: 'x', short: 'x', type: 'date' }, { name: 'y', short: 'x', type: 'string', choices: ['p'], default: 'q' }], handler: [] },
+        { name: 'b', args: [{ name: 'rest', type: 'string', variadic: true }, { name: 'last', type: 'string', required: true }], handler: [] },
+        { name: 'a', commands: [{ name: 'c' }] }
+      ]
+    }).errors.map(e => e.code);
+    for (const code of ['RESERVED_COMMAND_FLAG', 'INVALID_COMMAND_FLAG', 'DUPLICATE_COMMAND_FLAG', 'INVALID_COMMAND_ARG', 'DUPLICATE_COMMAND', 'MISSING_COMMAND_HANDLER']) {
+      assert(errors.includes(code), `Reports ${code}: ${errors}`);
+    }
+  }, results);
+
+  // ===== CLI PROMPT TESTS =====
+  console.log('\nCLI Prompts\n-----------');
+
+  const promptProgram = (handler) => ({
+    $ddjex: '0.4.0',
+    id: 'setup',
+    target: 'cli',
+    commands: [{ name: 'init', handler }]
+  });
+
+  // Runs a command with `answers` typed on a fake input; tty adds raw mode like a terminal,
+  // piped leaves interactivity to the input (which is not a terminal)
+  const runPrompts = async (handler, answers, { args = ['init'], tty = false, piped = false } = {}) => {
+    const input = new PassThrough();
+    const rawModes = [];
+    if (tty) Object.assign(input, { isTTY: true, setRawMode: (on) => rawModes.push(on) });
+    let shown = '';
+    const output = { write: (text) => { shown += text; } };
+    const out = [];
+    const err = [];
+    let code = 0;
+    const target = new CLITarget(args, {
+      input, output, interactive: piped ? undefined : true,
+      log: (...values) => out.push(values.map(v => JSON.stringify(v)).join(' ')),
+      error: (line) => err.push(String(line)),
+      exit: (exitCode) => { code = exitCode; }
+    });
+    const runtime = new Runtime(promptProgram(handler), target);
+    runtime.initialize();
+    if (answers !== null) input.end(answers);
+    await target.mount(runtime);
+    return { shown, out: out.join('\n'), err: err.join('\n'), code, rawModes };
+  };
+
+  const wizard = [
+    { op: 'prompt', args: [{ type: 'text', message: 'Name', validate: { type: 'string', minLength: 3 } }], as: 'name' },
+    { op: 'prompt', args: [{ type: 'number', message: 'Port', default: 3000 }], as: 'port' },
+    { op: 'prompt', args: [{ type: 'confirm', message: 'Use TypeScript' }], as: 'ts' },
+    { op: 'prompt', args: [{ type: 'select', message: 'Database', choices: [{ value: 'pg', label: 'PostgreSQL' }, 'sqlite'], default: 'sqlite' }], as: 'db' },
+    { op: 'prompt', args: [{ type: 'multiselect', message: 'Features', choices: ['auth', 'api', 'ui'], default: [] }], as: 'features' },
+    { op: 'print', args: [{ param: 'name' }, { param: 'port' }, { param: 'ts' }, { param: 'db' }, { param: 'features' }] }
+  ];
+
+  await testAsync('CLI prompts: answers are parsed, validated and bound', async () => {
+    const run = await runPrompts(wizard, 'al\nalice\n\nmaybe\ny\n1\n3, 1\n');
+    assert(run.code === 0 && run.out === '"alice" 3000 true "pg" ["ui","auth"]', `Answers: ${run.out} ${run.err}`);
+    assert(run.shown.includes('? Name ') && run.shown.includes('? Port (3000) ') && run.shown.includes('? Use TypeScript (y/N) '), 'Questions show defaults');
+    assert(run.shown.includes('  1) PostgreSQL\n  2) sqlite\n> '), 'Choices are listed');
+    assert(run.shown.includes('  Minimum length is 3\n? Name '), `Invalid answers are asked again: ${run.shown}`);
+    assert(run.shown.includes('Answer yes or no'), 'Unparseable answers are asked again');
+  }, results);
+
+  await testAsync('CLI prompts: passwords are masked on terminals', async () => {
+    const run = await runPrompts([
+      { op: 'prompt', args: [{ type: 'password', message: 'Password', validate: ['required'] }], as: 'secret' },
+      { op: 'print', args: [{ param: 'secret' }] }
+    ], 'hunx\u007fter2\r', { tty: true });
+    assert(run.out === '"hunter2"', `Backspace edits the answer: ${run.out}`);
+    assert(run.shown.includes('? Password ****\b \b***') && !run.shown.includes('hunter2'), `Typed characters are masked: ${JSON.stringify(run.shown)}`);
+    assert(run.rawModes.join() === 'true,false', 'Raw mode is restored');
+
+    const cancelled = await runPrompts([{ op: 'prompt', args: [{ type: 'text', message: 'Name' }] }], 'ab\u0003', { tty: true });
+    assert(cancelled.code === 130 && cancelled.err.includes('PROMPT_CANCELLED'), 'Ctrl-C cancels');
+  }, results);
+
+  await testAsync('CLI prompts: --yes and non-interactive mode use defaults', async () => {
+    const steps = [
+      { op: 'prompt', args: [{ type: 'text', message: 'Name', default: 'app' }], as: 'name' },
+      { op: 'prompt', args: [{ type: 'confirm', message: 'Continue' }], as: 'go' },
+      { op: 'print', args: [{ param: 'name' }, { param: 'go' }] }
+    ];
+    const yes = await runPrompts(steps, null, { args: ['init', '--yes'] });
+    assert(yes.out === '"app" true' && yes.shown === '', `--yes answers with defaults: ${yes.out}`);
+
+    const piped = await runPrompts(steps, null, { piped: true });
+    assert(piped.out === '"app" false', 'Input that is not a terminal is non-interactive; confirm answers no without --yes');
+
+    const defaulted = await runPrompts([{ op: 'prompt', args: [{ type: 'confirm', message: 'Deploy', default: true }], as: 'go' }, { op: 'print', args: [{ param: 'go' }] }], null, { piped: true });
+    assert(defaulted.out === 'true', 'Explicit confirm defaults are kept');
+
+    const missing = await runPrompts([{ op: 'prompt', args: [{ type: 'text', message: 'Token' }] }], null, { args: ['init', '-y'] });
+    assert(missing.code === 1 && missing.err.includes('PROMPT_REQUIRED'), 'Prompts without defaults fail');
+
+    const invalid = await runPrompts([{ op: 'prompt', args: [{ type: 'text', message: 'Email', default: 'nope', validate: ['email'] }] }], null, { args: ['init', '-y'] });
+    assert(invalid.code === 65 && invalid.err.includes('PROMPT_INVALID'), 'Defaults are validated');
+
+    const bad = await runPrompts([{ op: 'prompt', args: [{ type: 'select', message: 'Pick' }] }], '');
+    assert(bad.code === 1 && bad.err.includes('select prompt needs choices'), 'Invalid questions are errors');
+  }, results);
+
+  // ===== CLI SYSTEM STEP TESTS =====
+  console.log('\nCLI System Steps\n----------------');
+
+  const runSteps = async (handler, args = []) => {
+    const out = [];
+    const err = [];
+    let code = null;
+    const target = new CLITarget(['run', ...args], {
+      log: (...values) => out.push(values.map(v => JSON.stringify(v)).join(' ')),
+      error: (line) => err.push(String(line)),
+      exit: (exitCode) => { code = exitCode; }
+    });
+    const runtime = new Runtime({ $ddjex: '0.4.0', id: 'sys', target: 'cli', commands: [{ name: 'run', args: [{ name: 'dir', type: 'string' }], handler }] }, target);
+    runtime.initialize();
+    await target.mount(runtime);
+    return { out, err: err.join('\n'), code };
+  };
+
+  const tempDir = async () => {
+    const os = await import('os');
+    return fs.mkdtemp(path.join(os.tmpdir(), 'ddjex-cli-'));
+  };
+
+  await testAsync('CLI system steps: exec captures output and exit codes', async () => {
+    const node = process.execPath;
+    const run = await runSteps([
+      { op: 'exec', args: [node, ['-e', 'process.stdout.write("out"); process.stderr.write("err"); process.exit(3)']], as: 'result' },
+      { op: 'print', args: [{ param: 'result' }] },
+      { op: 'exec', args: [node, ['-e', 'process.stdin.pipe(process.stdout)'], { input: 'piped' }], as: 'echo' },
+      { op: 'print', args: [{ op: 'get', args: [{ param: 'echo' }, 'stdout'] }] }
+    ]);
+    const result = JSON.parse(run.out[0]);
+    assert(result.code === 3 && result.ok === false && result.stdout === 'out' && result.stderr === 'err', `Captured: ${run.out[0]}`);
+    assert(run.out[1] === '"piped"' && run.code === null, 'Input is written to stdin');
+
+    const checked = await runSteps([{ op: 'exec', args: [node, ['-e', 'process.exit(4)'], { check: true }] }]);
+    assert(checked.code === 4 && checked.err.includes('EXEC_FAILED'), 'check exits with the command exit code');
+
+    const missing = await runSteps([{ op: 'exec', args: ['ddjex-no-such-command'] }]);
+    assert(missing.code === 127 && missing.err.includes('EXEC_NOT_FOUND'), 'Missing commands are structured errors');
+
+    const slow = await runSteps([{ op: 'exec', args: [node, ['-e', 'setTimeout(() => {}, 5000)'], { timeout: 50 }] }]);
+    assert(slow.err.includes('EXEC_TIMEOUT'), 'Slow commands time out');
+  }, results);
+
+  await testAsync('CLI system steps: filesystem operations', async () => {
+    const dir = await tempDir();
+    try {
+      const file = (name) => ({ op: 'concat', args: [{ param: 'dir' }, `/${name}`] });
+      const run = await runSteps([
+        { op: 'mkdir', args: [file('a/b')] },
+        { op: 'writeJSON', args: [file('a/b/data.json'), { name: 'ddjex', tags: ['cli'] }] },
+        { op: 'readJSON', args: [file('a/b/data.json')], as: 'data' },
+        { op: 'copy', args: [file('a'), file('copied')] },
+        { op: 'move', args: [file('copied/b/data.json'), file('moved/data.json')] },
+        { op: 'exists', args: [file('copied/b/data.json')], as: 'stillThere' },
+        { op: 'stat', args: [file('moved/data.json')], as: 'info' },
+        { op: 'remove', args: [file('a')] },
+        { op: 'exists', args: [file('a')], as: 'removed' },
+        { op: 'print', args: [{ param: 'data' }, { param: 'stillThere' }, { op: 'get', args: [{ param: 'info' }, 'type'] }, { param: 'removed' }] }
+      ], [dir]);
+      assert(run.code === null && run.out[0] === '{"name":"ddjex","tags":["cli"]} false "file" false', `Steps ran: ${run.out} ${run.err}`);
+      assert(JSON.parse(await fs.readFile(path.join(dir, 'moved/data.json'), 'utf8')).name === 'ddjex', 'Moved file is intact');
+
+      await fs.writeFile(path.join(dir, 'broken.json'), '{oops');
+      const cases = [
+        [{ op: 'readJSON', args: [file('missing.json')] }, 'FILE_NOT_FOUND', 66],
+        [{ op: 'readJSON', args: [file('broken.json')] }, 'INVALID_JSON', 65],
+        [{ op: 'read', args: [file('missing.txt')] }, 'FILE_NOT_FOUND', 66],
+        [{ op: 'copy', args: [file('broken.json'), file('moved/data.json'), { overwrite: false }] }, 'FILE_EXISTS', 73],
+        [{ op: 'move', args: [file('broken.json'), file('moved/data.json'), { overwrite: false }] }, 'FILE_EXISTS', 73],
+        [{ op: 'remove', args: ['/'] }, 'REMOVE_REFUSED', 77],
+        [{ op: 'stat', args: [file('nope')] }, 'FILE_NOT_FOUND', 66]
+      ];
+      for (const [step, expected, exitCode] of cases) {
+        const failed = await runSteps([step], [dir]);
+        assert(failed.code === exitCode && failed.err.includes(`Code: ${expected}`), `${step.op}: ${failed.err}`);
+      }
+      const forced = await runSteps([{ op: 'remove', args: [file('nope'), { force: true }] }], [dir]);
+      assert(forced.code === null, 'force ignores missing paths');
+    } finally {
+      await fs.rm(dir, { recursive: true, force: true });
+    }
+  }, results);
+
+  await testAsync('CLI system steps: env and exit', async () => {
+    process.env.DDJEX_TEST_VALUE = 'from-env';
+    try {
+      const run = await runSteps([
+        { op: 'env', args: ['DDJEX_TEST_VALUE'], as: 'value' },
+        { op: 'env', args: ['DDJEX_TEST_MISSING', 'fallback'], as: 'fallback' },
+        { op: 'print', args: [{ param: 'value' }, { param: 'fallback' }] },
+        { op: 'exit', args: [3] },
+        { op: 'print', args: ['unreachable'] }
+      ]);
+      assert(run.out.join() === '"from-env" "fallback"', `env values: ${run.out}`);
+      assert(run.code === 3 && run.err === '', 'exit stops the command with its code');
+
+      const invalid = await runSteps([{ op: 'exit', args: [300] }]);
+      assert(invalid.code === 1 && invalid.err.includes('INVALID_EXIT_CODE'), 'Exit codes are checked');
+    } finally {
+      delete process.env.DDJEX_TEST_VALUE;
+    }
+  }, results);
+
+  // ===== CLI OUTPUT TESTS =====
+  console.log('\nCLI Output\n----------');
+
+  const runOutput = async (handler, args = [], { stdin = null, color } = {}) => {
+    const out = [];
+    const err = [];
+    let code = null;
+    const input = new PassThrough();
+    const target = new CLITarget(['run', ...args], {
+      input, color, output: { isTTY: false, write: () => {} },
+      log: (...values) => out.push(values.map(v => typeof v === 'string' ? v : JSON.stringify(v)).join(' ')),
+      error: (line) => err.push(String(line)),
+      exit: (exitCode) => { code = exitCode; }
+    });
+    const runtime = new Runtime({ $ddjex: '0.4.0', id: 'out', version: '2.0.0', target: 'cli', commands: [{ name: 'run', handler }] }, target);
+    runtime.initialize();
+    if (stdin !== null) input.end(stdin);
+    await target.mount(runtime);
+    return { out, err: err.join('\n'), code };
+  };
+
+  const users = [{ name: 'ada', age: 36, tags: ['math'] }, { name: 'grace', age: 85, admin: true }];
+
+  await testAsync('CLI output: table step and output modes', async () => {
+    const steps = [{ op: 'table', args: [users, ['name', { key: 'age', label: 'Age' }]] }];
+    const text = await runOutput(steps);
+    assert(text.out[0] === 'name   Age\n-----  ---\nada     36\ngrace   85', `Aligned columns: ${JSON.stringify(text.out)}`);
+
+    const all = await runOutput([{ op: 'table', args: [users] }]);
+    assert(all.out[0].split('\n')[0] === 'name   age  tags      admin' && all.out[0].includes('ada     36  ["math"]'), `Every key by default: ${all.out[0]}`);
+
+    const json = await runOutput([...steps, { op: 'print', args: ['done', 2] }], ['--output', 'json']);
+    assert(json.out[0] === '[{"name":"ada","age":36},{"name":"grace","age":85}]', `JSON rows: ${json.out[0]}`);
+    assert(json.out[1] === '["done",2]', 'print writes one JSON document');
+
+    const table = await runOutput([{ op: 'print', args: [users] }], ['--output=table']);
+    assert(table.out[0].startsWith('name   age'), 'print renders tables in table mode');
+
+    const version = await runOutput([], ['--version', '--output', 'json']);
+    assert(version.out[0] === '{"name":"out","version":"2.0.0","ddjex":"0.4.0"}', `Version as JSON: ${version.out[0]}`);
+
+    const bad = await runOutput([{ op: 'table', args: ['nope'] }]);
+    assert(bad.err.includes('INVALID_TABLE') && bad.code === 1, 'table needs rows');
+  }, results);
+
+  await testAsync('CLI output: colors follow the terminal and --color', async () => {
+    const steps = [{ op: 'style', args: ['ok', 'green', 'bold'], as: 'label' }, { op: 'print', args: [{ param: 'label' }] }];
+    const plain = await runOutput(steps);
+    assert(plain.out[0] === 'ok', 'No colors when output is not a terminal');
+
+    const forced = await runOutput(steps, ['--color']);
+    assert(forced.out[0] === '\u001b[1m\u001b[32mok\u001b[39m\u001b[22m', `--color: ${JSON.stringify(forced.out[0])}`);
+
+    const off = await runOutput(steps, ['--no-color'], { color: true });
+    assert(off.out[0] === 'ok', '--no-color wins over the target option');
+
+    const failed = await runOutput([{ op: 'readJSON', args: ['/nonexistent/ddjex.json'] }], [], { color: true });
+    assert(failed.err.startsWith('\u001b[1m\u001b[31mError:') && failed.code === 66, `Errors are colored: ${JSON.stringify(failed.err)}`);
+
+    const unknown = await runOutput([{ op: 'style', args: ['x', 'blink'] }]);
+    assert(unknown.err.includes('INVALID_STYLE'), 'Unknown styles are errors');
+  }, results);
+
+  await testAsync('CLI output: errors and exit codes', async () => {
+    const missing = await runOutput([{ op: 'readJSON', args: ['/nonexistent/ddjex.json'] }], ['--output', 'json']);
+    const error = JSON.parse(missing.err);
+    assert(error.error === true && error.code === 'FILE_NOT_FOUND' && error.path === '/nonexistent/ddjex.json', `JSON error: ${missing.err}`);
+    assert(missing.code === 66 && missing.out.length === 0, 'Mapped exit code, nothing on stdout');
+
+    const usage = await runOutput([], ['--nope', '--output', 'json']);
+    assert(JSON.parse(usage.err).code === 'UNKNOWN_FLAG' && usage.code === 2, `Usage errors as JSON: ${usage.err}`);
+
+    const http = await runOutput([{ op: 'http', args: ['http://127.0.0.1:1/', { timeout: 1000 }] }], ['--output', 'json']);
+    assert(JSON.parse(http.err).code === 'HTTP_REQUEST_FAILED' && http.code === 69, `Errors from core: ${http.err}`);
+
+    assert(exitCodeFor({ code: 'EXEC_FAILED', exitCode: 4 }) === 4 && exitCodeFor({ code: 'ANYTHING' }) === 1, 'Own exit codes win, others exit 1');
+
+    const errors = validate({
+      $ddjex: '0.4.0', id: 'bad', target: 'cli',
+      commands: [{ name: 'a', flags: [{ name: 'output', type: 'string' }], handler: [] }]
+    }).errors.map(e => e.code);
+    assert(errors.includes('RESERVED_COMMAND_FLAG'), '--output is reserved');
+  }, results);
+
+  await testAsync('CLI output: readStdin buffers or streams input', async () => {
+    const text = await runOutput([{ op: 'readStdin', as: 'input' }, { op: 'print', args: [{ param: 'input' }] }], [], { stdin: 'a\nb\n' });
+    assert(text.out[0] === 'a\nb\n', 'Whole text');
+
+    const json = await runOutput([{ op: 'readStdin', args: ['json'], as: 'input' }, { op: 'print', args: [{ param: 'input' }] }], [], { stdin: '{"n":1}' });
+    assert(json.out[0] === '{"n":1}', 'Parsed JSON');
+
+    const streamed = await runOutput([
+      { op: 'readStdin', args: ['ndjson', { op: 'print', args: [{ param: 'index' }, { op: 'get', args: [{ param: 'line' }, 'n'] }] }], as: 'count' },
+      { op: 'print', args: [{ param: 'count' }] }
+    ], ['--output', 'json'], { stdin: '{"n":1}\n\n{"n":2}\r\n' });
+    assert(streamed.out.join('|') === '[0,1]|[1,2]|2', `Lines are streamed: ${streamed.out}`);
+
+    const lines = await runOutput([{ op: 'readStdin', args: [{ format: 'lines' }], as: 'input' }, { op: 'print', args: [{ param: 'input' }] }], [], { stdin: 'x\r\ny\n' });
+    assert(lines.out[0] === '["x","y"]', `Lines: ${lines.out[0]}`);
+
+    const broken = await runOutput([{ op: 'readStdin', args: ['ndjson', { op: 'print', args: [{ param: 'line' }] }] }], [], { stdin: '{"n":1}\n{oops\n' });
+    assert(broken.out.join() === '{"n":1}' && broken.code === 65 && broken.err.includes('line 2'), `Bad lines stop the stream: ${broken.err}`);
+
+    const large = await runOutput([{ op: 'readStdin', args: [{ format: 'text', maxBytes: 4 }] }], [], { stdin: 'too large' });
+    assert(large.err.includes('STDIN_TOO_LARGE') && large.code === 74, 'Buffered input is bounded');
+  }, results);
+
+  console.log('');
+}
+
+async function runSpecTests(results) {
+  console.log('Spec Conformance Tests\n----------------------');
+
+  const examplesDir = path.join(__dirname, '../spec/examples');
+
+  // Recursively find all JSON files
+  async function findJsonFiles(dir, prefix = '') {
+    const entries = await fs.readdir(dir, { withFileTypes: true });
+    const files = [];
+    for (const entry of entries) {
+      const fullPath = path.join(dir, entry.name);
+      const relativePath = prefix ? `${prefix}/${entry.name}` : entry.name;
+      if (entry.isDirectory()) {
+        files.push(...await findJsonFiles(fullPath, relativePath));
+      } else if (entry.name.endsWith('.json')) {
+        files.push({ path: fullPath, name: relativePath });
+      }
+    }
+    return files;
+  }
+
+  try {
+    const jsonFiles = await findJsonFiles(examplesDir);
+
+    for (const { path: filePath, name: file } of jsonFiles) {
+      const content = await fs.readFile(filePath, 'utf-8');
+
+      test(`Spec: ${file} parses and validates`, () => {
+        const program = JSON.parse(content);
+        const validation = Runtime.validate(program);
+        assert(validation.valid, `Should be valid: ${JSON.stringify(validation.errors)}`);
+      }, results);
+
+      test(`Spec: ${file} initializes`, () => {
+        const program = JSON.parse(content);
+        const runtime = new Runtime(program, new TestTarget());
+        runtime.initialize();
+        assert(runtime.mounted === false, 'Should not be mounted yet');
+        assert(runtime.stateManager !== null, 'Should have state manager');
+      }, results);
+    }
+
+    await testAsync('Spec: cli.cli.json commands run', async () => {
+      const os = await import('os');
+      const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'ddjex-spec-'));
+      const run = async (...args) => {
+        const out = [];
+        let code = 0;
+        const target = new CLITarget(args, { log: (...values) => out.push(values.join(' ')), error: (line) => out.push(String(line)), exit: (exitCode) => { code = exitCode; } });
+        const runtime = new Runtime(JSON.parse(await fs.readFile(path.join(examplesDir, 'cli.cli.json'), 'utf-8')), target);
+        runtime.initialize();
+        await target.mount(runtime);
+        return { out: out.join('\n'), code };
+      };
+      try {
+        await fs.mkdir(path.join(dir, 'notes'));
+        await fs.writeFile(path.join(dir, 'a.txt'), 'Hello world\n');
+        await fs.writeFile(path.join(dir, 'notes/b.txt'), 'hello again\n');
+
+        const found = await run('find', 'hello', dir, '-r');
+        assert(found.code === 0 && found.out === path.join(dir, 'notes/b.txt'), `find should print matching files: ${found.out}`);
+        const ignoringCase = await run('find', 'HELLO', dir, '-ri');
+        assert(ignoringCase.out === [path.join(dir, 'a.txt'), path.join(dir, 'notes/b.txt')].join('\n'), 'find -i should ignore case');
+
+        const counted = await run('count', path.join(dir, 'a.txt'), '-lwc');
+        assert(counted.out === 'Lines: 2\nWords: 2\nChars: 12', `count should read the file: ${counted.out}`);
+
+        await run('transform', path.join(dir, 'a.txt'), path.join(dir, 'out.txt'), '-u');
+        assert(await fs.readFile(path.join(dir, 'out.txt'), 'utf-8') === 'HELLO WORLD\n', 'transform should write the result');
+      } finally {
+        await fs.rm(dir, { recursive: true, force: true });
+      }
+    }, results);
   } catch (e) {
     console.log(`  Could not read examples: ${e.message}`);
   }